@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+/**
+ * Dangerous Goods List Import
+ *
+ * Converts a dangerous goods list (CSV or JSON, columns described in
+ * src/dangerousGoodsImport.js) into the reference data bundled with the app:
+ *
+ *   node scripts/import-dangerous-goods.js <list.csv|list.json> [output.json]
+ *
+ * The output defaults to src/dangerousGoods.json; deploy the app afterwards to
+ * use the new list. Nothing is written when a row is invalid.
+ *
+ * Exits with 0 on success and 1 when rows were rejected.
+ */
+
+import { readFileSync, writeFileSync } from 'fs';
+import { basename, extname } from 'path';
+import { fileURLToPath } from 'url';
+import { importDangerousGoods } from '../src/dangerousGoodsImport.js';
+
+const [inputPath, outputPath = fileURLToPath(new URL('../src/dangerousGoods.json', import.meta.url))] = process.argv.slice(2);
+
+if (!inputPath) {
+  console.error('Usage: node scripts/import-dangerous-goods.js <list.csv|list.json> [output.json]');
+  process.exit(2);
+}
+
+const format = extname(inputPath).slice(1).toLowerCase();
+const { entries, errors, duplicates } = importDangerousGoods(readFileSync(inputPath, 'utf8'), format);
+
+if (errors.length > 0) {
+  errors.forEach(error => console.error(`- ${error}`));
+  console.error(`Rejected ${errors.length} row(s); ${outputPath} was not changed`);
+  process.exit(1);
+}
+
+const unNumbers = new Set(entries.map(entry => entry.code));
+
+const metadata = {
+  source: basename(inputPath),
+  importedAt: new Date().toISOString(),
+  entryCount: entries.length,
+  unNumberCount: unNumbers.size
+};
+
+// One entry per line keeps the file compact and its diffs readable
+writeFileSync(outputPath, [
+  '{',
+  `  "metadata": ${JSON.stringify(metadata)},`,
+  '  "entries": [',
+  entries.map(entry => `    ${JSON.stringify(entry)}`).join(',\n'),
+  '  ]',
+  '}',
+  ''
+].join('\n'));
+
+console.log(`Entries:          ${entries.length}`);
+console.log(`UN numbers:       ${unNumbers.size}`);
+console.log(`Duplicates:       ${duplicates} skipped`);
+console.log(`Written to:       ${outputPath}`);
@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+/**
+ * Offline Audit Bundle Verifier
+ *
+ * Verifies a LogiBrew audit bundle with plain Node, no Forge runtime needed:
+ *
+ *   node scripts/verify-audit-bundle.js <bundle.json> <trusted-keys.json>
+ *
+ * trusted-keys.json is the published public key registry ({ keys: [...] }) or
+ * a plain array of keys. The keys shipped in the bundle are not trusted.
+ *
+ * Exits with 0 when the bundle verifies, 1 when it does not and 2 on usage errors.
+ */
+
+import { readFileSync } from 'fs';
+import { verifyAuditBundle } from '../src/chainVerifier.js';
+
+const [bundlePath, keysPath] = process.argv.slice(2);
+
+if (!bundlePath || !keysPath) {
+  console.error('Usage: node scripts/verify-audit-bundle.js <bundle.json> <trusted-keys.json>');
+  process.exit(2);
+}
+
+const bundle = JSON.parse(readFileSync(bundlePath, 'utf8'));
+const trustedKeys = JSON.parse(readFileSync(keysPath, 'utf8'));
+const keys = Array.isArray(trustedKeys) ? trustedKeys : trustedKeys?.keys;
+
+const result = verifyAuditBundle(bundle, { keys });
+
+console.log(`Shipment:         ${bundle.shipmentId}`);
+console.log(`Entries:          ${bundle.entries?.length ?? 0}`);
+console.log(`Exported at:      ${new Date(bundle.exportedAt).toISOString()}`);
+console.log(`Keys:             trusted (${keysPath})`);
+for (const record of bundle.timestamps || []) {
+  console.log(`Timestamped at:   ${new Date(record.genTime).toISOString()} (head ${record.headHash.substring(0, 16)}..., ${record.tsa})`);
+}
+for (const [check, passed] of Object.entries(result.checks)) {
+  console.log(`${`${check}:`.padEnd(18)}${passed ? 'OK' : 'FAILED'}`);
+}
+
+if (!result.isValid) {
+  result.errors.forEach(error => console.error(`- ${error}`));
+  result.report?.failures.forEach(failure => {
+    console.error(`  entry #${failure.index + 1}: ${failure.kind} - ${failure.message}`);
+  });
+}
+
+console.log(result.isValid ? 'VERIFIED' : 'NOT VERIFIED');
+process.exit(result.isValid ? 0 : 1);
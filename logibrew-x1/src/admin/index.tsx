@@ -0,0 +1,419 @@
+/**
+ * LogiBrew Compliance Rules Admin Page - UI Kit Frontend
+ *
+ * Lets Jira admins override emission factors, emission thresholds, UN codes,
+ * perishable goods rules and compliance checks of a rule set version, preview
+ * the differences against the bundled rules and review earlier rule changes.
+ * Also edits the retention policy the daily log archival applies and runs
+ * the one-off ledger maintenance tasks.
+ */
+
+import React, { useState, useEffect } from 'react';
+import ForgeReconciler, {
+  Stack,
+  Heading,
+  Text,
+  Spinner,
+  SectionMessage,
+  DynamicTable,
+  Badge,
+  Button,
+  Label,
+  Select,
+  TextArea,
+  Textfield
+} from '@forge/react';
+import { invoke } from '@forge/bridge';
+
+type RuleChange = { path: string; change: string; from: unknown; to: unknown };
+type RetentionPolicy = { retentionMonths: number; closedStatuses: string[]; updatedAt?: number; updatedBy?: string };
+
+const formatValue = (value: unknown) => (value === null || value === undefined ? '—' : JSON.stringify(value));
+
+const App: React.FC = () => {
+  const [rules, setRules] = useState<any>(null);
+  const [version, setVersion] = useState<string | undefined>(undefined);
+  const [overridesText, setOverridesText] = useState('{}');
+  const [reason, setReason] = useState('');
+  const [preview, setPreview] = useState<{ errors: string[]; changes: RuleChange[] } | null>(null);
+  const [message, setMessage] = useState<{ appearance: 'success' | 'error'; text: string } | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [reloadTrigger, setReloadTrigger] = useState(0);
+  const [retention, setRetention] = useState<RetentionPolicy | null>(null);
+  const [retentionMonthsText, setRetentionMonthsText] = useState('');
+  const [closedStatusesText, setClosedStatusesText] = useState('');
+  const [retentionMessage, setRetentionMessage] = useState<{ appearance: 'success' | 'error'; text: string } | null>(null);
+  const [isSavingRetention, setIsSavingRetention] = useState(false);
+  const [maintenanceMessage, setMaintenanceMessage] = useState<{ appearance: 'success' | 'error'; text: string } | null>(null);
+  const [runningTask, setRunningTask] = useState<string | null>(null);
+
+  useEffect(() => {
+    const fetchRules = async () => {
+      setLoading(true);
+      try {
+        // Call backend resolver to get the stored overrides and their diff
+        const result = await invoke('getComplianceRules', { version }) as any;
+        setRules(result);
+        setOverridesText(JSON.stringify(result.overrides, null, 2));
+        setPreview(null);
+      } catch (err: unknown) {
+        console.error('Failed to fetch compliance rules:', err);
+        setMessage({ appearance: 'error', text: err instanceof Error ? err.message : 'Unknown error occurred' });
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchRules();
+  }, [version, reloadTrigger]);
+
+  /**
+   * Show a retention policy in the edit fields
+   */
+  const showRetentionPolicy = (policy: RetentionPolicy) => {
+    setRetention(policy);
+    setRetentionMonthsText(String(policy.retentionMonths));
+    setClosedStatusesText(policy.closedStatuses.join(', '));
+  };
+
+  useEffect(() => {
+    const fetchRetentionPolicy = async () => {
+      try {
+        const result = await invoke('getRetentionPolicy') as any;
+        showRetentionPolicy(result.policy);
+      } catch (err: unknown) {
+        console.error('Failed to fetch retention policy:', err);
+        setRetentionMessage({ appearance: 'error', text: err instanceof Error ? err.message : 'Unknown error occurred' });
+      }
+    };
+
+    fetchRetentionPolicy();
+  }, []);
+
+  /**
+   * Parse the edited overrides, reporting invalid JSON
+   */
+  const parseOverrides = () => {
+    try {
+      return JSON.parse(overridesText || '{}');
+    } catch (err: unknown) {
+      setPreview({ errors: [`Overrides are not valid JSON: ${err instanceof Error ? err.message : err}`], changes: [] });
+      return null;
+    }
+  };
+
+  const handlePreview = async () => {
+    const overrides = parseOverrides();
+    if (!overrides) return;
+
+    try {
+      const result = await invoke('previewComplianceRules', { version: rules.version, overrides }) as any;
+      setPreview({ errors: result.errors, changes: result.changes });
+    } catch (err: unknown) {
+      setMessage({ appearance: 'error', text: err instanceof Error ? err.message : 'Unknown error occurred' });
+    }
+  };
+
+  const handleSave = async () => {
+    const overrides = parseOverrides();
+    if (!overrides) return;
+
+    setIsSaving(true);
+    setMessage(null);
+    try {
+      const result = await invoke('saveComplianceRules', {
+        version: rules.version,
+        overrides,
+        revision: rules.revision,
+        reason
+      }) as any;
+      setMessage({
+        appearance: 'success',
+        text: `Saved revision ${result.revision} of rule set ${result.version} (${result.changes.length} changes). Logged as ${result.logHash.substring(0, 16)}...`
+      });
+      setReason('');
+      setReloadTrigger(prev => prev + 1);
+    } catch (err: unknown) {
+      setMessage({ appearance: 'error', text: err instanceof Error ? err.message : 'Unknown error occurred' });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleSaveRetention = async () => {
+    setIsSavingRetention(true);
+    setRetentionMessage(null);
+    try {
+      const result = await invoke('saveRetentionPolicy', {
+        retentionMonths: Number(retentionMonthsText),
+        closedStatuses: closedStatusesText.split(',').map(status => status.trim()).filter(Boolean)
+      }) as any;
+      showRetentionPolicy(result.policy);
+      setRetentionMessage({ appearance: 'success', text: result.message });
+    } catch (err: unknown) {
+      setRetentionMessage({ appearance: 'error', text: err instanceof Error ? err.message : 'Unknown error occurred' });
+    } finally {
+      setIsSavingRetention(false);
+    }
+  };
+
+  const handleRunMaintenance = async (resolver: string) => {
+    setRunningTask(resolver);
+    setMaintenanceMessage(null);
+    try {
+      const result = await invoke(resolver) as any;
+      setMaintenanceMessage({ appearance: 'success', text: result.message });
+    } catch (err: unknown) {
+      setMaintenanceMessage({ appearance: 'error', text: err instanceof Error ? err.message : 'Unknown error occurred' });
+    } finally {
+      setRunningTask(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <Stack space="space.200">
+        <Spinner size="medium" />
+        <Text>Loading compliance rules...</Text>
+      </Stack>
+    );
+  }
+
+  if (!rules) {
+    return (
+      <Stack space="space.200">
+        <SectionMessage title="Error Loading Compliance Rules" appearance="error">
+          <Text>{message?.text || 'No rule set found.'}</Text>
+        </SectionMessage>
+        <Button appearance="primary" onClick={() => setReloadTrigger(prev => prev + 1)}>
+          Retry
+        </Button>
+      </Stack>
+    );
+  }
+
+  const changes: RuleChange[] = preview ? preview.changes : rules.changes;
+
+  const changeRows = changes.map((change, idx) => ({
+    key: `change-${idx}`,
+    cells: [
+      { content: change.path },
+      {
+        content: change.change === 'added' ? (
+          <Badge appearance="added">Added</Badge>
+        ) : change.change === 'removed' ? (
+          <Badge appearance="removed">Removed</Badge>
+        ) : (
+          <Badge appearance="primary">Changed</Badge>
+        )
+      },
+      { content: formatValue(change.from) },
+      { content: formatValue(change.to) }
+    ]
+  }));
+
+  const historyRows = (rules.history || []).map((entry: { hash: string; timestamp: number; userId: string; revision: number; reason: string; changeCount: number }) => ({
+    key: entry.hash,
+    cells: [
+      { content: String(entry.revision) },
+      { content: new Date(entry.timestamp).toLocaleString() },
+      { content: entry.userId },
+      { content: entry.reason },
+      { content: String(entry.changeCount) }
+    ]
+  }));
+
+  return (
+    <Stack space="space.300">
+      <Heading as="h2">LogiBrew Compliance Rules</Heading>
+      <Text>
+        Override emission factors, emission thresholds, UN codes, perishable goods rules and compliance checks without redeploying.
+        Rule entries replace the bundled entry with the same regulation, code, category or check id, or are added.
+      </Text>
+
+      {message && (
+        <SectionMessage appearance={message.appearance}>
+          <Text>{message.text}</Text>
+        </SectionMessage>
+      )}
+
+      <Stack space="space.100">
+        <Label labelFor="version">Rule Set Version</Label>
+        <Select
+          name="version"
+          id="version"
+          value={rules.version}
+          onChange={(e) => setVersion(e.target.value)}
+          options={rules.ruleSets.map((ruleSet: { version: string; effectiveFrom: string; effectiveTo: string | null }) => ({
+            label: `${ruleSet.version} (${ruleSet.effectiveFrom} – ${ruleSet.effectiveTo || 'open'})`,
+            value: ruleSet.version
+          }))}
+        />
+        <Text>
+          Revision {rules.revision}
+          {rules.updatedAt ? `, last changed ${new Date(rules.updatedAt).toLocaleString()} by ${rules.updatedBy}` : ', bundled rules only'}
+        </Text>
+      </Stack>
+
+      <Stack space="space.100">
+        <Label labelFor="overrides">Overrides (JSON)</Label>
+        <TextArea
+          name="overrides"
+          id="overrides"
+          value={overridesText}
+          onChange={(e) => setOverridesText(e.target.value)}
+        />
+        <Label labelFor="reason">Reason for the change</Label>
+        <Textfield
+          name="reason"
+          id="reason"
+          placeholder="e.g., DEFRA 2026 conversion factors"
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+        />
+        <Stack space="space.100">
+          <Button onClick={handlePreview}>Preview Changes</Button>
+          <Button
+            appearance="primary"
+            onClick={handleSave}
+            isDisabled={isSaving || !reason.trim() || (preview !== null && preview.errors.length > 0)}
+          >
+            {isSaving ? 'Saving...' : 'Save and Log Rule Change'}
+          </Button>
+        </Stack>
+      </Stack>
+
+      {preview && preview.errors.length > 0 && (
+        <SectionMessage appearance="error" title="Invalid Overrides">
+          <Stack space="space.050">
+            {preview.errors.map((error, idx) => (
+              <Text key={idx}>{error}</Text>
+            ))}
+          </Stack>
+        </SectionMessage>
+      )}
+
+      {/* Differences against the bundled rules */}
+      <Stack space="space.100">
+        <Heading as="h3">{preview ? 'Preview: Differences from Bundled Rules' : 'Differences from Bundled Rules'}</Heading>
+        <DynamicTable
+          head={{
+            cells: [
+              { content: 'Rule', isSortable: false },
+              { content: 'Change', isSortable: false },
+              { content: 'Bundled', isSortable: false },
+              { content: 'Effective', isSortable: false }
+            ]
+          }}
+          rows={changeRows}
+          isLoading={false}
+          emptyView={<Text>Rule set {rules.version} is used as bundled</Text>}
+        />
+      </Stack>
+
+      {/* Rule change log */}
+      <Stack space="space.100">
+        <Heading as="h3">Rule Change History</Heading>
+        <DynamicTable
+          head={{
+            cells: [
+              { content: 'Revision', isSortable: false },
+              { content: 'Changed', isSortable: false },
+              { content: 'By', isSortable: false },
+              { content: 'Reason', isSortable: false },
+              { content: 'Changes', isSortable: false }
+            ]
+          }}
+          rows={historyRows}
+          isLoading={false}
+          emptyView={<Text>No rule changes logged</Text>}
+        />
+      </Stack>
+
+      <Stack space="space.100">
+        <Heading as="h3">Bundled Rules</Heading>
+        <Text>Copy an entry from here into the overrides to change it.</Text>
+        <TextArea
+          name="bundledRules"
+          id="bundledRules"
+          value={JSON.stringify(rules.bundledRules, null, 2)}
+          isReadOnly
+        />
+      </Stack>
+
+      {/* Retention policy applied by the daily log archival */}
+      <Stack space="space.100">
+        <Heading as="h3">Log Retention</Heading>
+        <Text>
+          Decision log entries of closed shipments older than the retention period move to the archive behind a checkpoint.
+          Shipments under legal hold are never archived.
+        </Text>
+
+        {retentionMessage && (
+          <SectionMessage appearance={retentionMessage.appearance}>
+            <Text>{retentionMessage.text}</Text>
+          </SectionMessage>
+        )}
+
+        <Label labelFor="retentionMonths">Retention Period (months)</Label>
+        <Textfield
+          name="retentionMonths"
+          id="retentionMonths"
+          type="number"
+          value={retentionMonthsText}
+          onChange={(e) => setRetentionMonthsText(e.target.value)}
+        />
+        <Label labelFor="closedStatuses">Closed Workflow Statuses (comma-separated)</Label>
+        <Textfield
+          name="closedStatuses"
+          id="closedStatuses"
+          placeholder="e.g., Done, Delivered, Cancelled"
+          value={closedStatusesText}
+          onChange={(e) => setClosedStatusesText(e.target.value)}
+        />
+        {retention?.updatedAt && (
+          <Text>Last changed {new Date(retention.updatedAt).toLocaleString()} by {retention.updatedBy}</Text>
+        )}
+        <Button
+          appearance="primary"
+          onClick={handleSaveRetention}
+          isDisabled={isSavingRetention || !retention}
+        >
+          {isSavingRetention ? 'Saving...' : 'Save Retention Policy'}
+        </Button>
+      </Stack>
+
+      {/* One-off ledger maintenance, attributed to the acting admin */}
+      <Stack space="space.100">
+        <Heading as="h3">Ledger Maintenance</Heading>
+        <Text>
+          Re-linking appends a migration entry to each shipment chain written before the shared ledger existed.
+          Chains that are already linked are skipped. Rebuilding the log index writes query index records for
+          entries logged before the decision log indexes existed.
+        </Text>
+
+        {maintenanceMessage && (
+          <SectionMessage appearance={maintenanceMessage.appearance}>
+            <Text>{maintenanceMessage.text}</Text>
+          </SectionMessage>
+        )}
+
+        <Button
+          onClick={() => handleRunMaintenance('runChainMigration')}
+          isDisabled={runningTask !== null}
+        >
+          {runningTask === 'runChainMigration' ? 'Re-linking...' : 'Re-link Legacy Chains'}
+        </Button>
+        <Button
+          onClick={() => handleRunMaintenance('runLogIndexBackfill')}
+          isDisabled={runningTask !== null}
+        >
+          {runningTask === 'runLogIndexBackfill' ? 'Rebuilding...' : 'Rebuild Log Index'}
+        </Button>
+      </Stack>
+    </Stack>
+  );
+};
+
+ForgeReconciler.render(<App />);
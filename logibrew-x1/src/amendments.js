@@ -0,0 +1,150 @@
+/**
+ * Decision Amendments for LogiBrew
+ *
+ * A logged decision is never edited. A correction is a separate `amendment`
+ * entry appended to the same shipment chain:
+ *
+ *   decision: { amends: <hash of corrected entry>, reason, correctedOutcome }
+ *
+ * with the amending actor as the entry's `userId`. The raw chain stays
+ * append-only and verifiable; the effective view folds amendments over the
+ * original entries so each decision shows its current outcome. When an entry
+ * is amended more than once, the latest amendment wins.
+ *
+ * @module amendments
+ */
+
+import { streamChainSegments, readChain } from './chainStore.js';
+import { AMENDMENT_ACTION } from './chainVerifier.js';
+
+/**
+ * Check whether an entry is an amendment
+ */
+function isAmendment(entry) {
+  return entry?.action === AMENDMENT_ACTION;
+}
+
+/**
+ * Summary of an amendment entry for display next to the corrected entry
+ */
+function summarizeAmendment(entry, index) {
+  return {
+    hash: entry.hash,
+    index,
+    userId: entry.userId,
+    timestamp: entry.timestamp,
+    reason: entry.decision?.reason || '',
+    correctedOutcome: entry.decision?.correctedOutcome ?? null
+  };
+}
+
+/**
+ * Index the amendments in a run of chain entries by the hash they correct
+ *
+ * @param {Array<Object>} entries - Chain entries
+ * @param {number} [offset=0] - Chain index of the first entry
+ * @param {Map} [amendmentsByTarget] - Index to add to
+ * @returns {Map<string, Array<Object>>} Amendment summaries per corrected hash, oldest first
+ */
+function indexAmendments(entries, offset = 0, amendmentsByTarget = new Map()) {
+  entries.forEach((entry, idx) => {
+    if (!isAmendment(entry)) {
+      return;
+    }
+
+    const target = entry.decision?.amends;
+    const amendments = amendmentsByTarget.get(target) || [];
+    amendments.push(summarizeAmendment(entry, offset + idx));
+    amendmentsByTarget.set(target, amendments);
+  });
+
+  return amendmentsByTarget;
+}
+
+/**
+ * Fold amendments over a single chain entry
+ *
+ * @param {Object} entry - Original chain entry
+ * @param {number} index - Chain index of the entry
+ * @param {Map} amendmentsByTarget - Index from indexAmendments
+ * @returns {Object} Entry with its effective decision and amendment history
+ */
+function applyAmendments(entry, index, amendmentsByTarget) {
+  const amendments = amendmentsByTarget.get(entry.hash) || [];
+  const latest = amendments[amendments.length - 1] || null;
+
+  return {
+    ...entry,
+    index,
+    decision: latest ? latest.correctedOutcome : entry.decision,
+    originalDecision: entry.decision,
+    isAmended: latest !== null,
+    amendedBy: latest,
+    amendments
+  };
+}
+
+/**
+ * Build the current effective view of a chain
+ *
+ * Amendment entries are folded into the entries they correct and left out of
+ * the view; everything else keeps its chain order and index.
+ *
+ * @param {Array<Object>} chain - Raw shipment chain
+ * @returns {{entries: Array<Object>, amendedCount: number, amendmentCount: number}}
+ */
+function buildEffectiveView(chain) {
+  const amendmentsByTarget = indexAmendments(chain);
+  const entries = [];
+
+  chain.forEach((entry, index) => {
+    if (entry && !isAmendment(entry)) {
+      entries.push(applyAmendments(entry, index, amendmentsByTarget));
+    }
+  });
+
+  return {
+    entries,
+    amendedCount: entries.filter(entry => entry.isAmended).length,
+    amendmentCount: Array.from(amendmentsByTarget.values()).reduce((sum, list) => sum + list.length, 0)
+  };
+}
+
+/**
+ * Load the amendment index for a stored chain, one segment at a time
+ *
+ * @param {string} shipmentId - Shipment identifier
+ * @returns {Promise<Map<string, Array<Object>>>}
+ */
+async function getAmendmentIndex(shipmentId) {
+  const amendmentsByTarget = new Map();
+
+  for await (const { offset, entries } of streamChainSegments(shipmentId)) {
+    indexAmendments(entries, offset, amendmentsByTarget);
+  }
+
+  return amendmentsByTarget;
+}
+
+/**
+ * Load the current effective view of a stored chain
+ *
+ * @param {string} shipmentId - Shipment identifier
+ * @returns {Promise<Object>} Effective view from buildEffectiveView
+ */
+async function getEffectiveView(shipmentId) {
+  return {
+    shipmentId,
+    ...buildEffectiveView(await readChain(shipmentId))
+  };
+}
+
+export {
+  AMENDMENT_ACTION,
+  isAmendment,
+  indexAmendments,
+  applyAmendments,
+  buildEffectiveView,
+  getAmendmentIndex,
+  getEffectiveView
+};
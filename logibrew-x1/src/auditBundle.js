@@ -0,0 +1,164 @@
+/**
+ * Audit Bundle Export for LogiBrew
+ *
+ * Exports a shipment's full decision chain as a signed, self-verifying JSON
+ * bundle plus a CSV rendering for spreadsheets. The bundle carries everything
+ * needed to check it offline: the entries (each naming its own hash version),
+ * the bundle hash algorithm and serialization, the verification report, the
+ * rule version in force and the rule sets the entries were made under, the
+ * public signing keys and the RFC 3161 timestamp tokens of the chain heads. Auditors verify it with chainVerifier.js and
+ * plain Node (see scripts/verify-audit-bundle.js).
+ *
+ * @module auditBundle
+ */
+
+import { readChain } from './chainStore.js';
+import { getPublicKeyRegistry, getActiveSigningKey, signEntryHash, getSignatureStatus } from './signing.js';
+import {
+  BUNDLE_FORMAT,
+  BUNDLE_VERSION,
+  DEFAULT_HASH_ALGORITHM,
+  BUNDLE_SERIALIZATION,
+  SIGNATURE_ALGORITHM,
+  buildVerificationReport,
+  generateBundleHash
+} from './chainVerifier.js';
+import { listChainTimestamps, getEntryTimestamps } from './timestamping.js';
+import { listRuleSets, findRuleSetInEffect } from './ruleSets.js';
+
+const CSV_COLUMNS = [
+  'index',
+  'sequence',
+  'timestamp',
+  'action',
+  'userId',
+  'source',
+  'conversationId',
+  'shipmentId',
+  'status',
+  'evidence',
+  'ruleSetVersion',
+  'hash',
+  'previousHash',
+  'shipmentPreviousHash',
+  'signatureKeyId',
+  'signatureStatus',
+  'verificationStatus',
+  'failures',
+  'timestampedAt'
+];
+
+/**
+ * Build a signed audit bundle for a shipment
+ *
+ * @param {string} shipmentId - Shipment identifier
+ * @returns {Promise<Object>} Signed audit bundle
+ */
+async function buildAuditBundle(shipmentId) {
+  // Load the signing key first so a freshly generated key is in the registry
+  // and already in service at exportedAt
+  const signingKey = await getActiveSigningKey();
+  const { keys } = await getPublicKeyRegistry();
+  const entries = await readChain(shipmentId);
+  const verification = buildVerificationReport(entries, { keys });
+  const timestamps = await listChainTimestamps(shipmentId);
+  const currentRuleSet = findRuleSetInEffect(Date.now());
+  const usedVersions = new Set(entries.map(entry => entry?.ruleSet?.version).filter(Boolean));
+
+  const bundle = {
+    format: BUNDLE_FORMAT,
+    bundleVersion: BUNDLE_VERSION,
+    shipmentId,
+    exportedAt: Date.now(),
+    hashAlgorithm: DEFAULT_HASH_ALGORITHM,
+    serializationVersion: BUNDLE_SERIALIZATION,
+    entryHashVersions: Array.from(new Set(entries.map(entry => entry?.hashVersion ?? 1))).sort(),
+    signatureAlgorithm: SIGNATURE_ALGORITHM,
+    ruleVersion: {
+      version: currentRuleSet?.version || null,
+      lastUpdated: currentRuleSet?.metadata.lastUpdated || null,
+      contentHash: currentRuleSet?.contentHash || null
+    },
+    ruleSets: listRuleSets().filter(ruleSet => usedVersions.has(ruleSet.version)),
+    entryCount: entries.length,
+    headHash: entries[entries.length - 1]?.hash || null,
+    entries,
+    timestamps,
+    verification,
+    signingKeys: keys.map(({ keyId, algorithm, publicKey, createdAt, retiredAt }) => ({
+      keyId,
+      algorithm,
+      publicKey,
+      createdAt,
+      retiredAt
+    }))
+  };
+
+  bundle.bundleHash = generateBundleHash(bundle);
+  bundle.signature = signEntryHash(bundle.bundleHash, signingKey);
+
+  return bundle;
+}
+
+/**
+ * Quote a CSV field
+ *
+ * Fields starting with a spreadsheet formula character are prefixed with a
+ * single quote so opening the export cannot run formulas.
+ */
+function toCsvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = String(value);
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render an audit bundle's entries as CSV, one row per entry
+ *
+ * @param {Object} bundle - Audit bundle from buildAuditBundle
+ * @returns {string} CSV with a header row
+ */
+function renderAuditBundleCsv(bundle) {
+  const entryTimestamps = getEntryTimestamps(bundle.entries, bundle.timestamps || []);
+
+  const rows = bundle.entries.map((entry, idx) => {
+    const entryReport = bundle.verification.entries[idx];
+
+    return [
+      idx,
+      entry?.sequence,
+      entry ? new Date(entry.timestamp).toISOString() : null,
+      entry?.action,
+      entry?.userId,
+      entry?.source,
+      entry?.conversationId,
+      entry?.shipmentId,
+      entry?.decision?.status,
+      entry?.evidence?.map(record => `${record.filename}:${record.sha256}`).join(';'),
+      entry?.ruleSet?.version,
+      entry?.hash,
+      entry?.previousHash,
+      entry?.shipmentPreviousHash,
+      entry?.signature?.keyId,
+      entry ? getSignatureStatus(entry, bundle.signingKeys) : null,
+      entryReport?.status,
+      entryReport?.failures.map(failure => failure.kind).join(';'),
+      entryTimestamps[idx] ? new Date(entryTimestamps[idx].genTime).toISOString() : null
+    ].map(toCsvField).join(',');
+  });
+
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n');
+}
+
+export {
+  CSV_COLUMNS,
+  buildAuditBundle,
+  renderAuditBundleCsv
+};
@@ -0,0 +1,150 @@
+/**
+ * Append Lock for LogiBrew Hash Chains
+ *
+ * Forge app storage has no transactions, so concurrent appends (e.g. the
+ * workflow post-function and the issue-updated trigger firing together) are
+ * serialized with a lease lock key:
+ *
+ *   hash-chain-append-lock  { owner, expiresAt }
+ *
+ * A writer takes the lock only if it is free or its lease has expired, then
+ * reads the lock back to confirm it won. The lease expires on its own, so a
+ * writer that crashes mid-append cannot block the chain for longer than
+ * LOCK_LEASE_MS. Writers that lose the race, or detect a conflict while
+ * holding the lock, back off and retry.
+ *
+ * @module chainLock
+ */
+
+import crypto from 'crypto';
+import { storage } from '@forge/api';
+
+const LOCK_KEY = 'hash-chain-append-lock';
+const LOCK_LEASE_MS = 10 * 1000;
+const DEFAULT_MAX_ATTEMPTS = 20;
+const DEFAULT_RETRY_DELAY_MS = 25;
+const MAX_RETRY_DELAY_MS = 500;
+const CONFLICT_ERROR_CODE = 'CHAIN_APPEND_CONFLICT';
+
+/**
+ * Create an error that tells withChainLock to retry the append
+ */
+function createConflictError(message) {
+  const error = new Error(message);
+  error.code = CONFLICT_ERROR_CODE;
+  return error;
+}
+
+/**
+ * Check whether an error is a retryable append conflict
+ */
+function isConflictError(error) {
+  return error?.code === CONFLICT_ERROR_CODE;
+}
+
+/**
+ * Backoff before the next attempt: exponential with jitter, capped
+ */
+function getRetryDelay(attempt, retryDelayMs) {
+  const backoff = Math.min(retryDelayMs * 2 ** (attempt - 1), MAX_RETRY_DELAY_MS);
+  return backoff / 2 + Math.random() * (backoff / 2);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Try to take the lock for an owner token
+ *
+ * @returns {Promise<boolean>} True if the owner now holds the lock
+ */
+async function acquireLock(owner) {
+  const current = await storage.get(LOCK_KEY);
+
+  if (current && current.expiresAt > Date.now()) {
+    return false;
+  }
+
+  await storage.set(LOCK_KEY, { owner, expiresAt: Date.now() + LOCK_LEASE_MS });
+
+  // Another writer may have taken the lock between our read and write
+  const confirmed = await storage.get(LOCK_KEY);
+  return confirmed?.owner === owner;
+}
+
+/**
+ * Check that an owner still holds an unexpired lock
+ */
+async function holdsLock(owner) {
+  const current = await storage.get(LOCK_KEY);
+  return current?.owner === owner && current.expiresAt > Date.now();
+}
+
+/**
+ * Release the lock if the owner still holds it
+ */
+async function releaseLock(owner) {
+  const current = await storage.get(LOCK_KEY);
+
+  if (current?.owner === owner) {
+    await storage.delete(LOCK_KEY);
+  }
+}
+
+/**
+ * Run a chain append while holding the append lock
+ *
+ * The callback receives `ensureLockHeld()`, which it should await right before
+ * writing; it throws a conflict error if the lease was lost. Conflict errors
+ * thrown by the callback (see createConflictError) are retried like a busy
+ * lock. Any other error is rethrown immediately.
+ *
+ * @param {Function} append - Async callback doing the read-modify-write
+ * @param {Object} [options] - Retry options
+ * @param {number} [options.maxAttempts=20] - Attempts before giving up
+ * @param {number} [options.retryDelayMs=25] - Base backoff delay
+ * @returns {Promise<*>} Result of the callback
+ */
+async function withChainLock(append, options = {}) {
+  const maxAttempts = options.maxAttempts || DEFAULT_MAX_ATTEMPTS;
+  const retryDelayMs = options.retryDelayMs ?? DEFAULT_RETRY_DELAY_MS;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const owner = crypto.randomUUID();
+
+    if (await acquireLock(owner)) {
+      try {
+        return await append({
+          attempt,
+          ensureLockHeld: async () => {
+            if (!await holdsLock(owner)) {
+              throw createConflictError('Append lock lease expired');
+            }
+          }
+        });
+      } catch (error) {
+        if (!isConflictError(error)) {
+          throw error;
+        }
+        console.warn(`Hash chain append conflict on attempt ${attempt}: ${error.message}`);
+      } finally {
+        await releaseLock(owner);
+      }
+    }
+
+    if (attempt < maxAttempts) {
+      await sleep(getRetryDelay(attempt, retryDelayMs));
+    }
+  }
+
+  throw new Error(`Hash chain is busy: append failed after ${maxAttempts} attempts`);
+}
+
+export {
+  LOCK_KEY,
+  LOCK_LEASE_MS,
+  createConflictError,
+  isConflictError,
+  withChainLock
+};
@@ -0,0 +1,444 @@
+/**
+ * Segmented Chain Storage for LogiBrew
+ *
+ * Stores each shipment's decision chain as fixed-size segments plus a small
+ * index record, so an append rewrites only the last segment and no single
+ * storage value grows with the chain:
+ *
+ *   shipment-<id>-chain-index    { shipmentId, length, headHash, segmentSize, segments }
+ *   shipment-<id>-chain-seg-<n>  [entry, ...] (at most segmentSize entries)
+ *
+ * Chains written before segmentation live in a single `shipment-<id>-chain`
+ * array. They are read as-is and converted to segments on the next append.
+ *
+ * Entries moved out by retention (see retention.js) go to compacted archive
+ * segments with their own index, and are no longer part of the live chain:
+ *
+ *   shipment-<id>-archive-index    { shipmentId, length, headHash, segmentSize, segments }
+ *   shipment-<id>-archive-seg-<n>  [entry, ...] (at most ARCHIVE_SEGMENT_SIZE entries)
+ *
+ * A few chains of the global ledger do not belong to a shipment, such as the
+ * rule change log (see ruleOverrides.js). They are stored the same way under
+ * the IDs in SYSTEM_CHAIN_IDS and left out when listing shipments.
+ *
+ * @module chainStore
+ */
+
+import { storage, startsWith } from '@forge/api';
+
+const SEGMENT_SIZE = 50;
+
+// Archived entries are never appended to one by one, so segments can be larger
+const ARCHIVE_SEGMENT_SIZE = 100;
+
+// Chain of `rule_change` decisions; lowercase, so it cannot clash with a Jira issue key
+const RULE_CHANGE_CHAIN_ID = 'compliance-rules';
+const SYSTEM_CHAIN_IDS = [RULE_CHANGE_CHAIN_ID];
+
+/**
+ * Storage key for a chain written before segmentation
+ */
+function getLegacyChainKey(shipmentId) {
+  return `shipment-${shipmentId}-chain`;
+}
+
+/**
+ * Storage key for a chain's index record
+ */
+function getChainIndexKey(shipmentId) {
+  return `shipment-${shipmentId}-chain-index`;
+}
+
+/**
+ * Storage key for one chain segment
+ */
+function getSegmentKey(shipmentId, segmentNumber) {
+  return `shipment-${shipmentId}-chain-seg-${segmentNumber}`;
+}
+
+/**
+ * Storage key for a chain's archive index record
+ */
+function getArchiveIndexKey(shipmentId) {
+  return `shipment-${shipmentId}-archive-index`;
+}
+
+/**
+ * Storage key for one archive segment
+ */
+function getArchiveSegmentKey(shipmentId, segmentNumber) {
+  return `shipment-${shipmentId}-archive-seg-${segmentNumber}`;
+}
+
+/**
+ * Load a chain's index record
+ *
+ * @returns {Promise<Object|null>} Index record, or null for legacy or empty chains
+ */
+async function getChainIndex(shipmentId) {
+  return await storage.get(getChainIndexKey(shipmentId)) || null;
+}
+
+/**
+ * Split a legacy chain array into segments and write its index record
+ */
+async function convertLegacyChain(shipmentId) {
+  const legacyChain = await storage.get(getLegacyChainKey(shipmentId)) || [];
+  const index = {
+    shipmentId,
+    length: legacyChain.length,
+    headHash: legacyChain[legacyChain.length - 1]?.hash || null,
+    segmentSize: SEGMENT_SIZE,
+    segments: []
+  };
+
+  for (let i = 0; i < legacyChain.length; i += SEGMENT_SIZE) {
+    const entries = legacyChain.slice(i, i + SEGMENT_SIZE);
+    const key = getSegmentKey(shipmentId, index.segments.length);
+
+    await storage.set(key, entries);
+    index.segments.push({
+      key,
+      length: entries.length,
+      firstHash: entries[0].hash,
+      lastHash: entries[entries.length - 1].hash
+    });
+  }
+
+  await storage.set(getChainIndexKey(shipmentId), index);
+
+  if (legacyChain.length > 0) {
+    await storage.delete(getLegacyChainKey(shipmentId));
+    console.log(`Converted ${legacyChain.length} legacy entries for ${shipmentId} into ${index.segments.length} segments`);
+  }
+
+  return index;
+}
+
+/**
+ * Load a chain's index for appending, converting a legacy chain first
+ *
+ * @returns {Promise<Object>} Index record; `headHash` is the current chain head
+ */
+async function openChainForAppend(shipmentId) {
+  return await getChainIndex(shipmentId) || await convertLegacyChain(shipmentId);
+}
+
+/**
+ * Append an entry to a chain opened with openChainForAppend
+ *
+ * Only the last segment and the index record are rewritten.
+ *
+ * @param {Object} index - Index record from openChainForAppend
+ * @param {Object} entry - Log entry with hash
+ * @returns {Promise<Object>} Updated index record
+ */
+async function appendToChain(index, entry) {
+  let segment = index.segments[index.segments.length - 1];
+  let entries = [];
+
+  if (segment && segment.length < index.segmentSize) {
+    entries = await storage.get(segment.key) || [];
+  } else {
+    const segmentNumber = index.nextSegment ?? index.segments.length;
+    index.nextSegment = segmentNumber + 1;
+    segment = {
+      key: getSegmentKey(index.shipmentId, segmentNumber),
+      length: 0,
+      firstHash: entry.hash,
+      lastHash: null
+    };
+    index.segments.push(segment);
+  }
+
+  entries.push(entry);
+  await storage.set(segment.key, entries);
+
+  segment.length = entries.length;
+  segment.lastHash = entry.hash;
+  index.length += 1;
+  index.headHash = entry.hash;
+
+  await storage.set(getChainIndexKey(index.shipmentId), index);
+
+  return index;
+}
+
+/**
+ * Load the entries of one segment
+ *
+ * A segment missing from storage is returned as nulls so verification can
+ * report the missing entries instead of silently shortening the chain.
+ */
+async function readSegment(segment) {
+  const entries = await storage.get(segment.key);
+  return Array.isArray(entries) ? entries : new Array(segment.length).fill(null);
+}
+
+/**
+ * Stream a chain one segment at a time
+ *
+ * @yields {{offset: number, entries: Array<Object>}}
+ */
+async function* streamChainSegments(shipmentId) {
+  const index = await getChainIndex(shipmentId);
+
+  if (!index) {
+    const legacyChain = await storage.get(getLegacyChainKey(shipmentId)) || [];
+    if (legacyChain.length > 0) {
+      yield { offset: 0, entries: legacyChain };
+    }
+    return;
+  }
+
+  let offset = 0;
+  for (const segment of index.segments) {
+    yield { offset, entries: await readSegment(segment) };
+    offset += segment.length;
+  }
+}
+
+/**
+ * Load a full chain
+ */
+async function readChain(shipmentId) {
+  const chain = [];
+
+  for await (const { entries } of streamChainSegments(shipmentId)) {
+    chain.push(...entries);
+  }
+
+  return chain;
+}
+
+/**
+ * Load one page of a chain, reading only the segments that overlap it
+ *
+ * @param {string} shipmentId - Shipment identifier
+ * @param {Object} [page] - Page options
+ * @param {number} [page.offset=0] - Index of the first entry
+ * @param {number} [page.limit=SEGMENT_SIZE] - Maximum number of entries
+ * @returns {Promise<Object>} Page entries with total length and head hash
+ */
+async function readChainPage(shipmentId, { offset = 0, limit = SEGMENT_SIZE } = {}) {
+  const index = await getChainIndex(shipmentId);
+  const entries = [];
+  let total = 0;
+  let headHash = null;
+
+  if (!index) {
+    const legacyChain = await storage.get(getLegacyChainKey(shipmentId)) || [];
+    entries.push(...legacyChain.slice(offset, offset + limit));
+    total = legacyChain.length;
+    headHash = legacyChain[legacyChain.length - 1]?.hash || null;
+  } else {
+    let segmentOffset = 0;
+
+    for (const segment of index.segments) {
+      const segmentEnd = segmentOffset + segment.length;
+
+      if (segmentEnd > offset && segmentOffset < offset + limit) {
+        const segmentEntries = await readSegment(segment);
+        const start = Math.max(offset - segmentOffset, 0);
+        const end = Math.min(offset + limit - segmentOffset, segment.length);
+        entries.push(...segmentEntries.slice(start, end));
+      }
+
+      segmentOffset = segmentEnd;
+    }
+
+    total = index.length;
+    headHash = index.headHash;
+  }
+
+  return {
+    entries,
+    offset,
+    limit,
+    total,
+    headHash,
+    hasMore: offset + entries.length < total
+  };
+}
+
+/**
+ * Remove the oldest entries from a live chain
+ *
+ * The remaining entries are rewritten into new segments before the index is
+ * switched over, so readers holding the old index still find its segments.
+ * Callers must hold the append lock and pass a freshly loaded index.
+ *
+ * @param {Object} index - Chain index record
+ * @param {number} count - Number of leading entries to remove
+ * @returns {Promise<Object>} Updated index record
+ */
+async function trimChainPrefix(index, count) {
+  const entries = [];
+  for (const segment of index.segments) {
+    entries.push(...await readSegment(segment));
+  }
+
+  const remaining = entries.slice(count);
+  const staleKeys = index.segments.map(segment => segment.key);
+  let nextSegment = index.nextSegment ?? index.segments.length;
+  const segments = [];
+
+  for (let i = 0; i < remaining.length; i += SEGMENT_SIZE) {
+    const segmentEntries = remaining.slice(i, i + SEGMENT_SIZE);
+    const key = getSegmentKey(index.shipmentId, nextSegment++);
+
+    await storage.set(key, segmentEntries);
+    segments.push({
+      key,
+      length: segmentEntries.length,
+      firstHash: segmentEntries[0]?.hash ?? null,
+      lastHash: segmentEntries[segmentEntries.length - 1]?.hash ?? null
+    });
+  }
+
+  const updated = {
+    ...index,
+    length: remaining.length,
+    segments,
+    nextSegment,
+    archivedLength: (index.archivedLength || 0) + (entries.length - remaining.length)
+  };
+
+  await storage.set(getChainIndexKey(index.shipmentId), updated);
+  await Promise.all(staleKeys.map(key => storage.delete(key)));
+
+  return updated;
+}
+
+/**
+ * Load a chain's archive index record
+ *
+ * @returns {Promise<Object|null>} Archive index, or null when nothing was archived
+ */
+async function getArchiveIndex(shipmentId) {
+  return await storage.get(getArchiveIndexKey(shipmentId)) || null;
+}
+
+/**
+ * Append entries to a chain's archive
+ *
+ * Entries up to the current archive head are skipped, so re-running an
+ * interrupted archival does not store them twice.
+ *
+ * @param {string} shipmentId - Shipment identifier
+ * @param {Array<Object>} entries - Oldest live entries, in chain order
+ * @returns {Promise<Object>} Updated archive index record
+ */
+async function appendToArchive(shipmentId, entries) {
+  const index = await getArchiveIndex(shipmentId) || {
+    shipmentId,
+    length: 0,
+    headHash: null,
+    segmentSize: ARCHIVE_SEGMENT_SIZE,
+    segments: []
+  };
+
+  const archivedUpTo = entries.findIndex(entry => entry.hash === index.headHash);
+  const pending = entries.slice(archivedUpTo + 1);
+
+  while (pending.length > 0) {
+    let segment = index.segments[index.segments.length - 1];
+    let segmentEntries = [];
+
+    if (segment && segment.length < index.segmentSize) {
+      segmentEntries = await storage.get(segment.key) || [];
+    } else {
+      segment = {
+        key: getArchiveSegmentKey(shipmentId, index.segments.length),
+        length: 0,
+        firstHash: pending[0].hash,
+        lastHash: null
+      };
+      index.segments.push(segment);
+    }
+
+    segmentEntries.push(...pending.splice(0, index.segmentSize - segmentEntries.length));
+    await storage.set(segment.key, segmentEntries);
+
+    index.length += segmentEntries.length - segment.length;
+    segment.length = segmentEntries.length;
+    segment.lastHash = segmentEntries[segmentEntries.length - 1].hash;
+    index.headHash = segment.lastHash;
+  }
+
+  await storage.set(getArchiveIndexKey(shipmentId), index);
+
+  return index;
+}
+
+/**
+ * Stream a chain's archived entries one segment at a time
+ *
+ * @yields {{offset: number, entries: Array<Object>}}
+ */
+async function* streamArchiveSegments(shipmentId) {
+  const index = await getArchiveIndex(shipmentId);
+  let offset = 0;
+
+  for (const segment of index?.segments || []) {
+    yield { offset, entries: await readSegment(segment) };
+    offset += segment.length;
+  }
+}
+
+/**
+ * List the IDs of all shipments with a stored chain
+ *
+ * @param {Object} [options] - Listing options
+ * @param {boolean} [options.includeSystemChains=false] - Also list SYSTEM_CHAIN_IDS that have a
+ *   chain, e.g. to walk the whole global ledger
+ * @returns {Promise<Array<string>>} Chain IDs
+ */
+async function listChainShipmentIds({ includeSystemChains = false } = {}) {
+  const shipmentIds = new Set();
+  let cursor;
+
+  do {
+    let query = storage.query().where('key', startsWith('shipment-')).limit(20);
+    if (cursor) {
+      query = query.cursor(cursor);
+    }
+
+    const page = await query.getMany();
+
+    for (const { key, value } of page.results) {
+      if (key.endsWith('-chain-index')) {
+        shipmentIds.add(key.slice('shipment-'.length, -'-chain-index'.length));
+      } else if (key.endsWith('-chain') && Array.isArray(value)) {
+        shipmentIds.add(key.slice('shipment-'.length, -'-chain'.length));
+      }
+    }
+
+    cursor = page.nextCursor;
+  } while (cursor);
+
+  return Array.from(shipmentIds).filter(shipmentId => includeSystemChains || !SYSTEM_CHAIN_IDS.includes(shipmentId));
+}
+
+export {
+  SEGMENT_SIZE,
+  ARCHIVE_SEGMENT_SIZE,
+  RULE_CHANGE_CHAIN_ID,
+  SYSTEM_CHAIN_IDS,
+  getLegacyChainKey,
+  getChainIndexKey,
+  getSegmentKey,
+  getArchiveIndexKey,
+  getArchiveSegmentKey,
+  getChainIndex,
+  openChainForAppend,
+  appendToChain,
+  streamChainSegments,
+  readChain,
+  readChainPage,
+  trimChainPrefix,
+  getArchiveIndex,
+  appendToArchive,
+  streamArchiveSegments,
+  listChainShipmentIds
+};
@@ -0,0 +1,852 @@
+/**
+ * Standalone Chain Verifier for LogiBrew
+ *
+ * Pure verification logic for decision log chains and exported audit bundles.
+ * This module depends only on Node's built-in `crypto` module and rfc3161.js,
+ * never on Forge APIs, so an external auditor can copy both and check an audit
+ * bundle offline with plain Node (see scripts/verify-audit-bundle.js).
+ *
+ * The app uses the same functions through hashChain.js and signing.js, so the
+ * offline verifier and the app cannot drift apart.
+ *
+ * @module chainVerifier
+ */
+
+import crypto from 'crypto';
+import { verifyTimestampToken } from './rfc3161.js';
+
+const GENESIS_HASH = '0';
+const MIGRATION_ACTION = 'chain_migration';
+const AMENDMENT_ACTION = 'amendment';
+const ARCHIVE_CHECKPOINT_ACTION = 'archive_checkpoint';
+const DEFAULT_HASH_ALGORITHM = 'sha256';
+const CURRENT_HASH_VERSION = 5;
+const BUNDLE_SERIALIZATION = 'jcs-v1';
+const SIGNATURE_ALGORITHM = 'ed25519';
+const BUNDLE_FORMAT = 'logibrew-audit-bundle';
+const BUNDLE_VERSION = 1;
+
+/**
+ * Hash functions by name; new algorithms can be added with registerHashAlgorithm
+ */
+const HASH_ALGORITHMS = {
+  sha256: data => crypto.createHash('sha256').update(data).digest('hex'),
+  'sha3-256': data => crypto.createHash('sha3-256').update(data).digest('hex')
+};
+
+/**
+ * Register a hash algorithm for entries and bundles
+ *
+ * @param {string} name - Algorithm name stored in `hashAlgorithm`
+ * @param {Function} hashFn - (data: string) => hex digest
+ */
+function registerHashAlgorithm(name, hashFn) {
+  HASH_ALGORITHMS[name] = hashFn;
+}
+
+/**
+ * Hash a string with a registered algorithm
+ */
+function digest(algorithm, data) {
+  const hashFn = HASH_ALGORITHMS[algorithm];
+
+  if (!hashFn) {
+    throw new Error(`Unsupported hash algorithm: ${algorithm}`);
+  }
+
+  return hashFn(data);
+}
+
+/**
+ * Canonical JSON encoding (RFC 8785 style)
+ *
+ * Object keys are sorted by UTF-16 code units and no whitespace is emitted, so
+ * the output does not depend on property insertion order. Strings and numbers
+ * use the ECMAScript JSON serialization, as RFC 8785 requires. Undefined
+ * properties are omitted like JSON.stringify does.
+ *
+ * @param {*} value - JSON-compatible value
+ * @returns {string} Canonical JSON text
+ */
+function canonicalize(value) {
+  if (value === null || typeof value === 'boolean' || typeof value === 'string') {
+    return JSON.stringify(value);
+  }
+
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) {
+      throw new Error(`Cannot canonicalize non-finite number: ${value}`);
+    }
+    return JSON.stringify(value);
+  }
+
+  if (Array.isArray(value)) {
+    return `[${value.map(item => (item === undefined ? 'null' : canonicalize(item))).join(',')}]`;
+  }
+
+  if (typeof value === 'object') {
+    const members = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+    return `{${members.join(',')}}`;
+  }
+
+  throw new Error(`Cannot canonicalize value of type ${typeof value}`);
+}
+
+/**
+ * Entry hashing schemes by `hashVersion`
+ *
+ * Version 1 is the original JSON.stringify serialization with SHA-256; entries
+ * without a `hashVersion` are version 1 and keep verifying as before. Version 2
+ * uses canonical JSON and the algorithm named in the entry's `hashAlgorithm`.
+ * Both fields are part of the hashed data. Version 3 adds the decision's
+ * origin: the `source` that logged it and the Rovo `conversationId`. Version 4
+ * adds the `evidence` attachment digests of entries that have them, version 5
+ * the compliance `ruleSet` (version and content hash). A version's
+ * serialization never changes once entries are written with it; new fields
+ * need a new version.
+ */
+const HASH_VERSIONS = {
+  1: {
+    serialization: 'json-stringify-v1',
+    getAlgorithm: () => 'sha256',
+    // `shipmentPreviousHash` and `sequence` are dropped by JSON.stringify when
+    // undefined, so entries written before they existed keep their hashes
+    serialize: record => JSON.stringify({
+      timestamp: record.timestamp,
+      action: record.action,
+      userId: record.userId,
+      shipmentId: record.shipmentId,
+      decision: record.decision,
+      previousHash: record.previousHash || GENESIS_HASH,
+      shipmentPreviousHash: record.shipmentPreviousHash,
+      sequence: record.sequence
+    })
+  },
+  2: {
+    serialization: 'jcs-v1',
+    getAlgorithm: record => record.hashAlgorithm || DEFAULT_HASH_ALGORITHM,
+    serialize: record => canonicalize({
+      hashVersion: record.hashVersion,
+      hashAlgorithm: record.hashAlgorithm,
+      timestamp: record.timestamp,
+      action: record.action,
+      userId: record.userId,
+      shipmentId: record.shipmentId,
+      decision: record.decision,
+      previousHash: record.previousHash || GENESIS_HASH,
+      shipmentPreviousHash: record.shipmentPreviousHash,
+      sequence: record.sequence
+    })
+  },
+  3: {
+    serialization: 'jcs-v1',
+    getAlgorithm: record => record.hashAlgorithm || DEFAULT_HASH_ALGORITHM,
+    serialize: record => canonicalize({
+      hashVersion: record.hashVersion,
+      hashAlgorithm: record.hashAlgorithm,
+      timestamp: record.timestamp,
+      action: record.action,
+      userId: record.userId,
+      source: record.source ?? null,
+      conversationId: record.conversationId ?? null,
+      shipmentId: record.shipmentId,
+      decision: record.decision,
+      previousHash: record.previousHash || GENESIS_HASH,
+      shipmentPreviousHash: record.shipmentPreviousHash,
+      sequence: record.sequence
+    })
+  },
+  4: {
+    serialization: 'jcs-v1',
+    getAlgorithm: record => record.hashAlgorithm || DEFAULT_HASH_ALGORITHM,
+    serialize: record => canonicalize({
+      hashVersion: record.hashVersion,
+      hashAlgorithm: record.hashAlgorithm,
+      timestamp: record.timestamp,
+      action: record.action,
+      userId: record.userId,
+      source: record.source ?? null,
+      conversationId: record.conversationId ?? null,
+      // Omitted by canonicalize when undefined, so entries without evidence hash alike
+      evidence: record.evidence,
+      shipmentId: record.shipmentId,
+      decision: record.decision,
+      previousHash: record.previousHash || GENESIS_HASH,
+      shipmentPreviousHash: record.shipmentPreviousHash,
+      sequence: record.sequence
+    })
+  },
+  5: {
+    serialization: 'jcs-v1',
+    getAlgorithm: record => record.hashAlgorithm || DEFAULT_HASH_ALGORITHM,
+    serialize: record => canonicalize({
+      hashVersion: record.hashVersion,
+      hashAlgorithm: record.hashAlgorithm,
+      timestamp: record.timestamp,
+      action: record.action,
+      userId: record.userId,
+      source: record.source ?? null,
+      conversationId: record.conversationId ?? null,
+      // Omitted by canonicalize when undefined, so entries without them hash alike
+      evidence: record.evidence,
+      ruleSet: record.ruleSet,
+      shipmentId: record.shipmentId,
+      decision: record.decision,
+      previousHash: record.previousHash || GENESIS_HASH,
+      shipmentPreviousHash: record.shipmentPreviousHash,
+      sequence: record.sequence
+    })
+  }
+};
+
+/**
+ * Generate the hash for a decision record
+ *
+ * The hashing scheme is picked by the record's `hashVersion` (1 when absent),
+ * so old-version entries verify alongside new ones.
+ */
+function generateHash(record) {
+  const hashVersion = record.hashVersion ?? 1;
+  const scheme = HASH_VERSIONS[hashVersion];
+
+  if (!scheme) {
+    throw new Error(`Unsupported hash version: ${hashVersion}`);
+  }
+
+  return digest(scheme.getAlgorithm(record), scheme.serialize(record));
+}
+
+/**
+ * Recalculate an entry hash for verification
+ *
+ * @returns {{hash: string|null, error: string|null}} Hash, or the reason it cannot be computed
+ */
+function recalculateHash(entry) {
+  try {
+    return { hash: generateHash(entry), error: null };
+  } catch (error) {
+    return { hash: null, error: error.message };
+  }
+}
+
+/**
+ * Check whether an entry carries a per-shipment link
+ */
+function isDualLinked(entry) {
+  return entry.shipmentPreviousHash !== undefined;
+}
+
+/**
+ * Failure kinds reported by buildVerificationReport
+ */
+const FAILURE_KINDS = {
+  LINK_MISMATCH: 'link_mismatch',
+  CONTENT_HASH_MISMATCH: 'content_hash_mismatch',
+  MISSING_ENTRY: 'missing_entry',
+  OUT_OF_ORDER_TIMESTAMP: 'out_of_order_timestamp',
+  OUT_OF_ORDER_SEQUENCE: 'out_of_order_sequence',
+  HASH_VERSION_DOWNGRADE: 'hash_version_downgrade',
+  INVALID_AMENDMENT: 'invalid_amendment',
+  ARCHIVE_MISMATCH: 'archive_mismatch',
+  SIGNATURE_FAILURE: 'signature_failure'
+};
+
+/**
+ * Hash committing to a run of archived entries, by their entry hashes in order
+ *
+ * @param {Array<string>} hashes - Entry hashes of the archived range
+ * @returns {string} Hex digest
+ */
+function generateArchiveHash(hashes) {
+  return digest(DEFAULT_HASH_ALGORITHM, canonicalize(hashes));
+}
+
+/**
+ * Content hash of a compliance rule set
+ *
+ * Covers the rules and the metadata (version and effective dates), as
+ * canonical JSON, so it does not depend on key order or file formatting.
+ *
+ * @param {Object} ruleSet - Rule set document with `complianceRules` and `metadata`
+ * @returns {string} Hex digest
+ */
+function generateRuleSetHash(ruleSet) {
+  return digest(DEFAULT_HASH_ALGORITHM, canonicalize({ complianceRules: ruleSet.complianceRules, metadata: ruleSet.metadata }));
+}
+
+/**
+ * Create an incremental verifier for a single shipment's chain
+ *
+ * Entries are pushed in chain order, so a chain can be verified one storage
+ * segment at a time. Only hashes are kept between pushes, never full entries.
+ * Link failures are classified in finish(), once every hash in the chain and
+ * every chain_migration entry has been seen.
+ *
+ * Dual-linked entries are checked against `shipmentPreviousHash`. Legacy entries
+ * (written before dual linking) are checked against `previousHash`, unless a
+ * chain_migration entry has re-linked them.
+ *
+ * Amendment entries must reference an earlier original (non-amendment) entry.
+ *
+ * A chain whose oldest entries were archived starts at an entry linked to the
+ * last archived hash instead of genesis. That is accepted when an
+ * archive_checkpoint entry in the chain names the hash as the end of its
+ * archived range. When the archived entries are pushed too (archive first,
+ * then the live chain), each checkpoint's range and archive hash are checked
+ * against them.
+ *
+ * When `options.keys` (public key registry keys) is given, entry signatures are
+ * verified too. Unsigned entries pass unless `options.requireSignatures` is set.
+ *
+ * @param {Object} [options] - Verification options
+ * @param {Array<Object>} [options.keys] - Public key registry keys
+ * @param {boolean} [options.requireSignatures] - Treat unsigned entries as failures
+ * @returns {{push: Function, finish: Function}} push(entry) and finish() => report
+ */
+function createChainVerifier(options = {}) {
+  const knownHashes = new Set();
+  const amendmentHashes = new Set();
+  const legacyHashes = [];
+  const migrations = [];
+  const pendingLinks = [];
+  const checkpoints = [];
+  const entries = [];
+  let startLink = null;
+  let previousEntry = null;
+
+  function push(entry) {
+    const index = entries.length;
+    const entryFailures = [];
+
+    if (!entry) {
+      entryFailures.push({
+        kind: FAILURE_KINDS.MISSING_ENTRY,
+        message: 'Entry is missing from storage',
+        expected: null,
+        actual: null
+      });
+    } else {
+      // Amendments must correct an earlier original entry of the same chain
+      if (entry.action === AMENDMENT_ACTION) {
+        const target = entry.decision?.amends;
+
+        if (!knownHashes.has(target) || amendmentHashes.has(target)) {
+          entryFailures.push({
+            kind: FAILURE_KINDS.INVALID_AMENDMENT,
+            message: amendmentHashes.has(target)
+              ? 'Amendment corrects another amendment instead of an original entry'
+              : 'Amendment references an entry that is not earlier in the chain',
+            expected: null,
+            actual: target ?? null
+          });
+        }
+        amendmentHashes.add(entry.hash);
+      }
+
+      knownHashes.add(entry.hash);
+
+      if (!isDualLinked(entry) && legacyHashes.length === index) {
+        legacyHashes.push(entry.hash);
+      }
+
+      if (entry.action === MIGRATION_ACTION && isDualLinked(entry)) {
+        migrations.push({ index, relinkedHashes: entry.decision?.relinkedHashes || [] });
+      }
+
+      if (entry.action === ARCHIVE_CHECKPOINT_ACTION) {
+        checkpoints.push({ index, checkpoint: entry.decision || {} });
+      }
+
+      if (index === 0) {
+        // Resolved in finish(): an archive checkpoint may account for the earlier entries
+        if (isDualLinked(entry) && entry.shipmentPreviousHash !== GENESIS_HASH) {
+          startLink = entry.shipmentPreviousHash;
+        }
+      } else if (previousEntry) {
+        const linkField = isDualLinked(entry) ? 'shipmentPreviousHash' : 'previousHash';
+
+        if (!isDualLinked(entry) && isDualLinked(previousEntry)) {
+          entryFailures.push({
+            kind: FAILURE_KINDS.LINK_MISMATCH,
+            message: 'Legacy entry found after a dual-linked entry',
+            expected: previousEntry.hash,
+            actual: entry[linkField]
+          });
+        } else if (entry[linkField] !== previousEntry.hash) {
+          pendingLinks.push({
+            index,
+            linkField,
+            isLegacy: !isDualLinked(entry),
+            expected: previousEntry.hash,
+            actual: entry[linkField]
+          });
+        }
+
+        if (entry.timestamp < previousEntry.timestamp) {
+          entryFailures.push({
+            kind: FAILURE_KINDS.OUT_OF_ORDER_TIMESTAMP,
+            message: 'Entry timestamp is earlier than the previous entry',
+            expected: `>= ${previousEntry.timestamp}`,
+            actual: entry.timestamp
+          });
+        }
+
+        if (entry.sequence !== undefined && previousEntry.sequence !== undefined &&
+          entry.sequence <= previousEntry.sequence) {
+          entryFailures.push({
+            kind: FAILURE_KINDS.OUT_OF_ORDER_SEQUENCE,
+            message: 'Entry sequence number is not greater than the previous entry',
+            expected: `> ${previousEntry.sequence}`,
+            actual: entry.sequence
+          });
+        }
+
+        // Rewriting an entry under a weaker, older scheme is not an upgrade path
+        if ((entry.hashVersion ?? 1) < previousEntry.hashVersion) {
+          entryFailures.push({
+            kind: FAILURE_KINDS.HASH_VERSION_DOWNGRADE,
+            message: 'Entry uses an older hash version than the previous entry',
+            expected: `>= ${previousEntry.hashVersion}`,
+            actual: entry.hashVersion ?? 1
+          });
+        }
+      }
+
+      const recalculated = recalculateHash(entry);
+      if (recalculated.hash !== entry.hash) {
+        entryFailures.push({
+          kind: FAILURE_KINDS.CONTENT_HASH_MISMATCH,
+          message: recalculated.error
+            ? `Entry hash cannot be recalculated: ${recalculated.error}`
+            : 'Entry content does not match its hash',
+          expected: recalculated.hash,
+          actual: entry.hash
+        });
+      }
+
+      if (options.keys) {
+        const signatureStatus = getSignatureStatus(entry, options.keys);
+
+        if (signatureStatus === 'invalid' || (signatureStatus === 'unsigned' && options.requireSignatures)) {
+          entryFailures.push({
+            kind: FAILURE_KINDS.SIGNATURE_FAILURE,
+            message: signatureStatus === 'invalid' ? 'Signature does not verify' : 'Entry is not signed',
+            expected: 'valid',
+            actual: signatureStatus
+          });
+        }
+      }
+    }
+
+    entries.push({
+      index,
+      hash: entry?.hash || null,
+      action: entry?.action || null,
+      status: 'valid',
+      failures: entryFailures
+    });
+
+    previousEntry = entry
+      ? {
+        hash: entry.hash,
+        timestamp: entry.timestamp,
+        sequence: entry.sequence,
+        hashVersion: entry.hashVersion ?? 1,
+        shipmentPreviousHash: entry.shipmentPreviousHash
+      }
+      : null;
+  }
+
+  function finish() {
+    let archivedStart = false;
+
+    for (const { index, checkpoint } of checkpoints) {
+      const firstIndex = entries.findIndex(entry => entry.hash === checkpoint.firstHash);
+
+      if (firstIndex === -1) {
+        // Archived range not pushed; the checkpoint can only vouch for the chain start
+        archivedStart = archivedStart || (startLink !== null && checkpoint.lastHash === startLink);
+        continue;
+      }
+
+      const range = entries.slice(firstIndex, firstIndex + checkpoint.count);
+      const matches = range.length === checkpoint.count &&
+        firstIndex + range.length <= index &&
+        range[range.length - 1].hash === checkpoint.lastHash &&
+        generateArchiveHash(range.map(entry => entry.hash)) === checkpoint.archiveHash;
+
+      if (!matches) {
+        entries[index].failures.unshift({
+          kind: FAILURE_KINDS.ARCHIVE_MISMATCH,
+          message: 'Archive checkpoint does not match the archived entries',
+          expected: checkpoint.archiveHash ?? null,
+          actual: range.length > 0 ? generateArchiveHash(range.map(entry => entry.hash)) : null
+        });
+      }
+    }
+
+    if (startLink !== null && !archivedStart) {
+      entries[0].failures.unshift({
+        kind: FAILURE_KINDS.MISSING_ENTRY,
+        message: 'First entry does not start at genesis; earlier entries are missing',
+        expected: GENESIS_HASH,
+        actual: startLink
+      });
+    }
+
+    // Leading legacy entries count as linked when a migration entry lists them
+    let relinkedCount = 0;
+
+    for (const { index, relinkedHashes } of migrations) {
+      const matches = relinkedHashes.length <= index &&
+        relinkedHashes.every((hash, idx) => legacyHashes[idx] === hash);
+
+      if (matches) {
+        relinkedCount = Math.max(relinkedCount, relinkedHashes.length);
+      } else {
+        entries[index].failures.unshift({
+          kind: FAILURE_KINDS.LINK_MISMATCH,
+          message: 'Migration entry does not match the legacy entries it re-links',
+          expected: null,
+          actual: null
+        });
+      }
+    }
+
+    for (const link of pendingLinks) {
+      if (link.isLegacy && link.index < relinkedCount) {
+        continue;
+      }
+
+      // A link to a hash the chain does not contain means entries were removed
+      const isKnown = knownHashes.has(link.actual);
+      entries[link.index].failures.unshift({
+        kind: isKnown ? FAILURE_KINDS.LINK_MISMATCH : FAILURE_KINDS.MISSING_ENTRY,
+        message: isKnown
+          ? `${link.linkField} points at a different entry in the chain`
+          : `${link.linkField} points at an entry missing from the chain`,
+        expected: link.expected,
+        actual: link.actual
+      });
+    }
+
+    const failures = [];
+    for (const entry of entries) {
+      entry.status = entry.failures.length === 0 ? 'valid' : 'failed';
+      entry.failures.forEach(failure => failures.push({ index: entry.index, hash: entry.hash, ...failure }));
+    }
+
+    return {
+      isValid: failures.length === 0,
+      entryCount: entries.length,
+      firstBrokenIndex: failures.length > 0 ? failures[0].index : null,
+      failureKind: failures.length > 0 ? failures[0].kind : null,
+      relinkedCount,
+      entries,
+      failures
+    };
+  }
+
+  return { push, finish };
+}
+
+/**
+ * Build a structured verification report for a single shipment's chain
+ *
+ * @param {Array<Object>} logChain - Shipment chain entries in order
+ * @param {Object} [options] - Verification options, see createChainVerifier
+ * @returns {Object} Report with per-entry status, first broken index and failures
+ */
+function buildVerificationReport(logChain, options = {}) {
+  const verifier = createChainVerifier(options);
+  logChain.forEach(entry => verifier.push(entry));
+  return verifier.finish();
+}
+
+/**
+ * Verify integrity of a single shipment's decision chain
+ *
+ * Boolean shorthand for buildVerificationReport; failures are logged.
+ */
+function verifyChain(logChain, options = {}) {
+  const report = buildVerificationReport(logChain, options);
+
+  report.failures.forEach(failure => {
+    console.error(`Chain broken at index ${failure.index}: ${failure.kind} - ${failure.message}`);
+  });
+
+  return report.isValid;
+}
+
+/**
+ * Verify integrity of the global ledger
+ *
+ * Walks `previousHash` links back from the ledger head to genesis. Every entry
+ * must be reachable from the head and every link must resolve to a known entry.
+ */
+function verifyLedger(entries, headHash) {
+  if (!headHash) {
+    return entries.length === 0;
+  }
+
+  const entriesByHash = new Map(entries.map(entry => [entry.hash, entry]));
+  const visited = new Set();
+  let cursor = headHash;
+
+  while (cursor !== GENESIS_HASH) {
+    const entry = entriesByHash.get(cursor);
+
+    if (!entry) {
+      console.error(`Ledger broken: entry ${cursor.substring(0, 16)}... is missing`);
+      return false;
+    }
+
+    if (visited.has(cursor)) {
+      console.error(`Ledger broken: cycle detected at ${cursor.substring(0, 16)}...`);
+      return false;
+    }
+
+    if (recalculateHash(entry).hash !== entry.hash) {
+      console.error(`Tampered ledger entry detected: ${cursor.substring(0, 16)}...`);
+      return false;
+    }
+
+    const previous = entriesByHash.get(entry.previousHash);
+    if (entry.sequence !== undefined && previous?.sequence !== undefined &&
+      entry.sequence !== previous.sequence + 1) {
+      console.error(`Ledger broken: sequence gap at ${cursor.substring(0, 16)}... (${previous.sequence} -> ${entry.sequence})`);
+      return false;
+    }
+
+    visited.add(cursor);
+    cursor = entry.previousHash || GENESIS_HASH;
+  }
+
+  if (visited.size !== entriesByHash.size) {
+    console.error(`Ledger broken: ${entriesByHash.size - visited.size} entries not reachable from head`);
+    return false;
+  }
+
+  return true;
+}
+
+
+/**
+ * Get the signature status of a single entry
+ *
+ * A signature is valid only if it verifies against the entry hash with a key
+ * from the registry that was in service at the entry's timestamp.
+ *
+ * @param {Object} entry - Log entry
+ * @param {Array<Object>} keys - Public key registry keys
+ * @returns {string} 'valid', 'invalid' or 'unsigned'
+ */
+function getSignatureStatus(entry, keys = []) {
+  if (!entry.signature) {
+    return 'unsigned';
+  }
+
+  const { keyId, algorithm, value } = entry.signature;
+  const key = keys.find(candidate => candidate.keyId === keyId);
+
+  if (!key || algorithm !== SIGNATURE_ALGORITHM) {
+    return 'invalid';
+  }
+
+  if (entry.timestamp < key.createdAt || (key.retiredAt && entry.timestamp > key.retiredAt)) {
+    return 'invalid';
+  }
+
+  try {
+    const isValid = crypto.verify(
+      null,
+      Buffer.from(entry.hash, 'utf8'),
+      key.publicKey,
+      Buffer.from(value, 'base64')
+    );
+    return isValid ? 'valid' : 'invalid';
+  } catch (error) {
+    return 'invalid';
+  }
+}
+
+/**
+ * Hash the signed content of an audit bundle
+ *
+ * Covers every bundle field except `bundleHash` and `signature` themselves,
+ * canonicalized and hashed with the bundle's `hashAlgorithm`.
+ */
+function generateBundleHash(bundle) {
+  const { bundleHash, signature, ...content } = bundle;
+
+  return digest(bundle.hashAlgorithm, canonicalize(content));
+}
+
+/**
+ * SHA-256 fingerprint of a PEM or DER certificate, null when it cannot be read
+ */
+function getCertificateFingerprint(certificate) {
+  try {
+    return new crypto.X509Certificate(certificate).fingerprint256;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check a bundle's timestamp tokens against its entries
+ *
+ * Each token must be signed by the TSA certificate recorded with it, cover the
+ * head hash it is recorded for, carry the recorded genTime and belong to an
+ * entry of the bundle. When trusted TSA certificates are given, the recorded
+ * certificate must be one of them.
+ *
+ * @param {Object} bundle - Audit bundle
+ * @param {Array<string>} [trustedCertificates] - Trusted TSA certificates, PEM
+ * @returns {Array<string>} Problems found, empty when all tokens check out
+ */
+function verifyBundleTimestamps(bundle, trustedCertificates) {
+  const hashes = new Set((bundle.entries || []).map(entry => entry?.hash));
+  const trusted = trustedCertificates ? new Set(trustedCertificates.map(getCertificateFingerprint)) : null;
+  const errors = [];
+
+  for (const record of bundle.timestamps || []) {
+    const label = `Timestamp for ${String(record?.headHash).substring(0, 16)}...`;
+
+    if (!record?.tsaCertificate) {
+      errors.push(`${label}: no TSA certificate recorded, the token signature cannot be checked`);
+      continue;
+    }
+
+    if (trusted && !trusted.has(getCertificateFingerprint(record.tsaCertificate))) {
+      errors.push(`${label}: TSA certificate is not trusted`);
+      continue;
+    }
+
+    const check = verifyTimestampToken(record.token || '', { hashedMessage: record.headHash, certificate: record.tsaCertificate });
+
+    if (!check.isValid || !check.signatureChecked) {
+      errors.push(`${label}: ${check.errors.join('; ')}`);
+    } else if (check.genTime !== record.genTime) {
+      errors.push(`${label}: token time does not match the recorded time`);
+    } else if (!hashes.has(record.headHash)) {
+      errors.push(`${label}: head is not an entry of the bundle`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Verify an exported audit bundle offline
+ *
+ * Checks the bundle format, the bundle hash and signature, re-runs chain
+ * verification on the bundled entries and checks the chain head timestamps
+ * and their TSA signatures. The bundled verification report is only informational; the result is
+ * always recomputed.
+ *
+ * Signatures are checked against `options.keys` from the published key
+ * registry. The public keys shipped in the bundle are never trusted, so a
+ * bundle cannot vouch for itself: without trusted keys verification fails.
+ *
+ * @param {Object} bundle - Parsed audit bundle JSON
+ * @param {Object} options - Verification options
+ * @param {Array<Object>} options.keys - Trusted public key registry keys
+ * @param {Array<string>} [options.tsaCertificates] - Trusted TSA certificates (PEM); any recorded one when omitted
+ * @returns {Object} Result with isValid, per-check status, errors and the recomputed report
+ */
+function verifyAuditBundle(bundle, options = {}) {
+  const errors = [];
+  const keys = Array.isArray(options.keys) ? options.keys : [];
+
+  if (keys.length === 0) {
+    errors.push('No trusted public keys given; pass the published key registry, the keys shipped in the bundle are not trusted');
+  }
+
+  if (!bundle || bundle.format !== BUNDLE_FORMAT || bundle.bundleVersion !== BUNDLE_VERSION) {
+    return {
+      isValid: false,
+      checks: { format: false, bundleHash: false, bundleSignature: false, chain: false, reportMatches: false, timestamps: false },
+      errors: [`Unsupported bundle format: ${bundle?.format} v${bundle?.bundleVersion}`],
+      report: null
+    };
+  }
+
+  if (!HASH_ALGORITHMS[bundle.hashAlgorithm] || bundle.serializationVersion !== BUNDLE_SERIALIZATION) {
+    errors.push(`Unsupported hash scheme: ${bundle.hashAlgorithm}/${bundle.serializationVersion}`);
+  }
+
+  const bundleHashValid = HASH_ALGORITHMS[bundle.hashAlgorithm] !== undefined &&
+    generateBundleHash(bundle) === bundle.bundleHash;
+  if (!bundleHashValid) {
+    errors.push('Bundle content does not match its bundle hash');
+  }
+
+  const signatureStatus = getSignatureStatus({
+    hash: bundle.bundleHash,
+    timestamp: bundle.exportedAt,
+    signature: bundle.signature
+  }, keys);
+  if (signatureStatus !== 'valid') {
+    errors.push(`Bundle signature is ${signatureStatus}`);
+  }
+
+  const report = buildVerificationReport(bundle.entries || [], { keys });
+  if (!report.isValid) {
+    errors.push(`Chain verification failed at entry #${report.firstBrokenIndex + 1} (${report.failureKind})`);
+  }
+
+  const reportMatches = bundle.verification?.isValid === report.isValid &&
+    bundle.verification?.entryCount === report.entryCount;
+  if (!reportMatches) {
+    errors.push('Bundled verification report does not match the recomputed report');
+  }
+
+  const timestampErrors = verifyBundleTimestamps(bundle, options.tsaCertificates);
+  errors.push(...timestampErrors);
+
+  return {
+    isValid: errors.length === 0,
+    checks: {
+      format: true,
+      bundleHash: bundleHashValid,
+      bundleSignature: signatureStatus === 'valid',
+      chain: report.isValid,
+      reportMatches,
+      timestamps: timestampErrors.length === 0
+    },
+    errors,
+    report
+  };
+}
+
+export {
+  GENESIS_HASH,
+  MIGRATION_ACTION,
+  AMENDMENT_ACTION,
+  ARCHIVE_CHECKPOINT_ACTION,
+  DEFAULT_HASH_ALGORITHM,
+  CURRENT_HASH_VERSION,
+  HASH_VERSIONS,
+  BUNDLE_SERIALIZATION,
+  SIGNATURE_ALGORITHM,
+  BUNDLE_FORMAT,
+  BUNDLE_VERSION,
+  FAILURE_KINDS,
+  registerHashAlgorithm,
+  canonicalize,
+  generateHash,
+  isDualLinked,
+  generateArchiveHash,
+  generateRuleSetHash,
+  getSignatureStatus,
+  createChainVerifier,
+  buildVerificationReport,
+  verifyChain,
+  verifyLedger,
+  generateBundleHash,
+  verifyAuditBundle
+};
@@ -0,0 +1,323 @@
+/**
+ * Confluence Sync for LogiBrew Decision Logs
+ *
+ * Mirrors each shipment's decision chain to a Confluence page titled
+ * "LogiBrew Decision Log: <shipmentId>". The page body shows the chain status,
+ * the latest hash root and the most recent entries; the page's
+ * `logibrew_decision_log` content property mirrors every entry of the live
+ * chain in its `entries` list, so the CQL search aliases declared in the
+ * manifest (logibrew_shipment, logibrew_status, ...) match a page by any of its
+ * decisions, not only the latest. Archived entries are not mirrored.
+ *
+ * Pages are created in the space from `confluence-sync-config` in app storage,
+ * or the first global space when none is configured. The page ID and last
+ * synced head are remembered per shipment so re-syncing an unchanged chain is
+ * a no-op.
+ *
+ * @module confluenceSync
+ */
+
+import api, { route, storage } from '@forge/api';
+import { readChain, readChainPage, listChainShipmentIds } from './chainStore.js';
+import { verifyShipmentChain } from './hashChain.js';
+import { getEntryStatus } from './logIndex.js';
+
+const SYNC_CONFIG_KEY = 'confluence-sync-config';
+const PAGE_TITLE_PREFIX = 'LogiBrew Decision Log: ';
+const DECISION_LOG_PROPERTY_KEY = 'logibrew_decision_log';
+const BODY_ENTRY_LIMIT = 50;
+// Confluence rejects content property values above 32 KB
+const PROPERTY_VALUE_LIMIT = 32 * 1024;
+
+/**
+ * Storage key for the Confluence page synced for a shipment
+ */
+function getSyncedPageKey(shipmentId) {
+  return `confluence-page-${shipmentId}`;
+}
+
+/**
+ * Call the Confluence REST API as the app and parse the JSON response
+ */
+async function requestConfluenceJson(path, options = {}) {
+  const response = await api.asApp().requestConfluence(path, {
+    ...options,
+    headers: {
+      'Accept': 'application/json',
+      ...(options.body ? { 'Content-Type': 'application/json' } : {})
+    }
+  });
+
+  if (!response.ok) {
+    const error = new Error(`Confluence request failed: ${response.status} ${await response.text()}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return await response.json();
+}
+
+/**
+ * Get the ID of the space decision-log pages are created in
+ */
+async function getSyncSpaceId() {
+  const config = await storage.get(SYNC_CONFIG_KEY) || {};
+
+  if (config.spaceId) {
+    return config.spaceId;
+  }
+
+  const spaces = await requestConfluenceJson(route`/wiki/api/v2/spaces?type=global&limit=1`);
+  const spaceId = spaces.results?.[0]?.id;
+
+  if (!spaceId) {
+    throw new Error('No Confluence space available for decision log pages');
+  }
+
+  await storage.set(SYNC_CONFIG_KEY, { ...config, spaceId });
+  return spaceId;
+}
+
+/**
+ * Escape text for Confluence storage format
+ */
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Render the decision-log page body in Confluence storage format
+ */
+function renderPageBody(shipmentId, page, verification) {
+  const rows = page.entries.map((entry, idx) => {
+    if (!entry) {
+      return `<tr><td>${page.offset + idx + 1}</td><td colspan="5"><em>Missing entry</em></td></tr>`;
+    }
+
+    return '<tr>' + [
+      page.offset + idx + 1,
+      escapeXml(entry.action),
+      escapeXml(new Date(entry.timestamp).toISOString()),
+      escapeXml(entry.userId),
+      escapeXml(getEntryStatus(entry)),
+      `<code>${escapeXml(entry.hash)}</code>`
+    ].map(cell => `<td>${cell}</td>`).join('') + '</tr>';
+  });
+
+  return [
+    `<p><strong>Shipment:</strong> ${escapeXml(shipmentId)} | ` +
+      `<strong>Chain status:</strong> ${verification.isValid ? 'Verified ✓' : 'TAMPERED ✗'} | ` +
+      `<strong>Entries:</strong> ${verification.length}</p>`,
+    `<p><strong>Hash root:</strong> <code>${escapeXml(verification.headHash)}</code></p>`,
+    page.offset > 0
+      ? `<p><em>Showing the latest ${page.entries.length} of ${verification.length} entries.</em></p>`
+      : '',
+    '<table><tbody>',
+    '<tr><th>#</th><th>Action</th><th>Timestamp</th><th>User</th><th>Status</th><th>Hash</th></tr>',
+    ...rows,
+    '</tbody></table>'
+  ].join('');
+}
+
+/**
+ * Build the `logibrew_decision_log` content property value for a shipment's entries
+ *
+ * Field paths match the content property declared in manifest.yml; each
+ * indexed path inside `entries` matches when any entry has the value.
+ *
+ * @throws {Error} When the value exceeds the Confluence content property size limit
+ */
+function buildDecisionLogProperty(shipmentId, entries, verification) {
+  const value = {
+    shipmentId,
+    entries: entries.filter(Boolean).map(entry => ({
+      timestamp: entry.timestamp,
+      action: entry.action,
+      hash: entry.hash,
+      userId: entry.userId,
+      source: entry.source ?? null,
+      decision: { status: getEntryStatus(entry) }
+    })),
+    hashRoot: verification.headHash,
+    chainLength: verification.length,
+    isValid: verification.isValid,
+    syncedAt: Date.now()
+  };
+
+  if (Buffer.byteLength(JSON.stringify(value)) > PROPERTY_VALUE_LIMIT) {
+    throw new Error(`Decision log of ${shipmentId} is too large for the ${DECISION_LOG_PROPERTY_KEY} content property; archive older entries first`);
+  }
+
+  return value;
+}
+
+/**
+ * Find the shipment's decision-log page, creating it when missing
+ */
+async function findOrCreatePage(shipmentId, body) {
+  const synced = await storage.get(getSyncedPageKey(shipmentId));
+
+  if (synced?.pageId) {
+    try {
+      return await requestConfluenceJson(route`/wiki/api/v2/pages/${synced.pageId}?body-format=storage`);
+    } catch (error) {
+      if (error.status !== 404) {
+        throw error;
+      }
+      console.warn(`Synced page ${synced.pageId} for ${shipmentId} no longer exists, recreating`);
+    }
+  }
+
+  const spaceId = await getSyncSpaceId();
+  const title = `${PAGE_TITLE_PREFIX}${shipmentId}`;
+  const existing = await requestConfluenceJson(route`/wiki/api/v2/pages?space-id=${spaceId}&title=${title}`);
+
+  if (existing.results?.length > 0) {
+    return existing.results[0];
+  }
+
+  const config = await storage.get(SYNC_CONFIG_KEY) || {};
+
+  const created = await requestConfluenceJson(route`/wiki/api/v2/pages`, {
+    method: 'POST',
+    body: JSON.stringify({
+      spaceId,
+      status: 'current',
+      title,
+      ...(config.parentPageId ? { parentId: config.parentPageId } : {}),
+      body: { representation: 'storage', value: body }
+    })
+  });
+
+  // Created with the current body, so the caller can skip the update
+  return { ...created, created: true };
+}
+
+/**
+ * Create or update the content property on a page
+ */
+async function upsertDecisionLogProperty(pageId, value) {
+  const existing = await requestConfluenceJson(
+    route`/wiki/api/v2/pages/${pageId}/properties?key=${DECISION_LOG_PROPERTY_KEY}`
+  );
+  const property = existing.results?.[0];
+
+  if (!property) {
+    return await requestConfluenceJson(route`/wiki/api/v2/pages/${pageId}/properties`, {
+      method: 'POST',
+      body: JSON.stringify({ key: DECISION_LOG_PROPERTY_KEY, value })
+    });
+  }
+
+  return await requestConfluenceJson(route`/wiki/api/v2/pages/${pageId}/properties/${property.id}`, {
+    method: 'PUT',
+    body: JSON.stringify({
+      key: DECISION_LOG_PROPERTY_KEY,
+      value,
+      version: { number: property.version.number + 1 }
+    })
+  });
+}
+
+/**
+ * Sync a shipment's decision chain to its Confluence page
+ *
+ * @param {string} shipmentId - Shipment identifier
+ * @returns {Promise<Object>} Sync result with page ID and synced head hash
+ */
+async function syncShipmentToConfluence(shipmentId) {
+  const verification = await verifyShipmentChain(shipmentId);
+
+  if (verification.length === 0) {
+    return { shipmentId, synced: false, reason: 'empty_chain' };
+  }
+
+  const synced = await storage.get(getSyncedPageKey(shipmentId));
+  if (synced?.headHash === verification.headHash && synced?.isValid === verification.isValid) {
+    return { shipmentId, synced: false, reason: 'up_to_date', pageId: synced.pageId };
+  }
+
+  const offset = Math.max(verification.length - BODY_ENTRY_LIMIT, 0);
+  const page = await readChainPage(shipmentId, { offset, limit: BODY_ENTRY_LIMIT });
+  const body = renderPageBody(shipmentId, page, verification);
+
+  let confluencePage = await findOrCreatePage(shipmentId, body);
+
+  if (!confluencePage.created) {
+    confluencePage = await requestConfluenceJson(route`/wiki/api/v2/pages/${confluencePage.id}`, {
+      method: 'PUT',
+      body: JSON.stringify({
+        id: confluencePage.id,
+        status: 'current',
+        title: confluencePage.title,
+        spaceId: confluencePage.spaceId,
+        body: { representation: 'storage', value: body },
+        version: { number: confluencePage.version.number + 1, message: 'LogiBrew decision log sync' }
+      })
+    });
+  }
+
+  await upsertDecisionLogProperty(
+    confluencePage.id,
+    buildDecisionLogProperty(shipmentId, await readChain(shipmentId), verification)
+  );
+
+  await storage.set(getSyncedPageKey(shipmentId), {
+    pageId: confluencePage.id,
+    headHash: verification.headHash,
+    isValid: verification.isValid,
+    syncedAt: Date.now()
+  });
+
+  console.log(`Synced ${verification.length} entries for ${shipmentId} to Confluence page ${confluencePage.id}`);
+
+  return {
+    shipmentId,
+    synced: true,
+    pageId: confluencePage.id,
+    pageVersion: confluencePage.version?.number,
+    headHash: verification.headHash,
+    chainLength: verification.length,
+    isValid: verification.isValid
+  };
+}
+
+/**
+ * Sync every stored shipment chain, skipping chains already up to date
+ *
+ * A failure for one shipment is recorded and does not stop the others.
+ *
+ * @returns {Promise<{scanned: number, synced: number, failed: number, results: Array<Object>}>}
+ */
+async function syncAllShipmentsToConfluence() {
+  const results = [];
+
+  for (const shipmentId of await listChainShipmentIds()) {
+    try {
+      results.push(await syncShipmentToConfluence(shipmentId));
+    } catch (error) {
+      console.error(`Confluence sync failed for ${shipmentId}: ${error.message}`);
+      results.push({ shipmentId, synced: false, reason: 'error', error: error.message });
+    }
+  }
+
+  return {
+    scanned: results.length,
+    synced: results.filter(result => result.synced).length,
+    failed: results.filter(result => result.reason === 'error').length,
+    results
+  };
+}
+
+export {
+  SYNC_CONFIG_KEY,
+  DECISION_LOG_PROPERTY_KEY,
+  getSyncedPageKey,
+  buildDecisionLogProperty,
+  syncShipmentToConfluence,
+  syncAllShipmentsToConfluence
+};
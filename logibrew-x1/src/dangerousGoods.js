@@ -0,0 +1,132 @@
+/**
+ * Dangerous Goods Reference Data
+ *
+ * Indexed lookups over the dangerous goods list imported with
+ * scripts/import-dangerous-goods.js into dangerousGoods.json. The UN codes of
+ * the compliance rule set (rules.json `unCodes`) are curated and take
+ * precedence; the imported list covers every other UN number.
+ *
+ * A UN number can have several entries, usually one per packing group. When
+ * the packing group is not known, the strictest entry (lowest packing group)
+ * is used and the result says that the choice was ambiguous.
+ *
+ * @module dangerousGoods
+ */
+
+import dangerousGoodsData from './dangerousGoods.json';
+
+const PACKING_GROUP_ORDER = ['I', 'II', 'III'];
+
+/**
+ * Index entries by UN number
+ *
+ * @param {Array<Object>} entries - Entries shaped like rules.json UN code rules
+ * @returns {Map<string, Array<Object>>} Entries per uppercased UN number, strictest packing group first
+ */
+function buildDangerousGoodsIndex(entries) {
+  const index = new Map();
+
+  for (const entry of entries) {
+    const code = entry.code.toUpperCase();
+    if (!index.has(code)) {
+      index.set(code, []);
+    }
+    index.get(code).push(entry);
+  }
+
+  const groupOrder = group => (group ? PACKING_GROUP_ORDER.indexOf(group) : -1);
+  index.forEach(list => list.sort((a, b) => groupOrder(a.packingGroup) - groupOrder(b.packingGroup)));
+
+  return index;
+}
+
+const referenceIndex = buildDangerousGoodsIndex(dangerousGoodsData.entries);
+
+/**
+ * Normalize a packing group given as I/II/III or 1/2/3
+ *
+ * @param {string|number} packingGroup - Packing group
+ * @returns {string|null} Roman numeral, null when empty; unrecognized values are returned uppercased
+ */
+function normalizePackingGroup(packingGroup) {
+  const value = String(packingGroup ?? '').trim().toUpperCase().replace(/^PG\s*/, '');
+  if (!value) {
+    return null;
+  }
+
+  return PACKING_GROUP_ORDER[Number(value) - 1] || value;
+}
+
+/**
+ * All imported entries of a UN number
+ *
+ * @param {string} unCode - UN number such as UN1993
+ * @returns {Array<Object>} Entries, strictest packing group first
+ */
+function lookupDangerousGoods(unCode) {
+  return referenceIndex.get(String(unCode).toUpperCase()) || [];
+}
+
+/**
+ * Whether a UN number is known to the rule set or the imported list
+ *
+ * @param {string} unCode - UN number
+ * @param {Object} rules - `complianceRules` section of the rule set
+ */
+function isKnownUnCode(unCode, rules) {
+  const code = String(unCode).toUpperCase();
+  return rules.unCodes.rules.some(rule => rule.code.toUpperCase() === code) || referenceIndex.has(code);
+}
+
+/**
+ * Entry to validate a UN number against
+ *
+ * Curated rule set entries are used when they match the packing group; the
+ * imported list is consulted otherwise.
+ *
+ * @param {string} unCode - UN number
+ * @param {string|null} packingGroup - Normalized packing group, null when unknown
+ * @param {Object} rules - `complianceRules` section of the rule set
+ * @returns {{entry: Object|null, source: string|null, packingGroups: Array<string|null>, ambiguous: boolean}}
+ *   `entry` is null when the UN number, or its packing group, is unknown; `packingGroups` lists the known ones
+ */
+function resolveUnCodeEntry(unCode, packingGroup, rules) {
+  const code = String(unCode).toUpperCase();
+  const curated = rules.unCodes.rules.filter(rule => rule.code.toUpperCase() === code);
+  const imported = lookupDangerousGoods(code);
+
+  const candidatesFrom = list => (packingGroup ? list.filter(entry => entry.packingGroup === packingGroup) : list);
+  const curatedMatches = candidatesFrom(curated);
+  const [source, candidates] = curatedMatches.length > 0
+    ? ['rules', curatedMatches]
+    : ['dangerous-goods-list', candidatesFrom(imported)];
+
+  const packingGroups = [...new Set([...curated, ...imported].map(entry => entry.packingGroup ?? null))];
+
+  if (candidates.length === 0) {
+    return { entry: null, source: null, packingGroups, ambiguous: false };
+  }
+
+  return {
+    entry: candidates[0],
+    source,
+    packingGroups,
+    ambiguous: !packingGroup && new Set(candidates.map(entry => entry.packingGroup)).size > 1
+  };
+}
+
+/**
+ * Import metadata of the bundled list (source file, import time, counts)
+ */
+function getDangerousGoodsMetadata() {
+  return dangerousGoodsData.metadata;
+}
+
+export {
+  buildDangerousGoodsIndex,
+  normalizePackingGroup,
+  lookupDangerousGoods,
+  isKnownUnCode,
+  resolveUnCodeEntry,
+  getDangerousGoodsMetadata
+};
@@ -0,0 +1,257 @@
+/**
+ * Dangerous Goods List Importer
+ *
+ * Converts a dangerous goods list exported as CSV or JSON into the reference
+ * data read by dangerousGoods.js. Each input row is one entry:
+ *
+ *   un_number             UN1203 or 1203
+ *   proper_shipping_name  Gasoline
+ *   class                 3
+ *   subsidiary_risks      Subsidiary hazard classes, separated by ";" (e.g., 6.1;8)
+ *   packing_group         I, II, III or empty
+ *   special_provisions    Special provision codes, separated by ";" (e.g., A3;A58)
+ *   air_passenger_limit   Quantity limit per package on passenger aircraft
+ *   air_cargo_limit       Quantity limit per package on cargo aircraft
+ *   sea_limit             Quantity limit by sea
+ *   road_limit            Quantity limit by road
+ *   rail_limit            Quantity limit by rail
+ *   density               Density in kg/L (optional)
+ *
+ * Limits are quantities with units as in rules.json ("5L", "50ml/50g"), with
+ * a trailing "G" for gross limits ("75kg G"), "unlimited" or empty for no limit
+ * and "forbidden" when the mode may not carry the goods. JSON input is an array
+ * of objects with the same keys.
+ *
+ * A UN number can have several entries, e.g. one per packing group; rows that
+ * repeat UN number, packing group and name are dropped as duplicates.
+ *
+ * @module dangerousGoodsImport
+ */
+
+import { parseQuantityLimit } from './quantities.js';
+
+const REQUIRED_COLUMNS = [
+  'un_number',
+  'proper_shipping_name',
+  'class',
+  'packing_group',
+  'air_passenger_limit',
+  'air_cargo_limit',
+  'sea_limit',
+  'road_limit',
+  'rail_limit'
+];
+
+const PACKING_GROUPS = ['I', 'II', 'III'];
+const SURFACE_MODES = ['sea', 'road', 'rail'];
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, doubled quotes, CRLF or LF) into row objects
+ *
+ * @param {string} text - CSV with a header row
+ * @returns {Array<Object>} Rows keyed by the trimmed, lowercased header names
+ */
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || record.length) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const [header = [], ...rows] = records.filter(row => row.some(value => value.trim()));
+  const columns = header.map(name => name.trim().toLowerCase());
+
+  return rows.map(row => Object.fromEntries(columns.map((column, idx) => [column, (row[idx] ?? '').trim()])));
+}
+
+/**
+ * Split a ";"-separated list cell
+ */
+function splitList(value) {
+  return String(value ?? '').split(';').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Parse a limit cell into its restriction fields
+ *
+ * @returns {{allowed: boolean, maxQuantity: string, quantityBasis: string}}
+ * @throws {Error} When the limit is not a valid quantity
+ */
+function parseLimitCell(value) {
+  const text = String(value ?? '').trim();
+
+  if (/^forbidden$/i.test(text)) {
+    return { allowed: false, maxQuantity: null, quantityBasis: 'net' };
+  }
+  if (!text || /^(unlimited|no limit)$/i.test(text)) {
+    return { allowed: true, maxQuantity: 'unlimited', quantityBasis: 'net' };
+  }
+
+  const gross = /\s+G$/.test(text);
+  const maxQuantity = text.replace(/\s+G$/, '').replace(/\s+/g, '');
+  parseQuantityLimit(maxQuantity);
+
+  return { allowed: true, maxQuantity, quantityBasis: gross ? 'gross' : 'net' };
+}
+
+/**
+ * Convert one input row into a reference entry shaped like a rules.json UN code rule
+ *
+ * Air restrictions carry both aircraft limits; `maxQuantity` is the passenger
+ * aircraft limit when the goods may fly on passenger aircraft, since that is
+ * the limit that holds on either aircraft.
+ *
+ * @param {Object} row - Input row, see module header for the keys
+ * @returns {Object} Entry with code, name, class, subsidiaryRisks, packingGroup,
+ *   specialProvisions, restrictions per mode and optional density
+ * @throws {Error} When a value is missing or invalid
+ */
+function normalizeDangerousGoodsRow(row) {
+  const missing = REQUIRED_COLUMNS.filter(column => !(column in row));
+  if (missing.length > 0) {
+    throw new Error(`Missing columns: ${missing.join(', ')}`);
+  }
+
+  const digits = String(row.un_number).trim().toUpperCase().replace(/^UN\s*/, '');
+  if (!/^\d{4}$/.test(digits)) {
+    throw new Error(`Invalid UN number: ${row.un_number}`);
+  }
+
+  const name = String(row.proper_shipping_name).trim();
+  const hazardClass = String(row.class).trim();
+  if (!name || !hazardClass) {
+    throw new Error(`UN${digits} needs a proper shipping name and class`);
+  }
+
+  const packingGroup = String(row.packing_group ?? '').trim().toUpperCase() || null;
+  if (packingGroup && !PACKING_GROUPS.includes(packingGroup)) {
+    throw new Error(`Invalid packing group for UN${digits}: ${row.packing_group}`);
+  }
+
+  const density = row.density === undefined || row.density === '' ? undefined : Number(row.density);
+  if (density !== undefined && !(density > 0)) {
+    throw new Error(`Invalid density for UN${digits}: ${row.density}`);
+  }
+
+  const passenger = parseLimitCell(row.air_passenger_limit);
+  const cargo = parseLimitCell(row.air_cargo_limit);
+
+  const restrictions = {
+    air: {
+      allowed: passenger.allowed || cargo.allowed,
+      maxQuantity: passenger.allowed ? passenger.maxQuantity : cargo.maxQuantity,
+      passengerAircraft: passenger.allowed,
+      cargoAircraft: cargo.allowed,
+      passengerMaxQuantity: passenger.maxQuantity,
+      cargoMaxQuantity: cargo.maxQuantity,
+      limitPer: 'package',
+      quantityBasis: passenger.allowed ? passenger.quantityBasis : cargo.quantityBasis
+    }
+  };
+
+  SURFACE_MODES.forEach(mode => {
+    const limit = parseLimitCell(row[`${mode}_limit`]);
+    restrictions[mode] = { allowed: limit.allowed, maxQuantity: limit.maxQuantity, quantityBasis: limit.quantityBasis };
+  });
+
+  return {
+    code: `UN${digits}`,
+    name,
+    class: hazardClass,
+    subsidiaryRisks: splitList(row.subsidiary_risks),
+    packingGroup,
+    specialProvisions: splitList(row.special_provisions),
+    ...(density !== undefined ? { density } : {}),
+    restrictions
+  };
+}
+
+/**
+ * Import a dangerous goods list
+ *
+ * @param {string} text - File content
+ * @param {string} format - 'csv' or 'json'
+ * @returns {{entries: Array<Object>, errors: Array<string>, duplicates: number}}
+ *   Entries sorted by UN number and packing group; errors name the 1-based data row
+ */
+function importDangerousGoods(text, format) {
+  let rows;
+  if (format === 'json') {
+    rows = JSON.parse(text);
+    if (!Array.isArray(rows)) {
+      throw new Error('JSON dangerous goods list must be an array of rows');
+    }
+  } else if (format === 'csv') {
+    rows = parseCsv(text);
+  } else {
+    throw new Error(`Unsupported format: ${format}. Use csv or json`);
+  }
+
+  const entries = [];
+  const errors = [];
+  const seen = new Set();
+  let duplicates = 0;
+
+  rows.forEach((row, idx) => {
+    try {
+      const entry = normalizeDangerousGoodsRow(row);
+      const key = `${entry.code}|${entry.packingGroup}|${entry.name.toLowerCase()}`;
+
+      if (seen.has(key)) {
+        duplicates++;
+        return;
+      }
+      seen.add(key);
+      entries.push(entry);
+    } catch (error) {
+      errors.push(`Row ${idx + 1}: ${error.message}`);
+    }
+  });
+
+  const groupOrder = group => (group ? PACKING_GROUPS.indexOf(group) : -1);
+  entries.sort((a, b) => a.code.localeCompare(b.code) || groupOrder(a.packingGroup) - groupOrder(b.packingGroup));
+
+  return { entries, errors, duplicates };
+}
+
+export {
+  REQUIRED_COLUMNS,
+  PACKING_GROUPS,
+  parseCsv,
+  normalizeDangerousGoodsRow,
+  importDangerousGoods
+};
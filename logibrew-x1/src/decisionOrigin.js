@@ -0,0 +1,75 @@
+/**
+ * Decision Origin for LogiBrew Decision Logs
+ *
+ * Every logged decision records who made it and where it came from:
+ *
+ * - `userId`: the Atlassian account ID of the acting user, taken from the
+ *   Forge invocation context (Rovo actions, resolvers) or the product event
+ *   (triggers, workflow post functions)
+ * - `source`: one of DECISION_SOURCES
+ * - `conversationId`: the Rovo agent conversation, for decisions logged by a
+ *   Rovo action
+ *
+ * Entries written by the app itself (e.g. chain migration) use APP_ACTOR.
+ * Events that carry no account ID are logged with UNKNOWN_ACTOR rather than
+ * being attributed to the app.
+ *
+ * @module decisionOrigin
+ */
+
+const DECISION_SOURCES = {
+  ROVO_ACTION: 'rovo-action',
+  WORKFLOW_POST_FUNCTION: 'workflow-post-function',
+  ISSUE_TRIGGER: 'issue-trigger',
+  PANEL: 'panel',
+  ADMIN_PAGE: 'admin-page',
+  WEBTRIGGER: 'webtrigger',
+  SCHEDULED_TRIGGER: 'scheduled-trigger'
+};
+
+const APP_ACTOR = 'system';
+const UNKNOWN_ACTOR = 'unknown';
+
+/**
+ * Account ID of the user a Forge function or resolver was invoked by
+ *
+ * Functions receive the context as their second argument
+ * (`context.principal.accountId`); resolvers receive it as `req.context`
+ * (`context.accountId`).
+ *
+ * @param {Object} [context] - Forge invocation context
+ * @returns {string|null} Account ID, or null when not invoked by a user
+ */
+function getInvocationAccountId(context) {
+  return context?.principal?.accountId || context?.accountId || null;
+}
+
+/**
+ * Account ID of the user behind a product event
+ *
+ * @param {Object} [event] - Trigger or workflow post function event
+ * @returns {string} Account ID, or UNKNOWN_ACTOR when the event carries none
+ */
+function getEventAccountId(event) {
+  return event?.user?.accountId || event?.atlassianId || UNKNOWN_ACTOR;
+}
+
+/**
+ * Rovo conversation a Rovo action was invoked in
+ *
+ * @param {Object} [payload] - Rovo action payload
+ * @param {Object} [context] - Forge invocation context
+ * @returns {string|null} Conversation ID, or null when not available
+ */
+function getRovoConversationId(payload, context) {
+  return payload?.context?.conversationId || context?.conversationId || null;
+}
+
+export {
+  DECISION_SOURCES,
+  APP_ACTOR,
+  UNKNOWN_ACTOR,
+  getInvocationAccountId,
+  getEventAccountId,
+  getRovoConversationId
+};
@@ -0,0 +1,263 @@
+/**
+ * Evidence Attachments for LogiBrew Decision Logs
+ *
+ * Decisions can cite Jira attachments backing them (a Shipper's Declaration,
+ * an MSDS, ...). When a decision is logged, each attachment is downloaded and
+ * recorded in the entry's `evidence` list:
+ *
+ *   evidence: [{ attachmentId, filename, mimeType, size, sha256 }]
+ *
+ * The list is part of the hashed entry, so the recorded digests are as
+ * tamper-evident as the decision itself. Re-verification downloads the
+ * attachments again and compares their digests with the recorded ones, which
+ * shows whether an evidence file was replaced or deleted after the decision.
+ *
+ * When a decision is logged, only attachments of the shipment's own issue are
+ * accepted, and they are read as the invoking user: a user cannot record
+ * evidence from an issue they cannot see. Re-verification reads as the app, so
+ * scheduled and trigger invocations can verify evidence too.
+ *
+ * @module evidence
+ */
+
+import crypto from 'crypto';
+import api, { route } from '@forge/api';
+import { streamChainSegments, streamArchiveSegments } from './chainStore.js';
+
+const EVIDENCE_STATUS = {
+  UNCHANGED: 'unchanged',
+  CHANGED: 'changed',
+  MISSING: 'missing',
+  UNAVAILABLE: 'unavailable'
+};
+
+/**
+ * Error for attachments that no longer exist or are not visible to the app
+ */
+function createMissingAttachmentError(attachmentId) {
+  const error = new Error(`Attachment ${attachmentId} not found`);
+  error.code = 'ATTACHMENT_NOT_FOUND';
+  return error;
+}
+
+/**
+ * Error for attachment IDs that do not belong to the decision's issue
+ */
+function createForeignAttachmentError(attachmentId, issueKey) {
+  const error = new Error(`Attachment ${attachmentId} is not attached to ${issueKey}`);
+  error.code = 'ATTACHMENT_NOT_ON_ISSUE';
+  return error;
+}
+
+/**
+ * Request an attachment resource from Jira, failing on error responses
+ */
+async function requestAttachment(attachmentId, path, asUser) {
+  const response = await (asUser ? api.asUser() : api.asApp()).requestJira(path);
+
+  if (response.status === 404) {
+    throw createMissingAttachmentError(attachmentId);
+  }
+  if (!response.ok) {
+    throw new Error(`Failed to fetch attachment ${attachmentId}: HTTP ${response.status}`);
+  }
+
+  return response;
+}
+
+/**
+ * Normalize attachment IDs given as a list or a comma-separated string
+ *
+ * @param {Array<string|number>|string} attachmentIds - Jira attachment IDs
+ * @returns {Array<string>} Distinct attachment IDs in the given order
+ */
+function normalizeAttachmentIds(attachmentIds) {
+  if (attachmentIds === undefined || attachmentIds === null || attachmentIds === '') {
+    return [];
+  }
+
+  const ids = (Array.isArray(attachmentIds) ? attachmentIds : String(attachmentIds).split(','))
+    .map(id => String(id).trim())
+    .filter(Boolean);
+
+  const invalid = ids.find(id => !/^\d+$/.test(id));
+  if (invalid) {
+    throw new Error(`Invalid attachment ID: ${invalid}`);
+  }
+
+  return [...new Set(ids)];
+}
+
+/**
+ * IDs of the attachments on an issue, as visible to the invoking user
+ *
+ * @param {string} issueKey - Jira issue key
+ * @returns {Promise<Set<string>>} Attachment IDs
+ */
+async function getIssueAttachmentIds(issueKey) {
+  const response = await api.asUser().requestJira(route`/rest/api/3/issue/${issueKey}?fields=attachment`);
+
+  if (response.status === 404) {
+    throw new Error(`Issue ${issueKey} not found`);
+  }
+  if (!response.ok) {
+    throw new Error(`Failed to fetch attachments of ${issueKey}: HTTP ${response.status}`);
+  }
+
+  const issue = await response.json();
+  return new Set((issue.fields?.attachment || []).map(attachment => String(attachment.id)));
+}
+
+/**
+ * Download an attachment and compute its evidence record
+ *
+ * @param {string} attachmentId - Jira attachment ID
+ * @param {Object} [options]
+ * @param {boolean} [options.asUser=false] - Download as the invoking user instead of the app
+ * @returns {Promise<{attachmentId: string, filename: string, mimeType: string|null, size: number, sha256: string}>}
+ */
+async function hashAttachment(attachmentId, { asUser = false } = {}) {
+  const metadata = await (await requestAttachment(attachmentId, route`/rest/api/3/attachment/${attachmentId}`, asUser)).json();
+  const content = await requestAttachment(attachmentId, route`/rest/api/3/attachment/content/${attachmentId}`, asUser);
+  const bytes = Buffer.from(await content.arrayBuffer());
+
+  return {
+    attachmentId: String(attachmentId),
+    filename: metadata.filename,
+    mimeType: metadata.mimeType || null,
+    size: bytes.length,
+    sha256: crypto.createHash('sha256').update(bytes).digest('hex')
+  };
+}
+
+/**
+ * Evidence records for a decision's attachments
+ *
+ * Each ID must be an attachment of the given issue as the invoking user sees
+ * it; files are downloaded as that user. Fails if any attachment is foreign or
+ * cannot be downloaded, so a decision is never logged with only part of its
+ * evidence.
+ *
+ * @param {Array<string|number>|string} attachmentIds - Jira attachment IDs
+ * @param {Object} options
+ * @param {string} options.issueKey - Issue the decision is about (the shipment ID)
+ * @returns {Promise<Array<Object>>} Evidence records in the given order
+ */
+async function collectEvidence(attachmentIds, { issueKey } = {}) {
+  const ids = normalizeAttachmentIds(attachmentIds);
+  if (ids.length === 0) {
+    return [];
+  }
+  if (!issueKey) {
+    throw new Error('Evidence requires the issue the attachments belong to');
+  }
+
+  const issueAttachmentIds = await getIssueAttachmentIds(issueKey);
+  const foreign = ids.find(id => !issueAttachmentIds.has(id));
+  if (foreign) {
+    throw createForeignAttachmentError(foreign, issueKey);
+  }
+
+  const evidence = [];
+  for (const attachmentId of ids) {
+    evidence.push(await hashAttachment(attachmentId, { asUser: true }));
+  }
+
+  return evidence;
+}
+
+/**
+ * Re-download one evidence file and compare it with its recorded digest
+ *
+ * @param {Object} record - Evidence record from a log entry
+ * @returns {Promise<Object>} Record with `status` (EVIDENCE_STATUS) and the current digest
+ */
+async function verifyEvidenceRecord(record) {
+  const result = {
+    attachmentId: record.attachmentId,
+    filename: record.filename,
+    expectedSha256: record.sha256,
+    expectedSize: record.size
+  };
+
+  try {
+    const current = await hashAttachment(record.attachmentId);
+
+    return {
+      ...result,
+      status: current.sha256 === record.sha256 ? EVIDENCE_STATUS.UNCHANGED : EVIDENCE_STATUS.CHANGED,
+      actualSha256: current.sha256,
+      actualSize: current.size,
+      currentFilename: current.filename
+    };
+  } catch (error) {
+    if (error.code === 'ATTACHMENT_NOT_FOUND') {
+      return { ...result, status: EVIDENCE_STATUS.MISSING, actualSha256: null, actualSize: null };
+    }
+
+    // A failed download says nothing about the file, so it is not reported as changed
+    return { ...result, status: EVIDENCE_STATUS.UNAVAILABLE, actualSha256: null, actualSize: null, error: error.message };
+  }
+}
+
+/**
+ * Re-verify the evidence files of a shipment's logged decisions
+ *
+ * @param {string} shipmentId - Shipment identifier
+ * @param {Object} [options] - Verification options
+ * @param {string} [options.entryHash] - Only check the entry with this hash
+ * @param {boolean} [options.includeArchive=false] - Also check archived entries
+ * @returns {Promise<Object>} Per-entry results and counts; `evidenceChanged` is
+ *   true when any file was changed or deleted since it was logged
+ */
+async function verifyShipmentEvidence(shipmentId, { entryHash, includeArchive = false } = {}) {
+  const streams = includeArchive
+    ? [streamArchiveSegments(shipmentId), streamChainSegments(shipmentId)]
+    : [streamChainSegments(shipmentId)];
+  const entries = [];
+
+  for (const stream of streams) {
+    for await (const segment of stream) {
+      for (const entry of segment.entries) {
+        if (!entry?.evidence?.length || (entryHash && entry.hash !== entryHash)) {
+          continue;
+        }
+
+        const evidence = [];
+        for (const record of entry.evidence) {
+          evidence.push(await verifyEvidenceRecord(record));
+        }
+
+        entries.push({ hash: entry.hash, action: entry.action, timestamp: entry.timestamp, evidence });
+      }
+    }
+  }
+
+  const results = entries.flatMap(entry => entry.evidence);
+  const countOf = status => results.filter(result => result.status === status).length;
+  const changed = countOf(EVIDENCE_STATUS.CHANGED);
+  const missing = countOf(EVIDENCE_STATUS.MISSING);
+  const unavailable = countOf(EVIDENCE_STATUS.UNAVAILABLE);
+
+  return {
+    shipmentId,
+    entriesChecked: entries.length,
+    filesChecked: results.length,
+    unchanged: countOf(EVIDENCE_STATUS.UNCHANGED),
+    changed,
+    missing,
+    unavailable,
+    evidenceChanged: changed + missing > 0,
+    isComplete: unavailable === 0,
+    entries
+  };
+}
+
+export {
+  EVIDENCE_STATUS,
+  normalizeAttachmentIds,
+  hashAttachment,
+  collectEvidence,
+  verifyEvidenceRecord,
+  verifyShipmentEvidence
+};
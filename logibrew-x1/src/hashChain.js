@@ -1,89 +1,309 @@
 /**
  * Hash Chain Utilities for LogiBrew
- * 
+ *
  * Provides tamper-evident logging for compliance decisions using SHA-256 hash chains.
  * Each log entry is cryptographically linked to the previous entry, creating an
  * immutable audit trail for regulatory compliance and dispute resolution.
- * 
+ *
+ * Entries are dual-linked:
+ * - `previousHash` points at the previous entry in the global ledger (all shipments)
+ * - `shipmentPreviousHash` points at the previous entry for the same shipment
+ *
+ * so each shipment chain can be verified on its own, and the global ledger can be
+ * verified by walking back from the latest entry.
+ *
+ * Each entry hash is also signed with the app's Ed25519 key (see signing.js).
+ * The signature is stored next to the hash and is not part of the hashed data.
+ *
+ * Shipment chains are stored in fixed-size segments (see chainStore.js).
+ * Appended entries are also written to the cross-shipment query indexes (see
+ * logIndex.js) and to the Merkle leaves of their ledger day, kept in pages of
+ * MERKLE_LEAVES_PER_PAGE hashes until the day is anchored (see merkle.js):
+ *
+ *   merkle-day-<day>             { day, pageCount }
+ *   merkle-leaves-<day>-<page>   [entryHash, ...]
+ *   merkle-pending-days          [day, ...]   days with leaves not anchored yet
+ *
+ * Ledgers written before leaves were paged keep a single `merkle-leaves-<day>`
+ * list, which is read ahead of the pages of the same day.
+ *
+ * Every entry carries a global `sequence` number. Appends are serialized with
+ * an append lock and a compare-and-set on the ledger head (see chainLock.js),
+ * so concurrent writers cannot fork the ledger or overwrite each other.
+ *
+ * Entries record who logged them (`userId`), where from (`source`, see
+ * decisionOrigin.js) and, for Rovo actions, the agent `conversationId`; all
+ * three are hashed. Decisions backed by Jira attachments also carry their
+ * `evidence` digests (see evidence.js). Every entry records the compliance
+ * `ruleSet` it was made under by version and content hash (see ruleSets.js).
+ *
+ * New entries are hashed as canonical JSON under CURRENT_HASH_VERSION; entries
+ * without a `hashVersion` use the original JSON.stringify scheme. Hashing and
+ * verification are pure functions in chainVerifier.js, re-exported here; this
+ * module adds the Forge storage side.
+ *
  * @module hashChain
  */
 
-import crypto from 'crypto';
 import { storage } from '@forge/api';
+import { getActiveSigningKey, signEntryHash, getPublicKeyRegistry } from './signing.js';
+import {
+  GENESIS_HASH,
+  MIGRATION_ACTION,
+  AMENDMENT_ACTION,
+  ARCHIVE_CHECKPOINT_ACTION,
+  CURRENT_HASH_VERSION,
+  DEFAULT_HASH_ALGORITHM,
+  FAILURE_KINDS,
+  generateHash,
+  isDualLinked,
+  createChainVerifier,
+  buildVerificationReport,
+  verifyChain,
+  verifyLedger
+} from './chainVerifier.js';
+import {
+  openChainForAppend,
+  appendToChain,
+  streamChainSegments,
+  streamArchiveSegments,
+  readChain,
+  listChainShipmentIds,
+  RULE_CHANGE_CHAIN_ID
+} from './chainStore.js';
+import { withChainLock, createConflictError } from './chainLock.js';
+import { APP_ACTOR } from './decisionOrigin.js';
+import { indexLogEntry } from './logIndex.js';
+import { collectEvidence } from './evidence.js';
+import { getRuleSet, findRuleSetInEffect, getRuleSetReference } from './ruleSets.js';
+import { RULE_CHANGE_ACTION, applyRuleOverrides, prepareRuleOverrides, storeRuleOverrides } from './ruleOverrides.js';
+
+const LATEST_ENTRY_KEY = 'latest-log-entry';
+const MERKLE_PENDING_DAYS_KEY = 'merkle-pending-days';
+const MERKLE_LEAVES_PER_PAGE = 1000;
+
+// Hash algorithm for new entries; older entries keep the one they name
+const ENTRY_HASH_ALGORITHM = DEFAULT_HASH_ALGORITHM;
 
 /**
- * Generate SHA-256 hash for a decision record
+ * UTC day (YYYY-MM-DD) an entry belongs to for daily Merkle anchoring
  */
-function generateHash(record) {
-  const data = JSON.stringify({
-    timestamp: record.timestamp,
-    action: record.action,
-    userId: record.userId,
-    shipmentId: record.shipmentId,
-    decision: record.decision,
-    previousHash: record.previousHash || '0'
-  });
-  
-  return crypto.createHash('sha256')
-    .update(data)
-    .digest('hex');
+function getLedgerDay(timestamp) {
+  return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+/**
+ * Storage key for the page index of a ledger day's Merkle leaves
+ */
+function getMerkleDayKey(day) {
+  return `merkle-day-${day}`;
+}
+
+/**
+ * Storage key for one page of the entry hashes written on a ledger day
+ *
+ * Without a page, the key of the unpaged list of older ledgers.
+ */
+function getMerkleLeavesKey(day, page) {
+  return page === undefined ? `merkle-leaves-${day}` : `merkle-leaves-${day}-${page}`;
+}
+
+/**
+ * Add an entry hash to the leaves of its ledger day
+ *
+ * Runs under the append lock. A new page is registered in the day index before
+ * it is written, so an interrupted append never leaves a page the index does
+ * not list.
+ */
+async function appendMerkleLeaf(day, entryHash) {
+  const dayIndex = await storage.get(getMerkleDayKey(day));
+
+  if (!dayIndex) {
+    const pendingDays = await storage.get(MERKLE_PENDING_DAYS_KEY) || [];
+    await storage.set(MERKLE_PENDING_DAYS_KEY, [...pendingDays.filter(pending => pending !== day), day]);
+  }
+
+  let pageCount = dayIndex?.pageCount || 1;
+  let leaves = await storage.get(getMerkleLeavesKey(day, pageCount - 1)) || [];
+
+  if (leaves.length >= MERKLE_LEAVES_PER_PAGE) {
+    pageCount++;
+    leaves = [];
+  }
+
+  if (pageCount !== dayIndex?.pageCount) {
+    await storage.set(getMerkleDayKey(day), { day, pageCount });
+  }
+
+  leaves.push(entryHash);
+  await storage.set(getMerkleLeavesKey(day, pageCount - 1), leaves);
+}
+
+/**
+ * All entry hashes written on a ledger day, in ledger order
+ *
+ * @param {string} day - Ledger day (YYYY-MM-DD)
+ * @returns {Promise<Array<string>>} Entry hashes
+ */
+async function readMerkleLeaves(day) {
+  const leaves = [...await storage.get(getMerkleLeavesKey(day)) || []];
+  const dayIndex = await storage.get(getMerkleDayKey(day));
+
+  for (let page = 0; page < (dayIndex?.pageCount || 0); page++) {
+    leaves.push(...await storage.get(getMerkleLeavesKey(day, page)) || []);
+  }
+
+  return leaves;
+}
+
+/**
+ * Ledger days with leaves that have not been anchored yet, oldest first
+ *
+ * @returns {Promise<Array<string>>} Ledger days (YYYY-MM-DD)
+ */
+async function getPendingLedgerDays() {
+  return [...await storage.get(MERKLE_PENDING_DAYS_KEY) || []].sort();
 }
 
 /**
- * Verify integrity of a decision log chain
+ * Load a shipment's chain from storage
  */
-function verifyChain(logChain) {
-  if (logChain.length <= 1) {
-    return true;
+async function getShipmentChain(shipmentId) {
+  return await readChain(shipmentId);
+}
+
+/**
+ * List all stored shipment chains
+ *
+ * @param {Object} [options] - Listing options, see listChainShipmentIds
+ * @returns {Promise<Array<{shipmentId: string, chain: Array<Object>}>>}
+ */
+async function listShipmentChains(options) {
+  const chains = [];
+
+  for (const shipmentId of await listChainShipmentIds(options)) {
+    chains.push({ shipmentId, chain: await readChain(shipmentId) });
   }
-  
-  for (let i = 1; i < logChain.length; i++) {
-    const currentEntry = logChain[i];
-    const previousHash = logChain[i - 1].hash;
-    
-    if (currentEntry.previousHash !== previousHash) {
-      console.error(`Chain broken at index ${i}: previousHash mismatch`);
-      return false;
+
+  return chains;
+}
+
+/**
+ * Append an entry to both the global ledger and the shipment chain
+ *
+ * Runs under the append lock. The ledger head is read again right before
+ * writing; if another writer moved it (compare-and-set failure) the append is
+ * rebuilt on the new head and retried. The entry is written to its shipment
+ * segment, the Merkle leaves and the log index before the ledger head is
+ * advanced to it, so a failure part-way leaves the head on the previous,
+ * fully stored entry. Entries without an explicit `ruleSet` reference the rule
+ * set in effect when they are written, with its overrides.
+ *
+ * `prepare()` runs under the lock before the entry is built and returns fields
+ * merged into it, or throws to append nothing; `onAppended(entry)` runs under
+ * the same lock once the entry is stored. Together they check, log and apply a
+ * state change in one locked step.
+ */
+async function appendEntry(fields, { prepare, onAppended } = {}) {
+  return await withChainLock(async ({ ensureLockHeld }) => {
+    const { action, userId, source, conversationId, shipmentId, outcome, evidence, ruleSet } = {
+      ...fields,
+      ...(prepare ? await prepare() : {})
+    };
+
+    // Inside the lock so concurrent writers cannot each generate or rotate a key
+    const signingKey = await getActiveSigningKey();
+    const latestEntry = await storage.get(LATEST_ENTRY_KEY);
+    const chainIndex = await openChainForAppend(shipmentId);
+    const timestamp = Date.now();
+    const ruleSetReference = ruleSet || getRuleSetReference(await applyRuleOverrides(findRuleSetInEffect(timestamp)));
+
+    const logEntry = {
+      hashVersion: CURRENT_HASH_VERSION,
+      hashAlgorithm: ENTRY_HASH_ALGORITHM,
+      timestamp,
+      action,
+      userId,
+      source: source || null,
+      conversationId: conversationId || null,
+      ...(evidence?.length ? { evidence } : {}),
+      ...(ruleSetReference ? { ruleSet: ruleSetReference } : {}),
+      shipmentId,
+      decision: outcome,
+      previousHash: latestEntry?.hash || GENESIS_HASH,
+      shipmentPreviousHash: chainIndex.headHash || GENESIS_HASH,
+      sequence: (latestEntry?.sequence || 0) + 1
+    };
+
+    logEntry.hash = generateHash(logEntry);
+    logEntry.signature = signEntryHash(logEntry.hash, signingKey);
+
+    await ensureLockHeld();
+
+    const currentHead = await storage.get(LATEST_ENTRY_KEY);
+    if ((currentHead?.hash || GENESIS_HASH) !== logEntry.previousHash) {
+      throw createConflictError('Ledger head changed during append');
     }
-    
-    const recalculatedHash = generateHash(currentEntry);
-    if (recalculatedHash !== currentEntry.hash) {
-      console.error(`Tampered entry detected at index ${i}`);
-      return false;
+
+    await appendToChain(chainIndex, logEntry);
+
+    await appendMerkleLeaf(getLedgerDay(logEntry.timestamp), logEntry.hash);
+
+    await indexLogEntry(logEntry);
+
+    // Last, so the head never names an entry that is not stored
+    await ensureLockHeld();
+    await storage.set(LATEST_ENTRY_KEY, logEntry);
+
+    if (onAppended) {
+      await ensureLockHeld();
+      await onAppended(logEntry);
     }
-  }
-  
-  return true;
+
+    return logEntry;
+  });
 }
 
 /**
  * Log a compliance decision with hash verification
+ *
+ * @param {Object} decision - Decision details
+ * @param {string} decision.action - Decision type
+ * @param {string} decision.userId - Account ID of the acting user
+ * @param {string} [decision.source] - Where the decision was logged from (DECISION_SOURCES)
+ * @param {string} [decision.conversationId] - Rovo conversation the decision was made in
+ * @param {string} decision.shipmentId - Shipment identifier
+ * @param {Object} decision.outcome - Decision outcome
+ * @param {Array<string>|string} [decision.attachmentIds] - Attachments of the shipment's issue backing the decision,
+ *   read as the invoking user and recorded as evidence
+ * @param {string} [decision.ruleSetVersion] - Rule set the decision was made under, referenced with its
+ *   current overrides (default: the one in effect now)
+ * @param {Object} [options]
+ * @param {Function} [options.onAppended] - State change applied under the append lock once the entry is
+ *   stored (see appendEntry)
+ * @returns {Promise<Object>} Log entry
  */
-async function logComplianceDecision(decision) {
+async function logComplianceDecision(decision, { onAppended } = {}) {
   try {
-    const previousEntry = await storage.get('latest-log-entry');
-    const previousHash = previousEntry?.hash || '0';
-    
-    const logEntry = {
-      timestamp: Date.now(),
+    // Downloaded before taking the append lock; evidence digests do not depend on the chain
+    const evidence = await collectEvidence(decision.attachmentIds, { issueKey: decision.shipmentId });
+    const ruleSet = decision.ruleSetVersion
+      ? getRuleSetReference(await applyRuleOverrides(getRuleSet(decision.ruleSetVersion)))
+      : undefined;
+
+    const logEntry = await appendEntry({
       action: decision.action,
       userId: decision.userId,
+      source: decision.source,
+      conversationId: decision.conversationId,
       shipmentId: decision.shipmentId,
-      decision: decision.outcome,
-      previousHash: previousHash
-    };
-    
-    logEntry.hash = generateHash(logEntry);
-    
-    await storage.set('latest-log-entry', logEntry);
-    
-    const chainKey = `shipment-${decision.shipmentId}-chain`;
-    const existingChain = await storage.get(chainKey) || [];
-    existingChain.push(logEntry);
-    await storage.set(chainKey, existingChain);
-    
+      outcome: decision.outcome,
+      evidence,
+      ruleSet
+    }, { onAppended });
+
     console.log(`Logged decision with hash: ${logEntry.hash.substring(0, 16)}...`);
-    
+
     return logEntry;
   } catch (error) {
     console.error(`Failed to log compliance decision: ${error.message}`);
@@ -91,8 +311,283 @@ async function logComplianceDecision(decision) {
   }
 }
 
+/**
+ * Log an amendment correcting an earlier decision
+ *
+ * The corrected entry is left untouched; the amendment references its hash and
+ * records the reason, the corrected outcome and the amending actor. See
+ * amendments.js for the effective view.
+ *
+ * @param {Object} amendment - Amendment details
+ * @param {string} amendment.shipmentId - Shipment the corrected entry belongs to
+ * @param {string} amendment.amendsHash - Hash of the entry being corrected
+ * @param {string} amendment.reason - Why the decision is corrected
+ * @param {string} amendment.userId - Actor making the correction
+ * @param {string} [amendment.source] - Where the correction was made from
+ * @param {string} [amendment.conversationId] - Rovo conversation the correction was made in
+ * @param {Object} amendment.correctedOutcome - Outcome that replaces the original
+ * @returns {Promise<Object>} Amendment log entry
+ */
+async function amendDecision({ shipmentId, amendsHash, reason, userId, source, conversationId, correctedOutcome }) {
+  if (!reason || !String(reason).trim()) {
+    throw new Error('Amendment reason is required');
+  }
+
+  let target = null;
+  for await (const { entries } of streamChainSegments(shipmentId)) {
+    target = entries.find(entry => entry?.hash === amendsHash) || target;
+  }
+
+  if (!target) {
+    throw new Error(`Entry ${String(amendsHash).substring(0, 16)}... not found in chain for ${shipmentId}`);
+  }
+
+  if (target.action === AMENDMENT_ACTION) {
+    throw new Error('Amendments can only correct original entries, not other amendments');
+  }
+
+  const amendmentEntry = await appendEntry({
+    action: AMENDMENT_ACTION,
+    userId,
+    source,
+    conversationId,
+    shipmentId,
+    outcome: {
+      amends: amendsHash,
+      reason: String(reason).trim(),
+      correctedOutcome
+    }
+  });
+
+  console.log(`Amended ${amendsHash.substring(0, 16)}... with ${amendmentEntry.hash.substring(0, 16)}...`);
+
+  return amendmentEntry;
+}
+
+/**
+ * Log an archive checkpoint for entries moved out of the live chain
+ *
+ * @param {Object} checkpoint - Checkpoint details
+ * @param {string} checkpoint.shipmentId - Shipment the entries were archived from
+ * @param {string} checkpoint.userId - Actor running the archival
+ * @param {string} [checkpoint.source] - Where the archival was started from
+ * @param {Object} checkpoint.range - Archived range: fromIndex, count, firstHash, lastHash, archiveHash
+ * @returns {Promise<Object>} Checkpoint log entry
+ */
+async function logArchiveCheckpoint({ shipmentId, userId, source, range }) {
+  const checkpointEntry = await appendEntry({
+    action: ARCHIVE_CHECKPOINT_ACTION,
+    userId,
+    source,
+    shipmentId,
+    outcome: {
+      status: 'archived',
+      ...range
+    }
+  });
+
+  console.log(`Logged archive checkpoint for ${range.count} entries of ${shipmentId}`);
+
+  return checkpointEntry;
+}
+
+/**
+ * Save new overrides of a rule set version and log them as a `rule_change` decision
+ *
+ * The revision check, the entry on the RULE_CHANGE_CHAIN_ID chain and the
+ * overrides write run in one locked step, in that order, so overrides are
+ * never in effect without their entry. See prepareRuleOverrides in
+ * ruleOverrides.js.
+ *
+ * @param {Object} update - Override update, see prepareRuleOverrides
+ * @param {string} [update.source] - Where the change was made from
+ * @returns {Promise<{entry: Object, previous: Object, saved: Object, ruleSet: Object, changes: Array<Object>}>}
+ *   The rule_change entry and the result of prepareRuleOverrides
+ */
+async function logRuleChange({ source, ...update }) {
+  let change;
+
+  const entry = await appendEntry({
+    action: RULE_CHANGE_ACTION,
+    userId: update.userId,
+    source,
+    shipmentId: RULE_CHANGE_CHAIN_ID
+  }, {
+    prepare: async () => {
+      change = await prepareRuleOverrides(update);
+      const { saved, ruleSet, changes } = change;
+
+      return {
+        outcome: {
+          status: 'applied',
+          ruleSetVersion: saved.version,
+          revision: saved.revision,
+          reason: saved.reason,
+          bundledContentHash: ruleSet.bundledContentHash || ruleSet.contentHash,
+          changes
+        },
+        ruleSet: getRuleSetReference(ruleSet)
+      };
+    },
+    onAppended: async () => {
+      await storeRuleOverrides(change.saved);
+    }
+  });
+
+  console.log(`Logged rule change to ${change.saved.version} revision ${change.saved.revision}`);
+
+  return { entry, ...change };
+}
+
+/**
+ * Verify a stored shipment chain
+ *
+ * @param {string} shipmentId - Shipment identifier
+ * @param {Object} [options] - Verification options
+ * @param {boolean} [options.includeArchive=false] - Also verify archived entries
+ *   and the archive checkpoints against them
+ */
+async function verifyShipmentChain(shipmentId, { includeArchive = false } = {}) {
+  const { keys } = await getPublicKeyRegistry();
+  const verifier = createChainVerifier({ keys });
+  let headHash = null;
+
+  if (includeArchive) {
+    for await (const { entries } of streamArchiveSegments(shipmentId)) {
+      entries.forEach(entry => verifier.push(entry));
+    }
+  }
+
+  // Verify one segment at a time so long chains are never held in memory
+  for await (const { entries } of streamChainSegments(shipmentId)) {
+    entries.forEach(entry => verifier.push(entry));
+    headHash = entries[entries.length - 1]?.hash || headHash;
+  }
+
+  const report = verifier.finish();
+
+  return {
+    shipmentId,
+    isValid: report.isValid,
+    length: report.entryCount,
+    headHash,
+    report
+  };
+}
+
+/**
+ * Verify the stored global ledger across all shipment and system chains, archives included
+ */
+async function verifyGlobalLedger() {
+  const latestEntry = await storage.get(LATEST_ENTRY_KEY);
+  const chains = await listShipmentChains({ includeSystemChains: true });
+  const entries = chains.flatMap(({ chain }) => chain);
+
+  for (const { shipmentId } of chains) {
+    for await (const { entries: archived } of streamArchiveSegments(shipmentId)) {
+      entries.push(...archived);
+    }
+  }
+
+  return {
+    isValid: verifyLedger(entries, latestEntry?.hash),
+    length: entries.length,
+    headHash: latestEntry?.hash || null
+  };
+}
+
+/**
+ * Re-link a legacy shipment chain
+ *
+ * Legacy entries only carry the global `previousHash`, so a shipment chain whose
+ * decisions were interleaved with other shipments fails verification. Migration
+ * appends a chain_migration entry listing the legacy hashes in order. Original
+ * entries and their hashes are left untouched.
+ *
+ * @param {string} shipmentId - Shipment identifier
+ * @param {Object} [options] - Migration options
+ * @param {string} [options.source] - Where the migration was started from
+ * @param {string} [options.userId] - Account ID of the admin starting it (default: the app)
+ */
+async function migrateShipmentChain(shipmentId, { source, userId = APP_ACTOR } = {}) {
+  const chain = await getShipmentChain(shipmentId);
+  const legacyHashes = [];
+
+  for (const entry of chain) {
+    if (isDualLinked(entry)) {
+      break;
+    }
+    legacyHashes.push(entry.hash);
+  }
+
+  if (legacyHashes.length === 0 || buildVerificationReport(chain).relinkedCount >= legacyHashes.length) {
+    return { shipmentId, migrated: false, relinkedCount: 0 };
+  }
+
+  const migrationEntry = await appendEntry({
+    action: MIGRATION_ACTION,
+    userId,
+    source,
+    shipmentId,
+    outcome: {
+      status: 'relinked',
+      relinkedHashes: legacyHashes
+    }
+  });
+
+  console.log(`Migrated ${legacyHashes.length} legacy entries for ${shipmentId}`);
+
+  return {
+    shipmentId,
+    migrated: true,
+    relinkedCount: legacyHashes.length,
+    migrationHash: migrationEntry.hash
+  };
+}
+
+/**
+ * Re-link all legacy shipment chains in storage
+ *
+ * @param {Object} [options] - Migration options, see migrateShipmentChain
+ */
+async function migrateLegacyChains(options) {
+  const chains = await listShipmentChains();
+  const results = [];
+
+  for (const { shipmentId } of chains) {
+    results.push(await migrateShipmentChain(shipmentId, options));
+  }
+
+  return {
+    scanned: results.length,
+    migrated: results.filter(result => result.migrated).length,
+    results
+  };
+}
+
 export {
+  GENESIS_HASH,
+  MERKLE_PENDING_DAYS_KEY,
+  getLedgerDay,
+  getMerkleDayKey,
+  getMerkleLeavesKey,
+  readMerkleLeaves,
+  getPendingLedgerDays,
+  FAILURE_KINDS,
+  CURRENT_HASH_VERSION,
   generateHash,
+  createChainVerifier,
+  buildVerificationReport,
   verifyChain,
-  logComplianceDecision
+  verifyLedger,
+  getShipmentChain,
+  listShipmentChains,
+  logComplianceDecision,
+  amendDecision,
+  logArchiveCheckpoint,
+  logRuleChange,
+  verifyShipmentChain,
+  verifyGlobalLedger,
+  migrateShipmentChain,
+  migrateLegacyChains
 };
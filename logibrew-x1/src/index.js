@@ -5,29 +5,133 @@
  * for logistics disruption management.
  */
 
-import { generateHash, logComplianceDecision as logToHashChain } from './hashChain.js';
+import { generateHash, logComplianceDecision as logToHashChain, amendDecision, logRuleChange, migrateLegacyChains } from './hashChain.js';
+import { anchorPendingLedgerDays, getInclusionProof } from './merkle.js';
+import { getPublicKeyRegistry, getSignatureStatus } from './signing.js';
+import { readChain, readChainPage, listChainShipmentIds, SEGMENT_SIZE } from './chainStore.js';
+import { buildAuditBundle, renderAuditBundleCsv } from './auditBundle.js';
+import { isAmendment, indexAmendments, getAmendmentIndex, getEffectiveView } from './amendments.js';
+import { syncShipmentToConfluence, syncAllShipmentsToConfluence } from './confluenceSync.js';
+import { DECISION_SOURCES, getInvocationAccountId, getEventAccountId, getRovoConversationId } from './decisionOrigin.js';
+import {
+  DEFAULT_RETENTION_POLICY,
+  getRetentionPolicy,
+  setRetentionPolicy,
+  canManageLegalHold,
+  setLegalHold,
+  releaseLegalHold,
+  runRetention
+} from './retention.js';
+import { queryDecisionLogs, backfillLogIndex } from './logIndex.js';
+import { verifyShipmentEvidence } from './evidence.js';
+import { listChainTimestamps, getEntryTimestamps, runChainTimestamping } from './timestamping.js';
+import {
+  VALID_TRANSPORT_MODES,
+  AIRCRAFT_TYPES,
+  normalizeLegs,
+  normalizeAircraftType,
+  readIssueAircraftType,
+  checkLeg,
+  buildShipmentFacts,
+  validateLegs
+} from './multimodal.js';
+import { QUANTITY_TYPES, parseQuantity } from './quantities.js';
+import { parseDate, getTransitDays, parseShipmentTimeline, readIssueTimeline } from './timeline.js';
+import { normalizePackingGroup, isKnownUnCode } from './dangerousGoods.js';
+import { PACKING_GROUPS } from './dangerousGoodsImport.js';
+import { normalizeCargoLines, checkSegregation } from './segregation.js';
+import { buildRouteFacts } from './routeValidation.js';
+import { runChecks } from './ruleEngine.js';
+import { listRuleSets, getRuleSet, getRuleSetReference } from './ruleSets.js';
+import {
+  RULE_CHANGE_ACTION,
+  RULE_CHANGE_CHAIN_ID,
+  diffRules,
+  getRuleOverrides,
+  selectEffectiveRuleSet,
+  previewRuleOverrides
+} from './ruleOverrides.js';
 import { storage } from '@forge/api';
 import Resolver from '@forge/resolver';
-import complianceRulesData from './rules.json';
-
-// Use the imported rules
-const complianceRules = complianceRulesData;
 
 /**
  * Validate Compliance Action Handler
  * 
- * Validates shipment details against embedded compliance rules from rules.json.
+ * Validates shipment details against the compliance rule set in effect on the shipment date, with its admin overrides.
  * Checks UN codes, transport mode restrictions, multimodal transitions, and perishable limits.
+ * The route, UN code and perishable checks, and any shipment checks added by compliance officers,
+ * are the `complianceChecks` rules of the rule set (see ruleEngine.js).
  * 
  * @param {Object} payload - Shipment validation request
+ * @param {string} payload.shipmentDate - ISO 8601 booking date selecting the rule set (optional, the pickup date or today)
+ * @param {string} payload.ruleSetVersion - Rule set version to validate under, overriding the date (optional)
  * @param {string} payload.unCode - UN hazardous material code (optional)
- * @param {string} payload.transportMode - Transport mode (air/sea/road/rail)
- * @param {string} payload.cargoType - Cargo category (hazmat/perishable/general/temperature-controlled)
- * @param {number} payload.weight - Cargo weight in kg
- * @returns {Object} Validation result with issues and recommendations
+ * @param {string} payload.packingGroup - Packing group I, II or III (optional, the strictest listed when omitted)
+ * @param {Array<Object>|string} payload.cargoLines - Dangerous goods lines of a mixed consignment, instead of unCode:
+ *   objects ({unCode, packingGroup, quantity, quantityUnit, quantityType, packages, density}) or a string such as
+ *   "UN1203 200L; UN1789 PG II 50L" (optional)
+ * @param {string} payload.origin - Origin location (optional, the first leg's)
+ * @param {string} payload.destination - Destination location (optional, the last leg's)
+ * @param {number} payload.distance - Route distance in km for the minimum transit estimate of a single-mode shipment (optional)
+ * @param {string} payload.transportMode - Transport mode (air/sea/road/rail), ignored when legs are given
+ * @param {Array<string|Object>|string} payload.legs - Ordered legs of a multimodal shipment: modes,
+ *   leg objects ({transportMode, origin, destination, distance, weight, aircraftType, pickupDate, deliveryDate}) or a string such as "sea,air" (optional)
+ * @param {string} payload.aircraftType - Aircraft of air legs: passenger, cargo-only or unknown (optional, default unknown)
+ * @param {string} payload.cargoType - Cargo category (hazmat/perishable/frozen/general/temperature-controlled)
+ * @param {number} payload.weight - Gross cargo weight in kg
+ * @param {string|number} payload.quantity - Dangerous goods quantity with unit, e.g. "45L" (optional, the weight when omitted)
+ * @param {string} payload.quantityUnit - Unit of a plain numeric quantity: kg, g, L or ml (optional)
+ * @param {string} payload.quantityType - Whether the quantity is net or gross (optional, default net)
+ * @param {number} payload.packages - Number of packages the quantity is split over (optional, default 1)
+ * @param {number} payload.density - Density in kg/L for mass/volume conversion (optional, the UN code's when known)
+ * @param {string} payload.pickupDate - ISO 8601 pickup date (optional)
+ * @param {string} payload.deliveryDate - ISO 8601 delivery date (optional)
+ * @param {string} payload.timeline - Shipment Timeline field value with both dates, used when no dates are given (optional)
+ * @param {number} payload.carriageTemperature - Declared carriage temperature in °C (optional)
+ * @returns {Object} Validation result with issues and recommendations; multimodal results
+ *   also carry per-leg results in `legs` and the evaluated `transitions`, mixed consignments
+ *   per-line results in `cargoLines` and the conflicting pairs in `segregation`; the route facts
+ *   the route checks ran against are in `details.route`; every result
+ *   names the `ruleSet` version, content hash and admin override revision it was validated under
  */
 async function validateCompliance(payload) {
   console.log('Starting compliance validation:', payload);
+
+  // Pick the rule set by explicit version, booking date or pickup date; admin overrides apply
+  const pickupDate = [payload?.pickupDate, parseShipmentTimeline(payload?.timeline)?.pickupDate]
+    .find(date => parseDate(date) !== null);
+  let ruleSet;
+
+  try {
+    ruleSet = await selectEffectiveRuleSet({ version: payload?.ruleSetVersion, shipmentDate: payload?.shipmentDate || pickupDate });
+  } catch (error) {
+    return {
+      isValid: false,
+      issues: [{
+        type: 'INVALID_RULE_SET',
+        severity: 'error',
+        message: error.message,
+        recommendation: 'Give a valid shipment date (YYYY-MM-DD) or one of the available rule set versions'
+      }],
+      warnings: [],
+      recommendations: [],
+      details: {},
+      ruleSet: null
+    };
+  }
+
+  const result = await checkCompliance(payload, ruleSet.rules);
+  return { ...result, ruleSet: getRuleSetReference(ruleSet) };
+}
+
+/**
+ * Check a shipment against one rule set
+ *
+ * @param {Object} payload - Shipment validation request, see validateCompliance
+ * @param {Object} rules - `complianceRules` section of the rule set
+ * @returns {Promise<Object>} Validation result without the rule set reference
+ */
+async function checkCompliance(payload, rules) {
   
   // Input validation and sanitization
   if (!payload || typeof payload !== 'object') {
@@ -67,16 +171,44 @@ async function validateCompliance(payload) {
     };
   }
 
-  // Validate transport mode
-  const validModes = ['air', 'sea', 'road', 'rail'];
-  if (!validModes.includes(transportMode)) {
+  // Validate transport modes, of each leg for multimodal shipments; a missing mode fails the route checks
+  const legs = normalizeLegs(payload.legs);
+  const modesToCheck = legs.length > 0 ? legs.map(leg => leg.transportMode) : [transportMode].filter(Boolean);
+  const invalidModeIdx = modesToCheck.findIndex(mode => !VALID_TRANSPORT_MODES.includes(mode));
+  if (invalidModeIdx !== -1) {
     return {
       isValid: false,
       issues: [{
         type: 'INVALID_TRANSPORT_MODE',
         severity: 'error',
-        message: `Invalid transport mode: ${transportMode}`,
-        recommendation: `Use one of: ${validModes.join(', ')}`
+        message: legs.length > 0
+          ? `Invalid transport mode for leg ${invalidModeIdx + 1}: ${modesToCheck[invalidModeIdx]}`
+          : `Invalid transport mode: ${transportMode}`,
+        recommendation: `Use one of: ${VALID_TRANSPORT_MODES.join(', ')}`
+      }],
+      warnings: [],
+      recommendations: [],
+      details: {}
+    };
+  }
+
+  // Validate the aircraft type of air legs
+  const aircraftType = normalizeAircraftType(payload.aircraftType);
+  legs.forEach(leg => {
+    if (leg.aircraftType !== undefined) {
+      leg.aircraftType = normalizeAircraftType(leg.aircraftType);
+    }
+  });
+  const invalidAircraftType = [aircraftType, ...legs.map(leg => leg.aircraftType)]
+    .find(type => type !== undefined && !AIRCRAFT_TYPES.includes(type));
+  if (invalidAircraftType) {
+    return {
+      isValid: false,
+      issues: [{
+        type: 'INVALID_AIRCRAFT_TYPE',
+        severity: 'error',
+        message: `Invalid aircraft type: ${invalidAircraftType}`,
+        recommendation: `Use one of: ${AIRCRAFT_TYPES.join(', ')}`
       }],
       warnings: [],
       recommendations: [],
@@ -85,7 +217,7 @@ async function validateCompliance(payload) {
   }
 
   // Validate cargo type
-  const validCargoTypes = ['general', 'hazmat', 'perishable', 'temperature-controlled'];
+  const validCargoTypes = ['general', 'hazmat', 'perishable', 'frozen', 'temperature-controlled'];
   if (!validCargoTypes.includes(cargoType)) {
     return {
       isValid: false,
@@ -116,6 +248,141 @@ async function validateCompliance(payload) {
       details: {}
     };
   }
+
+  // Validate the packing group
+  const packingGroup = normalizePackingGroup(payload.packingGroup);
+  if (packingGroup && !PACKING_GROUPS.includes(packingGroup)) {
+    return {
+      isValid: false,
+      issues: [{
+        type: 'INVALID_PACKING_GROUP',
+        severity: 'error',
+        message: `Invalid packing group: ${payload.packingGroup}`,
+        recommendation: `Use one of: ${PACKING_GROUPS.join(', ')}`
+      }],
+      warnings: [],
+      recommendations: [],
+      details: {}
+    };
+  }
+
+  // Validate the cargo lines of a mixed dangerous goods consignment
+  let cargoLines = [];
+  let cargoLinesIssue = null;
+  try {
+    cargoLines = normalizeCargoLines(payload.cargoLines);
+  } catch (error) {
+    cargoLinesIssue = { message: error.message, recommendation: 'Give each line as a UN code with optional packing group and quantity (e.g., UN1789 PG II 50L)' };
+  }
+  if (!cargoLinesIssue && cargoLines.length > 0 && unCode) {
+    cargoLinesIssue = { message: 'Give either a UN code or cargo lines, not both', recommendation: 'Add the UN code as a cargo line' };
+  }
+
+  if (cargoLinesIssue) {
+    return {
+      isValid: false,
+      issues: [{ type: 'INVALID_CARGO_LINES', severity: 'error', ...cargoLinesIssue }],
+      warnings: [],
+      recommendations: [],
+      details: {}
+    };
+  }
+
+  // Validate dangerous goods quantity inputs
+  let quantity = null;
+  const quantityType = String(payload.quantityType || 'net').trim().toLowerCase();
+  const packages = payload.packages === undefined || payload.packages === '' ? 1 : Number(payload.packages);
+  const density = payload.density === undefined || payload.density === '' ? undefined : Number(payload.density);
+  let quantityIssue = null;
+
+  try {
+    if (payload.quantity !== undefined && payload.quantity !== null && payload.quantity !== '') {
+      quantity = parseQuantity(payload.quantity, payload.quantityUnit);
+    }
+  } catch (error) {
+    quantityIssue = { type: 'INVALID_QUANTITY', message: error.message, recommendation: 'Enter the quantity with its unit: kg, g, L or ml (e.g., 45L)' };
+  }
+
+  if (!quantityIssue && !QUANTITY_TYPES.includes(quantityType)) {
+    quantityIssue = { type: 'INVALID_QUANTITY_TYPE', message: `Invalid quantity type: ${quantityType}`, recommendation: `Use one of: ${QUANTITY_TYPES.join(', ')}` };
+  } else if (!quantityIssue && (!Number.isInteger(packages) || packages < 1)) {
+    quantityIssue = { type: 'INVALID_PACKAGE_COUNT', message: `Invalid package count: ${payload.packages}`, recommendation: 'Enter the number of packages as a whole number of at least 1' };
+  } else if (!quantityIssue && density !== undefined && !(density > 0)) {
+    quantityIssue = { type: 'INVALID_DENSITY', message: `Invalid density: ${payload.density}`, recommendation: 'Enter the density in kg/L (e.g., 0.74 for gasoline)' };
+  }
+
+  if (quantityIssue) {
+    return {
+      isValid: false,
+      issues: [{ ...quantityIssue, severity: 'error' }],
+      warnings: [],
+      recommendations: [],
+      details: {}
+    };
+  }
+
+  // Validate the timeline and carriage temperature; only unparseable dates are errors here,
+  // delivery before pickup is reported by the timeline_conflict check
+  let timeline = null;
+  const timelineDates = payload.pickupDate || payload.deliveryDate
+    ? { pickupDate: payload.pickupDate, deliveryDate: payload.deliveryDate }
+    : parseShipmentTimeline(payload.timeline);
+  const carriageTemperature = payload.carriageTemperature === undefined || payload.carriageTemperature === ''
+    ? undefined
+    : Number(payload.carriageTemperature);
+  let timelineIssue = null;
+
+  try {
+    if (timelineDates) {
+      timeline = { ...timelineDates, transitDays: getTransitDays(timelineDates.pickupDate, timelineDates.deliveryDate) };
+    } else if (payload.timeline) {
+      throw new Error(`Invalid shipment timeline: ${payload.timeline}. Expected pickup and delivery dates (e.g., 2026-03-01/2026-03-05)`);
+    }
+    legs.forEach((leg, idx) => {
+      if (leg.pickupDate || leg.deliveryDate) {
+        try {
+          leg.transitDays = getTransitDays(leg.pickupDate, leg.deliveryDate);
+        } catch (error) {
+          throw new Error(`Leg ${idx + 1}: ${error.message}`);
+        }
+      }
+    });
+  } catch (error) {
+    timelineIssue = { type: 'INVALID_TIMELINE', message: error.message, recommendation: 'Enter pickup and delivery dates as YYYY-MM-DD' };
+  }
+
+  if (!timelineIssue && carriageTemperature !== undefined && !(Math.abs(carriageTemperature) <= 100)) {
+    timelineIssue = { type: 'INVALID_TEMPERATURE', message: `Invalid carriage temperature: ${payload.carriageTemperature}`, recommendation: 'Enter the carriage temperature in °C (e.g., 5 or -20)' };
+  }
+
+  if (timelineIssue) {
+    return {
+      isValid: false,
+      issues: [{ ...timelineIssue, severity: 'error' }],
+      warnings: [],
+      recommendations: [],
+      details: {}
+    };
+  }
+
+  const invalidLegWeightIdx = legs.findIndex(leg => {
+    const legWeight = parseFloat(leg.weight) || 0;
+    return leg.weight !== undefined && (legWeight <= 0 || legWeight > weight);
+  });
+  if (invalidLegWeightIdx !== -1) {
+    return {
+      isValid: false,
+      issues: [{
+        type: 'INVALID_WEIGHT',
+        severity: 'error',
+        message: `Invalid weight for leg ${invalidLegWeightIdx + 1}: ${legs[invalidLegWeightIdx].weight}kg. Must be above 0 and at most the shipment weight of ${weight}kg`,
+        recommendation: 'Enter the cargo weight carried on each leg in kilograms'
+      }],
+      warnings: [],
+      recommendations: [],
+      details: {}
+    };
+  }
   
   const validationResult = {
     isValid: true,
@@ -126,106 +393,111 @@ async function validateCompliance(payload) {
   };
 
   try {
-    // Validate UN code for hazmat cargo
-    if (unCode && cargoType === 'hazmat') {
-      const unCodeData = complianceRules.complianceRules.unCodes.rules.find(
-        rule => rule.code.toLowerCase() === unCode.toLowerCase()
-      );
-
-      if (!unCodeData) {
-        validationResult.isValid = false;
-        validationResult.issues.push({
-          type: 'INVALID_UN_CODE',
-          severity: 'error',
-          message: `UN code ${unCode} not found in compliance database. Please verify the code.`,
-          recommendation: 'Check IATA DGR or IMO IMDG Code for correct UN classification.'
-        });
-      } else {
-        // Check transport mode restrictions
-        const modeRestriction = unCodeData.restrictions[transportMode];
-        
-        if (!modeRestriction || !modeRestriction.allowed) {
-          validationResult.isValid = false;
-          validationResult.issues.push({
-            type: 'TRANSPORT_MODE_FORBIDDEN',
-            severity: 'error',
-            message: `${unCodeData.name} (${unCode}) is forbidden for ${transportMode} transport.`,
-            recommendation: `Consider alternate transport modes: ${Object.keys(unCodeData.restrictions).filter(m => unCodeData.restrictions[m].allowed).join(', ')}`
-          });
-        } else {
-          // Check weight limits
-          const maxQty = modeRestriction.maxQuantity;
-          if (maxQty && maxQty !== 'unlimited') {
-            const limit = parseInt(maxQty.replace(/[^0-9]/g, ''));
-            if (weight > limit) {
-              validationResult.isValid = false;
-              validationResult.issues.push({
-                type: 'WEIGHT_LIMIT_EXCEEDED',
-                severity: 'error',
-                message: `Cargo weight ${weight}kg exceeds ${transportMode} limit of ${maxQty}.`,
-                recommendation: 'Split shipment or use different transport mode.'
-              });
-            }
-          }
+    const routeFacts = buildRouteFacts({
+      origin: payload.origin,
+      destination: payload.destination,
+      transportMode,
+      legs,
+      distance: payload.distance,
+      timeline,
+      cargoType,
+      weight
+    }, rules);
+    const routeFindings = runChecks(rules.complianceChecks.rules, 'route', routeFacts);
+    const routeIssues = routeFindings.filter(item => item.severity === 'error');
+    validationResult.details.route = routeFacts;
+
+    // Without a transport mode only the route checks apply
+    if (routeFacts.transportModes.length === 0) {
+      validationResult.isValid = routeIssues.length === 0;
+      validationResult.issues.push(...routeIssues);
+      validationResult.warnings.push(...routeFindings.filter(item => item.severity !== 'error'));
+      return validationResult;
+    }
 
-          // Check passenger aircraft restrictions for air transport
-          if (transportMode === 'air' && !modeRestriction.passengerAircraft) {
-            validationResult.warnings.push({
-              type: 'PASSENGER_AIRCRAFT_RESTRICTION',
-              severity: 'warning',
-              message: `${unCodeData.name} forbidden on passenger aircraft. Cargo aircraft only.`,
-              recommendation: 'Ensure booking specifies cargo aircraft routing.'
-            });
-          }
+    const cargo = {
+      unCode,
+      packingGroup,
+      cargoType,
+      weight,
+      quantity,
+      quantityType,
+      packages,
+      density,
+      aircraftType,
+      carriageTemperature,
+      transitDays: timeline?.transitDays
+    };
 
-          // Add compliance details
-          validationResult.details.unCode = {
-            code: unCode,
-            name: unCodeData.name,
-            class: unCodeData.class,
-            packingGroup: unCodeData.packingGroup,
-            restrictions: modeRestriction,
-            specialProvisions: modeRestriction.specialProvisions || []
-          };
-        }
-      }
+    if (timeline) {
+      validationResult.details.timeline = timeline;
     }
 
-    // Check for perishable/temperature-controlled cargo
-    if (cargoType === 'perishable' || cargoType === 'temperature-controlled') {
-      const perishableRules = complianceRules.complianceRules.perishableGoods.rules;
-      const category = cargoType === 'perishable' ? 'refrigerated' : 'temperature_controlled';
-      const perishableData = perishableRules.find(r => r.category === category);
+    if (legs.length > 0) {
+      // Multimodal shipment: check each leg and each transition between legs
+      const legValidation = validateLegs(legs, cargo, rules);
+
+      validationResult.isValid = legValidation.isValid;
+      validationResult.issues.push(...legValidation.issues);
+      validationResult.warnings.push(...legValidation.warnings);
+      validationResult.details.modes = legs.map(leg => leg.transportMode);
+      validationResult.legs = legValidation.legs;
+      validationResult.transitions = legValidation.transitions;
+    } else {
+      const legResult = checkLeg({ transportMode, transitDays: timeline?.transitDays }, cargo, rules);
+
+      validationResult.isValid = legResult.isValid;
+      validationResult.issues.push(...legResult.issues);
+      validationResult.warnings.push(...legResult.warnings);
+      Object.assign(validationResult.details, legResult.details);
+    }
 
-      if (perishableData) {
-        validationResult.warnings.push({
-          type: 'PERISHABLE_REQUIREMENTS',
-          severity: 'warning',
-          message: `Temperature-controlled cargo requires ${perishableData.temperatureRange.min}°C to ${perishableData.temperatureRange.max}°C.`,
-          recommendation: `Max transit time for ${transportMode}: ${perishableData.maxTransitDays[transportMode]} days. ${perishableData.notes}`
-        });
+    // Checks of the shipment as a whole, e.g. its total transit time
+    const unCodes = unCode ? [unCode] : cargoLines.map(line => line.unCode);
+    const shipmentFacts = buildShipmentFacts(legs, cargo, routeFacts.transportModes, unCodes, rules);
+    const shipmentFindings = runChecks(rules.complianceChecks.rules, 'shipment', shipmentFacts);
+    const shipmentIssues = shipmentFindings.filter(item => item.severity === 'error');
+    validationResult.isValid = validationResult.isValid && shipmentIssues.length === 0;
+    validationResult.issues.push(...shipmentIssues);
+    validationResult.warnings.push(...shipmentFindings.filter(item => item.severity !== 'error'));
+
+    // Mixed consignment: check each cargo line like a single UN code, then segregation between lines
+    if (cargoLines.length > 0) {
+      validationResult.cargoLines = cargoLines.map((line, idx) => {
+        const lineCargo = { ...cargo, ...line, cargoType: 'hazmat', quantity: line.quantity || undefined };
+        const lineResult = legs.length > 0
+          ? validateLegs(legs, lineCargo, rules)
+          : checkLeg({ transportMode }, lineCargo, rules);
+        const tagLine = item => ({ ...item, cargoLine: idx + 1, message: `Cargo line ${idx + 1} (${line.unCode}): ${item.message}` });
+        // Transitions depend on the cargo type only and are reported for the shipment
+        const issues = lineResult.issues.map(tagLine);
+        const warnings = lineResult.warnings.filter(item => !item.transition).map(tagLine);
+
+        validationResult.isValid = validationResult.isValid && lineResult.isValid;
+        validationResult.issues.push(...issues);
+        validationResult.warnings.push(...warnings);
 
-        validationResult.details.perishable = {
-          category: perishableData.category,
-          temperatureRange: perishableData.temperatureRange,
-          maxTransitDays: perishableData.maxTransitDays[transportMode],
-          notes: perishableData.notes
+        return {
+          line: idx + 1,
+          unCode: line.unCode,
+          isValid: lineResult.isValid,
+          issues,
+          warnings,
+          ...(legs.length > 0 ? { legs: lineResult.legs } : { details: lineResult.details })
         };
-      }
+      });
+
+      const segregation = checkSegregation(cargoLines, rules);
+      validationResult.isValid = validationResult.isValid && segregation.issues.length === 0;
+      validationResult.issues.push(...segregation.issues);
+      validationResult.warnings.push(...segregation.warnings);
+      validationResult.segregation = { conflicts: segregation.conflicts };
     }
 
     // General route validation
-    const routeRules = complianceRules.complianceRules.routeValidation.rules;
-    const transportModeCheck = routeRules.find(r => r.check === 'transport_mode_required');
-    if (!transportMode) {
-      validationResult.isValid = false;
-      validationResult.issues.push({
-        type: 'MISSING_TRANSPORT_MODE',
-        severity: 'error',
-        message: transportModeCheck.message,
-        recommendation: 'Specify transport mode: air, sea, road, or rail.'
-      });
-    }
+    validationResult.isValid = validationResult.isValid && routeIssues.length === 0;
+    validationResult.issues.push(...routeIssues);
+    validationResult.warnings.push(...routeFindings.filter(item => item.severity !== 'error'));
 
     // Summary recommendations
     if (validationResult.isValid && validationResult.warnings.length === 0) {
@@ -265,17 +537,26 @@ async function validateCompliance(payload) {
  * @param {string} payload.shipmentId - Unique shipment identifier
  * @param {string} payload.outcome - Decision outcome details
  * @param {string} payload.notes - Optional context/justification
+ * @param {string} payload.attachmentIds - Optional comma-separated IDs of attachments on the shipment issue backing the decision
+ * @param {string} payload.ruleSetVersion - Optional rule set version the decision was validated under (default: the one in effect now)
+ * @param {Object} context - Forge invocation context identifying the acting user
  * @returns {Object} Log entry with hash and verification details
  */
-async function logComplianceDecision(payload) {
+async function logComplianceDecision(payload, context) {
   console.log('Logging compliance decision:', payload);
 
   try {
-    const { action, shipmentId, outcome, notes } = payload;
+    const { action, shipmentId, outcome, notes, attachmentIds, ruleSetVersion } = payload;
 
-    // Get user context from the request (if available)
-    // In production, this would come from Forge context API
-    const userId = 'system'; // Placeholder - replace with actual user ID from context
+    const userId = getInvocationAccountId(context);
+    if (!userId) {
+      return {
+        success: false,
+        error: 'Unable to identify the acting user from the invocation context',
+        message: 'Failed to log compliance decision. Decisions must be attributable to a user.',
+        recommendation: 'Invoke this action as a signed-in user.'
+      };
+    }
 
     // Create decision outcome object
     const decisionOutcome = {
@@ -288,8 +569,12 @@ async function logComplianceDecision(payload) {
     const logEntry = await logToHashChain({
       action,
       userId,
+      source: DECISION_SOURCES.ROVO_ACTION,
+      conversationId: getRovoConversationId(payload, context),
       shipmentId,
-      outcome: decisionOutcome
+      outcome: decisionOutcome,
+      attachmentIds,
+      ruleSetVersion
     });
 
     console.log(`Decision logged with hash: ${logEntry.hash.substring(0, 16)}...`);
@@ -299,10 +584,17 @@ async function logComplianceDecision(payload) {
       logEntry: {
         hash: logEntry.hash,
         previousHash: logEntry.previousHash,
+        sequence: logEntry.sequence,
         timestamp: logEntry.timestamp,
         action: logEntry.action,
+        userId: logEntry.userId,
+        source: logEntry.source,
+        conversationId: logEntry.conversationId,
         shipmentId: logEntry.shipmentId,
-        outcome: logEntry.decision
+        outcome: logEntry.decision,
+        evidence: logEntry.evidence || [],
+        ruleSet: logEntry.ruleSet || null,
+        signature: logEntry.signature
       },
       message: 'Compliance decision logged successfully. Hash can be used for audit verification.',
       auditNote: 'This log entry is cryptographically linked to previous entries. Any tampering will break the chain.'
@@ -314,16 +606,399 @@ async function logComplianceDecision(payload) {
       success: false,
       error: error.message,
       message: 'Failed to log compliance decision. Please try again.',
+      recommendation: 'Ensure shipment ID is valid, attachment IDs refer to attachments on the Jira issue, and Forge storage is accessible.'
+    };
+  }
+}
+
+/**
+ * Amend Compliance Decision Action Handler
+ * 
+ * Corrects a previously logged decision by appending an amendment entry that
+ * references the hash of the entry being corrected. The original entry stays in
+ * the chain unchanged; the effective view shows the corrected outcome.
+ * 
+ * @param {Object} payload - Amendment request
+ * @param {string} payload.shipmentId - Shipment the decision was logged for
+ * @param {string} payload.entryHash - Hash of the log entry being corrected
+ * @param {string} payload.reason - Why the decision is being corrected
+ * @param {string} payload.outcome - Corrected decision outcome
+ * @param {string} payload.notes - Optional context for the corrected outcome
+ * @param {Object} context - Forge invocation context identifying the acting user
+ * @returns {Object} Amendment entry with hash and verification details
+ */
+async function amendComplianceDecision(payload, context) {
+  console.log('Amending compliance decision:', payload);
+
+  try {
+    const { shipmentId, reason, outcome, notes } = payload || {};
+    const entryHash = String(payload?.entryHash || '').trim().toLowerCase();
+
+    if (!shipmentId || !/^[a-f0-9]{64}$/.test(entryHash) || !reason || !outcome) {
+      return {
+        success: false,
+        error: 'Missing required fields: shipmentId, entryHash (64 characters), reason and outcome',
+        recommendation: 'Provide the shipment ID, the full hash of the entry to correct, the reason and the corrected outcome'
+      };
+    }
+
+    const userId = getInvocationAccountId(context);
+    if (!userId) {
+      return {
+        success: false,
+        error: 'Unable to identify the acting user from the invocation context',
+        recommendation: 'Invoke this action as a signed-in user; corrections must be attributable.'
+      };
+    }
+
+    const amendment = await amendDecision({
+      shipmentId,
+      amendsHash: entryHash,
+      reason,
+      userId,
+      source: DECISION_SOURCES.ROVO_ACTION,
+      conversationId: getRovoConversationId(payload, context),
+      correctedOutcome: {
+        status: outcome,
+        notes: notes || '',
+        timestamp: new Date().toISOString()
+      }
+    });
+
+    return {
+      success: true,
+      amendment: {
+        hash: amendment.hash,
+        amends: entryHash,
+        reason: amendment.decision.reason,
+        correctedOutcome: amendment.decision.correctedOutcome,
+        userId: amendment.userId,
+        source: amendment.source,
+        conversationId: amendment.conversationId,
+        timestamp: amendment.timestamp,
+        shipmentId: amendment.shipmentId,
+        signature: amendment.signature
+      },
+      message: 'Decision corrected. The original entry remains in the chain and is shown as amended.',
+      auditNote: 'Amendments are appended to the hash chain; the original decision is never modified.'
+    };
+
+  } catch (error) {
+    console.error('Compliance amendment error:', error);
+    return {
+      success: false,
+      error: error.message,
+      recommendation: 'Check that the entry hash belongs to this shipment and is not itself an amendment.'
+    };
+  }
+}
+
+/**
+ * Get Inclusion Proof Action Handler
+ * 
+ * Returns a compact Merkle inclusion proof for a single logged decision. The proof,
+ * the entry and the daily root are enough to verify the decision offline without
+ * disclosing the rest of the ledger.
+ * 
+ * @param {Object} payload - Proof request
+ * @param {string} payload.entryHash - Hash of the log entry
+ * @returns {Object} Inclusion proof with daily Merkle root
+ */
+async function getEntryInclusionProof(payload) {
+  console.log('Getting inclusion proof:', payload);
+
+  try {
+    const entryHash = String(payload?.entryHash || '').trim().toLowerCase();
+
+    if (!/^[a-f0-9]{64}$/.test(entryHash)) {
+      return {
+        success: false,
+        error: `Invalid entry hash: ${entryHash}`,
+        recommendation: 'Provide the full 64-character hash of the log entry'
+      };
+    }
+
+    const inclusionProof = await getInclusionProof(entryHash);
+
+    if (!inclusionProof) {
+      return {
+        success: false,
+        error: 'Entry has not been anchored yet',
+        recommendation: 'Entries are anchored daily. Try again after the next daily anchoring run.'
+      };
+    }
+
+    return {
+      success: true,
+      ...inclusionProof,
+      message: `Entry is included in the Merkle root for ${inclusionProof.day}.`
+    };
+
+  } catch (error) {
+    console.error('Inclusion proof error:', error);
+    return {
+      success: false,
+      error: error.message,
+      recommendation: 'Ensure the entry hash is valid and Forge storage is accessible.'
+    };
+  }
+}
+
+/**
+ * Export Audit Bundle Action Handler
+ * 
+ * Exports a shipment's full decision chain as a signed, self-verifying JSON bundle
+ * plus a CSV rendering. The bundle includes the entries, hash algorithm and
+ * serialization version, verification report, rule version and public signing keys,
+ * so auditors can check it offline with the standalone verifier.
+ * 
+ * @param {Object} payload - Export request
+ * @param {string} payload.shipmentId - Shipment/issue ID to export
+ * @returns {Object} Signed JSON bundle, CSV rendering and verification summary
+ */
+async function exportAuditBundle(payload) {
+  console.log('Exporting audit bundle:', payload);
+
+  try {
+    const shipmentId = String(payload?.shipmentId || '').trim();
+
+    if (!shipmentId) {
+      return {
+        success: false,
+        error: 'Missing required field: shipmentId',
+        recommendation: 'Provide the shipment or issue ID to export'
+      };
+    }
+
+    const bundle = await buildAuditBundle(shipmentId);
+
+    if (bundle.entryCount === 0) {
+      return {
+        success: false,
+        error: `No decision logs found for shipment: ${shipmentId}`,
+        recommendation: 'Logs appear once compliance decisions are recorded for the shipment.'
+      };
+    }
+
+    return {
+      success: true,
+      bundle,
+      csv: renderAuditBundleCsv(bundle),
+      summary: {
+        shipmentId,
+        entryCount: bundle.entryCount,
+        isValid: bundle.verification.isValid,
+        bundleHash: bundle.bundleHash,
+        signingKeyId: bundle.signature.keyId
+      },
+      message: `Exported ${bundle.entryCount} decision log entries for ${shipmentId}. Chain ${bundle.verification.isValid ? 'verified' : 'FAILED verification'}.`,
+      auditNote: 'Verify offline with: node scripts/verify-audit-bundle.js <bundle.json> <trusted-keys.json>, using the published public key registry'
+    };
+
+  } catch (error) {
+    console.error('Audit bundle export error:', error);
+    return {
+      success: false,
+      error: error.message,
       recommendation: 'Ensure shipment ID is valid and Forge storage is accessible.'
     };
   }
 }
 
+/**
+ * Verify Decision Evidence Action Handler
+ * 
+ * Downloads the Jira attachments recorded as evidence on a shipment's logged
+ * decisions again and reports whether any file changed or was deleted since
+ * the decision was logged.
+ * 
+ * @param {Object} payload - Evidence verification request
+ * @param {string} payload.shipmentId - Shipment/issue ID
+ * @param {string} payload.entryHash - Optional hash of a single log entry to check
+ * @returns {Object} Per-entry evidence status and counts
+ */
+async function verifyDecisionEvidence(payload) {
+  console.log('Verifying decision evidence:', payload);
+
+  try {
+    const shipmentId = String(payload?.shipmentId || '').trim();
+    const entryHash = payload?.entryHash ? String(payload.entryHash).trim().toLowerCase() : undefined;
+
+    if (!shipmentId) {
+      return {
+        success: false,
+        error: 'Missing required field: shipmentId',
+        recommendation: 'Provide the shipment or issue ID whose decision evidence should be checked'
+      };
+    }
+
+    const result = await verifyShipmentEvidence(shipmentId, { entryHash });
+
+    let message;
+    if (result.filesChecked === 0) {
+      message = `No evidence attachments are recorded for ${shipmentId}${entryHash ? ' in that entry' : ''}.`;
+    } else if (result.evidenceChanged) {
+      message = `Evidence changed since it was logged: ${result.changed} file(s) modified, ${result.missing} file(s) deleted.`;
+    } else if (!result.isComplete) {
+      message = `${result.unavailable} evidence file(s) could not be downloaded; the others are unchanged.`;
+    } else {
+      message = `All ${result.filesChecked} evidence file(s) are unchanged since they were logged.`;
+    }
+
+    return {
+      success: true,
+      ...result,
+      message
+    };
+
+  } catch (error) {
+    console.error('Evidence verification error:', error);
+    return {
+      success: false,
+      error: error.message,
+      recommendation: 'Ensure the shipment ID is valid and the app can read the Jira issue attachments.'
+    };
+  }
+}
+
+/**
+ * Query Decision Logs Action Handler
+ * 
+ * Searches decision log entries across all shipments using the secondary log
+ * indexes. Filters are combined; results are paginated with an opaque cursor.
+ * 
+ * @param {Object} payload - Query request
+ * @param {string} payload.action - Optional decision action (e.g. mode_switch)
+ * @param {string} payload.shipmentIdPrefix - Optional shipment ID prefix
+ * @param {string} payload.userId - Optional acting account ID
+ * @param {string} payload.status - Optional decision status
+ * @param {string} payload.from - Optional earliest date (ISO 8601)
+ * @param {string} payload.to - Optional latest date (ISO 8601)
+ * @param {string} payload.order - 'desc' (newest first, default) or 'asc'
+ * @param {number} payload.limit - Optional page size (default 50, max 200)
+ * @param {string} payload.cursor - Optional cursor from the previous page
+ * @returns {Object} Matching entry summaries and pagination cursor
+ */
+async function queryComplianceLogs(payload) {
+  console.log('Querying decision logs:', payload);
+
+  try {
+    const result = await queryDecisionLogs(payload || {});
+
+    return {
+      success: true,
+      ...result,
+      count: result.entries.length,
+      message: result.entries.length > 0
+        ? `Found ${result.entries.length} matching decision log entries${result.hasMore ? ' (more available)' : ''}.`
+        : 'No decision log entries match the filters.'
+    };
+
+  } catch (error) {
+    console.error('Decision log query error:', error);
+    return {
+      success: false,
+      error: error.message,
+      recommendation: 'Use ISO 8601 dates (e.g. 2025-07-01) and pass the cursor unchanged from the previous page.'
+    };
+  }
+}
+
+/**
+ * Set Legal Hold Action Handler
+ * 
+ * Places or releases a legal hold on a shipment. Held shipments are skipped by
+ * the retention policy, so their full decision log stays in the live chain.
+ * Only Jira administrators and administrators of the shipment's project may
+ * change a hold; both placing and releasing it are logged on the chain.
+ * 
+ * @param {Object} payload - Legal hold request
+ * @param {string} payload.shipmentId - Shipment/issue ID
+ * @param {boolean} payload.hold - true to place the hold, false to release it
+ * @param {string} payload.reason - Why the hold is placed or released
+ * @param {Object} context - Forge invocation context identifying the acting user
+ * @returns {Object} Current legal hold state for the shipment
+ */
+async function setShipmentLegalHold(payload, context) {
+  console.log('Setting legal hold:', payload);
+
+  try {
+    const shipmentId = String(payload?.shipmentId || '').trim();
+    const hold = payload?.hold === true || payload?.hold === 'true';
+
+    if (!shipmentId) {
+      return {
+        success: false,
+        error: 'Missing required field: shipmentId',
+        recommendation: 'Provide the shipment or issue ID to place or release the hold on'
+      };
+    }
+
+    const userId = getInvocationAccountId(context);
+    if (!userId) {
+      return {
+        success: false,
+        error: 'Unable to identify the acting user from the invocation context',
+        recommendation: 'Invoke this action as a signed-in user; legal holds must be attributable.'
+      };
+    }
+
+    if (!await canManageLegalHold(shipmentId)) {
+      return {
+        success: false,
+        error: `You do not have permission to change the legal hold on ${shipmentId}`,
+        recommendation: 'Legal holds can only be placed or released by Jira administrators or administrators of the shipment\'s project.'
+      };
+    }
+
+    if (!hold) {
+      const released = await releaseLegalHold({
+        shipmentId,
+        reason: payload.reason,
+        userId,
+        source: DECISION_SOURCES.ROVO_ACTION
+      });
+
+      return {
+        success: true,
+        shipmentId,
+        legalHold: null,
+        message: released
+          ? `Legal hold released on ${shipmentId}. Its decision log is subject to the retention policy again.`
+          : `${shipmentId} had no legal hold.`
+      };
+    }
+
+    const legalHold = await setLegalHold({
+      shipmentId,
+      reason: payload.reason,
+      userId,
+      source: DECISION_SOURCES.ROVO_ACTION
+    });
+
+    return {
+      success: true,
+      shipmentId,
+      legalHold,
+      message: `Legal hold placed on ${shipmentId}. Its decision log will not be archived until the hold is released.`
+    };
+
+  } catch (error) {
+    console.error('Legal hold error:', error);
+    return {
+      success: false,
+      error: error.message,
+      recommendation: 'Provide a reason when placing or releasing a legal hold.'
+    };
+  }
+}
+
 /**
  * Calculate Emissions Action Handler
  * 
  * Calculates carbon emissions for shipment routes based on distance, weight, and transport mode.
- * Checks against EU ETS thresholds and recommends carbon offsets if needed.
+ * Checks against EU ETS thresholds and recommends carbon offsets if needed; the recommendations
+ * are the `emissions` compliance checks of the rule set.
  * 
  * @param {Object} payload - Emission calculation request
  * @param {string} payload.origin - Origin location
@@ -331,7 +1006,9 @@ async function logComplianceDecision(payload) {
  * @param {string} payload.transportMode - Transport mode (air/sea/road/rail)
  * @param {number} payload.weight - Cargo weight in kg
  * @param {number} payload.distance - Optional route distance in km
- * @returns {Object} Emission calculation result with compliance status
+ * @param {string} payload.shipmentDate - ISO 8601 booking date selecting the rule set (optional, default today)
+ * @param {string} payload.ruleSetVersion - Rule set version to calculate under, overriding the date (optional)
+ * @returns {Object} Emission calculation result with compliance status and the `ruleSet` used
  */
 async function calculateEmissions(payload) {
   console.log('Calculating emissions:', payload);
@@ -378,9 +1055,20 @@ async function calculateEmissions(payload) {
     };
   }
 
+  let ruleSet;
+  try {
+    ruleSet = await selectEffectiveRuleSet({ version: payload.ruleSetVersion, shipmentDate: payload.shipmentDate });
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      recommendation: 'Give a valid shipment date (YYYY-MM-DD) or one of the available rule set versions'
+    };
+  }
+
   try {
     // Get emission factor from rules
-    const emissionFactors = complianceRules.complianceRules.emissionThresholds.emissionFactors;
+    const emissionFactors = ruleSet.rules.emissionThresholds.emissionFactors;
     const factor = emissionFactors[transportMode];
 
     if (!factor) {
@@ -406,14 +1094,14 @@ async function calculateEmissions(payload) {
     const totalEmissions = tonKm * factor;
 
     // Check against EU ETS threshold
-    const euEtsRule = complianceRules.complianceRules.emissionThresholds.rules.find(
+    const euEtsRule = ruleSet.rules.emissionThresholds.rules.find(
       r => r.regulation === 'EU_ETS'
     );
     const euEtsThreshold = euEtsRule.threshold;
     const exceedsEuEts = totalEmissions > euEtsThreshold;
 
     // Check against offset recommendation threshold
-    const offsetRule = complianceRules.complianceRules.emissionThresholds.rules.find(
+    const offsetRule = ruleSet.rules.emissionThresholds.rules.find(
       r => r.regulation === 'GENERAL_CARBON_OFFSET'
     );
     const offsetThreshold = offsetRule.threshold;
@@ -448,19 +1136,22 @@ async function calculateEmissions(payload) {
           notes: offsetRecommended ? offsetRule.notes : 'Carbon offset optional'
         }
       },
-      recommendations: []
+      recommendations: [],
+      ruleSet: getRuleSetReference(ruleSet)
     };
 
-    // Add recommendations
-    if (exceedsEuEts) {
-      result.recommendations.push('EU ETS compliance reporting required for this shipment.');
-    }
-    if (offsetRecommended) {
-      result.recommendations.push(`Consider purchasing carbon offsets (${Math.round(totalEmissions)}kg CO2).`);
-    }
-    if (transportMode === 'air' && totalEmissions > 100) {
-      result.recommendations.push('Consider sea or rail transport to reduce emissions by up to 98%.');
-    }
+    // Add recommendations from the emission checks of the rule set
+    const emissionFacts = {
+      transportMode,
+      weight,
+      distance: routeDistance,
+      emissionFactor: factor,
+      totalEmissions,
+      thresholds: Object.fromEntries(ruleSet.rules.emissionThresholds.rules.map(rule => [rule.regulation, rule.threshold]))
+    };
+    runChecks(ruleSet.rules.complianceChecks.rules, 'emissions', emissionFacts).forEach(item => {
+      result.recommendations.push(item.message);
+    });
 
     console.log('Emission calculation completed:', result);
     return result;
@@ -488,6 +1179,10 @@ async function calculateEmissions(payload) {
  * @param {number} payload.weight - Cargo weight in kg
  * @param {string} payload.unCode - Optional UN code for hazmat
  * @param {string} payload.transportMode - Transport mode
+ * @param {string} payload.aircraftType - Aircraft type for air transport (optional)
+ * @param {string} payload.pickupDate - ISO 8601 pickup date (optional)
+ * @param {string} payload.deliveryDate - ISO 8601 delivery date (optional)
+ * @param {number} payload.carriageTemperature - Carriage temperature in °C for perishables (optional)
  * @returns {Object} Combined validation and emission results
  */
 async function shipmentPanelResolver(payload) {
@@ -496,18 +1191,25 @@ async function shipmentPanelResolver(payload) {
   try {
     // Run compliance validation
     const validation = await validateCompliance({
+      origin: payload.origin,
+      destination: payload.destination,
       unCode: payload.unCode,
       transportMode: payload.transportMode,
+      aircraftType: payload.aircraftType,
       cargoType: payload.cargoType,
-      weight: payload.weight
+      weight: payload.weight,
+      pickupDate: payload.pickupDate,
+      deliveryDate: payload.deliveryDate,
+      carriageTemperature: payload.carriageTemperature
     });
 
-    // Run emission calculation
+    // Run emission calculation under the same rule set
     const emissions = await calculateEmissions({
       origin: payload.origin,
       destination: payload.destination,
       transportMode: payload.transportMode,
-      weight: payload.weight
+      weight: payload.weight,
+      ruleSetVersion: validation.ruleSet?.version
     });
 
     return {
@@ -561,9 +1263,34 @@ shipmentResolver.define('validateShipmentData', async (req) => {
       cargoType: (payload.cargoType || '').trim(),
       weight: parseFloat(payload.weight) || 0,
       unCode: payload.unCode ? (payload.unCode || '').trim().toUpperCase() : undefined,
-      transportMode: (payload.transportMode || '').trim().toLowerCase()
+      transportMode: (payload.transportMode || '').trim().toLowerCase(),
+      aircraftType: payload.aircraftType ? String(payload.aircraftType).trim().toLowerCase() : undefined,
+      pickupDate: payload.pickupDate ? String(payload.pickupDate).trim() : undefined,
+      deliveryDate: payload.deliveryDate ? String(payload.deliveryDate).trim() : undefined,
+      carriageTemperature: payload.carriageTemperature === undefined || payload.carriageTemperature === ''
+        ? undefined
+        : parseFloat(payload.carriageTemperature)
     };
 
+    // Fall back to the issue's Shipment Timeline field when no dates were entered
+    const issueKey = req.context?.extension?.issue?.key;
+    if (!sanitizedPayload.pickupDate && !sanitizedPayload.deliveryDate && issueKey) {
+      try {
+        Object.assign(sanitizedPayload, await readIssueTimeline(issueKey));
+      } catch (error) {
+        console.warn(`Could not read shipment timeline of ${issueKey}: ${error.message}`);
+      }
+    }
+
+    // Likewise the Aircraft Type field when no aircraft was entered
+    if (!sanitizedPayload.aircraftType && issueKey) {
+      try {
+        sanitizedPayload.aircraftType = (await readIssueAircraftType(issueKey)) || undefined;
+      } catch (error) {
+        console.warn(`Could not read aircraft type of ${issueKey}: ${error.message}`);
+      }
+    }
+
     // Input validation
     if (!sanitizedPayload.origin || !sanitizedPayload.destination) {
       return {
@@ -621,11 +1348,16 @@ shipmentResolver.define('validateShipmentData', async (req) => {
   }
 });
 
+// Leg issues that follow from the UN code and the aircraft alone
+const AIRCRAFT_ISSUE_TYPES = ['TRANSPORT_MODE_FORBIDDEN', 'PASSENGER_AIRCRAFT_FORBIDDEN', 'CARGO_AIRCRAFT_FORBIDDEN'];
+
 /**
  * Workflow Validator Handler
  * 
  * Validates shipment compliance before allowing workflow transitions.
- * Checks UN codes, emission thresholds, and perishable requirements.
+ * Checks UN codes, emission thresholds, and perishable requirements. Hazmat
+ * shipments booked on an aircraft (the issue's Aircraft Type field) are
+ * blocked when the UN code is forbidden on that aircraft.
  * 
  * @param {Object} args - Workflow transition data
  * @param {Object} args.issue - Jira issue being transitioned
@@ -676,16 +1408,27 @@ async function workflowValidator(args) {
       
       // Validate UN code exists in rules
       const unCode = unCodeMatch[0].toUpperCase();
-      const unCodeData = complianceRules.complianceRules.unCodes.rules.find(
-        rule => rule.code === unCode
-      );
-      
-      if (!unCodeData) {
+      const { rules } = await selectEffectiveRuleSet();
+      if (!isKnownUnCode(unCode, rules)) {
         return {
           result: false,
           errorMessage: `UN code ${unCode} not found in compliance database. Please verify the code before proceeding.`
         };
       }
+
+      // An aircraft booking implies an air leg; the quantity is not known here, only the aircraft is checked
+      const aircraftType = issue.key ? await readIssueAircraftType(issue.key) : null;
+      if (aircraftType && aircraftType !== 'unknown') {
+        const legResult = checkLeg({ transportMode: 'air', aircraftType }, { unCode, cargoType: 'hazmat', weight: 0 }, rules);
+        const aircraftIssue = legResult.issues.find(item => AIRCRAFT_ISSUE_TYPES.includes(item.type));
+
+        if (aircraftIssue) {
+          return {
+            result: false,
+            errorMessage: `${aircraftIssue.message} ${aircraftIssue.recommendation}`
+          };
+        }
+      }
     }
 
     // Check for high-emission shipments
@@ -757,22 +1500,27 @@ async function workflowPostFunction(event) {
     // Log decision using hash chain
     const logEntry = await logToHashChain({
       action: decisionAction,
-      userId: event.user?.accountId || 'system',
+      userId: getEventAccountId(event),
+      source: DECISION_SOURCES.WORKFLOW_POST_FUNCTION,
       shipmentId: issue.key,
       outcome: outcome
     });
 
     console.log(`Post function: Decision logged for ${issue.key} with hash ${logEntry.hash.substring(0, 16)}...`);
 
-    // TODO Phase 2: Sync log to Confluence
-    // This would create/update a Confluence page with the decision log
-    // For now, just store in Forge Storage
     await storage.set(`transition-log-${issue.key}-${Date.now()}`, {
       issue: issue.key,
       logEntry: logEntry,
       transition: transition
     });
 
+    // Mirror the decision log to Confluence; the scheduled sync retries failures
+    try {
+      await syncShipmentToConfluence(issue.key);
+    } catch (syncError) {
+      console.error('Failed to sync decision log to Confluence:', syncError.message);
+    }
+
     // Auto-create JSM approval request if transitioning to Pending Approval
     if (transition.to_status?.toLowerCase().includes('pending') || 
         transition.to_status?.toLowerCase().includes('approval')) {
@@ -1019,7 +1767,8 @@ async function issueCreatedHandler(event) {
     // Log creation event
     await logToHashChain({
       action: 'issue_created',
-      userId: event.user?.accountId || 'system',
+      userId: getEventAccountId(event),
+      source: DECISION_SOURCES.ISSUE_TRIGGER,
       shipmentId: issue.key,
       outcome: {
         summary: issueFields.summary,
@@ -1070,7 +1819,8 @@ async function issueUpdatedHandler(event) {
     // Log update event
     await logToHashChain({
       action: 'issue_updated',
-      userId: event.user?.accountId || 'system',
+      userId: getEventAccountId(event),
+      source: DECISION_SOURCES.ISSUE_TRIGGER,
       shipmentId: issue.key,
       outcome: {
         changedFields: changelog?.items?.map(item => ({
@@ -1106,8 +1856,7 @@ async function logMacroRenderer(config) {
     const shipmentId = config.shipmentId || 'default';
     
     // Retrieve log chain from storage
-    const chainKey = `shipment-${shipmentId}-chain`;
-    const logChain = await storage.get(chainKey) || [];
+    const logChain = await readChain(shipmentId);
     
     if (logChain.length === 0) {
       return {
@@ -1123,34 +1872,112 @@ async function logMacroRenderer(config) {
       };
     }
 
-    // Verify chain integrity
-    const { verifyChain } = await import('./hashChain.js');
-    const isValid = verifyChain(logChain);
+    // Verify chain integrity and entry signatures
+    const { buildVerificationReport } = await import('./hashChain.js');
+    const { keys } = await getPublicKeyRegistry();
+    const report = buildVerificationReport(logChain, { keys });
+    const isValid = report.isValid;
+
+    // Earliest RFC 3161 token covering each entry
+    const entryTimestamps = getEntryTimestamps(logChain, await listChainTimestamps(shipmentId));
+    const headTimestamp = entryTimestamps[logChain.length - 1];
 
     // Build Confluence ADF content
-    const content = [{
-      type: 'panel',
-      attrs: {
-        panelType: isValid ? 'success' : 'error'
-      },
+    const summary = [{
+      type: 'paragraph',
       content: [{
+        type: 'text',
+        text: `Shipment: ${shipmentId} | Chain Status: ${isValid ? 'Verified ✓' : 'TAMPERED ✗'} | Entries: ${logChain.length}`,
+        marks: [{ type: 'strong' }]
+      }]
+    }, {
+      type: 'paragraph',
+      content: [{
+        type: 'text',
+        text: headTimestamp
+          ? `Chain head timestamped at ${new Date(headTimestamp.genTime).toISOString()} by ${headTimestamp.tsa}`
+          : 'Chain head not timestamped yet; heads are timestamped hourly'
+      }]
+    }];
+
+    if (!isValid) {
+      summary.push({
         type: 'paragraph',
         content: [{
           type: 'text',
-          text: `Shipment: ${shipmentId} | Chain Status: ${isValid ? 'Verified ✓' : 'TAMPERED ✗'} | Entries: ${logChain.length}`,
-          marks: [{ type: 'strong' }]
+          text: `First broken entry: #${report.firstBrokenIndex + 1} (${report.failureKind}) | Failed entries: ${report.entries.filter(e => e.status === 'failed').length}`
         }]
-      }]
+      });
+    }
+
+    const content = [{
+      type: 'panel',
+      attrs: {
+        panelType: isValid ? 'success' : 'error'
+      },
+      content: summary
     }];
 
-    // Add log entries
+    // Amended entries are struck through and point at their latest correction
+    const amendmentsByTarget = indexAmendments(logChain);
+    const indexByHash = new Map(logChain.map((entry, idx) => [entry?.hash, idx]));
+
+    // Add log entries, highlighting the ones that failed verification
     logChain.forEach((entry, idx) => {
+      const entryReport = report.entries[idx];
+      const line = entry
+        ? `${idx + 1}. ${entry.action} | ${new Date(entry.timestamp).toLocaleString()} | Hash: ${entry.hash.substring(0, 16)}... | Signature: ${getSignatureStatus(entry, keys)}` +
+          (entryTimestamps[idx] ? ` | Timestamped at: ${new Date(entryTimestamps[idx].genTime).toLocaleString()}` : '')
+        : `${idx + 1}. [missing entry]`;
+
+      if (entryReport.status === 'valid') {
+        const corrections = entry ? amendmentsByTarget.get(entry.hash) : null;
+        const latestCorrection = corrections?.[corrections.length - 1];
+        const textNodes = [{
+          type: 'text',
+          text: line,
+          ...(latestCorrection ? { marks: [{ type: 'strike' }] } : {})
+        }];
+
+        if (latestCorrection) {
+          textNodes.push({
+            type: 'text',
+            text: ` → corrected by #${latestCorrection.index + 1}: ${latestCorrection.reason}`
+          });
+        } else if (isAmendment(entry)) {
+          const targetIndex = indexByHash.get(entry.decision?.amends);
+          textNodes.push({
+            type: 'text',
+            text: ` | Corrects #${targetIndex + 1}: ${entry.decision?.reason}`
+          });
+        }
+
+        content.push({
+          type: 'paragraph',
+          content: textNodes
+        });
+        return;
+      }
+
       content.push({
-        type: 'paragraph',
+        type: 'panel',
+        attrs: {
+          panelType: 'error'
+        },
         content: [{
-          type: 'text',
-          text: `${idx + 1}. ${entry.action} | ${new Date(entry.timestamp).toLocaleString()} | Hash: ${entry.hash.substring(0, 16)}...`
-        }]
+          type: 'paragraph',
+          content: [{
+            type: 'text',
+            text: `${line} | FAILED ✗`,
+            marks: [{ type: 'strong' }]
+          }]
+        }, ...entryReport.failures.map(failure => ({
+          type: 'paragraph',
+          content: [{
+            type: 'text',
+            text: `${failure.kind}: ${failure.message}${failure.expected !== null ? ` (expected ${String(failure.expected).substring(0, 16)}, got ${String(failure.actual).substring(0, 16)})` : ''}`
+          }]
+        }))]
       });
     });
 
@@ -1192,33 +2019,67 @@ macroResolverInstance.define('getMacroLogs', async (req) => {
   console.log('getMacroLogs resolver invoked:', req);
 
   try {
-    const { shipmentId = 'default' } = req.payload || {};
+    const { shipmentId = 'default', offset = 0, limit = SEGMENT_SIZE } = req.payload || {};
     
-    // Retrieve log chain from storage
-    const chainKey = `shipment-${shipmentId}-chain`;
-    const logChain = await storage.get(chainKey) || [];
+    // Retrieve one page of the log chain from storage
+    const page = await readChainPage(shipmentId, { offset, limit });
     
-    if (logChain.length === 0) {
+    if (page.total === 0) {
       return {
         shipmentId,
         chain: [],
         chainLength: 0,
+        offset,
+        limit,
+        hasMore: false,
         isValid: true,
-        rootHash: null
+        verification: { firstBrokenIndex: null, failureKind: null, failures: [] },
+        rootHash: null,
+        signatures: { valid: 0, invalid: 0, unsigned: 0 },
+        signingKeys: []
       };
     }
 
-    // Verify chain integrity
-    const { verifyChain } = await import('./hashChain.js');
-    const isValid = verifyChain(logChain);
-    const rootHash = logChain[logChain.length - 1]?.hash;
+    // Verify the whole chain (segment by segment) and the page's signatures
+    const { verifyShipmentChain } = await import('./hashChain.js');
+    const { keys } = await getPublicKeyRegistry();
+    const { report: verification } = await verifyShipmentChain(shipmentId);
+    const amendmentsByTarget = await getAmendmentIndex(shipmentId);
+    const indexByHash = new Map(verification.entries.map(entryReport => [entryReport.hash, entryReport.index]));
+
+    const signatures = { valid: 0, invalid: 0, unsigned: 0 };
+    const chain = page.entries.map((entry, idx) => {
+      const entryReport = verification.entries[page.offset + idx];
+      const signatureStatus = entry ? getSignatureStatus(entry, keys) : 'unsigned';
+      const corrections = entry ? amendmentsByTarget.get(entry.hash) || [] : [];
+      signatures[signatureStatus]++;
+      return {
+        ...entry,
+        index: page.offset + idx,
+        signatureStatus,
+        verificationStatus: entryReport.status,
+        failures: entryReport.failures,
+        amendedBy: corrections[corrections.length - 1] || null,
+        amendsIndex: isAmendment(entry) ? indexByHash.get(entry.decision?.amends) ?? null : null
+      };
+    });
 
     return {
       shipmentId,
-      chain: logChain,
-      chainLength: logChain.length,
-      isValid,
-      rootHash
+      chain,
+      chainLength: page.total,
+      offset: page.offset,
+      limit: page.limit,
+      hasMore: page.hasMore,
+      isValid: verification.isValid,
+      verification: {
+        firstBrokenIndex: verification.firstBrokenIndex,
+        failureKind: verification.failureKind,
+        failures: verification.failures
+      },
+      rootHash: page.headHash,
+      signatures,
+      signingKeys: keys
     };
 
   } catch (error) {
@@ -1227,6 +2088,42 @@ macroResolverInstance.define('getMacroLogs', async (req) => {
   }
 });
 
+macroResolverInstance.define('getEffectiveView', async (req) => {
+  console.log('getEffectiveView resolver invoked:', req);
+
+  try {
+    const { shipmentId = 'default' } = req.payload || {};
+    return await getEffectiveView(shipmentId);
+  } catch (error) {
+    console.error('getEffectiveView resolver error:', error);
+    throw new Error(`Failed to retrieve effective view: ${error.message}`);
+  }
+});
+
+macroResolverInstance.define('exportAuditBundle', async (req) => {
+  console.log('exportAuditBundle resolver invoked:', req);
+
+  const result = await exportAuditBundle(req.payload || {});
+
+  if (!result.success) {
+    throw new Error(`Failed to export audit bundle: ${result.error}`);
+  }
+
+  return result;
+});
+
+macroResolverInstance.define('getInclusionProof', async (req) => {
+  console.log('getInclusionProof resolver invoked:', req);
+
+  const result = await getEntryInclusionProof(req.payload || {});
+
+  if (!result.success) {
+    throw new Error(`Failed to retrieve inclusion proof: ${result.error}`);
+  }
+
+  return result;
+});
+
 /**
  * Dashboard Gadget Resolver
  * 
@@ -1236,12 +2133,24 @@ macroResolverInstance.define('getMacroLogs', async (req) => {
 
 const dashboardResolverInstance = new Resolver();
 
+dashboardResolverInstance.define('queryDecisionLogs', async (req) => {
+  console.log('queryDecisionLogs resolver invoked:', req);
+
+  const result = await queryComplianceLogs(req.payload || {});
+
+  if (!result.success) {
+    throw new Error(`Failed to query decision logs: ${result.error}`);
+  }
+
+  return result;
+});
+
 dashboardResolverInstance.define('getDashboardMetrics', async (req) => {
   console.log('getDashboardMetrics resolver invoked:', req);
 
   try {
     // Retrieve all log chains from storage to aggregate metrics
-    const allKeys = await storage.query().where('key', 'startsWith', 'shipment-').getMany();
+    const shipmentIds = await listChainShipmentIds();
     
     // Mock metrics for demo (in production, aggregate from actual log chains)
     const delayPatterns = [
@@ -1255,13 +2164,14 @@ dashboardResolverInstance.define('getDashboardMetrics', async (req) => {
     const recentActivities = [];
     
     // Get recent log entries from chains
-    for (const { key, value } of allKeys.results) {
-      if (Array.isArray(value) && value.length > 0) {
+    for (const shipmentId of shipmentIds) {
+      const { total } = await readChainPage(shipmentId, { limit: 0 });
+      if (total > 0) {
         // Get last 2 entries from each chain
-        const recent = value.slice(-2);
-        recent.forEach(entry => {
+        const { entries: recent } = await readChainPage(shipmentId, { offset: Math.max(total - 2, 0), limit: 2 });
+        recent.filter(Boolean).forEach(entry => {
           recentActivities.push({
-            shipmentId: entry.shipmentId || key.replace('shipment-', '').replace('-chain', ''),
+            shipmentId: entry.shipmentId || shipmentId,
             action: entry.action,
             timestamp: entry.timestamp,
             status: entry.decision?.status || 'completed'
@@ -1518,6 +2428,195 @@ knowledgeBaseResolverInstance.define('getKnowledgeBase', async (req) => {
   }
 });
 
+/**
+ * Compliance Rules Admin Resolver
+ * 
+ * Backend resolver for the Jira admin page where emission factors, emission
+ * thresholds, UN codes and perishable goods rules are overridden per rule set
+ * version. Every saved revision is logged to the hash chain as a `rule_change`
+ * decision; if logging fails the previous overrides are put back. The same page
+ * edits the retention policy applied by the daily log archival.
+ */
+
+const adminResolverInstance = new Resolver();
+
+// Sections of the rule set the admin page edits
+const EDITABLE_RULE_SECTIONS = ['emissionThresholds', 'unCodes', 'perishableGoods', 'complianceChecks'];
+
+adminResolverInstance.define('getComplianceRules', async (req) => {
+  console.log('getComplianceRules resolver invoked:', req);
+
+  try {
+    const ruleSet = await selectEffectiveRuleSet({ version: req.payload?.version });
+    const bundled = getRuleSet(ruleSet.version);
+    const stored = await getRuleOverrides(ruleSet.version);
+    const history = (await readChain(RULE_CHANGE_CHAIN_ID))
+      .filter(entry => entry.action === RULE_CHANGE_ACTION && entry.decision?.ruleSetVersion === ruleSet.version)
+      .reverse()
+      .map(entry => ({
+        hash: entry.hash,
+        timestamp: entry.timestamp,
+        userId: entry.userId,
+        revision: entry.decision.revision,
+        reason: entry.decision.reason,
+        changeCount: entry.decision.changes?.length || 0
+      }));
+
+    return {
+      ruleSets: listRuleSets(),
+      version: ruleSet.version,
+      revision: stored.revision,
+      overrides: stored.overrides,
+      updatedAt: stored.updatedAt,
+      updatedBy: stored.updatedBy,
+      reason: stored.reason,
+      bundledRules: Object.fromEntries(EDITABLE_RULE_SECTIONS.map(section => [section, bundled.rules[section]])),
+      changes: diffRules(bundled.rules, ruleSet.rules),
+      ruleSet: getRuleSetReference(ruleSet),
+      history
+    };
+
+  } catch (error) {
+    console.error('getComplianceRules resolver error:', error);
+    throw new Error(`Failed to load compliance rules: ${error.message}`);
+  }
+});
+
+adminResolverInstance.define('previewComplianceRules', async (req) => {
+  console.log('previewComplianceRules resolver invoked:', req);
+
+  try {
+    const { version, overrides } = req.payload || {};
+    const { errors, changes, ruleSet } = previewRuleOverrides(version, overrides);
+
+    return { errors, changes, ruleSet: getRuleSetReference(ruleSet) };
+
+  } catch (error) {
+    console.error('previewComplianceRules resolver error:', error);
+    throw new Error(`Failed to preview compliance rules: ${error.message}`);
+  }
+});
+
+adminResolverInstance.define('saveComplianceRules', async (req) => {
+  console.log('saveComplianceRules resolver invoked:', req);
+
+  try {
+    const { version, overrides, revision, reason } = req.payload || {};
+    const userId = getInvocationAccountId(req.context);
+    if (!userId) {
+      throw new Error('Unable to identify the acting admin; rule changes must be attributable');
+    }
+
+    const { entry: logEntry, saved, changes } = await logRuleChange({
+      version,
+      overrides,
+      revision,
+      userId,
+      reason,
+      source: DECISION_SOURCES.ADMIN_PAGE
+    });
+
+    return {
+      success: true,
+      version: saved.version,
+      revision: saved.revision,
+      changes,
+      ruleSet: logEntry.ruleSet,
+      logHash: logEntry.hash
+    };
+
+  } catch (error) {
+    console.error('saveComplianceRules resolver error:', error);
+    throw new Error(`Failed to save compliance rules: ${error.message}`);
+  }
+});
+
+adminResolverInstance.define('getRetentionPolicy', async (req) => {
+  console.log('getRetentionPolicy resolver invoked:', req);
+
+  try {
+    return { policy: await getRetentionPolicy(), defaults: DEFAULT_RETENTION_POLICY };
+
+  } catch (error) {
+    console.error('getRetentionPolicy resolver error:', error);
+    throw new Error(`Failed to load retention policy: ${error.message}`);
+  }
+});
+
+adminResolverInstance.define('saveRetentionPolicy', async (req) => {
+  console.log('saveRetentionPolicy resolver invoked:', req);
+
+  try {
+    const { retentionMonths, closedStatuses } = req.payload || {};
+    const userId = getInvocationAccountId(req.context);
+    if (!userId) {
+      throw new Error('Unable to identify the acting admin; retention policy changes must be attributable');
+    }
+
+    const policy = await setRetentionPolicy({ retentionMonths, closedStatuses }, { userId });
+
+    return {
+      success: true,
+      policy,
+      message: `Retention policy saved: entries of shipments in ${policy.closedStatuses.join(', ')} are archived after ${policy.retentionMonths} months.`
+    };
+
+  } catch (error) {
+    console.error('saveRetentionPolicy resolver error:', error);
+    throw new Error(`Failed to save retention policy: ${error.message}`);
+  }
+});
+
+adminResolverInstance.define('runChainMigration', async (req) => {
+  console.log('runChainMigration resolver invoked:', req);
+
+  try {
+    const userId = getInvocationAccountId(req.context);
+    if (!userId) {
+      throw new Error('Unable to identify the acting admin; chain migrations must be attributable');
+    }
+
+    const summary = await migrateLegacyChains({ source: DECISION_SOURCES.ADMIN_PAGE, userId });
+
+    console.log(`Chain migration completed: ${summary.migrated} of ${summary.scanned} chains re-linked`);
+
+    return {
+      success: true,
+      ...summary,
+      message: `Re-linked ${summary.migrated} of ${summary.scanned} shipment chains.`
+    };
+
+  } catch (error) {
+    console.error('runChainMigration resolver error:', error);
+    throw new Error(`Failed to migrate chains: ${error.message}`);
+  }
+});
+
+adminResolverInstance.define('runLogIndexBackfill', async (req) => {
+  console.log('runLogIndexBackfill resolver invoked:', req);
+
+  try {
+    const userId = getInvocationAccountId(req.context);
+    if (!userId) {
+      throw new Error('Unable to identify the acting admin; log index backfills must be attributable');
+    }
+
+    const summary = await backfillLogIndex();
+
+    console.log(`Log index backfill by ${userId} completed: ${summary.indexed} entries from ${summary.shipments} shipments`);
+
+    return {
+      success: true,
+      ...summary,
+      message: `Indexed ${summary.indexed} entries from ${summary.shipments} shipments.`
+    };
+
+  } catch (error) {
+    console.error('runLogIndexBackfill resolver error:', error);
+    throw new Error(`Failed to backfill the log index: ${error.message}`);
+  }
+});
+
 /**
  * Scheduled Trend Forecasting Function
  * 
@@ -1536,11 +2635,8 @@ export async function scheduledTrendForecasting({ context }) {
     // 1. Retrieve all shipment chains from last 30 days
     const thirtyDaysAgo = Date.now() - (30 * 24 * 60 * 60 * 1000);
     
-    // Get all storage keys and filter for shipment chains
-    const allStorageKeys = await storage.query().getMany();
-    const allKeys = {
-      results: allStorageKeys.results.filter(item => item.key.startsWith('shipment-'))
-    };
+    // Get all stored shipment chains
+    const shipmentIds = await listChainShipmentIds();
     
     // Initialize aggregation structures
     const delayCauses = new Map();
@@ -1549,10 +2645,11 @@ export async function scheduledTrendForecasting({ context }) {
     let totalShipments = 0;
     
     // 2. Aggregate data from all chains
-    for (const { key, value } of allKeys.results) {
-      if (Array.isArray(value) && value.length > 0) {
+    for (const shipmentId of shipmentIds) {
+      const value = await readChain(shipmentId);
+      if (value.length > 0) {
         // Filter to last 30 days
-        const recentEntries = value.filter(entry => entry.timestamp >= thirtyDaysAgo);
+        const recentEntries = value.filter(entry => entry && entry.timestamp >= thirtyDaysAgo);
         
         if (recentEntries.length === 0) continue;
         
@@ -1688,10 +2785,163 @@ export async function scheduledTrendForecasting({ context }) {
   }
 }
 
+/**
+ * Scheduled Merkle Anchoring Function
+ * 
+ * Runs daily to build a Merkle tree over the decision log entries of every
+ * UTC day that is over and not anchored yet, so days missed by earlier runs
+ * are caught up, and store their roots. Roots back the inclusion proofs
+ * returned by the get-inclusion-proof action.
+ * 
+ * @param {Object} params - Scheduled trigger parameters
+ * @param {Object} params.context - Context object with cloudId and moduleKey
+ * @returns {Promise<Object>} Anchoring result
+ */
+export async function scheduledMerkleAnchoring({ context }) {
+  console.log('Starting scheduled Merkle anchoring for cloudId:', context?.cloudId);
+
+  try {
+    const { anchors, deferred } = await anchorPendingLedgerDays();
+
+    anchors.forEach(anchor => console.log(`Merkle anchoring completed for ${anchor.day}: ${anchor.leafCount} entries`));
+    if (deferred > 0) {
+      console.log(`${deferred} ledger days left for the next Merkle anchoring run`);
+    }
+
+    return {
+      success: true,
+      anchors,
+      deferred
+    };
+
+  } catch (error) {
+    console.error('Merkle anchoring error:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Scheduled Chain Timestamping Function
+ * 
+ * Runs hourly to obtain RFC 3161 timestamp tokens from the configured
+ * time-stamping authority for every shipment chain head that changed since
+ * its last token. Tokens prove to third parties that the logged entries
+ * existed at the TSA's time, independent of the app's own clock.
+ * 
+ * @param {Object} params - Scheduled trigger parameters
+ * @param {Object} params.context - Context object with cloudId and moduleKey
+ * @returns {Promise<Object>} Timestamping summary
+ */
+export async function scheduledChainTimestamping({ context }) {
+  console.log('Starting scheduled chain timestamping for cloudId:', context?.cloudId);
+
+  try {
+    const summary = await runChainTimestamping();
+
+    console.log(`Chain timestamping completed: ${summary.timestamped} of ${summary.scanned} chain heads timestamped, ${summary.deferred} deferred, ${summary.failed} failed`);
+
+    return {
+      success: true,
+      scanned: summary.scanned,
+      timestamped: summary.timestamped,
+      deferred: summary.deferred,
+      failed: summary.failed
+    };
+
+  } catch (error) {
+    console.error('Chain timestamping error:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Scheduled Confluence Sync Function
+ * 
+ * Runs hourly to mirror every shipment's decision chain to its Confluence
+ * page. Chains unchanged since the last sync are skipped, so this also picks
+ * up syncs that failed when the decision was logged.
+ * 
+ * @param {Object} params - Scheduled trigger parameters
+ * @param {Object} params.context - Context object with cloudId and moduleKey
+ * @returns {Promise<Object>} Sync summary
+ */
+export async function scheduledConfluenceSync({ context }) {
+  console.log('Starting scheduled Confluence sync for cloudId:', context?.cloudId);
+
+  try {
+    const summary = await syncAllShipmentsToConfluence();
+
+    console.log(`Confluence sync completed: ${summary.synced} of ${summary.scanned} shipments updated, ${summary.failed} failed`);
+
+    return {
+      success: true,
+      scanned: summary.scanned,
+      synced: summary.synced,
+      failed: summary.failed
+    };
+
+  } catch (error) {
+    console.error('Confluence sync error:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Scheduled Log Archival Function
+ * 
+ * Runs daily to apply the retention policy: entries of closed shipments older
+ * than the retention period move to archive segments, leaving a hashed
+ * checkpoint in the live chain. Shipments under legal hold are skipped.
+ * 
+ * @param {Object} params - Scheduled trigger parameters
+ * @param {Object} params.context - Context object with cloudId and moduleKey
+ * @returns {Promise<Object>} Archival summary
+ */
+export async function scheduledLogArchival({ context }) {
+  console.log('Starting scheduled log archival for cloudId:', context?.cloudId);
+
+  try {
+    const summary = await runRetention({ source: DECISION_SOURCES.SCHEDULED_TRIGGER });
+
+    console.log(`Log archival completed: ${summary.archivedEntries} entries archived from ${summary.archived} of ${summary.scanned} shipments, ${summary.held} on legal hold`);
+
+    return {
+      success: true,
+      scanned: summary.scanned,
+      archived: summary.archived,
+      archivedEntries: summary.archivedEntries,
+      held: summary.held,
+      failed: summary.failed
+    };
+
+  } catch (error) {
+    console.error('Log archival error:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
 // Export all functions and resolvers
 export {
   validateCompliance,
   logComplianceDecision,
+  amendComplianceDecision,
+  getEntryInclusionProof,
+  exportAuditBundle,
+  queryComplianceLogs,
+  verifyDecisionEvidence,
+  setShipmentLegalHold,
   calculateEmissions,
   shipmentPanelResolver,
   workflowValidator,
@@ -1706,3 +2956,4 @@ export const logMacroResolver = macroResolverInstance.getDefinitions();
 export const dashboardResolver = dashboardResolverInstance.getDefinitions();
 export const jsmPanelResolver = jsmPanelResolverInstance.getDefinitions();
 export const knowledgeBaseResolver = knowledgeBaseResolverInstance.getDefinitions();
+export const adminResolver = adminResolverInstance.getDefinitions();
@@ -0,0 +1,276 @@
+/**
+ * Secondary Indexes over LogiBrew Decision Logs
+ *
+ * Each appended entry gets one index record per queryable attribute, keyed so
+ * that a storage prefix query finds all entries with that value in time order:
+ *
+ *   log-idx-time:<iso timestamp>:<hash>
+ *   log-idx-action:<action>:<iso timestamp>:<hash>
+ *   log-idx-user:<userId>:<iso timestamp>:<hash>
+ *   log-idx-status:<status>:<iso timestamp>:<hash>
+ *   log-idx-shipment:<shipmentId>:<iso timestamp>:<hash>
+ *
+ * Attribute values are encoded to storage-key-safe characters (status in lower
+ * case, so status filters are case-insensitive). Every record holds the same
+ * compact entry summary, so queries filter on the remaining criteria without
+ * loading any chain.
+ *
+ * Storage queries only support key prefixes, so a date range narrows the scan
+ * to the longest common prefix of its bounds; the exact bounds are applied to
+ * the summaries.
+ *
+ * Entries written before the indexes existed are indexed by backfillLogIndex.
+ *
+ * @module logIndex
+ */
+
+import { storage, startsWith } from '@forge/api';
+import { AMENDMENT_ACTION } from './chainVerifier.js';
+import { streamChainSegments, streamArchiveSegments, listChainShipmentIds } from './chainStore.js';
+
+const INDEX_KEY_PREFIX = 'log-idx-';
+const QUERY_PAGE_SIZE = 100;
+const DEFAULT_QUERY_LIMIT = 50;
+const MAX_QUERY_LIMIT = 200;
+
+/**
+ * Decision status of an entry
+ *
+ * Amendments report their corrected status; workflow transitions their target status.
+ */
+function getEntryStatus(entry) {
+  const decision = entry.action === AMENDMENT_ACTION ? entry.decision?.correctedOutcome : entry.decision;
+  return String(decision?.status ?? decision?.toStatus ?? '');
+}
+
+/**
+ * Encode a value for use inside a storage key
+ *
+ * Keeps letters, digits, `_` and `-`; everything else becomes `.` plus its
+ * percent-encoded hex, so the encoding is unambiguous and prefix-preserving.
+ */
+function encodeKeyValue(value) {
+  return encodeURIComponent(String(value))
+    .replace(/[.!'()*~]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`)
+    .replace(/%/g, '.');
+}
+
+/**
+ * Compact summary of an entry stored in its index records
+ */
+function summarizeEntry(entry) {
+  return {
+    hash: entry.hash,
+    shipmentId: entry.shipmentId,
+    action: entry.action,
+    userId: entry.userId,
+    source: entry.source ?? null,
+    status: getEntryStatus(entry),
+    timestamp: entry.timestamp,
+    sequence: entry.sequence ?? null
+  };
+}
+
+/**
+ * Index record keys for an entry
+ */
+function getIndexKeys(entry) {
+  const suffix = `${new Date(entry.timestamp).toISOString()}:${entry.hash}`;
+
+  return [
+    `${INDEX_KEY_PREFIX}time:${suffix}`,
+    `${INDEX_KEY_PREFIX}action:${encodeKeyValue(entry.action)}:${suffix}`,
+    `${INDEX_KEY_PREFIX}user:${encodeKeyValue(entry.userId)}:${suffix}`,
+    `${INDEX_KEY_PREFIX}status:${encodeKeyValue(getEntryStatus(entry).toLowerCase())}:${suffix}`,
+    `${INDEX_KEY_PREFIX}shipment:${encodeKeyValue(entry.shipmentId)}:${suffix}`
+  ];
+}
+
+/**
+ * Write the index records for a log entry
+ *
+ * Records are keyed by entry hash, so indexing an entry again is harmless.
+ *
+ * @param {Object} entry - Log entry with hash
+ */
+async function indexLogEntry(entry) {
+  const summary = summarizeEntry(entry);
+  await Promise.all(getIndexKeys(entry).map(key => storage.set(key, summary)));
+}
+
+/**
+ * Parse a date filter given as milliseconds or a date string
+ */
+function parseDateFilter(value, name) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const time = typeof value === 'number' ? value : Date.parse(value);
+  if (!Number.isFinite(time)) {
+    throw new Error(`Invalid ${name} date: ${value}`);
+  }
+
+  return time;
+}
+
+/**
+ * Longest common prefix of two strings
+ */
+function commonPrefix(a, b) {
+  let length = 0;
+  while (length < a.length && length < b.length && a[length] === b[length]) {
+    length++;
+  }
+  return a.slice(0, length);
+}
+
+/**
+ * Pick the index to scan for a query and the key prefix to scan it with
+ *
+ * Attribute indexes are preferred over the time index, the most selective
+ * first. The shipment index is ordered by shipment ID rather than time.
+ */
+function planQuery(filters, from, to) {
+  const timePrefix = from !== null && to !== null
+    ? commonPrefix(new Date(from).toISOString(), new Date(to).toISOString())
+    : '';
+
+  if (filters.userId) {
+    return { prefix: `${INDEX_KEY_PREFIX}user:${encodeKeyValue(filters.userId)}:${timePrefix}`, timeOrdered: true };
+  }
+  if (filters.action) {
+    return { prefix: `${INDEX_KEY_PREFIX}action:${encodeKeyValue(filters.action)}:${timePrefix}`, timeOrdered: true };
+  }
+  if (filters.status) {
+    return {
+      prefix: `${INDEX_KEY_PREFIX}status:${encodeKeyValue(String(filters.status).toLowerCase())}:${timePrefix}`,
+      timeOrdered: true
+    };
+  }
+  if (filters.shipmentIdPrefix) {
+    return { prefix: `${INDEX_KEY_PREFIX}shipment:${encodeKeyValue(filters.shipmentIdPrefix)}`, timeOrdered: false };
+  }
+  return { prefix: `${INDEX_KEY_PREFIX}time:${timePrefix}`, timeOrdered: true };
+}
+
+/**
+ * Check a summary against all query filters
+ */
+function matchesFilters(summary, filters, from, to) {
+  return (!filters.action || summary.action === filters.action) &&
+    (!filters.userId || summary.userId === filters.userId) &&
+    (!filters.status || summary.status.toLowerCase() === String(filters.status).toLowerCase()) &&
+    (!filters.shipmentIdPrefix || String(summary.shipmentId).startsWith(filters.shipmentIdPrefix)) &&
+    (from === null || summary.timestamp >= from) &&
+    (to === null || summary.timestamp <= to);
+}
+
+/**
+ * Order summaries by time, then ledger sequence
+ */
+function compareSummaries(a, b) {
+  return (a.timestamp - b.timestamp) || ((a.sequence ?? 0) - (b.sequence ?? 0));
+}
+
+/**
+ * Query decision log entries across all shipments
+ *
+ * @param {Object} [filters] - Query filters, all optional and combined with AND
+ * @param {string} [filters.action] - Exact decision action
+ * @param {string} [filters.shipmentIdPrefix] - Shipment ID prefix
+ * @param {string} [filters.userId] - Acting account ID
+ * @param {string} [filters.status] - Decision status, case-insensitive
+ * @param {number|string} [filters.from] - Earliest timestamp (inclusive)
+ * @param {number|string} [filters.to] - Latest timestamp (inclusive)
+ * @param {string} [filters.order='desc'] - 'asc' (oldest first) or 'desc' (newest first)
+ * @param {number} [filters.limit=50] - Page size, at most 200
+ * @param {string} [filters.cursor] - nextCursor from the previous page
+ * @returns {Promise<{entries: Array<Object>, nextCursor: string|null, hasMore: boolean, order: string}>}
+ */
+async function queryDecisionLogs(filters = {}) {
+  const from = parseDateFilter(filters.from, 'from');
+  const to = parseDateFilter(filters.to, 'to');
+  const order = filters.order === 'asc' ? 'asc' : 'desc';
+  const limit = Math.min(Math.max(parseInt(filters.limit, 10) || DEFAULT_QUERY_LIMIT, 1), MAX_QUERY_LIMIT);
+  const offset = filters.cursor ? parseInt(filters.cursor, 10) : 0;
+
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new Error(`Invalid cursor: ${filters.cursor}`);
+  }
+  if (from !== null && to !== null && from > to) {
+    throw new Error('The from date must not be after the to date');
+  }
+
+  const { prefix, timeOrdered } = planQuery(filters, from, to);
+  // Oldest-first scans of a time-ordered index can stop once the page is full
+  const stopAfter = order === 'asc' && timeOrdered ? offset + limit + 1 : Infinity;
+  const matches = [];
+  let storageCursor;
+
+  do {
+    let query = storage.query().where('key', startsWith(prefix)).limit(QUERY_PAGE_SIZE);
+    if (storageCursor) {
+      query = query.cursor(storageCursor);
+    }
+
+    const page = await query.getMany();
+    page.results
+      .map(({ value }) => value)
+      .filter(summary => summary && matchesFilters(summary, filters, from, to))
+      .forEach(summary => matches.push(summary));
+
+    storageCursor = page.nextCursor;
+  } while (storageCursor && matches.length < stopAfter);
+
+  matches.sort(compareSummaries);
+  if (order === 'desc') {
+    matches.reverse();
+  }
+
+  const entries = matches.slice(offset, offset + limit);
+  const hasMore = matches.length > offset + limit;
+
+  return {
+    entries,
+    nextCursor: hasMore ? String(offset + limit) : null,
+    hasMore,
+    order
+  };
+}
+
+/**
+ * Index every stored entry, live and archived
+ *
+ * Safe to run repeatedly; already indexed entries are rewritten unchanged.
+ *
+ * @returns {Promise<{shipments: number, indexed: number}>}
+ */
+async function backfillLogIndex() {
+  const shipmentIds = await listChainShipmentIds({ includeSystemChains: true });
+  let indexed = 0;
+
+  for (const shipmentId of shipmentIds) {
+    for (const stream of [streamArchiveSegments(shipmentId), streamChainSegments(shipmentId)]) {
+      for await (const { entries } of stream) {
+        for (const entry of entries.filter(Boolean)) {
+          await indexLogEntry(entry);
+          indexed++;
+        }
+      }
+    }
+  }
+
+  return { shipments: shipmentIds.length, indexed };
+}
+
+export {
+  INDEX_KEY_PREFIX,
+  MAX_QUERY_LIMIT,
+  getEntryStatus,
+  encodeKeyValue,
+  getIndexKeys,
+  indexLogEntry,
+  queryDecisionLogs,
+  backfillLogIndex
+};
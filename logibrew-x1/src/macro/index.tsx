@@ -14,15 +14,21 @@ import ForgeReconciler, {
   Spinner,
   SectionMessage,
   DynamicTable,
-  Button
+  Button,
+  Lozenge,
+  Strike
 } from '@forge/react';
 import { invoke } from '@forge/bridge';
 
+// Entries per page; matches the backend chain segment size
+const PAGE_SIZE = 50;
+
 const App: React.FC = () => {
   const [logData, setLogData] = useState<any>(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
   const [retryTrigger, setRetryTrigger] = useState(0);
+  const [offset, setOffset] = useState(0);
   
   // Get shipmentId from macro configuration
   const config = useConfig();
@@ -34,7 +40,9 @@ const App: React.FC = () => {
         // Call backend resolver to get log chain
         // Resolver name 'getMacroLogs' is defined in the Resolver instance in index.js
         const result = await invoke('getMacroLogs', {
-          shipmentId: shipmentId
+          shipmentId: shipmentId,
+          offset,
+          limit: PAGE_SIZE
         });
         setLogData(result);
       } catch (err: unknown) {
@@ -46,7 +54,7 @@ const App: React.FC = () => {
     };
 
     fetchLogs();
-  }, [shipmentId, retryTrigger]);
+  }, [shipmentId, retryTrigger, offset]);
 
   if (loading) {
     return (
@@ -82,16 +90,59 @@ const App: React.FC = () => {
   }
 
   // Build table rows from log chain
-  const rows = (logData?.chain || []).map((entry: { action: string; timestamp: number; hash?: string }, idx: number) => ({
-    key: `log-${idx}`,
+  const signatureLabels: Record<string, string> = {
+    valid: '✓ Signed',
+    invalid: '✗ Invalid',
+    unsigned: '— Unsigned'
+  };
+
+  // Jump to the page holding another entry (e.g. the correction of an amended entry)
+  const goToEntry = (index: number) => setOffset(Math.floor(index / PAGE_SIZE) * PAGE_SIZE);
+
+  const renderAction = (entry: { action: string; amendedBy?: { index: number; reason: string } | null; amendsIndex?: number | null }) => {
+    if (entry.amendedBy) {
+      return (
+        <Stack>
+          <Strike>{entry.action}</Strike>
+          <Button appearance="subtle" onClick={() => goToEntry(entry.amendedBy.index)}>
+            {`Corrected by #${entry.amendedBy.index + 1}`}
+          </Button>
+        </Stack>
+      );
+    }
+
+    if (entry.amendsIndex !== null && entry.amendsIndex !== undefined) {
+      return (
+        <Stack>
+          <Text>{entry.action}</Text>
+          <Button appearance="subtle" onClick={() => goToEntry(entry.amendsIndex)}>
+            {`Corrects #${entry.amendsIndex + 1}`}
+          </Button>
+        </Stack>
+      );
+    }
+
+    return entry.action || 'Missing entry';
+  };
+
+  const rows = (logData?.chain || []).map((entry: { index: number; action: string; timestamp: number; hash?: string; signatureStatus?: string; verificationStatus?: string; failures?: Array<{ kind: string }>; amendedBy?: { index: number; reason: string } | null; amendsIndex?: number | null }, idx: number) => ({
+    key: `log-${entry.index ?? idx}`,
     cells: [
-      { content: idx + 1 },
-      { content: entry.action },
-      { content: new Date(entry.timestamp).toLocaleString() },
-      { content: entry.hash?.substring(0, 16) + '...' || 'N/A' }
+      { content: (entry.index ?? idx) + 1 },
+      { content: renderAction(entry) },
+      { content: entry.timestamp ? new Date(entry.timestamp).toLocaleString() : 'N/A' },
+      { content: entry.hash ? entry.hash.substring(0, 16) + '...' : 'N/A' },
+      { content: signatureLabels[entry.signatureStatus || 'unsigned'] },
+      {
+        content: entry.verificationStatus === 'failed'
+          ? <Lozenge appearance="removed">{entry.failures?.map(failure => failure.kind).join(', ') || 'failed'}</Lozenge>
+          : <Lozenge appearance="success">verified</Lozenge>
+      }
     ]
   }));
 
+  const failures: Array<{ index: number; kind: string; message: string; expected: unknown; actual: unknown }> = logData.verification?.failures || [];
+
   return (
     <Stack space="space.200">
       <Heading as="h2">
@@ -101,6 +152,15 @@ const App: React.FC = () => {
       {!logData.isValid && (
         <SectionMessage title="Chain Integrity Compromised" appearance="error">
           <Text>The hash chain has been tampered with. These logs cannot be trusted for audit purposes.</Text>
+          <Text>
+            First broken entry: #{logData.verification?.firstBrokenIndex + 1} ({logData.verification?.failureKind})
+          </Text>
+          {failures.map((failure, idx) => (
+            <Text key={`failure-${idx}`}>
+              Entry #{failure.index + 1}: {failure.kind} - {failure.message}
+              {failure.expected !== null ? ` (expected ${String(failure.expected).substring(0, 16)}, got ${String(failure.actual).substring(0, 16)})` : ''}
+            </Text>
+          ))}
         </SectionMessage>
       )}
 
@@ -111,7 +171,8 @@ const App: React.FC = () => {
         <Text>
           Shipment: {logData.shipmentId} | 
           Entries: {logData.chainLength} | 
-          Root Hash: {logData.rootHash?.substring(0, 16)}...
+          Root Hash: {logData.rootHash?.substring(0, 16)}... | 
+          Signed: {logData.signatures?.valid ?? 0}/{logData.chainLength}
         </Text>
       </SectionMessage>
 
@@ -121,13 +182,35 @@ const App: React.FC = () => {
             { content: '#', isSortable: false },
             { content: 'Action', isSortable: false },
             { content: 'Timestamp', isSortable: false },
-            { content: 'Hash', isSortable: false }
+            { content: 'Hash', isSortable: false },
+            { content: 'Signature', isSortable: false },
+            { content: 'Verification', isSortable: false }
           ]
         }}
         rows={rows}
         isLoading={false}
         emptyView={<Text>No log entries</Text>}
       />
+
+      {logData.chainLength > PAGE_SIZE && (
+        <Stack space="space.100">
+          <Text>
+            Showing entries {offset + 1}-{offset + (logData.chain?.length || 0)} of {logData.chainLength}
+          </Text>
+          <Button
+            isDisabled={offset === 0}
+            onClick={() => setOffset(prev => Math.max(prev - PAGE_SIZE, 0))}
+          >
+            Previous
+          </Button>
+          <Button
+            isDisabled={!logData.hasMore}
+            onClick={() => setOffset(prev => prev + PAGE_SIZE)}
+          >
+            Next
+          </Button>
+        </Stack>
+      )}
     </Stack>
   );
 };
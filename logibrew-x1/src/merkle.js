@@ -0,0 +1,291 @@
+/**
+ * Merkle Anchoring for LogiBrew Decision Logs
+ *
+ * Builds a daily Merkle tree over every entry hash written to the ledger and
+ * stores the root. An inclusion proof lets a single decision be shared with a
+ * partner and checked against the daily root without disclosing the rest of
+ * the ledger.
+ *
+ * Leaves and internal nodes are domain-separated (0x00 / 0x01 prefixes, as in
+ * RFC 6962) so an internal node can never be passed off as a leaf. A node
+ * without a sibling is promoted to the next level unchanged.
+ *
+ * A day is anchored once it is over and is then sealed: its root record keeps
+ * only the root and leaf count and is never recomputed. Proofs are rebuilt
+ * from the day's leaf pages (see hashChain.js):
+ *
+ *   merkle-root-<day>      { day, root, leafCount, anchoredAt }
+ *   merkle-leaf-<hash>     day the entry was anchored in
+ *
+ * @module merkle
+ */
+
+import crypto from 'crypto';
+import { storage } from '@forge/api';
+import { withChainLock } from './chainLock.js';
+import {
+  MERKLE_PENDING_DAYS_KEY,
+  generateHash,
+  getLedgerDay,
+  readMerkleLeaves,
+  getPendingLedgerDays
+} from './hashChain.js';
+
+const LEAF_PREFIX = Buffer.from([0x00]);
+const NODE_PREFIX = Buffer.from([0x01]);
+const MAX_ANCHOR_DAYS_PER_RUN = 7;
+
+/**
+ * Storage key for the anchored root of a ledger day
+ */
+function getMerkleRootKey(day) {
+  return `merkle-root-${day}`;
+}
+
+/**
+ * Storage key pointing from an entry hash to the day it was anchored in
+ */
+function getMerkleLeafPointerKey(entryHash) {
+  return `merkle-leaf-${entryHash}`;
+}
+
+function sha256(...buffers) {
+  return crypto.createHash('sha256')
+    .update(Buffer.concat(buffers))
+    .digest('hex');
+}
+
+/**
+ * Hash an entry hash into a Merkle leaf node
+ */
+function hashLeaf(entryHash) {
+  return sha256(LEAF_PREFIX, Buffer.from(entryHash, 'hex'));
+}
+
+/**
+ * Hash two child nodes into their parent node
+ */
+function hashNode(left, right) {
+  return sha256(NODE_PREFIX, Buffer.from(left, 'hex'), Buffer.from(right, 'hex'));
+}
+
+/**
+ * Build all levels of a Merkle tree from entry hashes
+ *
+ * @param {Array<string>} entryHashes - Entry hashes in ledger order
+ * @returns {Array<Array<string>>} Levels from leaves (index 0) up to the root
+ */
+function buildMerkleTree(entryHashes) {
+  if (entryHashes.length === 0) {
+    return [];
+  }
+
+  const levels = [entryHashes.map(hashLeaf)];
+
+  while (levels[levels.length - 1].length > 1) {
+    const current = levels[levels.length - 1];
+    const next = [];
+
+    for (let i = 0; i < current.length; i += 2) {
+      next.push(i + 1 < current.length ? hashNode(current[i], current[i + 1]) : current[i]);
+    }
+
+    levels.push(next);
+  }
+
+  return levels;
+}
+
+/**
+ * Root of a Merkle tree built by buildMerkleTree
+ */
+function getMerkleRoot(levels) {
+  return levels.length > 0 ? levels[levels.length - 1][0] : null;
+}
+
+/**
+ * Build the inclusion proof for one leaf
+ *
+ * @returns {Array<{position: string, hash: string}>} Sibling hashes from leaf to root
+ */
+function buildInclusionProof(levels, leafIndex) {
+  const proof = [];
+  let index = leafIndex;
+
+  for (let level = 0; level < levels.length - 1; level++) {
+    const nodes = levels[level];
+    const isRightChild = index % 2 === 1;
+    const siblingIndex = isRightChild ? index - 1 : index + 1;
+
+    if (siblingIndex < nodes.length) {
+      proof.push({
+        position: isRightChild ? 'left' : 'right',
+        hash: nodes[siblingIndex]
+      });
+    }
+
+    index = Math.floor(index / 2);
+  }
+
+  return proof;
+}
+
+/**
+ * Verify that an entry is included under a Merkle root
+ *
+ * Standalone: needs only the entry, the proof and the root. When a full entry
+ * object is given its content hash is recomputed first, so an altered entry
+ * cannot reuse the proof of the original.
+ *
+ * @param {Object|string} entry - Log entry, or its hash
+ * @param {Array<{position: string, hash: string}>} proof - Inclusion proof
+ * @param {string} root - Daily Merkle root
+ * @returns {boolean} True if the entry is included under the root
+ */
+function verifyInclusionProof(entry, proof, root) {
+  try {
+    const entryHash = typeof entry === 'string' ? entry : entry?.hash;
+
+    if (!entryHash || !root || !Array.isArray(proof)) {
+      return false;
+    }
+
+    if (typeof entry === 'object' && generateHash(entry) !== entryHash) {
+      return false;
+    }
+
+    let node = hashLeaf(entryHash);
+
+    for (const step of proof) {
+      if (step.position === 'left') {
+        node = hashNode(step.hash, node);
+      } else if (step.position === 'right') {
+        node = hashNode(node, step.hash);
+      } else {
+        return false;
+      }
+    }
+
+    return node === root;
+  } catch (error) {
+    console.error(`Inclusion proof verification failed: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Build and store the Merkle root for one ledger day, sealing the day
+ *
+ * Only days that are over can be anchored. A sealed day is never re-anchored;
+ * its root stays the one proofs were issued against.
+ *
+ * @param {string} day - Ledger day (YYYY-MM-DD)
+ * @param {Object} [options] - Anchoring options
+ * @param {Function} [options.now=Date.now] - Clock deciding whether the day is over
+ * @returns {Promise<Object>} Anchoring result; `reason` explains days not anchored
+ */
+async function anchorLedgerDay(day, { now = Date.now } = {}) {
+  const existing = await storage.get(getMerkleRootKey(day));
+  if (existing) {
+    return { day, anchored: false, reason: 'sealed', leafCount: existing.leafCount, root: existing.root };
+  }
+
+  // Appends take their timestamp under the append lock, so once the day is
+  // over inside the lock no further leaves can be written to it
+  const isOver = await withChainLock(async () => day < getLedgerDay(now()));
+  if (!isOver) {
+    return { day, anchored: false, reason: 'open', leafCount: 0, root: null };
+  }
+
+  const leaves = await readMerkleLeaves(day);
+  const root = getMerkleRoot(buildMerkleTree(leaves));
+
+  if (root) {
+    // Pointers first: a run interrupted before the root is stored is simply redone
+    for (const entryHash of leaves) {
+      await storage.set(getMerkleLeafPointerKey(entryHash), day);
+    }
+
+    await storage.set(getMerkleRootKey(day), { day, root, leafCount: leaves.length, anchoredAt: now() });
+    console.log(`Anchored ${leaves.length} entries for ${day} with root ${root.substring(0, 16)}...`);
+  }
+
+  await withChainLock(async () => {
+    const pendingDays = await storage.get(MERKLE_PENDING_DAYS_KEY) || [];
+    if (pendingDays.includes(day)) {
+      await storage.set(MERKLE_PENDING_DAYS_KEY, pendingDays.filter(pending => pending !== day));
+    }
+  });
+
+  return root
+    ? { day, anchored: true, leafCount: leaves.length, root }
+    : { day, anchored: false, reason: 'no_entries', leafCount: 0, root: null };
+}
+
+/**
+ * Anchor every ledger day that is over and not anchored yet, oldest first
+ *
+ * Catches up on days a previous run missed. At most `limit` days are anchored
+ * per run; the remaining days are picked up by the next run.
+ *
+ * @param {Object} [options] - Run options
+ * @param {Function} [options.now=Date.now] - Clock deciding which days are over
+ * @param {number} [options.limit] - Maximum number of days to anchor
+ * @returns {Promise<{anchors: Array<Object>, deferred: number}>} Per-day results
+ */
+async function anchorPendingLedgerDays({ now = Date.now, limit = MAX_ANCHOR_DAYS_PER_RUN } = {}) {
+  const today = getLedgerDay(now());
+  const days = (await getPendingLedgerDays()).filter(day => day < today);
+  const anchors = [];
+
+  for (const day of days.slice(0, limit)) {
+    anchors.push(await anchorLedgerDay(day, { now }));
+  }
+
+  return { anchors, deferred: Math.max(0, days.length - limit) };
+}
+
+/**
+ * Look up the inclusion proof for an anchored entry
+ *
+ * @param {string} entryHash - Hash of the log entry
+ * @returns {Promise<Object|null>} Proof with root and day, or null if not anchored yet
+ */
+async function getInclusionProof(entryHash) {
+  const day = await storage.get(getMerkleLeafPointerKey(entryHash));
+  if (!day) {
+    return null;
+  }
+
+  const anchor = await storage.get(getMerkleRootKey(day));
+  if (!anchor) {
+    return null;
+  }
+
+  // Root records of older ledgers still carry their leaves
+  const leaves = anchor.leaves || (await readMerkleLeaves(day)).slice(0, anchor.leafCount);
+  const leafIndex = leaves.indexOf(entryHash);
+  if (leafIndex < 0) {
+    return null;
+  }
+
+  return {
+    entryHash,
+    day,
+    root: anchor.root,
+    leafIndex,
+    leafCount: anchor.leafCount,
+    proof: buildInclusionProof(buildMerkleTree(leaves), leafIndex)
+  };
+}
+
+export {
+  getMerkleRootKey,
+  buildMerkleTree,
+  getMerkleRoot,
+  buildInclusionProof,
+  verifyInclusionProof,
+  anchorLedgerDay,
+  anchorPendingLedgerDays,
+  getInclusionProof
+};
@@ -0,0 +1,499 @@
+/**
+ * Leg-by-leg Compliance Checks for LogiBrew Shipments
+ *
+ * A shipment travels as an ordered list of legs, each with one transport mode:
+ *
+ *   legs: [{ transportMode: 'sea', origin, destination, weight }, { transportMode: 'air' }]
+ *
+ * Single-mode shipments are one leg. UN code (looked up through
+ * dangerousGoods.js) and perishable checks run per leg against that leg's mode,
+ * for air legs also against the booked aircraft type, since some dangerous
+ * goods are Cargo Aircraft Only. The checks themselves are the `leg` scope of
+ * the `complianceChecks` rules (see ruleEngine.js); this module builds the
+ * facts they are evaluated against. Every change of mode between consecutive legs
+ * is a transition (`sea_to_air`) evaluated against the `multimodalTransport` rules:
+ * transitions marked `validationRequired` and the common issues relevant to the
+ * cargo type are reported as warnings, transitions without rules as well.
+ *
+ * Rules are passed in (the `complianceRules` section of rules.json), so the
+ * checks do not depend on where the rule set comes from.
+ *
+ * @module multimodal
+ */
+
+import { checkQuantityLimit, formatUnit, formatQuantity } from './quantities.js';
+import { resolveUnCodeEntry } from './dangerousGoods.js';
+import { runChecks } from './ruleEngine.js';
+import { readIssueField } from './timeline.js';
+
+const VALID_TRANSPORT_MODES = ['air', 'sea', 'road', 'rail'];
+
+// Perishable goods rule category checked for each perishable cargo type
+const PERISHABLE_CATEGORIES = {
+  perishable: 'refrigerated',
+  frozen: 'frozen',
+  'temperature-controlled': 'temperature_controlled'
+};
+
+// Aircraft a hazmat air leg is booked on; 'unknown' until the booking is confirmed
+const AIRCRAFT_TYPES = ['passenger', 'cargo-only', 'unknown'];
+const AIRCRAFT_TYPE_FIELD_KEY = 'aircraft-type-field';
+const AIRCRAFT_TYPE_ALIASES = { cargo: 'cargo-only', cao: 'cargo-only', 'cargo aircraft only': 'cargo-only' };
+
+// Separators accepted between modes in a leg string: "road,sea,air", "sea -> air", "sea → air"
+const LEG_SEPARATOR = /\s*(?:,|->|→|>)\s*/;
+
+/**
+ * Normalize legs given as a list or a separated string of transport modes
+ *
+ * List items may be mode strings or leg objects with `transportMode` (or `mode`).
+ * Modes are trimmed and lowercased but not validated here.
+ *
+ * @param {Array<string|Object>|string} legs - Ordered legs
+ * @returns {Array<Object>} Leg objects with a normalized `transportMode`
+ */
+function normalizeLegs(legs) {
+  if (legs === undefined || legs === null || legs === '') {
+    return [];
+  }
+
+  const items = Array.isArray(legs) ? legs : String(legs).split(LEG_SEPARATOR).filter(Boolean);
+
+  return items.map(item => {
+    const leg = item && typeof item === 'object' ? { ...item } : { transportMode: item };
+    const { mode, ...rest } = leg;
+
+    return { ...rest, transportMode: String(leg.transportMode ?? mode ?? '').trim().toLowerCase() };
+  });
+}
+
+/**
+ * Perishable goods rule for a cargo type, null for non-perishable cargo
+ *
+ * @param {string} cargoType - Cargo category
+ * @param {Object} rules - `complianceRules` section of the rule set
+ * @returns {Object|null} Rule with `temperatureRange` and `maxTransitDays`
+ */
+function getPerishableRule(cargoType, rules) {
+  const category = PERISHABLE_CATEGORIES[cargoType];
+  return category ? rules.perishableGoods.rules.find(rule => rule.category === category) || null : null;
+}
+
+/**
+ * Restriction with the quantity limit of the booked aircraft
+ *
+ * Imported air restrictions list separate passenger and cargo aircraft limits;
+ * `maxQuantity` holds on either aircraft and applies while the type is unknown.
+ */
+function getApplicableLimit(restriction, transportMode, aircraftType) {
+  if (transportMode !== 'air') {
+    return restriction;
+  }
+
+  const aircraftLimit = aircraftType === 'passenger' ? restriction.passengerMaxQuantity
+    : aircraftType === 'cargo-only' ? restriction.cargoMaxQuantity
+      : undefined;
+
+  return aircraftLimit ? { ...restriction, maxQuantity: aircraftLimit } : restriction;
+}
+
+/**
+ * Normalize an aircraft type, mapping empty values to 'unknown'
+ *
+ * Unrecognized values are returned lowercased for the caller to reject.
+ *
+ * @param {string} aircraftType - Aircraft type or alias (e.g., "CAO")
+ * @returns {string} Aircraft type
+ */
+function normalizeAircraftType(aircraftType) {
+  const value = String(aircraftType || '').trim().toLowerCase().replace(/_/g, '-');
+  return value ? AIRCRAFT_TYPE_ALIASES[value] || value : 'unknown';
+}
+
+/**
+ * Aircraft type from an issue's Aircraft Type field
+ *
+ * @param {string} issueKey - Jira issue key
+ * @returns {Promise<string|null>} Normalized aircraft type, see AIRCRAFT_TYPES; null when the field is empty,
+ *   missing or holds an unrecognized value
+ */
+async function readIssueAircraftType(issueKey) {
+  const value = await readIssueField(issueKey, AIRCRAFT_TYPE_FIELD_KEY);
+  if (value === null || String(value).trim() === '') {
+    return null;
+  }
+
+  const aircraftType = normalizeAircraftType(value);
+  return AIRCRAFT_TYPES.includes(aircraftType) ? aircraftType : null;
+}
+
+/**
+ * Transition key of two consecutive legs, as used in the multimodal rules
+ */
+function getTransitionKey(fromMode, toMode) {
+  return `${fromMode}_to_${toMode}`;
+}
+
+/**
+ * Facts about one leg that the `leg` compliance checks are evaluated against
+ *
+ * Facts are the values the checks compare, not their outcome: the UN code's
+ * `allowedModes`, the quantity `amount` per package or consignment against
+ * the numeric `limit` (both in the limit's unit; `amount` is null when no
+ * density relates the units), and the aircraft restrictions of the rule set
+ * as given (`passengerAircraft`, `cargoAircraft`; null when not stated). The
+ * remaining fields describe them for messages.
+ *
+ * `unCode` is null unless hazmat cargo names a UN code; `quantityLimit` is
+ * null unless the mode is allowed and limited, `aircraft` unless the leg flies
+ * on it, and `perishable` unless the cargo type is perishable. Details are the
+ * resolved entries reported with the leg result.
+ *
+ * @param {Object} leg - Leg, see checkLeg
+ * @param {Object} cargo - Shipment cargo, see checkLeg
+ * @param {Object} rules - `complianceRules` section of the rule set
+ * @returns {{facts: Object, details: Object}} Leg facts and result details
+ */
+function buildLegFacts(leg, cargo, rules) {
+  const { unCode, cargoType, weight, quantity, quantityType = 'net', packages = 1, density } = cargo;
+  const transportMode = leg.transportMode;
+  const aircraftType = leg.aircraftType || cargo.aircraftType || 'unknown';
+  const facts = {
+    transportMode,
+    cargoType,
+    weight,
+    packages,
+    packingGroup: cargo.packingGroup || null,
+    aircraftType,
+    transitDays: leg.transitDays ?? null,
+    carriageTemperature: cargo.carriageTemperature ?? null,
+    unCode: null,
+    quantityLimit: null,
+    aircraft: null,
+    perishable: null
+  };
+  const details = {};
+
+  if (unCode && cargoType === 'hazmat') {
+    const resolved = resolveUnCodeEntry(unCode, cargo.packingGroup || null, rules);
+    const unCodeData = resolved.entry;
+    const modeRestriction = unCodeData?.restrictions[transportMode];
+
+    facts.unCode = {
+      code: unCode,
+      listed: resolved.packingGroups.length > 0,
+      found: Boolean(unCodeData),
+      packingGroups: resolved.packingGroups.filter(Boolean),
+      ambiguous: resolved.ambiguous,
+      ...(unCodeData ? {
+        name: unCodeData.name,
+        class: unCodeData.class,
+        packingGroup: unCodeData.packingGroup,
+        allowedModes: Object.keys(unCodeData.restrictions).filter(m => unCodeData.restrictions[m].allowed)
+      } : {})
+    };
+
+    if (modeRestriction?.allowed) {
+      const limitCheck = checkQuantityLimit(getApplicableLimit(modeRestriction, transportMode, aircraftType), {
+        quantity: quantity || { value: weight, unit: 'kg' },
+        quantityType: quantity ? quantityType : 'gross',
+        packages,
+        density: density ?? unCodeData.density
+      });
+
+      if (limitCheck) {
+        const perScope = ` per ${limitCheck.limitPer}`;
+        const converted = limitCheck.amount &&
+          (limitCheck.amount.unit !== (quantity?.unit || 'kg') || (limitCheck.limitPer === 'package' && packages > 1));
+
+        facts.quantityLimit = {
+          amount: limitCheck.amount ? limitCheck.amount.value : null,
+          limit: limitCheck.limit.value,
+          quantityType: limitCheck.quantityType,
+          quantityBasis: limitCheck.quantityBasis,
+          limitPer: limitCheck.limitPer,
+          described: quantity ? `${quantityType === 'gross' ? 'Gross' : 'Net'} quantity ${formatQuantity(quantity)}` : `Cargo weight ${weight}kg`,
+          conversion: converted
+            ? ` (${formatQuantity(limitCheck.amount)}${perScope}${limitCheck.densityUsed ? ` at ${limitCheck.densityUsed} kg/L` : ''})`
+            : '',
+          maxQuantity: modeRestriction.maxQuantity,
+          limitText: formatQuantity(limitCheck.limit),
+          limitUnit: formatUnit(limitCheck.limit.unit),
+          perScope
+        };
+      }
+
+      if (transportMode === 'air') {
+        facts.aircraft = {
+          type: aircraftType,
+          passengerAircraft: modeRestriction.passengerAircraft ?? null,
+          cargoAircraft: modeRestriction.cargoAircraft ?? null
+        };
+      }
+
+      const passengerAllowed = Boolean(modeRestriction.passengerAircraft);
+      const cargoAllowed = modeRestriction.cargoAircraft !== false;
+
+      details.unCode = {
+        code: unCode,
+        name: unCodeData.name,
+        class: unCodeData.class,
+        packingGroup: unCodeData.packingGroup,
+        subsidiaryRisks: unCodeData.subsidiaryRisks || [],
+        source: resolved.source,
+        restrictions: modeRestriction,
+        specialProvisions: modeRestriction.specialProvisions || unCodeData.specialProvisions || [],
+        ...(limitCheck ? { quantityCheck: { ...limitCheck, packages } } : {}),
+        ...(transportMode === 'air' ? {
+          aircraft: {
+            aircraftType,
+            passengerAircraft: passengerAllowed,
+            cargoAircraft: cargoAllowed,
+            caoLabelRequired: !passengerAllowed && cargoAllowed
+          }
+        } : {})
+      };
+    }
+  }
+
+  const perishableData = getPerishableRule(cargoType, rules);
+
+  if (perishableData) {
+    const maxTransitDays = perishableData.maxTransitDays[transportMode];
+
+    facts.perishable = {
+      category: perishableData.category,
+      min: perishableData.temperatureRange.min,
+      max: perishableData.temperatureRange.max,
+      maxTransitDays,
+      notes: perishableData.notes
+    };
+
+    details.perishable = {
+      category: perishableData.category,
+      temperatureRange: perishableData.temperatureRange,
+      maxTransitDays,
+      notes: perishableData.notes,
+      ...(leg.transitDays !== undefined ? { transitDays: leg.transitDays } : {}),
+      ...(cargo.carriageTemperature !== undefined ? { carriageTemperature: cargo.carriageTemperature } : {})
+    };
+  }
+
+  return { facts, details };
+}
+
+/**
+ * Run the UN code and perishable checks for one leg
+ *
+ * The checks are the `leg` scope of the `complianceChecks` rules, evaluated
+ * against the leg's facts (see buildLegFacts); errors make the leg invalid.
+ *
+ * @param {Object} leg - Leg with a valid `transportMode`, and its `transitDays` when the timeline is known
+ * @param {Object} cargo - Shipment cargo
+ * @param {string} cargo.unCode - Uppercased UN code, empty for none
+ * @param {string} cargo.cargoType - Cargo category
+ * @param {number} cargo.weight - Gross cargo weight in kg carried on the leg
+ * @param {{value: number, unit: string}} [cargo.quantity] - Dangerous goods quantity, the weight when omitted
+ * @param {string} [cargo.quantityType='net'] - Whether `quantity` is net or gross
+ * @param {number} [cargo.packages=1] - Number of packages
+ * @param {number} [cargo.density] - Density in kg/L, the UN code's when omitted
+ * @param {string} [cargo.aircraftType='unknown'] - Booked aircraft type for air legs, see AIRCRAFT_TYPES;
+ *   a leg's own `aircraftType` takes precedence
+ * @param {number} [cargo.carriageTemperature] - Declared carriage temperature in °C
+ * @param {string} [cargo.packingGroup] - Normalized packing group, the strictest listed when omitted
+ * @param {Object} rules - `complianceRules` section of the rule set
+ * @returns {{transportMode: string, isValid: boolean, issues: Array, warnings: Array, details: Object}}
+ */
+function checkLeg(leg, cargo, rules) {
+  const { facts, details } = buildLegFacts(leg, cargo, rules);
+  const findings = runChecks(rules.complianceChecks.rules, 'leg', facts);
+  const issues = findings.filter(item => item.severity === 'error');
+
+  return {
+    transportMode: leg.transportMode,
+    isValid: issues.length === 0,
+    issues,
+    warnings: findings.filter(item => item.severity !== 'error'),
+    details
+  };
+}
+
+/**
+ * Facts about the whole shipment that the `shipment` compliance checks are evaluated against
+ *
+ * For perishable cargo, `perishable.maxTransitDays` is the limit of the most
+ * lenient mode on the route, `perishable.slowestMode`.
+ *
+ * @param {Array<Object>} legs - Normalized legs of a multimodal shipment, empty for a single mode
+ * @param {Object} cargo - Shipment cargo, see checkLeg, with the shipment's `transitDays`
+ * @param {Array<string>} transportModes - Transport modes of the route in travel order
+ * @param {Array<string>} unCodes - UN codes of the cargo or its cargo lines
+ * @param {Object} rules - `complianceRules` section of the rule set
+ * @returns {Object} Shipment facts
+ */
+function buildShipmentFacts(legs, cargo, transportModes, unCodes, rules) {
+  const perishableData = getPerishableRule(cargo.cargoType, rules);
+  const slowestMode = perishableData && transportModes.reduce((slowest, mode) => (
+    perishableData.maxTransitDays[mode] > perishableData.maxTransitDays[slowest] ? mode : slowest
+  ));
+
+  return {
+    cargoType: cargo.cargoType,
+    weight: cargo.weight,
+    unCodes,
+    packingGroup: cargo.packingGroup || null,
+    transportModes,
+    legs: legs.map(leg => ({
+      transportMode: leg.transportMode,
+      weight: leg.weight === undefined ? cargo.weight : parseFloat(leg.weight) || 0,
+      aircraftType: leg.aircraftType || cargo.aircraftType || 'unknown',
+      transitDays: leg.transitDays ?? null
+    })),
+    aircraftType: cargo.aircraftType || 'unknown',
+    transitDays: cargo.transitDays ?? null,
+    carriageTemperature: cargo.carriageTemperature ?? null,
+    perishable: perishableData ? {
+      category: perishableData.category,
+      min: perishableData.temperatureRange.min,
+      max: perishableData.temperatureRange.max,
+      maxTransitDays: perishableData.maxTransitDays[slowestMode],
+      slowestMode,
+      notes: perishableData.notes
+    } : null
+  };
+}
+
+/**
+ * Evaluate the change of mode between two consecutive legs
+ *
+ * Legs with the same mode are a transshipment and need no transition rule.
+ *
+ * @param {Object} fromLeg - Earlier leg
+ * @param {Object} toLeg - Following leg
+ * @param {Object} cargo - Shipment cargo, see checkLeg
+ * @param {Object} rules - `complianceRules` section of the rule set
+ * @returns {Object} Transition with its rule's `checks`, the `commonIssues`
+ *   relevant to the cargo and the resulting warnings
+ */
+function evaluateTransition(fromLeg, toLeg, { cargoType }, rules) {
+  const transition = getTransitionKey(fromLeg.transportMode, toLeg.transportMode);
+  const result = {
+    transition,
+    from: fromLeg.transportMode,
+    to: toLeg.transportMode,
+    ruleFound: false,
+    validationRequired: false,
+    checks: [],
+    commonIssues: [],
+    warnings: []
+  };
+
+  if (fromLeg.transportMode === toLeg.transportMode) {
+    return result;
+  }
+
+  const rule = rules.multimodalTransport.rules.find(r => r.transition === transition);
+
+  if (!rule) {
+    result.warnings.push({
+      type: 'TRANSITION_RULES_MISSING',
+      severity: 'warning',
+      message: `No multimodal rules for ${fromLeg.transportMode} to ${toLeg.transportMode} transfers.`,
+      recommendation: 'Verify cargo handling at the transfer point with both carriers.'
+    });
+    return result;
+  }
+
+  result.ruleFound = true;
+  result.validationRequired = rule.validationRequired;
+  result.checks = rule.checks;
+  result.commonIssues = rule.commonIssues
+    .filter(issue => !issue.cargoTypes || issue.cargoTypes.includes(cargoType))
+    .map(issue => issue.issue);
+
+  if (rule.validationRequired) {
+    result.warnings.push({
+      type: 'TRANSITION_VALIDATION_REQUIRED',
+      severity: 'warning',
+      message: `The ${fromLeg.transportMode} to ${toLeg.transportMode} transfer requires validation.`,
+      recommendation: `Confirm before handover: ${rule.checks.join('; ')}.`
+    });
+  }
+
+  result.commonIssues.forEach(issue => {
+    result.warnings.push({
+      type: 'TRANSITION_COMMON_ISSUE',
+      severity: 'warning',
+      message: `Common issue at ${fromLeg.transportMode} to ${toLeg.transportMode} transfers: ${issue}.`,
+      recommendation: 'Check the affected leg before booking the transfer.'
+    });
+  });
+
+  return result;
+}
+
+/**
+ * Validate a shipment leg by leg and evaluate each transition
+ *
+ * Issues and warnings of the legs and transitions are also collected in the
+ * overall lists, tagged with their 1-based `leg` or their `transition`. Legs
+ * with their own `transitDays` are checked against their mode; the shipment's
+ * `transitDays` is checked as a whole by the `shipment` compliance checks.
+ *
+ * @param {Array<Object>} legs - Normalized legs with valid transport modes
+ * @param {Object} cargo - Shipment cargo, see checkLeg; a leg's own `weight` overrides the cargo weight
+ * @param {Object} rules - `complianceRules` section of the rule set
+ * @returns {{isValid: boolean, issues: Array, warnings: Array, legs: Array, transitions: Array}}
+ */
+function validateLegs(legs, cargo, rules) {
+  const legResults = legs.map((leg, idx) => {
+    const weight = leg.weight === undefined ? cargo.weight : parseFloat(leg.weight) || 0;
+    // A leg carrying part of the shipment carries the same share of the quantity
+    const quantity = cargo.quantity && { ...cargo.quantity, value: cargo.quantity.value * weight / cargo.weight };
+    const result = checkLeg(leg, { ...cargo, weight, quantity }, rules);
+
+    return {
+      leg: idx + 1,
+      ...(leg.origin ? { origin: leg.origin } : {}),
+      ...(leg.destination ? { destination: leg.destination } : {}),
+      weight,
+      ...result
+    };
+  });
+
+  const transitions = legs.slice(1).map((leg, idx) => ({
+    fromLeg: idx + 1,
+    toLeg: idx + 2,
+    ...evaluateTransition(legs[idx], leg, cargo, rules)
+  }));
+
+  const tagLeg = result => item => ({ ...item, leg: result.leg, message: `Leg ${result.leg} (${result.transportMode}): ${item.message}` });
+
+  return {
+    isValid: legResults.every(result => result.isValid),
+    issues: legResults.flatMap(result => result.issues.map(tagLeg(result))),
+    warnings: [
+      ...legResults.flatMap(result => result.warnings.map(tagLeg(result))),
+      ...transitions.flatMap(result => result.warnings.map(item => ({ ...item, transition: result.transition })))
+    ],
+    legs: legResults,
+    transitions
+  };
+}
+
+export {
+  VALID_TRANSPORT_MODES,
+  AIRCRAFT_TYPES,
+  AIRCRAFT_TYPE_FIELD_KEY,
+  PERISHABLE_CATEGORIES,
+  normalizeLegs,
+  normalizeAircraftType,
+  readIssueAircraftType,
+  getTransitionKey,
+  getPerishableRule,
+  buildLegFacts,
+  checkLeg,
+  buildShipmentFacts,
+  evaluateTransition,
+  validateLegs
+};
@@ -0,0 +1,189 @@
+/**
+ * Dangerous Goods Quantities and Limits
+ *
+ * Quantity limits in rules.json are strings with units ("60L", "75kg",
+ * "50ml/50g", "unlimited"); a slash separates alternative limits for liquids
+ * and solids. A restriction can qualify its limit with:
+ *
+ *   limitPer:      'package' (default) or 'consignment'
+ *   quantityBasis: 'net' (default) or 'gross'
+ *
+ * Shipment quantities carry a unit (kg, g, L, ml). Mass and volume are only
+ * compared through a density in kg/L, taken from the request or the UN code's
+ * `density`; without one the units cannot be compared and the check reports
+ * that instead of guessing.
+ *
+ * A gross quantity compared against a net limit is treated as the net quantity,
+ * since the net quantity can only be lower. A net quantity compared against a
+ * gross limit can only show that the limit is exceeded.
+ *
+ * @module quantities
+ */
+
+const UNITS = {
+  kg: { dimension: 'mass', factor: 1 },
+  g: { dimension: 'mass', factor: 0.001 },
+  l: { dimension: 'volume', factor: 1 },
+  ml: { dimension: 'volume', factor: 0.001 }
+};
+
+const UNIT_LABELS = { kg: 'kg', g: 'g', l: 'L', ml: 'ml' };
+
+const QUANTITY_TYPES = ['net', 'gross'];
+
+const QUANTITY_PATTERN = /^(\d+(?:\.\d+)?)\s*([a-z]+)$/i;
+
+/**
+ * Normalized unit key, or null for unknown units
+ */
+function normalizeUnit(unit) {
+  const key = String(unit || '').trim().toLowerCase();
+  return UNITS[key] ? key : null;
+}
+
+/**
+ * Parse a quantity given as "45L", "500 ml", {value, unit} or a number with a default unit
+ *
+ * @param {string|number|Object} input - Quantity
+ * @param {string} [defaultUnit] - Unit for plain numbers
+ * @returns {{value: number, unit: string}} Quantity with a normalized unit key
+ * @throws {Error} When the value or unit is invalid
+ */
+function parseQuantity(input, defaultUnit) {
+  let value;
+  let unit;
+
+  if (input && typeof input === 'object') {
+    value = parseFloat(input.value);
+    unit = input.unit;
+  } else if (typeof input === 'number' || /^\d+(?:\.\d+)?$/.test(String(input ?? '').trim())) {
+    value = parseFloat(input);
+    unit = defaultUnit;
+  } else {
+    const match = String(input ?? '').trim().match(QUANTITY_PATTERN);
+    if (!match) {
+      throw new Error(`Invalid quantity: ${input}. Expected a number with a unit (e.g., 45L, 500ml, 20kg)`);
+    }
+    value = parseFloat(match[1]);
+    unit = match[2];
+  }
+
+  const unitKey = normalizeUnit(unit);
+  if (!unitKey) {
+    throw new Error(`Unknown quantity unit: ${unit ?? '(none)'}. Use one of: ${Object.values(UNIT_LABELS).join(', ')}`);
+  }
+  if (!Number.isFinite(value) || value <= 0) {
+    throw new Error(`Invalid quantity: ${input}. Must be greater than 0`);
+  }
+
+  return { value, unit: unitKey };
+}
+
+/**
+ * Parse a rules.json quantity limit
+ *
+ * @param {string} maxQuantity - Limit such as "60L" or "50ml/50g"
+ * @returns {Array<{value: number, unit: string}>|null} Alternative limits, null when unlimited
+ */
+function parseQuantityLimit(maxQuantity) {
+  if (!maxQuantity || maxQuantity === 'unlimited') {
+    return null;
+  }
+
+  return String(maxQuantity).split('/').map(part => parseQuantity(part));
+}
+
+/**
+ * Convert a quantity to another unit, through a density for mass <-> volume
+ *
+ * @param {{value: number, unit: string}} quantity - Quantity to convert
+ * @param {string} unit - Target unit
+ * @param {number} [density] - Density in kg/L
+ * @returns {{value: number, unit: string}|null} Converted quantity, null when the units cannot be compared
+ */
+function convertQuantity(quantity, unit, density) {
+  const from = UNITS[quantity.unit];
+  const to = UNITS[unit];
+  let base = quantity.value * from.factor;
+
+  if (from.dimension !== to.dimension) {
+    if (!(density > 0)) {
+      return null;
+    }
+    base = from.dimension === 'mass' ? base / density : base * density;
+  }
+
+  return { value: base / to.factor, unit };
+}
+
+/**
+ * Display label of a unit key ('l' -> 'L')
+ */
+function formatUnit(unit) {
+  return UNIT_LABELS[unit];
+}
+
+/**
+ * Human-readable quantity, rounded to 0.1
+ */
+function formatQuantity(quantity) {
+  return `${Math.round(quantity.value * 10) / 10} ${formatUnit(quantity.unit)}`;
+}
+
+/**
+ * Check a shipment quantity against a restriction's quantity limit
+ *
+ * The limit alternative with the quantity's own dimension is used when there
+ * is one, otherwise the first one the density converts to.
+ *
+ * @param {Object} restriction - Transport mode restriction with `maxQuantity`,
+ *   and optionally `limitPer` and `quantityBasis`
+ * @param {Object} shipment - Shipment quantity
+ * @param {{value: number, unit: string}} shipment.quantity - Total quantity
+ * @param {string} [shipment.quantityType='net'] - Whether the quantity is net or gross
+ * @param {number} [shipment.packages=1] - Number of packages the quantity is split over
+ * @param {number} [shipment.density] - Density in kg/L
+ * @returns {Object|null} Null for unlimited restrictions, otherwise
+ *   {comparable, exceeded, inconclusive, amount, limit, limitPer, quantityBasis, quantityType, densityUsed}
+ */
+function checkQuantityLimit(restriction, { quantity, quantityType = 'net', packages = 1, density }) {
+  const limits = parseQuantityLimit(restriction.maxQuantity);
+  if (!limits) {
+    return null;
+  }
+
+  const limitPer = restriction.limitPer || 'package';
+  const quantityBasis = restriction.quantityBasis || 'net';
+  const total = limitPer === 'package' ? { ...quantity, value: quantity.value / packages } : quantity;
+  const sameDimension = limits.find(limit => UNITS[limit.unit].dimension === UNITS[quantity.unit].dimension);
+  const limit = sameDimension || limits[0];
+  const amount = convertQuantity(total, limit.unit, density);
+
+  const result = { limitPer, quantityBasis, quantityType, limit, amount, densityUsed: !sameDimension && amount ? density : null };
+
+  if (!amount) {
+    return { ...result, comparable: false, exceeded: false, inconclusive: false };
+  }
+
+  const exceeded = amount.value > limit.value;
+
+  return {
+    ...result,
+    comparable: true,
+    exceeded,
+    // Net quantities are a lower bound for gross limits
+    inconclusive: !exceeded && quantityBasis === 'gross' && quantityType === 'net'
+  };
+}
+
+export {
+  UNITS,
+  QUANTITY_TYPES,
+  normalizeUnit,
+  parseQuantity,
+  parseQuantityLimit,
+  convertQuantity,
+  formatUnit,
+  formatQuantity,
+  checkQuantityLimit
+};
@@ -0,0 +1,480 @@
+/**
+ * Retention and Archival for LogiBrew Decision Logs
+ *
+ * Entries older than the retention period are moved out of the live chain of
+ * closed shipments into compacted archive segments (see chainStore.js). The
+ * live chain keeps an `archive_checkpoint` entry recording the archived range:
+ *
+ *   decision: { status: 'archived', fromIndex, count, firstHash, lastHash, archiveHash, shipmentStatus }
+ *
+ * The checkpoint is hashed and signed like any other entry, so the live chain
+ * still verifies on its own, and verifying archive plus live chain checks the
+ * archived entries against the checkpoint (see chainVerifier.js).
+ *
+ * A shipment is closed when its latest workflow transition moved it into one
+ * of the policy's closed statuses; the checkpoint carries that status forward,
+ * since the transition itself may be archived. The policy is edited on the
+ * compliance rules admin page.
+ *
+ * Shipments under legal hold are never archived. The hold is checked when a
+ * shipment is reached, again before its entries are copied and finally under
+ * the append lock before the live chain is trimmed; placing a hold takes the
+ * same lock. Holds are placed and released only by Jira or project
+ * administrators, and each change is logged on the shipment's chain. Entries
+ * still referenced from the live chain (amendment targets, legacy entries
+ * re-linked by a migration) stay live together with everything after them.
+ *
+ * Archival runs in three idempotent steps: copy to the archive, log the
+ * checkpoint, trim the live chain. A run interrupted after the checkpoint is
+ * completed by the next run.
+ *
+ * @module retention
+ */
+
+import api, { storage, route } from '@forge/api';
+import {
+  readChain,
+  getChainIndex,
+  trimChainPrefix,
+  getArchiveIndex,
+  appendToArchive,
+  listChainShipmentIds
+} from './chainStore.js';
+import { withChainLock } from './chainLock.js';
+import { logArchiveCheckpoint, logComplianceDecision, verifyShipmentChain } from './hashChain.js';
+import {
+  AMENDMENT_ACTION,
+  MIGRATION_ACTION,
+  ARCHIVE_CHECKPOINT_ACTION,
+  generateArchiveHash
+} from './chainVerifier.js';
+import { APP_ACTOR } from './decisionOrigin.js';
+
+const RETENTION_POLICY_KEY = 'retention-policy';
+const LEGAL_HOLD_ACTION = 'legal_hold';
+const LEGAL_HOLD_RELEASE_ACTION = 'legal_hold_released';
+const LEGAL_HOLD_PERMISSIONS = ['ADMINISTER', 'ADMINISTER_PROJECTS'];
+
+const DEFAULT_RETENTION_POLICY = {
+  retentionMonths: 24,
+  closedStatuses: ['done', 'closed', 'delivered', 'cancelled']
+};
+
+/**
+ * Storage key for a shipment's legal hold
+ */
+function getLegalHoldKey(shipmentId) {
+  return `legal-hold-${shipmentId}`;
+}
+
+/**
+ * Load the retention policy, falling back to the defaults
+ *
+ * @returns {Promise<{retentionMonths: number, closedStatuses: Array<string>}>}
+ */
+async function getRetentionPolicy() {
+  return { ...DEFAULT_RETENTION_POLICY, ...(await storage.get(RETENTION_POLICY_KEY) || {}) };
+}
+
+/**
+ * Update the retention policy
+ *
+ * Fields other than the policy settings are ignored.
+ *
+ * @param {Object} policy - Policy fields to change
+ * @param {number} [policy.retentionMonths] - Months entries stay in the live chain
+ * @param {Array<string>} [policy.closedStatuses] - Workflow statuses of closed shipments
+ * @param {Object} [options] - Update options
+ * @param {string} [options.userId] - Account ID changing the policy, recorded as `updatedBy`
+ * @returns {Promise<Object>} Updated policy
+ */
+async function setRetentionPolicy(policy, { userId } = {}) {
+  const changes = Object.fromEntries(Object.keys(DEFAULT_RETENTION_POLICY)
+    .filter(field => policy?.[field] !== undefined)
+    .map(field => [field, policy[field]]));
+  const updated = {
+    ...await getRetentionPolicy(),
+    ...changes,
+    ...(userId ? { updatedBy: userId, updatedAt: Date.now() } : {})
+  };
+
+  if (!Number.isInteger(updated.retentionMonths) || updated.retentionMonths < 1) {
+    throw new Error('retentionMonths must be a whole number of months, at least 1');
+  }
+
+  if (!Array.isArray(updated.closedStatuses) || updated.closedStatuses.some(status => typeof status !== 'string')) {
+    throw new Error('closedStatuses must be a list of workflow status names');
+  }
+
+  await storage.set(RETENTION_POLICY_KEY, updated);
+  return updated;
+}
+
+/**
+ * Load a shipment's legal hold
+ *
+ * @returns {Promise<Object|null>} Hold with reason, userId and placedAt, or null
+ */
+async function getLegalHold(shipmentId) {
+  return await storage.get(getLegalHoldKey(shipmentId)) || null;
+}
+
+/**
+ * Check whether the invoking user may place or release legal holds on a shipment
+ *
+ * Requires Jira administration or the Administer Projects permission on the
+ * shipment's project, as the invoking user sees it.
+ *
+ * @param {string} shipmentId - Shipment issue key
+ * @returns {Promise<boolean>} True if the user may change the shipment's hold
+ */
+async function canManageLegalHold(shipmentId) {
+  const response = await api.asUser().requestJira(
+    route`/rest/api/3/mypermissions?issueKey=${shipmentId}&permissions=${LEGAL_HOLD_PERMISSIONS.join(',')}`
+  );
+
+  if (response.status === 404) {
+    return false;
+  }
+  if (!response.ok) {
+    throw new Error(`Failed to check permissions on ${shipmentId}: HTTP ${response.status}`);
+  }
+
+  const { permissions } = await response.json();
+  return LEGAL_HOLD_PERMISSIONS.some(permission => permissions?.[permission]?.havePermission === true);
+}
+
+/**
+ * Require a non-empty reason for a legal hold change
+ */
+function requireHoldReason(reason, change) {
+  if (!reason || !String(reason).trim()) {
+    throw new Error(`Legal hold reason is required when ${change} a hold`);
+  }
+  return String(reason).trim();
+}
+
+/**
+ * Place a legal hold on a shipment, blocking archival of its log
+ *
+ * The hold is logged as a `legal_hold` entry on the shipment's chain and stored
+ * under the same append lock, so no archival trims the chain after the hold is
+ * placed and no hold exists without its entry.
+ *
+ * @param {Object} hold - Hold details
+ * @param {string} hold.shipmentId - Shipment identifier
+ * @param {string} hold.reason - Why the log must be kept live
+ * @param {string} hold.userId - Account ID placing the hold
+ * @param {string} [hold.source] - Where the hold was placed from
+ * @returns {Promise<Object>} Stored hold with the hash of its entry
+ */
+async function setLegalHold({ shipmentId, reason, userId, source }) {
+  const trimmedReason = requireHoldReason(reason, 'placing');
+  let hold;
+
+  await logComplianceDecision({
+    action: LEGAL_HOLD_ACTION,
+    userId,
+    source,
+    shipmentId,
+    outcome: { status: 'placed', reason: trimmedReason }
+  }, {
+    onAppended: async (entry) => {
+      hold = { shipmentId, reason: trimmedReason, userId, placedAt: entry.timestamp, entryHash: entry.hash };
+      await storage.set(getLegalHoldKey(shipmentId), hold);
+    }
+  });
+
+  console.log(`Legal hold placed on ${shipmentId} by ${userId}`);
+  return hold;
+}
+
+/**
+ * Release a shipment's legal hold
+ *
+ * The release is logged as a `legal_hold_released` entry referencing the hold's
+ * entry; shipments without a hold are left alone.
+ *
+ * @param {Object} release - Release details
+ * @param {string} release.shipmentId - Shipment identifier
+ * @param {string} release.reason - Why the hold is no longer needed
+ * @param {string} release.userId - Account ID releasing the hold
+ * @param {string} [release.source] - Where the hold was released from
+ * @returns {Promise<Object|null>} Released hold, or null if there was none
+ */
+async function releaseLegalHold({ shipmentId, reason, userId, source }) {
+  const trimmedReason = requireHoldReason(reason, 'releasing');
+  const hold = await getLegalHold(shipmentId);
+
+  if (!hold) {
+    return null;
+  }
+
+  await logComplianceDecision({
+    action: LEGAL_HOLD_RELEASE_ACTION,
+    userId,
+    source,
+    shipmentId,
+    outcome: { status: 'released', reason: trimmedReason, releasedHold: hold.entryHash || null }
+  }, {
+    onAppended: async () => {
+      await storage.delete(getLegalHoldKey(shipmentId));
+    }
+  });
+
+  console.log(`Legal hold released on ${shipmentId} by ${userId}`);
+  return hold;
+}
+
+/**
+ * Timestamp before which entries are past retention
+ */
+function getRetentionCutoff(retentionMonths, now = Date.now()) {
+  const cutoff = new Date(now);
+  cutoff.setUTCMonth(cutoff.getUTCMonth() - retentionMonths);
+  return cutoff.getTime();
+}
+
+/**
+ * Workflow status of a shipment from its latest transition or archive checkpoint
+ */
+function getShipmentStatus(chain) {
+  for (let i = chain.length - 1; i >= 0; i--) {
+    const entry = chain[i];
+
+    if (entry?.decision?.toStatus) {
+      return entry.decision.toStatus;
+    }
+    if (entry?.action === ARCHIVE_CHECKPOINT_ACTION && entry.decision?.shipmentStatus) {
+      return entry.decision.shipmentStatus;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check whether a shipment is in one of the closed statuses
+ */
+function isShipmentClosed(chain, closedStatuses) {
+  const status = String(getShipmentStatus(chain) || '').toLowerCase();
+
+  return status !== '' && closedStatuses.some(closed => closed.toLowerCase() === status);
+}
+
+/**
+ * Hashes of earlier entries an entry depends on to verify
+ */
+function getReferencedHashes(entry) {
+  if (entry?.action === AMENDMENT_ACTION) {
+    return [entry.decision?.amends];
+  }
+  if (entry?.action === MIGRATION_ACTION) {
+    return entry.decision?.relinkedHashes || [];
+  }
+  return [];
+}
+
+/**
+ * Number of leading chain entries that can be archived
+ *
+ * @param {Array<Object>} chain - Live shipment chain
+ * @param {number} cutoff - Entries older than this timestamp are past retention
+ * @returns {number} Length of the archivable prefix
+ */
+function countArchivableEntries(chain, cutoff) {
+  let count = 0;
+  while (count < chain.length && chain[count] && chain[count].timestamp < cutoff) {
+    count++;
+  }
+
+  // Shrink the prefix until no entry left live references an archived one
+  let previousCount;
+  do {
+    previousCount = count;
+    const positions = new Map(chain.slice(0, count).map((entry, idx) => [entry.hash, idx]));
+
+    for (const entry of chain.slice(count)) {
+      for (const hash of getReferencedHashes(entry)) {
+        if (positions.has(hash)) {
+          count = Math.min(count, positions.get(hash));
+        }
+      }
+    }
+  } while (count !== previousCount);
+
+  return count;
+}
+
+/**
+ * Remove archived entries from the live chain, up to and including `lastHash`
+ *
+ * A shipment placed under legal hold while it was being archived is left
+ * untrimmed; the next run after the hold is released completes the archival.
+ *
+ * @returns {Promise<number|null>} Number of entries removed (0 when already trimmed), null when held
+ */
+async function trimArchivedEntries(shipmentId, lastHash) {
+  return await withChainLock(async ({ ensureLockHeld }) => {
+    if (await getLegalHold(shipmentId)) {
+      return null;
+    }
+
+    const index = await getChainIndex(shipmentId);
+    const chain = await readChain(shipmentId);
+    const lastPosition = chain.findIndex(entry => entry?.hash === lastHash);
+
+    if (!index || lastPosition === -1) {
+      return 0;
+    }
+
+    await ensureLockHeld();
+    await trimChainPrefix(index, lastPosition + 1);
+
+    return lastPosition + 1;
+  });
+}
+
+/**
+ * Finish an archival whose checkpoint was logged but whose trim did not run
+ */
+async function completeInterruptedArchival(shipmentId, chain) {
+  const archive = await getArchiveIndex(shipmentId);
+
+  const isPending = archive?.headHash &&
+    chain.some(entry => entry?.hash === archive.headHash) &&
+    chain.some(entry => entry?.action === ARCHIVE_CHECKPOINT_ACTION && entry.decision?.lastHash === archive.headHash);
+
+  if (isPending) {
+    const trimmed = await trimArchivedEntries(shipmentId, archive.headHash);
+    if (trimmed !== null) {
+      console.log(`Completed interrupted archival of ${trimmed} entries for ${shipmentId}`);
+    }
+    return await readChain(shipmentId);
+  }
+
+  return chain;
+}
+
+/**
+ * Archive a shipment's entries that are past retention
+ *
+ * @param {string} shipmentId - Shipment identifier
+ * @param {Object} [options] - Archival options
+ * @param {Object} [options.policy] - Retention policy, loaded when omitted
+ * @param {number} [options.now] - Current time in milliseconds
+ * @param {string} [options.source] - Where the archival was started from
+ * @returns {Promise<Object>} Archival result; `reason` explains skipped shipments
+ */
+async function archiveShipmentChain(shipmentId, { policy, now = Date.now(), source } = {}) {
+  const retentionPolicy = policy || await getRetentionPolicy();
+
+  if (await getLegalHold(shipmentId)) {
+    return { shipmentId, archived: false, reason: 'legal_hold' };
+  }
+
+  const chain = await completeInterruptedArchival(shipmentId, await readChain(shipmentId));
+
+  if (!isShipmentClosed(chain, retentionPolicy.closedStatuses)) {
+    return { shipmentId, archived: false, reason: 'open' };
+  }
+
+  const count = countArchivableEntries(chain, getRetentionCutoff(retentionPolicy.retentionMonths, now));
+  if (count === 0) {
+    return { shipmentId, archived: false, reason: 'nothing_to_archive' };
+  }
+
+  // Never commit a checkpoint to entries that already fail verification
+  if (!(await verifyShipmentChain(shipmentId)).isValid) {
+    return { shipmentId, archived: false, reason: 'invalid_chain' };
+  }
+
+  // Verification can take a while; a hold placed meanwhile still applies
+  if (await getLegalHold(shipmentId)) {
+    return { shipmentId, archived: false, reason: 'legal_hold' };
+  }
+
+  const batch = chain.slice(0, count);
+  const hashes = batch.map(entry => entry.hash);
+  const archiveIndex = await appendToArchive(shipmentId, batch);
+
+  const checkpoint = await logArchiveCheckpoint({
+    shipmentId,
+    userId: APP_ACTOR,
+    source,
+    range: {
+      fromIndex: archiveIndex.length - count,
+      count,
+      firstHash: hashes[0],
+      lastHash: hashes[count - 1],
+      archiveHash: generateArchiveHash(hashes),
+      shipmentStatus: getShipmentStatus(chain)
+    }
+  });
+
+  if (await trimArchivedEntries(shipmentId, hashes[count - 1]) === null) {
+    console.log(`Left ${count} archived entries live for ${shipmentId}: legal hold placed during archival`);
+    return { shipmentId, archived: false, reason: 'legal_hold', checkpointHash: checkpoint.hash };
+  }
+
+  console.log(`Archived ${count} entries for ${shipmentId}`);
+
+  return {
+    shipmentId,
+    archived: true,
+    archivedCount: count,
+    archiveLength: archiveIndex.length,
+    checkpointHash: checkpoint.hash
+  };
+}
+
+/**
+ * Apply the retention policy to every stored shipment chain
+ *
+ * A failure for one shipment is recorded and does not stop the others.
+ *
+ * @param {Object} [options] - Options passed to archiveShipmentChain
+ * @returns {Promise<Object>} Summary with per-shipment results
+ */
+async function runRetention({ now = Date.now(), source } = {}) {
+  const policy = await getRetentionPolicy();
+  const results = [];
+
+  for (const shipmentId of await listChainShipmentIds()) {
+    try {
+      results.push(await archiveShipmentChain(shipmentId, { policy, now, source }));
+    } catch (error) {
+      console.error(`Archival failed for ${shipmentId}: ${error.message}`);
+      results.push({ shipmentId, archived: false, reason: 'error', error: error.message });
+    }
+  }
+
+  return {
+    scanned: results.length,
+    archived: results.filter(result => result.archived).length,
+    archivedEntries: results.reduce((sum, result) => sum + (result.archivedCount || 0), 0),
+    held: results.filter(result => result.reason === 'legal_hold').length,
+    failed: results.filter(result => result.reason === 'error').length,
+    results
+  };
+}
+
+export {
+  RETENTION_POLICY_KEY,
+  LEGAL_HOLD_ACTION,
+  LEGAL_HOLD_RELEASE_ACTION,
+  DEFAULT_RETENTION_POLICY,
+  getLegalHoldKey,
+  getRetentionPolicy,
+  setRetentionPolicy,
+  getLegalHold,
+  canManageLegalHold,
+  setLegalHold,
+  releaseLegalHold,
+  getRetentionCutoff,
+  getShipmentStatus,
+  isShipmentClosed,
+  countArchivableEntries,
+  archiveShipmentChain,
+  runRetention
+};
@@ -0,0 +1,731 @@
+/**
+ * RFC 3161 Time-Stamp Protocol Encoding
+ *
+ * DER encoding and decoding of the RFC 3161 messages LogiBrew exchanges with a
+ * time-stamping authority (TSA):
+ *
+ * - TimeStampReq: the hash to timestamp (messageImprint) and a nonce
+ * - TimeStampResp: the PKI status and, when granted, the timestamp token
+ * - TimeStampToken: a CMS SignedData (RFC 5652) whose content is a TSTInfo
+ *   with the imprint, the TSA's generation time (genTime) and serial number
+ *
+ * Like chainVerifier.js this module depends only on Node's built-in `crypto`
+ * module, so audit bundles with timestamp tokens can be checked offline.
+ *
+ * verifyTimestampToken checks that a token covers a given hash and that its
+ * signed attributes match the TSTInfo; the TSA signature is checked when the
+ * TSA certificate or public key is passed. Certificates a token carries are
+ * returned by getTokenCertificate but never trusted on their own. Validating
+ * the TSA certificate chain is left to standard tooling, e.g.
+ * `openssl ts -verify -token_in`.
+ *
+ * @module rfc3161
+ */
+
+import crypto from 'crypto';
+
+const PKI_STATUS = {
+  GRANTED: 0,
+  GRANTED_WITH_MODS: 1,
+  REJECTION: 2,
+  WAITING: 3,
+  REVOCATION_WARNING: 4,
+  REVOCATION_NOTIFICATION: 5
+};
+
+/**
+ * Digest algorithm object identifiers by Node hash name
+ */
+const DIGEST_ALGORITHM_OIDS = {
+  sha1: '1.3.14.3.2.26',
+  sha256: '2.16.840.1.101.3.4.2.1',
+  sha384: '2.16.840.1.101.3.4.2.2',
+  sha512: '2.16.840.1.101.3.4.2.3',
+  'sha3-256': '2.16.840.1.101.3.4.2.8'
+};
+
+const OIDS = {
+  signedData: '1.2.840.113549.1.7.2',
+  tstInfo: '1.2.840.113549.1.9.16.1.4',
+  contentTypeAttribute: '1.2.840.113549.1.9.3',
+  messageDigestAttribute: '1.2.840.113549.1.9.4',
+  commonName: '2.5.4.3',
+  extendedKeyUsage: '2.5.29.37',
+  timeStamping: '1.3.6.1.5.5.7.3.8',
+  ed25519: '1.3.101.112',
+  rsaEncryption: '1.2.840.113549.1.1.1',
+  sha256WithRsa: '1.2.840.113549.1.1.11',
+  sha384WithRsa: '1.2.840.113549.1.1.12',
+  sha512WithRsa: '1.2.840.113549.1.1.13',
+  ecdsaWithSha256: '1.2.840.10045.4.3.2',
+  ecdsaWithSha384: '1.2.840.10045.4.3.3',
+  ecdsaWithSha512: '1.2.840.10045.4.3.4'
+};
+
+const TAGS = {
+  BOOLEAN: 0x01,
+  INTEGER: 0x02,
+  BIT_STRING: 0x03,
+  OCTET_STRING: 0x04,
+  NULL: 0x05,
+  OID: 0x06,
+  UTF8_STRING: 0x0c,
+  SEQUENCE: 0x30,
+  SET: 0x31,
+  UTC_TIME: 0x17,
+  GENERALIZED_TIME: 0x18
+};
+
+/**
+ * Tag of an explicit or constructed context-specific field [n]
+ */
+function contextTag(n) {
+  return 0xa0 | n;
+}
+
+/**
+ * Encode a DER length
+ */
+function encodeLength(length) {
+  if (length < 0x80) {
+    return Buffer.from([length]);
+  }
+
+  const bytes = [];
+  for (let rest = length; rest > 0; rest = Math.floor(rest / 256)) {
+    bytes.unshift(rest & 0xff);
+  }
+
+  return Buffer.from([0x80 | bytes.length, ...bytes]);
+}
+
+/**
+ * Encode a tag-length-value triple
+ */
+function encodeTlv(tag, ...contents) {
+  const content = Buffer.concat(contents);
+  return Buffer.concat([Buffer.from([tag]), encodeLength(content.length), content]);
+}
+
+/**
+ * Unsigned big-endian bytes of an integer given as a number, hex string or Buffer
+ */
+function toUnsignedBytes(value) {
+  let bytes;
+  if (Buffer.isBuffer(value)) {
+    bytes = value;
+  } else {
+    const hex = typeof value === 'number' ? value.toString(16) : String(value);
+    bytes = Buffer.from(hex.length % 2 ? `0${hex}` : hex, 'hex');
+  }
+
+  let start = 0;
+  while (start < bytes.length - 1 && bytes[start] === 0) {
+    start++;
+  }
+
+  return bytes.length === 0 ? Buffer.from([0]) : bytes.subarray(start);
+}
+
+function encodeInteger(value) {
+  const bytes = toUnsignedBytes(value);
+  // Keep non-negative integers non-negative in two's complement
+  return encodeTlv(TAGS.INTEGER, bytes[0] & 0x80 ? Buffer.from([0]) : Buffer.alloc(0), bytes);
+}
+
+function encodeOid(oid) {
+  const arcs = oid.split('.').map(Number);
+  const bytes = [40 * arcs[0] + arcs[1]];
+
+  for (const arc of arcs.slice(2)) {
+    const groups = [arc & 0x7f];
+    for (let rest = Math.floor(arc / 128); rest > 0; rest = Math.floor(rest / 128)) {
+      groups.unshift(0x80 | (rest & 0x7f));
+    }
+    bytes.push(...groups);
+  }
+
+  return encodeTlv(TAGS.OID, Buffer.from(bytes));
+}
+
+/**
+ * Encode a time as GeneralizedTime with millisecond precision (RFC 3161 2.4.2)
+ */
+function encodeGeneralizedTime(time) {
+  const iso = new Date(time).toISOString();
+  const fraction = iso.slice(20, 23).replace(/0+$/, '');
+  const text = `${iso.slice(0, 19).replace(/[-:T]/g, '')}${fraction ? `.${fraction}` : ''}Z`;
+
+  return encodeTlv(TAGS.GENERALIZED_TIME, Buffer.from(text, 'ascii'));
+}
+
+/**
+ * Encode a certificate validity time: UTCTime until 2049, GeneralizedTime after (RFC 5280 4.1.2.5)
+ */
+function encodeCertificateTime(time) {
+  const text = `${new Date(time).toISOString().slice(0, 19).replace(/[-:T]/g, '')}Z`;
+
+  return text < '2050'
+    ? encodeTlv(TAGS.UTC_TIME, Buffer.from(text.slice(2), 'ascii'))
+    : encodeTlv(TAGS.GENERALIZED_TIME, Buffer.from(text, 'ascii'));
+}
+
+function encodeSequence(...items) {
+  return encodeTlv(TAGS.SEQUENCE, ...items);
+}
+
+/**
+ * Encode a SET OF, with elements in DER order
+ */
+function encodeSet(...items) {
+  return encodeTlv(TAGS.SET, ...[...items].sort(Buffer.compare));
+}
+
+function encodeAlgorithmIdentifier(oid, withNullParameters = true) {
+  return withNullParameters ? encodeSequence(encodeOid(oid), encodeTlv(TAGS.NULL)) : encodeSequence(encodeOid(oid));
+}
+
+/**
+ * Decode the DER value starting at `offset`
+ *
+ * @returns {{tag: number, buffer: Buffer, start: number, end: number, content: Buffer, raw: Buffer}}
+ */
+function decodeTlv(buffer, offset = 0) {
+  if (offset + 2 > buffer.length) {
+    throw new Error('Truncated DER value');
+  }
+
+  const tag = buffer[offset];
+  let length = buffer[offset + 1];
+  let headerLength = 2;
+
+  if (length & 0x80) {
+    const lengthBytes = length & 0x7f;
+    if (lengthBytes === 0 || lengthBytes > 4) {
+      throw new Error('Unsupported DER length encoding');
+    }
+
+    length = 0;
+    for (let i = 0; i < lengthBytes; i++) {
+      length = length * 256 + buffer[offset + 2 + i];
+    }
+    headerLength += lengthBytes;
+  }
+
+  const start = offset + headerLength;
+  const end = start + length;
+  if (end > buffer.length) {
+    throw new Error('Truncated DER value');
+  }
+
+  return { tag, buffer, start, end, content: buffer.subarray(start, end), raw: buffer.subarray(offset, end) };
+}
+
+/**
+ * Decode the elements of a constructed DER value
+ */
+function decodeChildren(node) {
+  const children = [];
+  let offset = node.start;
+
+  while (offset < node.end) {
+    const child = decodeTlv(node.buffer, offset);
+    children.push(child);
+    offset = child.end;
+  }
+
+  return children;
+}
+
+/**
+ * Check a decoded value's tag
+ */
+function expectTag(node, tag, name) {
+  if (!node || node.tag !== tag) {
+    throw new Error(`Malformed ${name}`);
+  }
+  return node;
+}
+
+/**
+ * Decode an unsigned INTEGER to lowercase hex without leading zero bytes
+ */
+function decodeInteger(node, name) {
+  return toUnsignedBytes(expectTag(node, TAGS.INTEGER, name).content).toString('hex');
+}
+
+function decodeOid(node, name) {
+  const bytes = expectTag(node, TAGS.OID, name).content;
+  const arcs = [Math.floor(bytes[0] / 40), bytes[0] % 40];
+  let value = 0;
+
+  for (const byte of bytes.subarray(1)) {
+    value = value * 128 + (byte & 0x7f);
+    if (!(byte & 0x80)) {
+      arcs.push(value);
+      value = 0;
+    }
+  }
+
+  return arcs.join('.');
+}
+
+function decodeGeneralizedTime(node, name) {
+  const text = expectTag(node, TAGS.GENERALIZED_TIME, name).content.toString('ascii');
+  const match = text.match(/^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})(?:[.,](\d+))?Z$/);
+
+  if (!match) {
+    throw new Error(`Malformed ${name}: ${text}`);
+  }
+
+  const [, year, month, day, hour, minute, second, fraction = '0'] = match;
+  return Date.UTC(+year, +month - 1, +day, +hour, +minute, +second, Math.floor(Number(`0.${fraction}`) * 1000));
+}
+
+/**
+ * Node hash name of a digest algorithm identifier
+ */
+function decodeDigestAlgorithm(node, name) {
+  const oid = decodeOid(decodeChildren(expectTag(node, TAGS.SEQUENCE, name))[0], name);
+  const algorithm = Object.keys(DIGEST_ALGORITHM_OIDS).find(key => DIGEST_ALGORITHM_OIDS[key] === oid);
+
+  if (!algorithm) {
+    throw new Error(`Unsupported digest algorithm: ${oid}`);
+  }
+
+  return algorithm;
+}
+
+/**
+ * Encode a MessageImprint for a hex hash
+ */
+function encodeMessageImprint(hashAlgorithm, hashedMessage) {
+  const oid = DIGEST_ALGORITHM_OIDS[hashAlgorithm];
+  if (!oid) {
+    throw new Error(`Unsupported digest algorithm: ${hashAlgorithm}`);
+  }
+
+  return encodeSequence(encodeAlgorithmIdentifier(oid), encodeTlv(TAGS.OCTET_STRING, Buffer.from(hashedMessage, 'hex')));
+}
+
+function decodeMessageImprint(node) {
+  const [algorithm, hashedMessage] = decodeChildren(expectTag(node, TAGS.SEQUENCE, 'message imprint'));
+
+  return {
+    hashAlgorithm: decodeDigestAlgorithm(algorithm, 'message imprint algorithm'),
+    hashedMessage: expectTag(hashedMessage, TAGS.OCTET_STRING, 'message imprint').content.toString('hex')
+  };
+}
+
+/**
+ * Build a DER TimeStampReq
+ *
+ * @param {Object} request - Request fields
+ * @param {string} request.hashedMessage - Hex hash to timestamp
+ * @param {string} [request.hashAlgorithm='sha256'] - Algorithm that produced the hash
+ * @param {string} [request.nonce] - Hex nonce the response must echo
+ * @param {string} [request.policy] - Requested TSA policy OID
+ * @param {boolean} [request.certReq=true] - Ask the TSA to include its certificate
+ * @returns {Buffer} DER-encoded request
+ */
+function buildTimestampRequest({ hashedMessage, hashAlgorithm = 'sha256', nonce, policy, certReq = true }) {
+  return encodeSequence(
+    encodeInteger(1),
+    encodeMessageImprint(hashAlgorithm, hashedMessage),
+    policy ? encodeOid(policy) : Buffer.alloc(0),
+    nonce ? encodeInteger(nonce) : Buffer.alloc(0),
+    // certReq is DEFAULT FALSE, which DER leaves out
+    certReq ? encodeTlv(TAGS.BOOLEAN, Buffer.from([0xff])) : Buffer.alloc(0)
+  );
+}
+
+/**
+ * Parse a DER TimeStampReq
+ *
+ * @param {Buffer} der - DER-encoded request
+ * @returns {{version: number, hashAlgorithm: string, hashedMessage: string, policy: string|null, nonce: string|null, certReq: boolean}}
+ */
+function parseTimestampRequest(der) {
+  const [version, imprint, ...optional] = decodeChildren(expectTag(decodeTlv(der), TAGS.SEQUENCE, 'timestamp request'));
+  const findOptional = tag => optional.find(node => node.tag === tag);
+
+  return {
+    version: parseInt(decodeInteger(version, 'request version'), 16),
+    ...decodeMessageImprint(imprint),
+    policy: findOptional(TAGS.OID) ? decodeOid(findOptional(TAGS.OID), 'request policy') : null,
+    nonce: findOptional(TAGS.INTEGER) ? decodeInteger(findOptional(TAGS.INTEGER), 'request nonce') : null,
+    certReq: findOptional(TAGS.BOOLEAN)?.content[0] === 0xff
+  };
+}
+
+/**
+ * Encode an X.501 Name with a single common name
+ */
+function encodeCommonName(commonName) {
+  return encodeSequence(encodeSet(encodeSequence(
+    encodeOid(OIDS.commonName),
+    encodeTlv(TAGS.UTF8_STRING, Buffer.from(commonName, 'utf8'))
+  )));
+}
+
+/**
+ * Build a self-signed Ed25519 TSA certificate
+ *
+ * Used by the local stand-in TSA. The certificate is limited to the
+ * timeStamping extended key usage, as RFC 3161 2.3 requires.
+ *
+ * @param {Object} signer - Token signer, see buildTimestampToken
+ * @param {crypto.KeyObject} publicKey - Ed25519 public key of the signer
+ * @param {Object} validity - Certificate validity
+ * @param {number} validity.notBefore - Start in milliseconds
+ * @param {number} validity.notAfter - End in milliseconds
+ * @returns {Buffer} DER-encoded certificate
+ */
+function buildTsaCertificate(signer, publicKey, { notBefore, notAfter }) {
+  const name = encodeCommonName(signer.commonName);
+  const extendedKeyUsage = encodeSequence(
+    encodeOid(OIDS.extendedKeyUsage),
+    encodeTlv(TAGS.BOOLEAN, Buffer.from([0xff])),
+    encodeTlv(TAGS.OCTET_STRING, encodeSequence(encodeOid(OIDS.timeStamping)))
+  );
+
+  const tbsCertificate = encodeSequence(
+    encodeTlv(contextTag(0), encodeInteger(2)),
+    encodeInteger(signer.serialNumber),
+    encodeAlgorithmIdentifier(OIDS.ed25519, false),
+    name,
+    encodeSequence(encodeCertificateTime(notBefore), encodeCertificateTime(notAfter)),
+    name,
+    publicKey.export({ type: 'spki', format: 'der' }),
+    encodeTlv(contextTag(3), encodeSequence(extendedKeyUsage))
+  );
+  const signature = crypto.sign(null, tbsCertificate, signer.privateKey);
+
+  return encodeSequence(
+    tbsCertificate,
+    encodeAlgorithmIdentifier(OIDS.ed25519, false),
+    encodeTlv(TAGS.BIT_STRING, Buffer.from([0]), signature)
+  );
+}
+
+/**
+ * Build a DER TimeStampToken signed with an Ed25519 key
+ *
+ * Used by the local stand-in TSA; production tokens come from a real TSA.
+ *
+ * @param {Object} tstInfo - Token content
+ * @param {string} tstInfo.policy - TSA policy OID
+ * @param {string} tstInfo.hashAlgorithm - Imprint algorithm
+ * @param {string} tstInfo.hashedMessage - Hex imprint
+ * @param {string|number} tstInfo.serialNumber - Unique token serial number
+ * @param {number} tstInfo.genTime - Generation time in milliseconds
+ * @param {string} [tstInfo.nonce] - Hex nonce from the request
+ * @param {Object} signer - Token signer
+ * @param {string} signer.commonName - TSA name, used as the certificate issuer
+ * @param {string} signer.serialNumber - Hex serial number of the TSA certificate
+ * @param {crypto.KeyObject} signer.privateKey - Ed25519 private key
+ * @param {Buffer} [signer.certificate] - DER TSA certificate to include in the token
+ * @returns {Buffer} DER-encoded token
+ */
+function buildTimestampToken({ policy, hashAlgorithm, hashedMessage, serialNumber, genTime, nonce }, signer) {
+  const tstInfo = encodeSequence(
+    encodeInteger(1),
+    encodeOid(policy),
+    encodeMessageImprint(hashAlgorithm, hashedMessage),
+    encodeInteger(serialNumber),
+    encodeGeneralizedTime(genTime),
+    nonce ? encodeInteger(nonce) : Buffer.alloc(0)
+  );
+
+  const signedAttributes = [
+    encodeSequence(encodeOid(OIDS.contentTypeAttribute), encodeSet(encodeOid(OIDS.tstInfo))),
+    encodeSequence(
+      encodeOid(OIDS.messageDigestAttribute),
+      encodeSet(encodeTlv(TAGS.OCTET_STRING, crypto.createHash('sha256').update(tstInfo).digest()))
+    )
+  ];
+  // The signature covers the attributes encoded as a SET; they are stored as [0] IMPLICIT
+  const signedAttributesSet = encodeSet(...signedAttributes);
+  const signature = crypto.sign(null, signedAttributesSet, signer.privateKey);
+
+  // Identified by issuer and serial number (version 1), which every CMS reader supports
+  const issuer = encodeCommonName(signer.commonName);
+  const signerInfo = encodeSequence(
+    encodeInteger(1),
+    encodeSequence(issuer, encodeInteger(signer.serialNumber)),
+    encodeAlgorithmIdentifier(DIGEST_ALGORITHM_OIDS.sha256),
+    Buffer.concat([Buffer.from([contextTag(0)]), signedAttributesSet.subarray(1)]),
+    encodeAlgorithmIdentifier(OIDS.ed25519, false),
+    encodeTlv(TAGS.OCTET_STRING, signature)
+  );
+
+  const signedData = encodeSequence(
+    encodeInteger(3),
+    encodeSet(encodeAlgorithmIdentifier(DIGEST_ALGORITHM_OIDS.sha256)),
+    encodeSequence(encodeOid(OIDS.tstInfo), encodeTlv(contextTag(0), encodeTlv(TAGS.OCTET_STRING, tstInfo))),
+    signer.certificate ? encodeTlv(contextTag(0), signer.certificate) : Buffer.alloc(0),
+    encodeSet(signerInfo)
+  );
+
+  return encodeSequence(encodeOid(OIDS.signedData), encodeTlv(contextTag(0), signedData));
+}
+
+/**
+ * Build a DER TimeStampResp
+ *
+ * @param {Object} response - Response fields
+ * @param {number} response.status - PKI_STATUS value
+ * @param {string} [response.statusText] - Free-text status
+ * @param {Buffer} [response.token] - DER timestamp token, when granted
+ * @returns {Buffer} DER-encoded response
+ */
+function buildTimestampResponse({ status, statusText, token }) {
+  return encodeSequence(
+    encodeSequence(
+      encodeInteger(status),
+      statusText ? encodeSequence(encodeTlv(TAGS.UTF8_STRING, Buffer.from(statusText, 'utf8'))) : Buffer.alloc(0)
+    ),
+    token || Buffer.alloc(0)
+  );
+}
+
+/**
+ * Parse a DER TimeStampResp
+ *
+ * @param {Buffer} der - DER-encoded response
+ * @returns {{status: number, granted: boolean, statusText: string|null, token: Buffer|null}}
+ */
+function parseTimestampResponse(der) {
+  const [statusInfo, token] = decodeChildren(expectTag(decodeTlv(der), TAGS.SEQUENCE, 'timestamp response'));
+  const [status, ...details] = decodeChildren(expectTag(statusInfo, TAGS.SEQUENCE, 'PKI status'));
+  const statusStrings = details.find(node => node.tag === TAGS.SEQUENCE);
+  const statusValue = parseInt(decodeInteger(status, 'PKI status'), 16);
+
+  return {
+    status: statusValue,
+    granted: statusValue === PKI_STATUS.GRANTED || statusValue === PKI_STATUS.GRANTED_WITH_MODS,
+    statusText: statusStrings
+      ? decodeChildren(statusStrings).map(node => node.content.toString('utf8')).join('; ')
+      : null,
+    token: token ? Buffer.from(token.raw) : null
+  };
+}
+
+/**
+ * Parse a DER TimeStampToken
+ *
+ * @param {Buffer} der - DER-encoded token (CMS ContentInfo)
+ * @returns {Object} TSTInfo fields, the signer info, the included certificates and the raw signed content
+ */
+function parseTimestampToken(der) {
+  const [contentType, wrappedSignedData] = decodeChildren(expectTag(decodeTlv(der), TAGS.SEQUENCE, 'timestamp token'));
+  if (decodeOid(contentType, 'token content type') !== OIDS.signedData) {
+    throw new Error('Timestamp token is not CMS SignedData');
+  }
+
+  const signedData = decodeChildren(expectTag(wrappedSignedData, contextTag(0), 'signed data'))[0];
+  const signedDataFields = decodeChildren(expectTag(signedData, TAGS.SEQUENCE, 'signed data'));
+  const [eContentType, wrappedContent] = decodeChildren(expectTag(signedDataFields[2], TAGS.SEQUENCE, 'encapsulated content'));
+  if (decodeOid(eContentType, 'encapsulated content type') !== OIDS.tstInfo) {
+    throw new Error('Timestamp token does not contain a TSTInfo');
+  }
+
+  const eContent = expectTag(decodeChildren(expectTag(wrappedContent, contextTag(0), 'encapsulated content'))[0], TAGS.OCTET_STRING, 'TSTInfo').content;
+  const [version, policy, imprint, serialNumber, genTime, ...optional] = decodeChildren(
+    expectTag(decodeTlv(eContent), TAGS.SEQUENCE, 'TSTInfo')
+  );
+  const nonce = optional.find(node => node.tag === TAGS.INTEGER);
+
+  const signerInfos = decodeChildren(expectTag(signedDataFields[signedDataFields.length - 1], TAGS.SET, 'signer infos'));
+  if (signerInfos.length !== 1) {
+    throw new Error(`Timestamp token must have exactly one signer, found ${signerInfos.length}`);
+  }
+
+  // certificates [0] IMPLICIT CertificateSet; other certificate formats than X.509 are skipped
+  const certificateSet = signedDataFields.slice(3, -1).find(node => node.tag === contextTag(0));
+  const certificates = certificateSet
+    ? decodeChildren(certificateSet).filter(node => node.tag === TAGS.SEQUENCE).map(node => Buffer.from(node.raw))
+    : [];
+
+  const signerFields = decodeChildren(expectTag(signerInfos[0], TAGS.SEQUENCE, 'signer info'));
+  // sid is either IssuerAndSerialNumber or a [0] subjectKeyIdentifier
+  const signerSerialNumber = signerFields[1]?.tag === TAGS.SEQUENCE
+    ? decodeInteger(decodeChildren(signerFields[1])[1], 'signer serial number')
+    : null;
+  const signedAttributes = signerFields.find(node => node.tag === contextTag(0));
+  const [signatureAlgorithm, signature] = signerFields.slice(signedAttributes ? signerFields.indexOf(signedAttributes) + 1 : 3);
+
+  let messageDigest = null;
+  for (const attribute of signedAttributes ? decodeChildren(signedAttributes) : []) {
+    const [type, values] = decodeChildren(attribute);
+    if (decodeOid(type, 'signed attribute type') === OIDS.messageDigestAttribute) {
+      messageDigest = expectTag(decodeChildren(values)[0], TAGS.OCTET_STRING, 'message digest').content.toString('hex');
+    }
+  }
+
+  return {
+    version: parseInt(decodeInteger(version, 'TSTInfo version'), 16),
+    policy: decodeOid(policy, 'TSA policy'),
+    ...decodeMessageImprint(imprint),
+    serialNumber: decodeInteger(serialNumber, 'serial number'),
+    genTime: decodeGeneralizedTime(genTime, 'generation time'),
+    nonce: nonce ? decodeInteger(nonce, 'nonce') : null,
+    signer: {
+      serialNumber: signerSerialNumber,
+      digestAlgorithm: decodeDigestAlgorithm(signerFields[2], 'signer digest algorithm'),
+      signatureAlgorithm: decodeOid(decodeChildren(expectTag(signatureAlgorithm, TAGS.SEQUENCE, 'signature algorithm'))[0], 'signature algorithm'),
+      signedAttributes: signedAttributes
+        ? Buffer.concat([Buffer.from([TAGS.SET]), signedAttributes.raw.subarray(1)])
+        : null,
+      messageDigest,
+      signature: expectTag(signature, TAGS.OCTET_STRING, 'signature').content
+    },
+    certificates,
+    eContent
+  };
+}
+
+/**
+ * Check a TSA signature over a token's signed attributes
+ */
+function verifyTokenSignature(signer, publicKey) {
+  const algorithm = signer.signatureAlgorithm === OIDS.ed25519 ? null : signer.digestAlgorithm;
+  return crypto.verify(algorithm, signer.signedAttributes, publicKey, signer.signature);
+}
+
+/**
+ * Read a certificate given as PEM, DER or X509Certificate
+ */
+function toCertificate(certificate) {
+  return certificate instanceof crypto.X509Certificate ? certificate : new crypto.X509Certificate(certificate);
+}
+
+/**
+ * Check that a certificate identifies a token's signer and was valid at genTime
+ *
+ * @returns {string|null} Problem found, null when the certificate fits
+ */
+function checkSignerCertificate(parsed, certificate) {
+  if (parsed.signer.serialNumber && toUnsignedBytes(certificate.serialNumber).toString('hex') !== parsed.signer.serialNumber) {
+    return 'Timestamp token was not signed with the given TSA certificate';
+  }
+
+  if (parsed.genTime < Date.parse(certificate.validFrom) || parsed.genTime > Date.parse(certificate.validTo)) {
+    return 'Timestamp token time is outside the validity of the TSA certificate';
+  }
+
+  return null;
+}
+
+/**
+ * Certificate of the signer included in a timestamp token
+ *
+ * Tokens carry the TSA certificate when the request set certReq. The
+ * certificate is only as trustworthy as the channel the token came over.
+ *
+ * @param {Buffer|string} token - DER token or its base64 encoding
+ * @returns {string|null} PEM certificate, null when the token has none for its signer
+ */
+function getTokenCertificate(token) {
+  const parsed = parseTimestampToken(Buffer.isBuffer(token) ? token : Buffer.from(String(token), 'base64'));
+
+  for (const der of parsed.certificates) {
+    const certificate = toCertificate(der);
+    if (!parsed.signer.serialNumber || toUnsignedBytes(certificate.serialNumber).toString('hex') === parsed.signer.serialNumber) {
+      return certificate.toString();
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Verify that a timestamp token covers a hash
+ *
+ * With a TSA certificate the token must name it as signer, fall within its
+ * validity and carry a valid signature by its key; a bare public key only
+ * checks the signature. `signatureChecked` is true when the signature was
+ * actually verified.
+ *
+ * @param {Buffer|string} token - DER token or its base64 encoding
+ * @param {Object} [expected] - Expected values
+ * @param {string} [expected.hashedMessage] - Hex hash the token must cover
+ * @param {string} [expected.nonce] - Hex nonce of the request
+ * @param {string|Buffer|crypto.X509Certificate} [expected.certificate] - Trusted TSA certificate, PEM or DER
+ * @param {crypto.KeyObject|string} [expected.publicKey] - TSA public key, when no certificate is given
+ * @returns {{isValid: boolean, genTime: number|null, serialNumber: string|null, policy: string|null, signatureChecked: boolean, errors: Array<string>}}
+ */
+function verifyTimestampToken(token, { hashedMessage, nonce, certificate, publicKey } = {}) {
+  let parsed;
+  try {
+    parsed = parseTimestampToken(Buffer.isBuffer(token) ? token : Buffer.from(String(token), 'base64'));
+  } catch (error) {
+    return { isValid: false, genTime: null, serialNumber: null, policy: null, signatureChecked: false, errors: [error.message] };
+  }
+
+  const errors = [];
+  let signatureKey = publicKey;
+  let signatureChecked = false;
+
+  if (hashedMessage && parsed.hashedMessage !== String(hashedMessage).toLowerCase()) {
+    errors.push('Timestamp token does not cover the expected hash');
+  }
+
+  if (nonce && parsed.nonce !== toUnsignedBytes(nonce).toString('hex')) {
+    errors.push('Timestamp token nonce does not match the request');
+  }
+
+  if (certificate) {
+    try {
+      const tsaCertificate = toCertificate(certificate);
+      const problem = checkSignerCertificate(parsed, tsaCertificate);
+      if (problem) {
+        errors.push(problem);
+      }
+      signatureKey = tsaCertificate.publicKey;
+    } catch (error) {
+      errors.push(`TSA certificate could not be read: ${error.message}`);
+      signatureKey = null;
+    }
+  }
+
+  if (!parsed.signer.signedAttributes || !parsed.signer.messageDigest) {
+    errors.push('Timestamp token has no signed message digest');
+  } else if (crypto.createHash(parsed.signer.digestAlgorithm).update(parsed.eContent).digest('hex') !== parsed.signer.messageDigest) {
+    errors.push('Timestamp token content does not match its signed digest');
+  } else if (signatureKey) {
+    let signatureValid = false;
+    try {
+      signatureValid = verifyTokenSignature(parsed.signer, signatureKey);
+      signatureChecked = true;
+    } catch (error) {
+      errors.push(`Timestamp token signature could not be checked: ${error.message}`);
+    }
+    if (signatureChecked && !signatureValid) {
+      errors.push('Timestamp token signature is invalid');
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    genTime: parsed.genTime,
+    serialNumber: parsed.serialNumber,
+    policy: parsed.policy,
+    signatureChecked,
+    errors
+  };
+}
+
+export {
+  PKI_STATUS,
+  DIGEST_ALGORITHM_OIDS,
+  buildTimestampRequest,
+  parseTimestampRequest,
+  buildTsaCertificate,
+  buildTimestampToken,
+  buildTimestampResponse,
+  parseTimestampResponse,
+  parseTimestampToken,
+  getTokenCertificate,
+  verifyTimestampToken
+};
@@ -0,0 +1,137 @@
+/**
+ * Route Facts
+ *
+ * The route checks of a rule set are `complianceChecks` rules of the `route`
+ * scope (see ruleEngine.js), e.g.
+ *
+ *   { "id": "unrealistic_timeline", "scope": "route", "when": "transitDays < minimumTransitDays", ... }
+ *
+ * This module builds the facts they are evaluated against from the shipment:
+ * normalized origin and destination, transport modes, dates, transit days,
+ * a mode-based minimum transit estimate and whether leg dates conflict. Rule
+ * sets published before the estimate was configurable (0.9.0 and 1.0.0) have
+ * no `routeValidation.transitEstimates` and use the built-in estimates below.
+ *
+ * @module routeValidation
+ */
+
+import { parseDate, getTransitDays } from './timeline.js';
+
+// Transit estimates of rule sets without `routeValidation.transitEstimates`
+const DEFAULT_TRANSIT_ESTIMATES = {
+  transferDays: 0.5,
+  modes: {
+    air: { handlingDays: 1, kmPerDay: 8000 },
+    sea: { handlingDays: 2, kmPerDay: 600 },
+    road: { handlingDays: 0, kmPerDay: 600 },
+    rail: { handlingDays: 1, kmPerDay: 800 }
+  }
+};
+
+/**
+ * Location name for comparison: trimmed, lowercased, single spaces
+ */
+function normalizeLocation(location) {
+  const normalized = String(location ?? '').trim().toLowerCase().replace(/\s+/g, ' ');
+  return normalized || null;
+}
+
+/**
+ * Minimum door-to-door transit time for the legs of a route
+ *
+ * Each leg takes the handling days of its mode plus its distance, when known,
+ * at the mode's daily range; every change of leg adds the transfer days.
+ *
+ * @param {Array<{transportMode: string, distance?: number}>} legs - Legs in travel order
+ * @param {Object} [estimates] - `routeValidation.transitEstimates` section of the rule set (default: built-in estimates)
+ * @returns {number|null} Minimum transit days, null without legs
+ */
+function estimateMinimumTransitDays(legs, estimates = DEFAULT_TRANSIT_ESTIMATES) {
+  if (legs.length === 0) {
+    return null;
+  }
+
+  const days = legs.reduce((total, leg) => {
+    const mode = estimates.modes[leg.transportMode];
+    const distance = Number(leg.distance);
+    return total + mode.handlingDays + (distance > 0 ? distance / mode.kmPerDay : 0);
+  }, estimates.transferDays * (legs.length - 1));
+
+  return Math.round(days * 100) / 100;
+}
+
+/**
+ * Whether leg dates contradict each other or the shipment dates
+ *
+ * A shipment or leg delivered before it is picked up, a leg picked up before
+ * the previous leg is delivered, or a leg outside the shipment's pickup and
+ * delivery dates, is a conflict.
+ */
+function hasTimelineConflict(timeline, legs) {
+  const shipmentPickup = parseDate(timeline?.pickupDate);
+  const shipmentDelivery = parseDate(timeline?.deliveryDate);
+
+  if (shipmentPickup !== null && shipmentDelivery !== null && shipmentDelivery < shipmentPickup) {
+    return true;
+  }
+
+  return legs.some((leg, idx) => {
+    const pickup = parseDate(leg.pickupDate);
+    const delivery = parseDate(leg.deliveryDate);
+    const previousDelivery = idx > 0 ? parseDate(legs[idx - 1].deliveryDate) : null;
+
+    return (pickup !== null && delivery !== null && delivery < pickup) ||
+      (pickup !== null && previousDelivery !== null && pickup < previousDelivery) ||
+      (pickup !== null && shipmentPickup !== null && pickup < shipmentPickup) ||
+      (delivery !== null && shipmentDelivery !== null && delivery > shipmentDelivery);
+  });
+}
+
+/**
+ * Facts about a shipment's route that the `route` compliance checks are evaluated against
+ *
+ * Origin and destination are normalized (trimmed, lowercased, single spaces)
+ * and default to those of the first and last leg; transit days default to the
+ * span from the first leg's pickup to the last leg's delivery.
+ *
+ * @param {Object} shipment - Validated shipment
+ * @param {string} [shipment.origin] - Origin location
+ * @param {string} [shipment.destination] - Destination location
+ * @param {string} shipment.transportMode - Transport mode of a single-mode shipment, '' when none
+ * @param {Array<Object>} shipment.legs - Normalized legs of a multimodal shipment
+ * @param {number} [shipment.distance] - Route distance in km of a single-mode shipment
+ * @param {Object|null} shipment.timeline - Shipment pickup and delivery dates with transit days
+ * @param {string} shipment.cargoType - Cargo category
+ * @param {number} shipment.weight - Gross cargo weight in kg
+ * @param {Object} rules - `complianceRules` section of the rule set
+ * @returns {Object} Route facts, see CHECK_FACTS in ruleEngine.js
+ */
+function buildRouteFacts({ origin, destination, transportMode, legs, distance, timeline, cargoType, weight }, rules) {
+  const routeLegs = legs.length > 0 ? legs : transportMode ? [{ transportMode, distance }] : [];
+  const from = normalizeLocation(origin ?? legs[0]?.origin);
+  const to = normalizeLocation(destination ?? legs[legs.length - 1]?.destination);
+
+  const firstPickup = legs[0]?.pickupDate;
+  const lastDelivery = legs[legs.length - 1]?.deliveryDate;
+  const legSpan = parseDate(firstPickup) !== null && parseDate(lastDelivery) !== null
+    ? getTransitDays(firstPickup, lastDelivery)
+    : null;
+
+  return {
+    origin: from,
+    destination: to,
+    transportModes: routeLegs.map(leg => leg.transportMode),
+    cargoType,
+    weight,
+    pickupDate: timeline?.pickupDate ?? firstPickup ?? null,
+    deliveryDate: timeline?.deliveryDate ?? lastDelivery ?? null,
+    transitDays: timeline?.transitDays ?? legSpan,
+    minimumTransitDays: estimateMinimumTransitDays(routeLegs, rules.routeValidation.transitEstimates),
+    timelineConflict: hasTimelineConflict(timeline, legs)
+  };
+}
+
+export {
+  estimateMinimumTransitDays,
+  buildRouteFacts
+};
@@ -0,0 +1,448 @@
+/**
+ * Declarative Compliance Checks
+ *
+ * The `complianceChecks` rules of the rule set are data, so compliance
+ * officers add checks without code changes. Each check names the scope it runs
+ * in, the issue type and severity it reports, a `when` expression over the
+ * facts of its scope and message and recommendation templates:
+ *
+ *   {
+ *     "id": "adr_certificate_required",
+ *     "scope": "shipment",
+ *     "type": "ADR_CERTIFICATE_REQUIRED",
+ *     "severity": "error",
+ *     "when": "cargoType == 'hazmat' && 'road' in transportModes && weight > 1000",
+ *     "message": "Road transport of {{weight}}kg hazmat needs an ADR certified driver.",
+ *     "recommendation": "Book a driver with a valid ADR certificate."
+ *   }
+ *
+ * Expressions know literals (numbers, 'strings', true, false, null, [lists]),
+ * facts with dotted paths (`unCode.name`), `! && ||`, `== != < <= > >=`,
+ * `in` (list membership or substring), `+ - * /`, `cond ? a : b` and the
+ * functions length, join and round. Templates insert expressions as
+ * `{{expression}}`. Evaluation is deterministic: expressions are parsed, never
+ * run as code, see only the facts they are given and checks report in rule
+ * order.
+ *
+ * A path into a fact that is not known for the shipment is null. Comparisons
+ * and arithmetic with null do not hold, so `transitDays > 5` is false without a
+ * timeline; null, false, 0, '' and empty lists are falsy. Naming a fact the
+ * scope does not have is an error rather than null, so typos do not silently
+ * disable a check.
+ *
+ * @module ruleEngine
+ */
+
+// Scopes a check runs in, with the facts each provides (see CHECK_FACTS)
+const CHECK_SCOPES = ['route', 'leg', 'shipment', 'emissions'];
+const CHECK_SEVERITIES = ['error', 'warning', 'info'];
+
+// Facts of each scope; route facts are built in routeValidation.js, leg and shipment facts in multimodal.js,
+// emission facts in calculateEmissions
+const CHECK_FACTS = {
+  route: [
+    'origin', 'destination', 'transportModes', 'cargoType', 'weight', 'pickupDate', 'deliveryDate', 'transitDays',
+    'minimumTransitDays', 'timelineConflict'
+  ],
+  leg: [
+    'transportMode', 'cargoType', 'weight', 'packages', 'packingGroup', 'aircraftType', 'transitDays',
+    'carriageTemperature', 'unCode', 'quantityLimit', 'aircraft', 'perishable'
+  ],
+  shipment: [
+    'cargoType', 'weight', 'unCodes', 'packingGroup', 'transportModes', 'legs', 'aircraftType', 'transitDays',
+    'carriageTemperature', 'perishable'
+  ],
+  emissions: ['transportMode', 'weight', 'distance', 'emissionFactor', 'totalEmissions', 'thresholds']
+};
+
+const FUNCTIONS = {
+  length: value => (Array.isArray(value) || typeof value === 'string' ? value.length : 0),
+  join: (list, separator = ', ') => (Array.isArray(list) ? list.map(toText).join(separator) : toText(list)),
+  round: (value, digits = 0) => (typeof value === 'number' ? Math.round(value * 10 ** digits) / 10 ** digits : null)
+};
+
+const KEYWORDS = { true: true, false: false, null: null };
+const OPERATORS = ['&&', '||', '==', '!=', '<=', '>=', '<', '>', '+', '-', '*', '/', '!', '?', ':', '(', ')', '[', ']', ',', '.'];
+const TEMPLATE_PLACEHOLDER = /\{\{(.*?)\}\}/g;
+
+const compiled = new Map();
+
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+/**
+ * Whether a value counts as true in a condition
+ */
+function isTruthy(value) {
+  return !(value === null || value === false || value === 0 || value === '' || Number.isNaN(value) ||
+    (Array.isArray(value) && value.length === 0));
+}
+
+/**
+ * Text of a value inserted into a template; null inserts nothing
+ */
+function toText(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  return Array.isArray(value) ? value.map(toText).join(', ') : String(value);
+}
+
+/**
+ * Split an expression into number, string, name and operator tokens
+ */
+function tokenize(source) {
+  const tokens = [];
+  let pos = 0;
+
+  while (pos < source.length) {
+    const rest = source.slice(pos);
+    const space = /^\s+/.exec(rest);
+    const number = /^\d+(\.\d+)?/.exec(rest);
+    const name = /^[A-Za-z_][A-Za-z0-9_]*/.exec(rest);
+
+    if (space) {
+      pos += space[0].length;
+    } else if (number) {
+      tokens.push({ kind: 'literal', value: Number(number[0]), pos });
+      pos += number[0].length;
+    } else if (name) {
+      const word = name[0];
+      tokens.push(hasOwn(KEYWORDS, word) ? { kind: 'literal', value: KEYWORDS[word], pos }
+        : word === 'in' ? { kind: 'operator', value: 'in', pos }
+          : { kind: 'name', value: word, pos });
+      pos += word.length;
+    } else if (rest[0] === "'" || rest[0] === '"') {
+      const end = source.indexOf(rest[0], pos + 1);
+      if (end === -1) {
+        throw new Error(`unterminated string at position ${pos}`);
+      }
+      tokens.push({ kind: 'literal', value: source.slice(pos + 1, end), pos });
+      pos = end + 1;
+    } else {
+      const operator = OPERATORS.find(op => rest.startsWith(op));
+      if (!operator) {
+        throw new Error(`unexpected "${rest[0]}" at position ${pos}`);
+      }
+      tokens.push({ kind: 'operator', value: operator, pos });
+      pos += operator.length;
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse tokens into an expression tree by precedence climbing
+ */
+function parse(tokens) {
+  let idx = 0;
+  const peek = () => tokens[idx];
+  const isOperator = (...values) => peek()?.kind === 'operator' && values.includes(peek().value);
+  const expect = value => {
+    if (!isOperator(value)) {
+      throw new Error(peek() ? `expected "${value}" at position ${peek().pos}` : `expected "${value}" at the end`);
+    }
+    idx++;
+  };
+
+  const binary = (next, ...operators) => () => {
+    let node = next();
+    while (isOperator(...operators)) {
+      const operator = tokens[idx++].value;
+      node = { op: operator, left: node, right: next() };
+    }
+    return node;
+  };
+
+  const primary = () => {
+    const token = tokens[idx++];
+    if (!token) {
+      throw new Error('unexpected end of expression');
+    }
+    if (token.kind === 'literal') {
+      return { literal: token.value };
+    }
+    if (token.kind === 'name') {
+      if (isOperator('(')) {
+        if (!hasOwn(FUNCTIONS, token.value)) {
+          throw new Error(`unknown function ${token.value}`);
+        }
+        idx++;
+        const args = [];
+        while (!isOperator(')')) {
+          if (args.length > 0) {
+            expect(',');
+          }
+          args.push(expression());
+        }
+        expect(')');
+        return { call: token.value, args };
+      }
+
+      const path = [token.value];
+      while (isOperator('.')) {
+        idx++;
+        const field = tokens[idx++];
+        if (field?.kind !== 'name') {
+          throw new Error(`expected a field name after "${path.join('.')}."`);
+        }
+        path.push(field.value);
+      }
+      return { path };
+    }
+    if (token.value === '(') {
+      const node = expression();
+      expect(')');
+      return node;
+    }
+    if (token.value === '[') {
+      const items = [];
+      while (!isOperator(']')) {
+        if (items.length > 0) {
+          expect(',');
+        }
+        items.push(expression());
+      }
+      expect(']');
+      return { list: items };
+    }
+    throw new Error(`unexpected "${token.value}" at position ${token.pos}`);
+  };
+
+  const unary = () => {
+    if (isOperator('!', '-')) {
+      const operator = tokens[idx++].value;
+      return { op: operator === '!' ? 'not' : 'negate', operand: unary() };
+    }
+    return primary();
+  };
+
+  const multiplicative = binary(unary, '*', '/');
+  const additive = binary(multiplicative, '+', '-');
+  const comparison = binary(additive, '<', '<=', '>', '>=', 'in');
+  const equality = binary(comparison, '==', '!=');
+  const and = binary(equality, '&&');
+  const or = binary(and, '||');
+
+  function expression() {
+    const condition = or();
+    if (!isOperator('?')) {
+      return condition;
+    }
+    idx++;
+    const then = expression();
+    expect(':');
+    return { condition, then, otherwise: expression() };
+  }
+
+  const tree = expression();
+  if (peek()) {
+    throw new Error(`unexpected "${peek().value}" at position ${peek().pos}`);
+  }
+  return tree;
+}
+
+/**
+ * Facts an expression tree reads, by their top-level name
+ */
+function collectFacts(node, names) {
+  if (node.path) {
+    names.add(node.path[0]);
+  }
+  [node.left, node.right, node.operand, node.condition, node.then, node.otherwise, ...(node.args || []), ...(node.list || [])]
+    .filter(Boolean)
+    .forEach(child => collectFacts(child, names));
+  return names;
+}
+
+/**
+ * Evaluate an expression tree against facts
+ */
+function evaluate(node, facts) {
+  if ('literal' in node) {
+    return node.literal;
+  }
+  if (node.path) {
+    const [name, ...fields] = node.path;
+    if (!hasOwn(facts, name)) {
+      throw new Error(`Unknown fact: ${name}`);
+    }
+    return fields.reduce((value, field) => (
+      value !== null && typeof value === 'object' && hasOwn(value, field) ? value[field] ?? null : null
+    ), facts[name] ?? null);
+  }
+  if (node.list) {
+    return node.list.map(item => evaluate(item, facts));
+  }
+  if (node.call) {
+    return FUNCTIONS[node.call](...node.args.map(arg => evaluate(arg, facts)));
+  }
+  if (node.condition) {
+    return evaluate(isTruthy(evaluate(node.condition, facts)) ? node.then : node.otherwise, facts);
+  }
+  if (node.op === 'not') {
+    return !isTruthy(evaluate(node.operand, facts));
+  }
+  if (node.op === 'negate') {
+    const value = evaluate(node.operand, facts);
+    return typeof value === 'number' ? -value : null;
+  }
+  if (node.op === '&&') {
+    return isTruthy(evaluate(node.left, facts)) && isTruthy(evaluate(node.right, facts));
+  }
+  if (node.op === '||') {
+    return isTruthy(evaluate(node.left, facts)) || isTruthy(evaluate(node.right, facts));
+  }
+
+  const left = evaluate(node.left, facts);
+  const right = evaluate(node.right, facts);
+  const numbers = typeof left === 'number' && typeof right === 'number';
+  const comparable = numbers || (typeof left === 'string' && typeof right === 'string');
+
+  switch (node.op) {
+    case '==': return left === right;
+    case '!=': return left !== right;
+    case '<': return comparable && left < right;
+    case '<=': return comparable && left <= right;
+    case '>': return comparable && left > right;
+    case '>=': return comparable && left >= right;
+    case 'in':
+      return Array.isArray(right) ? right.includes(left)
+        : typeof right === 'string' && typeof left === 'string' && right.includes(left);
+    case '+':
+      if (numbers) {
+        return left + right;
+      }
+      return typeof left === 'string' || typeof right === 'string' ? toText(left) + toText(right) : null;
+    case '-': return numbers ? left - right : null;
+    case '*': return numbers ? left * right : null;
+    default: return numbers && right !== 0 ? left / right : null;
+  }
+}
+
+/**
+ * Parse an expression, reusing the tree of an earlier parse
+ *
+ * @param {string} source - Expression, see the module description
+ * @returns {Object} Expression tree
+ * @throws {Error} When the expression is not valid
+ */
+function compileExpression(source) {
+  if (typeof source !== 'string' || !source.trim()) {
+    throw new Error('Expression must be a non-empty string');
+  }
+  if (!compiled.has(source)) {
+    try {
+      compiled.set(source, parse(tokenize(source)));
+    } catch (error) {
+      throw new Error(`Invalid expression "${source}": ${error.message}`);
+    }
+  }
+  return compiled.get(source);
+}
+
+/**
+ * Parse the placeholders of a template
+ *
+ * @param {string} template - Text with `{{expression}}` placeholders
+ * @returns {Array<string|Object>} Literal text and expression trees in order
+ * @throws {Error} When a placeholder is not a valid expression
+ */
+function compileTemplate(template) {
+  const parts = [];
+  let last = 0;
+
+  const placeholder = new RegExp(TEMPLATE_PLACEHOLDER);
+  let match;
+
+  while ((match = placeholder.exec(template)) !== null) {
+    parts.push(template.slice(last, match.index), compileExpression(match[1]));
+    last = match.index + match[0].length;
+  }
+  parts.push(template.slice(last));
+
+  return parts.filter(part => part !== '');
+}
+
+/**
+ * Evaluate an expression against facts
+ *
+ * @param {string} source - Expression, see the module description
+ * @param {Object} facts - Facts by name
+ * @returns {*} Value of the expression
+ * @throws {Error} When the expression is invalid or names an unknown fact
+ */
+function evaluateExpression(source, facts) {
+  return evaluate(compileExpression(source), facts);
+}
+
+/**
+ * Fill in the placeholders of a template
+ *
+ * @param {string} template - Text with `{{expression}}` placeholders
+ * @param {Object} facts - Facts by name
+ * @returns {string} Text with the values of the placeholders
+ */
+function renderTemplate(template, facts) {
+  return compileTemplate(template)
+    .map(part => (typeof part === 'string' ? part : toText(evaluate(part, facts))))
+    .join('');
+}
+
+/**
+ * Facts a check reads that its scope does not provide
+ *
+ * @param {Object} check - Compliance check
+ * @returns {Array<string>} Unknown fact names, empty when all are known
+ * @throws {Error} When an expression or template is invalid
+ */
+function getUnknownFacts(check) {
+  const names = new Set();
+  collectFacts(compileExpression(check.when), names);
+  [check.message, check.recommendation].filter(text => typeof text === 'string').forEach(text => {
+    compileTemplate(text).filter(part => typeof part !== 'string').forEach(part => collectFacts(part, names));
+  });
+
+  return Array.from(names).filter(name => !(CHECK_FACTS[check.scope] || []).includes(name));
+}
+
+/**
+ * Run the compliance checks of one scope
+ *
+ * @param {Array<Object>} checks - `complianceChecks.rules` of the rule set
+ * @param {string} scope - Scope to run, see CHECK_SCOPES
+ * @param {Object} facts - Facts of the scope, see CHECK_FACTS
+ * @returns {Array<{type: string, severity: string, message: string, recommendation: string}>}
+ *   Checks whose condition holds, in rule order
+ * @throws {Error} When a check is invalid, naming the check
+ */
+function runChecks(checks, scope, facts) {
+  return checks.filter(check => check.scope === scope).flatMap(check => {
+    try {
+      if (!isTruthy(evaluateExpression(check.when, facts))) {
+        return [];
+      }
+
+      return [{
+        type: check.type,
+        severity: check.severity,
+        message: renderTemplate(check.message, facts),
+        recommendation: check.recommendation === undefined ? undefined : renderTemplate(check.recommendation, facts)
+      }];
+    } catch (error) {
+      throw new Error(`Compliance check ${check.id}: ${error.message}`);
+    }
+  });
+}
+
+export {
+  CHECK_SCOPES,
+  CHECK_SEVERITIES,
+  CHECK_FACTS,
+  compileExpression,
+  compileTemplate,
+  evaluateExpression,
+  renderTemplate,
+  getUnknownFacts,
+  runChecks
+};
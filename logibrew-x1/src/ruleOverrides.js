@@ -0,0 +1,565 @@
+/**
+ * Compliance Rule Overrides
+ *
+ * Jira admins change emission factors, emission thresholds, UN codes,
+ * perishable goods rules and compliance checks from the admin page without
+ * redeploying. Overrides are kept per rule set version in Forge storage and
+ * mirror the layout of the `complianceRules` section:
+ *
+ *   {
+ *     emissionThresholds: { emissionFactors: { air: 0.55 }, rules: [{ regulation: 'EU_ETS', ... }] },
+ *     unCodes: { rules: [{ code: 'UN1090', name: 'Acetone', ... }] },
+ *     perishableGoods: { rules: [{ category: 'refrigerated', ... }] },
+ *     complianceChecks: { rules: [{ id: 'adr_certificate_required', scope: 'shipment', when: '...', ... }] }
+ *   }
+ *
+ * Emission factors are merged one mode at a time. Rule entries replace the
+ * bundled entry with the same key (`regulation`, `code`, `category` or `id`) as
+ * a whole, or are added when no bundled entry has it. Compliance check
+ * expressions must parse and may only name the facts of their scope.
+ *
+ * The effective rule set is the bundled one with its overrides merged in. Its
+ * content hash covers the merged rules and its reference names the override
+ * `revision`, so validation results and hash-chain entries still identify the
+ * exact rules a decision was made under. Every saved revision is logged to the
+ * RULE_CHANGE_CHAIN_ID chain as a `rule_change` decision (see logRuleChange in
+ * hashChain.js). That chain is part of the global ledger but not a shipment
+ * (see chainStore.js).
+ *
+ * The revision check, the `rule_change` entry and the overrides write happen in
+ * one step under the append lock (see chainLock.js), the entry first: two
+ * admins saving at once cannot both pass the revision check, and no decision
+ * is made under a revision whose change is not logged.
+ *
+ * @module ruleOverrides
+ */
+
+import { storage } from '@forge/api';
+import { canonicalize, generateRuleSetHash } from './chainVerifier.js';
+import { RULE_CHANGE_CHAIN_ID } from './chainStore.js';
+import { selectRuleSet } from './ruleSets.js';
+import { QUANTITY_TYPES, parseQuantityLimit } from './quantities.js';
+import { VALID_TRANSPORT_MODES } from './multimodal.js';
+import { PACKING_GROUPS } from './dangerousGoodsImport.js';
+import { CHECK_SCOPES, CHECK_SEVERITIES, compileExpression, compileTemplate, getUnknownFacts } from './ruleEngine.js';
+
+const RULE_CHANGE_ACTION = 'rule_change';
+
+// Entry keys of the rule lists that can be overridden, and of other keyed lists for diffs
+const RULE_ENTRY_KEYS = {
+  'emissionThresholds.rules': 'regulation',
+  'unCodes.rules': 'code',
+  'perishableGoods.rules': 'category',
+  'complianceChecks.rules': 'id',
+  'multimodalTransport.rules': 'transition',
+  'routeValidation.rules': 'check'
+};
+
+const quantityLimit = {
+  type: 'string',
+  check: value => {
+    parseQuantityLimit(value);
+  }
+};
+
+const modeRestriction = {
+  type: 'object',
+  fields: {
+    allowed: { type: 'boolean', required: true },
+    maxQuantity: { ...quantityLimit, required: true },
+    passengerMaxQuantity: quantityLimit,
+    cargoMaxQuantity: quantityLimit,
+    limitPer: { type: 'string', enum: ['package', 'consignment'] },
+    quantityBasis: { type: 'string', enum: QUANTITY_TYPES },
+    passengerAircraft: { type: 'boolean' },
+    cargoAircraft: { type: 'boolean' },
+    specialProvisions: { type: 'array', items: { type: 'string' } },
+    notes: { type: 'string' }
+  }
+};
+
+const perMode = valueSpec => ({
+  type: 'object',
+  fields: Object.fromEntries(VALID_TRANSPORT_MODES.map(mode => [mode, valueSpec]))
+});
+
+const requiredPerMode = valueSpec => perMode({ ...valueSpec, required: true });
+
+const template = { type: 'string', check: compileTemplate };
+
+// Schema of the overridable sections
+const RULE_OVERRIDE_SCHEMA = {
+  type: 'object',
+  fields: {
+    emissionThresholds: {
+      type: 'object',
+      fields: {
+        emissionFactors: perMode({ type: 'number', exclusiveMin: 0 }),
+        rules: {
+          type: 'array',
+          items: {
+            type: 'object',
+            fields: {
+              regulation: { type: 'string', pattern: /^[A-Z][A-Z0-9_]*$/, required: true },
+              threshold: { type: 'number', min: 0, required: true },
+              unit: { type: 'string', enum: ['kg_co2'], required: true },
+              scope: { type: 'string', enum: ['per_shipment'], required: true },
+              action: { type: 'string', required: true },
+              notes: { type: 'string' }
+            }
+          }
+        }
+      }
+    },
+    unCodes: {
+      type: 'object',
+      fields: {
+        rules: {
+          type: 'array',
+          items: {
+            type: 'object',
+            fields: {
+              code: { type: 'string', pattern: /^UN\d{4}$/, required: true },
+              name: { type: 'string', required: true },
+              class: { type: 'string', pattern: /^\d(\.\d)?[A-Z]?$/, required: true },
+              subsidiaryRisks: { type: 'array', items: { type: 'string', pattern: /^\d(\.\d)?$/ } },
+              packingGroup: { type: 'string', enum: PACKING_GROUPS, nullable: true },
+              density: { type: 'number', exclusiveMin: 0 },
+              specialProvisions: { type: 'array', items: { type: 'string' } },
+              restrictions: { ...requiredPerMode(modeRestriction), required: true }
+            }
+          }
+        }
+      }
+    },
+    perishableGoods: {
+      type: 'object',
+      fields: {
+        rules: {
+          type: 'array',
+          items: {
+            type: 'object',
+            fields: {
+              category: { type: 'string', pattern: /^[a-z][a-z_]*$/, required: true },
+              temperatureRange: {
+                type: 'object',
+                required: true,
+                fields: {
+                  min: { type: 'number', required: true },
+                  max: { type: 'number', required: true },
+                  unit: { type: 'string', enum: ['celsius'], required: true }
+                },
+                check: range => {
+                  if (range.min > range.max) {
+                    throw new Error('min must not be above max');
+                  }
+                }
+              },
+              maxTransitDays: { ...requiredPerMode({ type: 'number', exclusiveMin: 0 }), required: true },
+              notes: { type: 'string' }
+            }
+          }
+        }
+      }
+    },
+    complianceChecks: {
+      type: 'object',
+      fields: {
+        rules: {
+          type: 'array',
+          items: {
+            type: 'object',
+            fields: {
+              id: { type: 'string', pattern: /^[a-z][a-z0-9_]*$/, required: true },
+              scope: { type: 'string', enum: CHECK_SCOPES, required: true },
+              type: { type: 'string', pattern: /^[A-Z][A-Z0-9_]*$/, required: true },
+              severity: { type: 'string', enum: CHECK_SEVERITIES, required: true },
+              when: { type: 'string', required: true, check: compileExpression },
+              message: { ...template, required: true },
+              recommendation: template
+            },
+            check: check => {
+              let unknownFacts;
+              try {
+                unknownFacts = getUnknownFacts(check);
+              } catch (error) {
+                // Invalid expressions and templates are reported for their field
+                return;
+              }
+              if (unknownFacts.length > 0) {
+                throw new Error(`unknown ${check.scope} facts: ${unknownFacts.join(', ')}`);
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Storage key of a rule set version's overrides
+ */
+function getRuleOverridesKey(version) {
+  return `rule-overrides-${version}`;
+}
+
+/**
+ * Storage key of the last override revision number given out for a rule set version
+ */
+function getRuleOverridesRevisionKey(version) {
+  return `rule-overrides-revision-${version}`;
+}
+
+/**
+ * Check a value against a schema node, collecting "path: problem" messages
+ */
+function checkValue(value, spec, path, errors) {
+  if (value === null && spec.nullable) {
+    return;
+  }
+
+  const actualType = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+  if (actualType !== spec.type || (spec.type === 'number' && !Number.isFinite(value))) {
+    const expected = { array: 'a list', object: 'an object' }[spec.type] || `a ${spec.type}`;
+    errors.push(`${path || 'overrides'}: must be ${expected}`);
+    return;
+  }
+
+  if (spec.enum && !spec.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${spec.enum.join(', ')}`);
+  }
+  if (spec.pattern && !spec.pattern.test(value)) {
+    errors.push(`${path}: invalid value ${JSON.stringify(value)}`);
+  }
+  if (spec.min !== undefined && value < spec.min) {
+    errors.push(`${path}: must be at least ${spec.min}`);
+  }
+  if (spec.exclusiveMin !== undefined && value <= spec.exclusiveMin) {
+    errors.push(`${path}: must be greater than ${spec.exclusiveMin}`);
+  }
+
+  if (spec.type === 'array') {
+    value.forEach((item, idx) => checkValue(item, spec.items, `${path}[${idx}]`, errors));
+  }
+
+  if (spec.type === 'object') {
+    Object.keys(value).filter(key => !spec.fields[key]).forEach(key => {
+      errors.push(`${path ? `${path}.` : ''}${key}: not an editable field`);
+    });
+    Object.entries(spec.fields).forEach(([key, fieldSpec]) => {
+      const fieldPath = path ? `${path}.${key}` : key;
+      if (value[key] === undefined) {
+        if (fieldSpec.required) {
+          errors.push(`${fieldPath}: required`);
+        }
+        return;
+      }
+      checkValue(value[key], fieldSpec, fieldPath, errors);
+    });
+  }
+
+  if (spec.check) {
+    try {
+      spec.check(value);
+    } catch (error) {
+      errors.push(`${path}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Validate rule overrides against the schema of the editable sections
+ *
+ * @param {Object} overrides - Rule overrides, see the module description
+ * @returns {Array<string>} Problems as "path: message", empty when valid
+ */
+function validateRuleOverrides(overrides) {
+  const errors = [];
+  checkValue(overrides, RULE_OVERRIDE_SCHEMA, '', errors);
+
+  Object.entries(RULE_ENTRY_KEYS).forEach(([listPath, key]) => {
+    const [section, list] = listPath.split('.');
+    const entries = overrides?.[section]?.[list];
+    if (!Array.isArray(entries)) {
+      return;
+    }
+
+    entries.forEach((entry, idx) => {
+      if (entries.findIndex(other => other?.[key] === entry?.[key]) !== idx) {
+        errors.push(`${listPath}[${idx}]: ${key} ${entry[key]} is overridden twice`);
+      }
+    });
+  });
+
+  return errors;
+}
+
+/**
+ * Merge rule overrides into the `complianceRules` section of a rule set
+ *
+ * Sections and rule lists the rule set does not have start out empty.
+ *
+ * @param {Object} rules - Bundled `complianceRules`
+ * @param {Object} overrides - Valid rule overrides
+ * @returns {Object} Effective rules; the bundled rules are not modified
+ */
+function mergeRuleOverrides(rules, overrides) {
+  const merged = JSON.parse(JSON.stringify(rules));
+
+  Object.entries(overrides || {}).forEach(([section, sectionOverrides]) => {
+    merged[section] = merged[section] || {};
+
+    Object.entries(sectionOverrides).forEach(([field, value]) => {
+      const key = RULE_ENTRY_KEYS[`${section}.${field}`];
+
+      if (!key) {
+        merged[section][field] = { ...merged[section][field], ...value };
+        return;
+      }
+
+      merged[section][field] = merged[section][field] || [];
+      value.forEach(entry => {
+        const idx = merged[section][field].findIndex(existing => existing[key] === entry[key]);
+        if (idx === -1) {
+          merged[section][field].push(entry);
+        } else {
+          merged[section][field][idx] = entry;
+        }
+      });
+    });
+  });
+
+  return merged;
+}
+
+/**
+ * Whether rule overrides change anything at all
+ */
+function hasRuleOverrides(overrides) {
+  return Object.values(overrides || {}).some(section => Object.keys(section || {}).length > 0);
+}
+
+/**
+ * Differences between two versions of the `complianceRules` section
+ *
+ * Keyed rule lists are compared entry by entry, so paths name the entry
+ * (`unCodes.rules[UN1203].restrictions.air.maxQuantity`); other lists are
+ * compared as a whole.
+ *
+ * @param {Object} before - Rules before the change (e.g. the bundled rules)
+ * @param {Object} after - Rules after the change
+ * @returns {Array<{path: string, change: string, from: *, to: *}>} Changes
+ *   ('added', 'removed' or 'changed'), in rule order
+ */
+function diffRules(before, after) {
+  const changes = [];
+
+  const walk = (from, to, path, listPath) => {
+    if (canonicalize(from ?? null) === canonicalize(to ?? null)) {
+      return;
+    }
+    if (from === undefined) {
+      changes.push({ path, change: 'added', from: null, to });
+      return;
+    }
+    if (to === undefined) {
+      changes.push({ path, change: 'removed', from, to: null });
+      return;
+    }
+
+    const key = RULE_ENTRY_KEYS[listPath];
+    if (key && Array.isArray(from) && Array.isArray(to)) {
+      const ids = [...from.map(entry => entry[key]), ...to.map(entry => entry[key])];
+      Array.from(new Set(ids)).forEach(id => walk(
+        from.find(entry => entry[key] === id),
+        to.find(entry => entry[key] === id),
+        `${path}[${id}]`
+      ));
+      return;
+    }
+
+    const isObject = value => value && typeof value === 'object' && !Array.isArray(value);
+    if (isObject(from) && isObject(to)) {
+      Array.from(new Set([...Object.keys(from), ...Object.keys(to)])).forEach(field => {
+        const fieldPath = path ? `${path}.${field}` : field;
+        walk(from[field], to[field], fieldPath, fieldPath);
+      });
+      return;
+    }
+
+    changes.push({ path, change: 'changed', from, to });
+  };
+
+  walk(before, after, '', '');
+  return changes;
+}
+
+/**
+ * Load the overrides of a rule set version
+ *
+ * @param {string} version - Rule set version
+ * @returns {Promise<{version: string, revision: number, overrides: Object, updatedAt: number|null,
+ *   updatedBy: string|null, reason: string|null}>} Stored overrides, revision 0 when none were ever saved
+ */
+async function getRuleOverrides(version) {
+  return await storage.get(getRuleOverridesKey(version)) || {
+    version,
+    revision: 0,
+    overrides: {},
+    updatedAt: null,
+    updatedBy: null,
+    reason: null
+  };
+}
+
+/**
+ * Rule set with the given overrides merged in
+ */
+function buildEffectiveRuleSet(ruleSet, { overrides, revision }) {
+  if (!hasRuleOverrides(overrides)) {
+    return ruleSet;
+  }
+
+  const rules = mergeRuleOverrides(ruleSet.rules, overrides);
+
+  return {
+    ...ruleSet,
+    rules,
+    contentHash: generateRuleSetHash({ complianceRules: rules, metadata: ruleSet.metadata }),
+    bundledContentHash: ruleSet.contentHash,
+    overrideRevision: revision
+  };
+}
+
+/**
+ * Rule set with its stored overrides merged in
+ *
+ * @param {Object|null} ruleSet - Bundled rule set, see buildRuleSetRegistry in ruleSets.js
+ * @returns {Promise<Object|null>} Effective rule set; the bundled one when it has no overrides.
+ *   Overridden rule sets carry `overrideRevision` and the `bundledContentHash`
+ */
+async function applyRuleOverrides(ruleSet) {
+  if (!ruleSet) {
+    return null;
+  }
+
+  return buildEffectiveRuleSet(ruleSet, await getRuleOverrides(ruleSet.version));
+}
+
+/**
+ * Effective rule set to validate a shipment under
+ *
+ * @param {Object} [selection] - Selection criteria, see selectRuleSet in ruleSets.js
+ * @returns {Promise<Object>} Effective rule set
+ * @throws {Error} When no rule set matches the selection
+ */
+async function selectEffectiveRuleSet(selection) {
+  return await applyRuleOverrides(selectRuleSet(selection));
+}
+
+/**
+ * Preview rule overrides without saving them
+ *
+ * @param {string} version - Rule set version
+ * @param {Object} overrides - Complete overrides of the version
+ * @returns {{errors: Array<string>, changes: Array<Object>, ruleSet: Object|null}} Schema
+ *   problems, changes against the bundled rules and the resulting rule set (null when invalid)
+ * @throws {Error} When the version is unknown
+ */
+function previewRuleOverrides(version, overrides) {
+  const ruleSet = selectRuleSet({ version });
+  const errors = validateRuleOverrides(overrides);
+  if (errors.length > 0) {
+    return { errors, changes: [], ruleSet: null };
+  }
+
+  const effective = buildEffectiveRuleSet(ruleSet, { overrides, revision: null });
+  return { errors, changes: diffRules(ruleSet.rules, effective.rules), ruleSet: effective };
+}
+
+/**
+ * Check a change to the overrides of a rule set version and give it the next revision
+ *
+ * Saving `{}` resets the version to its bundled rules. The revision the admin
+ * edited must still be current, so concurrent edits are not lost. Revision
+ * numbers come from a counter that only grows and is advanced before the
+ * change is logged, so a number is never given out twice, even for a change
+ * that was logged but whose overrides were never stored.
+ *
+ * Runs under the append lock, see logRuleChange in hashChain.js; the returned
+ * overrides are stored with storeRuleOverrides once the change is logged.
+ *
+ * @param {Object} update - Override update
+ * @param {string} update.version - Rule set version
+ * @param {Object} update.overrides - Complete new overrides of the version
+ * @param {number} update.revision - Revision the overrides were edited from
+ * @param {string} update.userId - Account ID of the admin
+ * @param {string} update.reason - Why the rules change
+ * @returns {Promise<{previous: Object, saved: Object, ruleSet: Object, changes: Array<Object>}>}
+ *   Previous and new overrides, the new effective rule set and the changes against the previous one
+ * @throws {Error} When the version is unknown, the overrides are invalid, the revision is stale,
+ *   no reason is given or nothing changes
+ */
+async function prepareRuleOverrides({ version, overrides, revision, userId, reason }) {
+  const ruleSet = selectRuleSet({ version });
+
+  if (!reason || !String(reason).trim()) {
+    throw new Error('A reason for the rule change is required');
+  }
+
+  const errors = validateRuleOverrides(overrides);
+  if (errors.length > 0) {
+    throw new Error(`Invalid rule overrides: ${errors.join('; ')}`);
+  }
+
+  const previous = await getRuleOverrides(ruleSet.version);
+  if (previous.revision !== revision) {
+    throw new Error(`Rule overrides of ${ruleSet.version} were changed in the meantime (revision ${previous.revision}, edited from ${revision}). Reload and apply your changes again.`);
+  }
+
+  const saved = {
+    version: ruleSet.version,
+    revision: 0,
+    overrides,
+    updatedAt: Date.now(),
+    updatedBy: userId,
+    reason: String(reason).trim()
+  };
+  const effective = buildEffectiveRuleSet(ruleSet, saved);
+  const changes = diffRules(buildEffectiveRuleSet(ruleSet, previous).rules, effective.rules);
+
+  if (changes.length === 0) {
+    throw new Error('The overrides do not change any rules');
+  }
+
+  saved.revision = Math.max(previous.revision, await storage.get(getRuleOverridesRevisionKey(ruleSet.version)) || 0) + 1;
+  await storage.set(getRuleOverridesRevisionKey(ruleSet.version), saved.revision);
+
+  return { previous, saved, ruleSet: buildEffectiveRuleSet(ruleSet, saved), changes };
+}
+
+/**
+ * Store overrides checked by prepareRuleOverrides, putting them in effect
+ *
+ * Runs under the append lock, after the rule change was logged.
+ *
+ * @param {Object} saved - Overrides returned as `saved` by prepareRuleOverrides
+ */
+async function storeRuleOverrides(saved) {
+  await storage.set(getRuleOverridesKey(saved.version), saved);
+}
+
+export {
+  RULE_CHANGE_ACTION,
+  RULE_CHANGE_CHAIN_ID,
+  validateRuleOverrides,
+  mergeRuleOverrides,
+  diffRules,
+  getRuleOverrides,
+  applyRuleOverrides,
+  selectEffectiveRuleSet,
+  previewRuleOverrides,
+  prepareRuleOverrides,
+  storeRuleOverrides
+};
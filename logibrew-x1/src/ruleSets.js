@@ -0,0 +1,186 @@
+/**
+ * Versioned Compliance Rule Sets
+ *
+ * Rule sets are bundled side by side: rules.json is the current one and earlier
+ * versions are kept in ruleSets/. Each names its `version` and the UTC days it
+ * is in effect in its metadata (`effectiveFrom` and `effectiveTo`, both
+ * inclusive). A rule set without `effectiveTo` is in effect until the next
+ * version takes effect, so publishing a version leaves the files of earlier
+ * ones, and their content hashes, unchanged. A shipment is validated under the
+ * rule set in effect on its date, unless a version is given explicitly.
+ *
+ * Rule sets published before declarative compliance checks (0.9.0 and 1.0.0)
+ * have no `complianceChecks` section; they are evaluated with the built-in
+ * checks in ruleSets/built-in-checks.json. The content hash covers the rules a
+ * shipment is validated with, so for those versions it includes the built-in
+ * checks, and editing them changes the hash like editing the rule set would.
+ *
+ * Validation results and hash-chain entries reference the rule set by version
+ * and content hash (see generateRuleSetHash in chainVerifier.js), so every
+ * decision can be traced to the exact rules it was made under.
+ *
+ * @module ruleSets
+ */
+
+import currentRuleSet from './rules.json';
+import ruleSet090 from './ruleSets/rules-0.9.0.json';
+import ruleSet100 from './ruleSets/rules-1.0.0.json';
+import builtInChecks from './ruleSets/built-in-checks.json';
+import { generateRuleSetHash } from './chainVerifier.js';
+import { parseDate } from './timeline.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Index rule set documents by effective date
+ *
+ * @param {Array<Object>} documents - Rule set documents with `complianceRules` and `metadata`
+ * @returns {Array<Object>} Rule sets ({version, effectiveFrom, effectiveTo, contentHash, rules, metadata}), oldest first;
+ *   `rules` has the built-in `complianceChecks` when the document has none, and `contentHash` covers them;
+ *   `effectiveTo` of an open-ended rule set followed by a later one is the day before the later one takes effect
+ * @throws {Error} When a version is repeated, dates are missing or effective periods overlap
+ */
+function buildRuleSetRegistry(documents) {
+  const ruleSets = documents.map(document => {
+    const { version, effectiveFrom, effectiveTo = null } = document.metadata || {};
+
+    if (!version || !parseDate(effectiveFrom) || (effectiveTo !== null && !parseDate(effectiveTo))) {
+      throw new Error(`Rule set ${version || '(unversioned)'} needs a version and ISO 8601 effectiveFrom/effectiveTo dates`);
+    }
+    if (effectiveTo !== null && effectiveTo < effectiveFrom) {
+      throw new Error(`Rule set ${version} ends before it starts`);
+    }
+
+    const rules = document.complianceRules.complianceChecks
+      ? document.complianceRules
+      : { ...document.complianceRules, complianceChecks: builtInChecks };
+
+    return {
+      version,
+      effectiveFrom,
+      effectiveTo,
+      contentHash: generateRuleSetHash({ complianceRules: rules, metadata: document.metadata }),
+      rules,
+      metadata: document.metadata
+    };
+  }).sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom));
+
+  return ruleSets.map((ruleSet, idx) => {
+    const next = ruleSets[idx + 1];
+    if (ruleSets.findIndex(other => other.version === ruleSet.version) !== idx) {
+      throw new Error(`Rule set version ${ruleSet.version} is bundled twice`);
+    }
+    if (!next) {
+      return ruleSet;
+    }
+    if (next.effectiveFrom === ruleSet.effectiveFrom || (ruleSet.effectiveTo !== null && ruleSet.effectiveTo >= next.effectiveFrom)) {
+      throw new Error(`Rule sets ${ruleSet.version} and ${next.version} are both in effect on ${next.effectiveFrom}`);
+    }
+
+    return ruleSet.effectiveTo === null
+      ? { ...ruleSet, effectiveTo: new Date(parseDate(next.effectiveFrom) - DAY_MS).toISOString().slice(0, 10) }
+      : ruleSet;
+  });
+}
+
+const RULE_SETS = buildRuleSetRegistry([ruleSet090, ruleSet100, currentRuleSet]);
+
+/**
+ * Bundled rule sets without their rules
+ *
+ * @returns {Array<{version: string, effectiveFrom: string, effectiveTo: string|null, lastUpdated: string, contentHash: string}>}
+ */
+function listRuleSets() {
+  return RULE_SETS.map(({ version, effectiveFrom, effectiveTo, metadata, contentHash }) => ({
+    version,
+    effectiveFrom,
+    effectiveTo,
+    lastUpdated: metadata.lastUpdated || null,
+    contentHash
+  }));
+}
+
+/**
+ * Rule set by version
+ *
+ * @param {string} version - Rule set version such as "1.0.0"
+ * @returns {Object} Rule set, see buildRuleSetRegistry
+ * @throws {Error} When no bundled rule set has the version
+ */
+function getRuleSet(version) {
+  const ruleSet = RULE_SETS.find(candidate => candidate.version === String(version).trim());
+  if (!ruleSet) {
+    throw new Error(`Unknown rule set version: ${version}. Available: ${RULE_SETS.map(candidate => candidate.version).join(', ')}`);
+  }
+
+  return ruleSet;
+}
+
+/**
+ * Rule set in effect at a point in time
+ *
+ * @param {string|number} date - ISO 8601 date or epoch milliseconds; the UTC day counts
+ * @returns {Object|null} Rule set, null when none is in effect
+ */
+function findRuleSetInEffect(date) {
+  const day = new Date(date).toISOString().slice(0, 10);
+
+  return RULE_SETS.find(ruleSet => ruleSet.effectiveFrom <= day && (ruleSet.effectiveTo === null || day <= ruleSet.effectiveTo)) || null;
+}
+
+/**
+ * Rule set to validate a shipment under
+ *
+ * @param {Object} [selection] - Selection criteria
+ * @param {string} [selection.version] - Explicit rule set version, overrides the date
+ * @param {string} [selection.shipmentDate] - ISO 8601 shipment date (default: today)
+ * @returns {Object} Rule set, see buildRuleSetRegistry
+ * @throws {Error} When the version is unknown, the date is invalid or no rule set is in effect on it
+ */
+function selectRuleSet({ version, shipmentDate } = {}) {
+  if (version) {
+    return getRuleSet(version);
+  }
+
+  const time = shipmentDate ? parseDate(shipmentDate) : Date.now();
+  if (time === null) {
+    throw new Error(`Invalid shipment date: ${shipmentDate}. Expected ISO 8601 (e.g., 2026-03-01)`);
+  }
+
+  const ruleSet = findRuleSetInEffect(time);
+  if (!ruleSet) {
+    throw new Error(`No compliance rule set is in effect on ${new Date(time).toISOString().slice(0, 10)}`);
+  }
+
+  return ruleSet;
+}
+
+/**
+ * Reference recorded with validation results and hash-chain entries
+ *
+ * Rule sets with admin overrides (see ruleOverrides.js) also name the override
+ * revision; their content hash covers the merged rules.
+ *
+ * @param {Object|null} ruleSet - Rule set
+ * @returns {{version: string, contentHash: string, overrideRevision?: number}|null}
+ */
+function getRuleSetReference(ruleSet) {
+  if (!ruleSet) {
+    return null;
+  }
+
+  return {
+    version: ruleSet.version,
+    contentHash: ruleSet.contentHash,
+    ...(ruleSet.overrideRevision ? { overrideRevision: ruleSet.overrideRevision } : {})
+  };
+}
+
+export {
+  buildRuleSetRegistry,
+  listRuleSets,
+  getRuleSet,
+  findRuleSetInEffect,
+  selectRuleSet,
+  getRuleSetReference
+};
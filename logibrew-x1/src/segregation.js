@@ -0,0 +1,214 @@
+/**
+ * Segregation of Mixed Dangerous Goods Consignments
+ *
+ * A consolidated load can carry several dangerous goods, each given as a cargo
+ * line with its UN code and quantity:
+ *
+ *   cargoLines: [{ unCode: 'UN1203', quantity: '200L' }, { unCode: 'UN1789', packingGroup: 'II' }]
+ *   cargoLines: 'UN1203 200L; UN1789 PG II 50L'
+ *
+ * Every pair of lines is held against the class-by-class `segregation` table of
+ * the rule set. Table cells use the IMDG codes (1 away from, 2 separated from,
+ * 3 and 4 no common cargo transport unit, X none), mapped to the levels in
+ * `codes`; the strictest level over the primary and subsidiary classes of both
+ * goods applies. Each level carries its severity, so "away from" is a warning
+ * and stricter levels are errors.
+ *
+ * @module segregation
+ */
+
+import { parseQuantity, QUANTITY_TYPES } from './quantities.js';
+import { normalizePackingGroup, resolveUnCodeEntry } from './dangerousGoods.js';
+import { PACKING_GROUPS } from './dangerousGoodsImport.js';
+
+// Segregation levels, least strict first
+const SEGREGATION_LEVELS = ['none', 'away_from', 'separated_from', 'incompatible'];
+
+// Separators between lines in a cargo line string: "UN1203 200L; UN1789 50L" or one per line
+const LINE_SEPARATOR = /\s*[;\n]\s*/;
+const LINE_PATTERN = /^(UN\S*)(?:\s+PG\s*(\S+))?(?:\s+(.+))?$/i;
+
+/**
+ * Parse and validate cargo lines given as a list or a separated string
+ *
+ * List items are objects with `unCode` and optional `packingGroup`, `quantity`,
+ * `quantityUnit`, `quantityType`, `packages` and `density`, as for a single UN
+ * code. String lines are "UN1203 200L" or "UN1789 PG II 50L".
+ *
+ * @param {Array<Object>|string} cargoLines - Dangerous goods lines
+ * @returns {Array<Object>} Lines with uppercased `unCode`, normalized `packingGroup`,
+ *   parsed `quantity` (null when omitted), `quantityType`, `packages` and `density`
+ * @throws {Error} When a line is invalid, naming its 1-based number
+ */
+function normalizeCargoLines(cargoLines) {
+  if (cargoLines === undefined || cargoLines === null || cargoLines === '') {
+    return [];
+  }
+
+  const items = Array.isArray(cargoLines)
+    ? cargoLines
+    : String(cargoLines).split(LINE_SEPARATOR).filter(Boolean).map(text => {
+      const match = text.trim().match(LINE_PATTERN);
+      return match ? { unCode: match[1], packingGroup: match[2], quantity: match[3] } : { unCode: text };
+    });
+
+  return items.map((item, idx) => {
+    try {
+      const line = item && typeof item === 'object' ? item : { unCode: item };
+      const unCode = String(line.unCode ?? '').trim().toUpperCase();
+      if (!/^UN\d{4}$/.test(unCode)) {
+        throw new Error(`Invalid UN code format: ${unCode || '(none)'}. Expected format: UNXXXX (e.g., UN1203)`);
+      }
+
+      const packingGroup = normalizePackingGroup(line.packingGroup);
+      if (packingGroup && !PACKING_GROUPS.includes(packingGroup)) {
+        throw new Error(`Invalid packing group: ${line.packingGroup}`);
+      }
+
+      const hasQuantity = line.quantity !== undefined && line.quantity !== null && line.quantity !== '';
+      const quantity = hasQuantity ? parseQuantity(line.quantity, line.quantityUnit) : null;
+
+      const quantityType = String(line.quantityType || 'net').trim().toLowerCase();
+      if (!QUANTITY_TYPES.includes(quantityType)) {
+        throw new Error(`Invalid quantity type: ${quantityType}`);
+      }
+
+      const packages = line.packages === undefined || line.packages === '' ? 1 : Number(line.packages);
+      if (!Number.isInteger(packages) || packages < 1) {
+        throw new Error(`Invalid package count: ${line.packages}`);
+      }
+
+      const density = line.density === undefined || line.density === '' ? undefined : Number(line.density);
+      if (density !== undefined && !(density > 0)) {
+        throw new Error(`Invalid density: ${line.density}`);
+      }
+
+      return { unCode, packingGroup, quantity, quantityType, packages, density };
+    } catch (error) {
+      throw new Error(`Cargo line ${idx + 1}: ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Table key of a hazard class or division
+ *
+ * Compatibility group letters are dropped ("1.4S" is 1.4) and divisions sharing
+ * a table row are mapped through `classAliases`.
+ *
+ * @param {string} hazardClass - Class or division such as "3", "6.1" or "1.4S"
+ * @param {Object} segregation - `segregation` section of the rule set
+ * @returns {string|null} Key into the table, null when the class is not in it
+ */
+function getSegregationClass(hazardClass, segregation) {
+  const division = String(hazardClass ?? '').trim().match(/^\d(?:\.\d)?/)?.[0];
+  const key = segregation.classAliases[division] || division;
+
+  return segregation.classes.includes(key) ? key : null;
+}
+
+/**
+ * Segregation level required between two hazard classes
+ *
+ * @param {string} classA - Class or division
+ * @param {string} classB - Class or division
+ * @param {Object} segregation - `segregation` section of the rule set
+ * @returns {string|null} Level from SEGREGATION_LEVELS, null when a class is not in the table
+ */
+function getSegregationLevel(classA, classB, segregation) {
+  const keyA = getSegregationClass(classA, segregation);
+  const keyB = getSegregationClass(classB, segregation);
+  if (!keyA || !keyB) {
+    return null;
+  }
+
+  const code = segregation.table[keyA][segregation.classes.indexOf(keyB)];
+  return segregation.codes[code] || 'none';
+}
+
+/**
+ * Check every pair of cargo lines against the segregation table
+ *
+ * Lines whose UN code is unknown are left out; they fail the UN code check.
+ *
+ * @param {Array<Object>} lines - Normalized cargo lines, see normalizeCargoLines
+ * @param {Object} rules - `complianceRules` section of the rule set
+ * @returns {{conflicts: Array<Object>, issues: Array, warnings: Array}} Conflicting pairs with
+ *   their 1-based `lines`, `unCodes`, deciding `classes` and required `level`; issues and
+ *   warnings follow the severity of the level
+ */
+function checkSegregation(lines, rules) {
+  const segregation = rules.segregation;
+  const goods = lines.map((line, idx) => {
+    const entry = resolveUnCodeEntry(line.unCode, line.packingGroup || null, rules).entry;
+    return entry && {
+      line: idx + 1,
+      unCode: line.unCode,
+      name: entry.name,
+      classes: [entry.class, ...(entry.subsidiaryRisks || [])]
+    };
+  }).filter(Boolean);
+
+  const result = { conflicts: [], issues: [], warnings: [] };
+
+  goods.forEach(good => {
+    const unknownClass = good.classes.find(hazardClass => !getSegregationClass(hazardClass, segregation));
+    if (unknownClass) {
+      result.warnings.push({
+        type: 'SEGREGATION_CLASS_UNKNOWN',
+        severity: 'warning',
+        cargoLine: good.line,
+        message: `Class ${unknownClass} of ${good.unCode} is not in the segregation table.`,
+        recommendation: 'Check segregation for this class manually against the IMDG Code or ADR.'
+      });
+    }
+  });
+
+  goods.forEach((a, idx) => {
+    goods.slice(idx + 1).forEach(b => {
+      let strictest = { level: 'none', classes: null };
+
+      a.classes.forEach(classA => b.classes.forEach(classB => {
+        const level = getSegregationLevel(classA, classB, segregation) || 'none';
+        if (SEGREGATION_LEVELS.indexOf(level) > SEGREGATION_LEVELS.indexOf(strictest.level)) {
+          strictest = { level, classes: [classA, classB] };
+        }
+      }));
+
+      if (strictest.level === 'none') {
+        return;
+      }
+
+      const levelRule = segregation.levels[strictest.level];
+      const conflict = {
+        lines: [a.line, b.line],
+        unCodes: [a.unCode, b.unCode],
+        classes: strictest.classes,
+        level: strictest.level,
+        requirement: levelRule.requirement,
+        severity: levelRule.severity
+      };
+      const item = {
+        type: levelRule.severity === 'error' ? 'SEGREGATION_CONFLICT' : 'SEGREGATION_REQUIRED',
+        severity: levelRule.severity,
+        cargoLines: conflict.lines,
+        level: conflict.level,
+        message: `${a.name} (${a.unCode}, class ${strictest.classes[0]}) and ${b.name} (${b.unCode}, class ${strictest.classes[1]}) require segregation "${levelRule.requirement}": ${levelRule.description}.`,
+        recommendation: levelRule.recommendation
+      };
+
+      result.conflicts.push(conflict);
+      (levelRule.severity === 'error' ? result.issues : result.warnings).push(item);
+    });
+  });
+
+  return result;
+}
+
+export {
+  SEGREGATION_LEVELS,
+  normalizeCargoLines,
+  getSegregationClass,
+  getSegregationLevel,
+  checkSegregation
+};
@@ -13,6 +13,7 @@ import ForgeReconciler, {
   Label,
   Textfield, 
   Select,
+  DatePicker,
   Button,
   SectionMessage,
   Stack,
@@ -32,7 +33,11 @@ const App: React.FC = () => {
     cargoType: '',
     weight: '',
     unCode: '',
-    transportMode: ''
+    transportMode: '',
+    aircraftType: '',
+    pickupDate: '',
+    deliveryDate: '',
+    carriageTemperature: ''
   });
   
   // UI state
@@ -40,6 +45,8 @@ const App: React.FC = () => {
   const [validationResult, setValidationResult] = useState<any>(null);
   const [emissionResult, setEmissionResult] = useState<any>(null);
 
+  const isPerishable = ['perishable', 'frozen', 'temperature-controlled'].includes(formData.cargoType);
+
   /**
    * Handle form field changes
    */
@@ -64,7 +71,11 @@ const App: React.FC = () => {
         cargoType: formData.cargoType,
         weight: parseFloat(formData.weight) || 0,
         unCode: formData.unCode || undefined,
-        transportMode: formData.transportMode
+        transportMode: formData.transportMode,
+        aircraftType: formData.transportMode === 'air' ? formData.aircraftType || undefined : undefined,
+        pickupDate: formData.pickupDate || undefined,
+        deliveryDate: formData.deliveryDate || undefined,
+        carriageTemperature: isPerishable ? formData.carriageTemperature || undefined : undefined
       }) as { validation: any; emissions: any };
 
       setValidationResult(result.validation);
@@ -247,6 +258,7 @@ const App: React.FC = () => {
                 { label: 'General Cargo', value: 'general' },
                 { label: 'Hazardous Materials', value: 'hazmat' },
                 { label: 'Perishable Goods', value: 'perishable' },
+                { label: 'Frozen Goods', value: 'frozen' },
                 { label: 'Temperature-Controlled', value: 'temperature-controlled' }
               ]}
               isRequired
@@ -277,6 +289,38 @@ const App: React.FC = () => {
               </>
             )}
 
+            {isPerishable && (
+              <>
+                <Label labelFor="carriageTemperature">Carriage Temperature (°C)</Label>
+                <Textfield
+                  name="carriageTemperature"
+                  id="carriageTemperature"
+                  type="number"
+                  placeholder="e.g., 5 or -20"
+                  value={formData.carriageTemperature}
+                  onChange={(e) => handleFieldChange('carriageTemperature', e.target.value)}
+                />
+              </>
+            )}
+
+            {/* Timeline */}
+            <Label labelFor="pickupDate">Pickup Date</Label>
+            <DatePicker
+              name="pickupDate"
+              id="pickupDate"
+              value={formData.pickupDate}
+              onChange={(value) => handleFieldChange('pickupDate', value)}
+            />
+
+            <Label labelFor="deliveryDate">Delivery Date</Label>
+            <DatePicker
+              name="deliveryDate"
+              id="deliveryDate"
+              value={formData.deliveryDate}
+              onChange={(value) => handleFieldChange('deliveryDate', value)}
+            />
+            <Text>Leave empty to use the issue's Shipment Timeline field.</Text>
+
             {/* Transport Mode */}
             <Label labelFor="transportMode">Primary Transport Mode</Label>
             <Select
@@ -293,6 +337,24 @@ const App: React.FC = () => {
               ]}
               isRequired
             />
+
+            {formData.transportMode === 'air' && (
+              <>
+                <Label labelFor="aircraftType">Aircraft Type</Label>
+                <Select
+                  name="aircraftType"
+                  id="aircraftType"
+                  value={formData.aircraftType}
+                  onChange={(e) => handleFieldChange('aircraftType', e.target.value)}
+                  options={[
+                    { label: 'Unknown / not yet booked', value: '' },
+                    { label: 'Passenger Aircraft', value: 'passenger' },
+                    { label: 'Cargo Aircraft Only', value: 'cargo-only' }
+                  ]}
+                />
+                <Text>Some hazardous materials are forbidden on passenger aircraft.</Text>
+              </>
+            )}
           </Stack>
         </FormSection>
 
@@ -0,0 +1,130 @@
+/**
+ * Entry Signing for LogiBrew Decision Logs
+ *
+ * Signs each log entry hash with an app-held Ed25519 key so entries can be shown
+ * to have been produced by LogiBrew, not rebuilt afterwards by someone with
+ * storage access. Private keys live in Forge secret storage; the public key
+ * registry (key IDs and rotation history) lives in regular app storage and can
+ * be shared with auditors.
+ *
+ * Keys rotate automatically after KEY_MAX_AGE_MS. Retired keys stay in the
+ * registry so older signatures remain verifiable.
+ *
+ * Signature verification (getSignatureStatus) lives in chainVerifier.js so it
+ * can run outside Forge; it is re-exported here.
+ *
+ * @module signing
+ */
+
+import crypto from 'crypto';
+import { storage } from '@forge/api';
+import { SIGNATURE_ALGORITHM, getSignatureStatus } from './chainVerifier.js';
+
+const KEY_REGISTRY_KEY = 'signing-key-registry';
+const KEY_MAX_AGE_MS = 90 * 24 * 60 * 60 * 1000;
+
+/**
+ * Secret storage key for a private signing key
+ */
+function getPrivateKeySecretKey(keyId) {
+  return `signing-key-${keyId}`;
+}
+
+/**
+ * Derive a key ID from the public key (first 16 hex chars of its SHA-256)
+ */
+function getKeyId(publicKeyPem) {
+  const der = crypto.createPublicKey(publicKeyPem).export({ type: 'spki', format: 'der' });
+  return crypto.createHash('sha256').update(der).digest('hex').substring(0, 16);
+}
+
+/**
+ * Load the public key registry
+ *
+ * @returns {Promise<{activeKeyId: string|null, keys: Array<Object>}>}
+ */
+async function getPublicKeyRegistry() {
+  return await storage.get(KEY_REGISTRY_KEY) || { activeKeyId: null, keys: [] };
+}
+
+/**
+ * Generate a new signing key and make it the active key
+ *
+ * The previously active key is marked retired but kept in the registry.
+ *
+ * @returns {Promise<Object>} Registry record of the new key
+ */
+async function rotateSigningKey() {
+  const registry = await getPublicKeyRegistry();
+  const { publicKey, privateKey } = crypto.generateKeyPairSync(SIGNATURE_ALGORITHM, {
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+  });
+
+  const now = Date.now();
+  const keyRecord = {
+    keyId: getKeyId(publicKey),
+    algorithm: SIGNATURE_ALGORITHM,
+    publicKey,
+    createdAt: now,
+    retiredAt: null
+  };
+
+  await storage.setSecret(getPrivateKeySecretKey(keyRecord.keyId), privateKey);
+
+  const keys = registry.keys.map(key => (
+    key.keyId === registry.activeKeyId && !key.retiredAt ? { ...key, retiredAt: now } : key
+  ));
+  keys.push(keyRecord);
+
+  await storage.set(KEY_REGISTRY_KEY, { activeKeyId: keyRecord.keyId, keys });
+
+  console.log(`Rotated signing key: ${keyRecord.keyId}`);
+
+  return keyRecord;
+}
+
+/**
+ * Get the active signing key, generating or rotating it when needed
+ *
+ * @returns {Promise<{keyId: string, privateKey: string}>}
+ */
+async function getActiveSigningKey() {
+  const registry = await getPublicKeyRegistry();
+  let activeKey = registry.keys.find(key => key.keyId === registry.activeKeyId);
+
+  if (!activeKey || Date.now() - activeKey.createdAt > KEY_MAX_AGE_MS) {
+    activeKey = await rotateSigningKey();
+  }
+
+  const privateKey = await storage.getSecret(getPrivateKeySecretKey(activeKey.keyId));
+  if (!privateKey) {
+    throw new Error(`Private key missing for signing key ${activeKey.keyId}`);
+  }
+
+  return { keyId: activeKey.keyId, privateKey };
+}
+
+/**
+ * Sign an entry hash
+ *
+ * @param {string} entryHash - Hash of the log entry
+ * @param {{keyId: string, privateKey: string}} signingKey - Key from getActiveSigningKey
+ * @returns {{keyId: string, algorithm: string, value: string}} Base64 signature
+ */
+function signEntryHash(entryHash, signingKey) {
+  return {
+    keyId: signingKey.keyId,
+    algorithm: SIGNATURE_ALGORITHM,
+    value: crypto.sign(null, Buffer.from(entryHash, 'utf8'), signingKey.privateKey).toString('base64')
+  };
+}
+
+export {
+  SIGNATURE_ALGORITHM,
+  getPublicKeyRegistry,
+  rotateSigningKey,
+  getActiveSigningKey,
+  signEntryHash,
+  getSignatureStatus
+};
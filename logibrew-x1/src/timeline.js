@@ -0,0 +1,153 @@
+/**
+ * Shipment Timelines
+ *
+ * Pickup and delivery dates come from the validation request or from the
+ * issue's Shipment Timeline custom field (`shipment-timeline-field`), whose
+ * value holds both dates as ISO 8601, e.g. "2026-03-01/2026-03-05" or
+ * "2026-03-01 to 2026-03-05". Transit time is the difference in days and is
+ * checked against the perishable `maxTransitDays` of the transport mode.
+ *
+ * The field is looked up by its Forge module key, since the Jira field ID
+ * (customfield_NNNNN) differs per site.
+ *
+ * @module timeline
+ */
+
+import api, { route } from '@forge/api';
+
+const TIMELINE_FIELD_KEY = 'shipment-timeline-field';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ISO_DATE_PATTERN = /\d{4}-\d{2}-\d{2}(?:T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?/g;
+
+// Jira field IDs by Forge module key, resolved once per invocation environment
+const fieldIdCache = new Map();
+
+/**
+ * Parse an ISO 8601 date or date-time
+ *
+ * @param {string} value - Date such as "2026-03-01" or "2026-03-01T08:00:00Z"
+ * @returns {number|null} Epoch milliseconds, null when invalid
+ */
+function parseDate(value) {
+  const text = String(value ?? '').trim();
+  if (!text || !new RegExp(`^${ISO_DATE_PATTERN.source}$`).test(text)) {
+    return null;
+  }
+
+  const time = Date.parse(text);
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Transit time between pickup and delivery in days
+ *
+ * @param {string} pickupDate - ISO 8601 pickup date
+ * @param {string} deliveryDate - ISO 8601 delivery date
+ * @returns {number|null} Transit days, fractional for date-times; null when delivery is before
+ *   pickup, which the `timeline_conflict` check reports (see routeValidation.js)
+ * @throws {Error} When a date is invalid
+ */
+function getTransitDays(pickupDate, deliveryDate) {
+  const pickup = parseDate(pickupDate);
+  const delivery = parseDate(deliveryDate);
+
+  if (pickup === null) {
+    throw new Error(`Invalid pickup date: ${pickupDate}. Expected ISO 8601 (e.g., 2026-03-01)`);
+  }
+  if (delivery === null) {
+    throw new Error(`Invalid delivery date: ${deliveryDate}. Expected ISO 8601 (e.g., 2026-03-05)`);
+  }
+  if (delivery < pickup) {
+    return null;
+  }
+
+  return Math.round((delivery - pickup) / DAY_MS * 100) / 100;
+}
+
+/**
+ * Read pickup and delivery dates from a Shipment Timeline field value
+ *
+ * @param {string} value - Field value with two ISO 8601 dates
+ * @returns {{pickupDate: string, deliveryDate: string}|null} Dates, null when the value has fewer than two
+ */
+function parseShipmentTimeline(value) {
+  const dates = String(value ?? '').match(ISO_DATE_PATTERN) || [];
+
+  return dates.length >= 2 ? { pickupDate: dates[0], deliveryDate: dates[1] } : null;
+}
+
+/**
+ * Jira field ID of one of the app's custom fields
+ *
+ * @param {string} moduleKey - Forge module key of the custom field
+ * @returns {Promise<string|null>} Field ID, null when the field is not installed
+ */
+async function getCustomFieldId(moduleKey) {
+  if (fieldIdCache.has(moduleKey)) {
+    return fieldIdCache.get(moduleKey);
+  }
+
+  const response = await api.asApp().requestJira(route`/rest/api/3/field`);
+  if (!response.ok) {
+    throw new Error(`Failed to list Jira fields: HTTP ${response.status}`);
+  }
+
+  // Forge custom fields carry an extension ARI ending in /static/<module key>
+  const field = (await response.json()).find(candidate => candidate.schema?.custom?.endsWith(`/static/${moduleKey}`));
+  const fieldId = field?.id || null;
+
+  fieldIdCache.set(moduleKey, fieldId);
+  return fieldId;
+}
+
+/**
+ * Value of one of the app's custom fields on an issue
+ *
+ * @param {string} issueKey - Jira issue key
+ * @param {string} moduleKey - Forge module key of the custom field
+ * @returns {Promise<*>} Field value, null when the field is empty or not installed
+ * @throws {Error} When Jira cannot be read
+ */
+async function readIssueField(issueKey, moduleKey) {
+  const fieldId = await getCustomFieldId(moduleKey);
+  if (!fieldId) {
+    return null;
+  }
+
+  const response = await api.asApp().requestJira(route`/rest/api/3/issue/${issueKey}?fields=${fieldId}`);
+  if (!response.ok) {
+    throw new Error(`Failed to read issue ${issueKey}: HTTP ${response.status}`);
+  }
+
+  const issue = await response.json();
+  return issue.fields?.[fieldId] ?? null;
+}
+
+/**
+ * Pickup and delivery dates from an issue's Shipment Timeline field
+ *
+ * @param {string} issueKey - Jira issue key
+ * @returns {Promise<{pickupDate: string, deliveryDate: string}|null>} Dates, null when the field is empty or missing
+ */
+async function readIssueTimeline(issueKey) {
+  return parseShipmentTimeline(await readIssueField(issueKey, TIMELINE_FIELD_KEY));
+}
+
+/**
+ * Forget resolved field IDs, e.g. after the app's fields were reinstalled
+ */
+function clearFieldIdCache() {
+  fieldIdCache.clear();
+}
+
+export {
+  TIMELINE_FIELD_KEY,
+  parseDate,
+  getTransitDays,
+  parseShipmentTimeline,
+  getCustomFieldId,
+  readIssueField,
+  readIssueTimeline,
+  clearFieldIdCache
+};
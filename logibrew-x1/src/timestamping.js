@@ -0,0 +1,345 @@
+/**
+ * Trusted Timestamping of LogiBrew Chain Heads
+ *
+ * Entry timestamps come from the app's own clock. To prove to a third party
+ * that entries existed at a given time, the head hash of every shipment chain
+ * is periodically sent to an RFC 3161 time-stamping authority (TSA), and the
+ * returned token is stored next to the chain index:
+ *
+ *   shipment-<id>-chain-ts-<headHash>   { shipmentId, headHash, hashAlgorithm, chainLength,
+ *                                         genTime, serialNumber, policy, tsa, tsaCertificate, token }
+ *
+ * `token` is the DER timestamp token in base64 (see rfc3161.js) and
+ * `tsaCertificate` the PEM certificate its signature was verified against
+ * before the record was stored. A token on a head covers every earlier entry
+ * of the shipment through the `shipmentPreviousHash` links, so an entry is
+ * "timestamped at" the genTime of the first token whose head is at or after it.
+ *
+ * TSA clients are objects with a `name`, `requestTimestamp(requestDer)`
+ * returning the DER response and the trusted `certificate` of the TSA. By
+ * default the TSA at `tsaUrl` in the timestamping config is used, with
+ * `tsaCertificate` from the config as its certificate (its host must be
+ * allowed under the manifest's external fetch permissions); setTsaClient plugs
+ * in another client, such as the local stand-in TSA from createLocalTsaClient
+ * used in tests. Tokens are only accepted when signed by the client's
+ * certificate; a certificate carried in the token only proves the token is
+ * consistent with itself, so it is never trusted, and no token is stored for
+ * a client without one.
+ *
+ * @module timestamping
+ */
+
+import crypto from 'crypto';
+import { storage, fetch, startsWith } from '@forge/api';
+import { getChainIndex, listChainShipmentIds } from './chainStore.js';
+import { DEFAULT_HASH_ALGORITHM } from './chainVerifier.js';
+import {
+  PKI_STATUS,
+  buildTimestampRequest,
+  parseTimestampRequest,
+  buildTsaCertificate,
+  buildTimestampToken,
+  buildTimestampResponse,
+  parseTimestampResponse,
+  verifyTimestampToken
+} from './rfc3161.js';
+
+const TIMESTAMPING_CONFIG_KEY = 'timestamping-config';
+const DEFAULT_TSA_URL = 'https://freetsa.org/tsr';
+const MAX_TIMESTAMPS_PER_RUN = 25;
+// Placeholder policy for the local stand-in TSA; its tokens are for testing only
+const LOCAL_TSA_POLICY = '1.2.3.4.1';
+const LOCAL_TSA_VALIDITY_MS = 365 * 24 * 60 * 60 * 1000;
+
+let tsaClientOverride = null;
+
+/**
+ * Storage key for the timestamp token of a chain head
+ */
+function getChainTimestampKey(shipmentId, headHash) {
+  return `shipment-${shipmentId}-chain-ts-${headHash}`;
+}
+
+/**
+ * TSA client posting RFC 3161 requests over HTTPS
+ *
+ * @param {string} url - TSA endpoint
+ * @param {Object} [options] - Client options
+ * @param {string} [options.certificate] - Trusted PEM certificate of the TSA; required to store its tokens
+ * @returns {{name: string, certificate: string|null, requestTimestamp: Function}}
+ */
+function createHttpTsaClient(url, { certificate = null } = {}) {
+  return {
+    name: url,
+    certificate,
+    requestTimestamp: async (requestDer) => {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/timestamp-query',
+          Accept: 'application/timestamp-reply'
+        },
+        body: requestDer
+      });
+
+      if (!response.ok) {
+        throw new Error(`TSA request failed: HTTP ${response.status}`);
+      }
+
+      return Buffer.from(await response.arrayBuffer());
+    }
+  };
+}
+
+/**
+ * Local stand-in TSA signing tokens with an in-memory Ed25519 key
+ *
+ * Produces real RFC 3161 responses, so the full timestamping flow can be
+ * exercised without network access. The key and its self-signed certificate,
+ * valid for a year from creation, only live as long as the client.
+ *
+ * @param {Object} [options] - Stand-in options
+ * @param {Function} [options.now=Date.now] - Clock used for genTime
+ * @returns {{name: string, publicKey: crypto.KeyObject, certificate: string, requestTimestamp: Function}}
+ */
+function createLocalTsaClient({ now = Date.now } = {}) {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+  const signer = { commonName: 'LogiBrew local stand-in TSA', serialNumber: crypto.randomBytes(8).toString('hex'), privateKey };
+  const createdAt = now();
+  const certificate = buildTsaCertificate(signer, publicKey, { notBefore: createdAt, notAfter: createdAt + LOCAL_TSA_VALIDITY_MS });
+
+  return {
+    name: 'local-stand-in',
+    publicKey,
+    certificate: new crypto.X509Certificate(certificate).toString(),
+    requestTimestamp: async (requestDer) => {
+      let request;
+      try {
+        request = parseTimestampRequest(requestDer);
+      } catch (error) {
+        return buildTimestampResponse({ status: PKI_STATUS.REJECTION, statusText: `Bad request: ${error.message}` });
+      }
+
+      if (request.policy && request.policy !== LOCAL_TSA_POLICY) {
+        return buildTimestampResponse({ status: PKI_STATUS.REJECTION, statusText: `Unaccepted policy: ${request.policy}` });
+      }
+
+      const token = buildTimestampToken({
+        policy: LOCAL_TSA_POLICY,
+        hashAlgorithm: request.hashAlgorithm,
+        hashedMessage: request.hashedMessage,
+        serialNumber: crypto.randomBytes(8).toString('hex'),
+        genTime: now(),
+        nonce: request.nonce
+      }, request.certReq ? { ...signer, certificate } : signer);
+
+      return buildTimestampResponse({ status: PKI_STATUS.GRANTED, token });
+    }
+  };
+}
+
+/**
+ * Replace the TSA client, or restore the configured one with null
+ *
+ * @param {Object|null} client - Object with `name` and `requestTimestamp(requestDer)`
+ */
+function setTsaClient(client) {
+  tsaClientOverride = client;
+}
+
+/**
+ * TSA client in use
+ */
+async function getTsaClient() {
+  if (tsaClientOverride) {
+    return tsaClientOverride;
+  }
+
+  const config = await storage.get(TIMESTAMPING_CONFIG_KEY) || {};
+  return createHttpTsaClient(config.tsaUrl || DEFAULT_TSA_URL, { certificate: config.tsaCertificate });
+}
+
+/**
+ * Hash algorithm of a chain's head entry, read from its last segment
+ */
+async function getHeadHashAlgorithm(index) {
+  const lastSegment = index.segments[index.segments.length - 1];
+  const entries = lastSegment ? await storage.get(lastSegment.key) || [] : [];
+  const head = entries[entries.length - 1];
+
+  return head?.hash === index.headHash && head.hashAlgorithm ? head.hashAlgorithm : DEFAULT_HASH_ALGORITHM;
+}
+
+/**
+ * Obtain and store a timestamp token for a shipment's chain head
+ *
+ * Heads that already have a token are skipped. The token's signature is
+ * verified against the client's trusted certificate, which is stored with the
+ * token; clients without one are refused before any request is sent.
+ *
+ * @param {string} shipmentId - Shipment identifier
+ * @param {Object} [options] - Timestamping options
+ * @param {Object} [options.client] - TSA client, the configured one when omitted
+ * @returns {Promise<Object>} Result with the stored record; `reason` explains skipped chains
+ */
+async function timestampChainHead(shipmentId, { client } = {}) {
+  const index = await getChainIndex(shipmentId);
+
+  if (!index?.headHash) {
+    return { shipmentId, timestamped: false, reason: 'no_head' };
+  }
+
+  const key = getChainTimestampKey(shipmentId, index.headHash);
+  const existing = await storage.get(key);
+  if (existing) {
+    return { shipmentId, timestamped: false, reason: 'unchanged', record: existing };
+  }
+
+  const tsaClient = client || await getTsaClient();
+  if (!tsaClient.certificate) {
+    throw new Error(`No trusted certificate is configured for TSA ${tsaClient.name}; set tsaCertificate in the timestamping config`);
+  }
+
+  const hashAlgorithm = await getHeadHashAlgorithm(index);
+  const nonce = crypto.randomBytes(8).toString('hex');
+
+  const response = parseTimestampResponse(await tsaClient.requestTimestamp(
+    buildTimestampRequest({ hashedMessage: index.headHash, hashAlgorithm, nonce })
+  ));
+
+  if (!response.granted || !response.token) {
+    throw new Error(`TSA rejected the timestamp request (status ${response.status}${response.statusText ? `: ${response.statusText}` : ''})`);
+  }
+
+  const { certificate } = tsaClient;
+  const check = verifyTimestampToken(response.token, { hashedMessage: index.headHash, nonce, certificate });
+  if (!check.isValid || !check.signatureChecked) {
+    throw new Error(`TSA returned an unusable token: ${check.errors.join('; ')}`);
+  }
+
+  const record = {
+    shipmentId,
+    headHash: index.headHash,
+    hashAlgorithm,
+    chainLength: index.length,
+    genTime: check.genTime,
+    serialNumber: check.serialNumber,
+    policy: check.policy,
+    tsa: tsaClient.name,
+    tsaCertificate: new crypto.X509Certificate(certificate).toString(),
+    token: response.token.toString('base64')
+  };
+
+  await storage.set(key, record);
+  console.log(`Timestamped chain head ${index.headHash.substring(0, 16)}... of ${shipmentId} at ${new Date(record.genTime).toISOString()}`);
+
+  return { shipmentId, timestamped: true, record };
+}
+
+/**
+ * Timestamp the heads of all shipment chains that changed since their last token
+ *
+ * A failure for one shipment is recorded and does not stop the others. At most
+ * `limit` tokens are requested per run; the remaining heads are picked up by
+ * the next run.
+ *
+ * @param {Object} [options] - Run options
+ * @param {Object} [options.client] - TSA client, the configured one when omitted
+ * @param {number} [options.limit] - Maximum number of TSA requests
+ * @returns {Promise<Object>} Summary with per-shipment results
+ */
+async function runChainTimestamping({ client, limit = MAX_TIMESTAMPS_PER_RUN } = {}) {
+  const tsaClient = client || await getTsaClient();
+  const results = [];
+  let requested = 0;
+
+  for (const shipmentId of await listChainShipmentIds()) {
+    if (requested >= limit) {
+      results.push({ shipmentId, timestamped: false, reason: 'deferred' });
+      continue;
+    }
+
+    try {
+      const result = await timestampChainHead(shipmentId, { client: tsaClient });
+      if (result.timestamped) {
+        requested++;
+      }
+      results.push(result);
+    } catch (error) {
+      requested++;
+      console.error(`Timestamping failed for ${shipmentId}: ${error.message}`);
+      results.push({ shipmentId, timestamped: false, reason: 'error', error: error.message });
+    }
+  }
+
+  return {
+    scanned: results.length,
+    timestamped: results.filter(result => result.timestamped).length,
+    deferred: results.filter(result => result.reason === 'deferred').length,
+    failed: results.filter(result => result.reason === 'error').length,
+    results
+  };
+}
+
+/**
+ * All stored timestamp records of a shipment chain, oldest first
+ *
+ * @param {string} shipmentId - Shipment identifier
+ * @returns {Promise<Array<Object>>} Timestamp records
+ */
+async function listChainTimestamps(shipmentId) {
+  const records = [];
+  let cursor;
+
+  do {
+    let query = storage.query().where('key', startsWith(getChainTimestampKey(shipmentId, ''))).limit(20);
+    if (cursor) {
+      query = query.cursor(cursor);
+    }
+
+    const page = await query.getMany();
+    page.results.forEach(({ value }) => records.push(value));
+    cursor = page.nextCursor;
+  } while (cursor);
+
+  return records.sort((a, b) => a.genTime - b.genTime);
+}
+
+/**
+ * Earliest timestamp record covering each entry of a chain
+ *
+ * @param {Array<Object>} chain - Shipment chain entries
+ * @param {Array<Object>} records - Timestamp records of the chain
+ * @returns {Array<Object|null>} Record per chain position, null when not timestamped yet
+ */
+function getEntryTimestamps(chain, records) {
+  const positions = new Map(chain.map((entry, idx) => [entry?.hash, idx]));
+  const covering = new Array(chain.length).fill(null);
+
+  for (const record of records) {
+    const headPosition = positions.get(record.headHash);
+    if (headPosition === undefined) {
+      continue;
+    }
+
+    for (let i = headPosition; i >= 0 && (!covering[i] || covering[i].genTime > record.genTime); i--) {
+      covering[i] = record;
+    }
+  }
+
+  return covering;
+}
+
+export {
+  TIMESTAMPING_CONFIG_KEY,
+  DEFAULT_TSA_URL,
+  getChainTimestampKey,
+  createHttpTsaClient,
+  createLocalTsaClient,
+  setTsaClient,
+  getTsaClient,
+  timestampChainHead,
+  runChainTimestamping,
+  listChainTimestamps,
+  getEntryTimestamps
+};
@@ -1,16 +1,257 @@
 /**
  * Mock for @forge/api module
- * Provides test doubles for Forge storage and fetch APIs
+ * Provides test doubles for Forge storage, fetch and product REST APIs
+ *
+ * Storage is backed by an in-memory Map so tests can exercise read-modify-write
+ * flows. Call storage.__reset() in beforeEach to isolate tests.
+ *
+ * api.asApp().requestConfluence() is served by a small in-memory Confluence
+ * (spaces, pages with versions, page content properties) covering the v2 REST
+ * endpoints the app uses. Call api.__reset() to clear it; api.__confluence
+ * exposes its state and request log for assertions.
+ *
+ * api.asApp().requestJira() serves issue attachments (metadata and content)
+ * from api.__jira.attachments, a Map of attachment ID to
+ * { filename, mimeType, content }, the field list from api.__jira.fields and
+ * issues from api.__jira.issues, a Map of issue key to { fields }.
+ * api.__reset() clears them too.
  */
 
+const store = new Map();
+const secrets = new Map();
+
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+export const startsWith = (value) => ({ condition: 'STARTS_WITH', value });
+
+const createQuery = (state = { prefix: null, limit: 20, cursor: null }) => ({
+  where: (field, predicate) => createQuery({
+    ...state,
+    prefix: typeof predicate === 'object' ? predicate.value : state.prefix
+  }),
+  limit: (limit) => createQuery({ ...state, limit }),
+  cursor: (cursor) => createQuery({ ...state, cursor }),
+  getMany: async () => {
+    const keys = Array.from(store.keys())
+      .filter(key => !state.prefix || key.startsWith(state.prefix))
+      .sort();
+    const offset = state.cursor ? parseInt(state.cursor, 10) : 0;
+    const page = keys.slice(offset, offset + state.limit);
+    const nextOffset = offset + page.length;
+
+    return {
+      results: page.map(key => ({ key, value: clone(store.get(key)) })),
+      nextCursor: nextOffset < keys.length ? String(nextOffset) : undefined
+    };
+  }
+});
+
 export const storage = {
-  get: async () => null,
-  set: async () => undefined,
-  delete: async () => undefined,
-  query: () => ({
-    where: () => storage.query(),
-    getMany: async () => ({ results: [] })
-  })
+  get: async (key) => clone(store.get(key)),
+  set: async (key, value) => {
+    store.set(key, clone(value));
+  },
+  delete: async (key) => {
+    store.delete(key);
+  },
+  query: () => createQuery(),
+  getSecret: async (key) => clone(secrets.get(key)),
+  setSecret: async (key, value) => {
+    secrets.set(key, clone(value));
+  },
+  deleteSecret: async (key) => {
+    secrets.delete(key);
+  },
+  __reset: () => {
+    store.clear();
+    secrets.clear();
+  },
+  __dump: () => Object.fromEntries(store)
 };
 
 export const fetch = async () => ({});
+
+const confluence = {
+  spaces: [{ id: '1001', key: 'LOGI', name: 'LogiBrew' }],
+  pages: new Map(),
+  properties: new Map(),
+  requests: [],
+  nextId: 5000
+};
+
+const jsonResponse = (status, body) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  json: async () => clone(body),
+  text: async () => JSON.stringify(body)
+});
+
+const handleConfluenceRequest = (method, url, body) => {
+  const pagePath = url.pathname.match(/^\/wiki\/api\/v2\/pages\/([^/]+)(\/properties(?:\/([^/]+))?)?$/);
+
+  if (method === 'GET' && url.pathname === '/wiki/api/v2/spaces') {
+    return jsonResponse(200, { results: confluence.spaces });
+  }
+
+  if (method === 'GET' && url.pathname === '/wiki/api/v2/pages') {
+    const results = Array.from(confluence.pages.values()).filter(page =>
+      (!url.searchParams.get('space-id') || page.spaceId === url.searchParams.get('space-id')) &&
+      (!url.searchParams.get('title') || page.title === url.searchParams.get('title'))
+    );
+    return jsonResponse(200, { results });
+  }
+
+  if (method === 'POST' && url.pathname === '/wiki/api/v2/pages') {
+    const page = { ...body, id: String(confluence.nextId++), version: { number: 1 } };
+    confluence.pages.set(page.id, page);
+    return jsonResponse(200, page);
+  }
+
+  if (!pagePath || !confluence.pages.has(pagePath[1])) {
+    return jsonResponse(404, { message: `Not found: ${url.pathname}` });
+  }
+
+  const pageId = pagePath[1];
+  const page = confluence.pages.get(pageId);
+  const properties = confluence.properties.get(pageId) || new Map();
+  confluence.properties.set(pageId, properties);
+
+  if (!pagePath[2]) {
+    if (method === 'GET') {
+      return jsonResponse(200, page);
+    }
+    if (method === 'PUT') {
+      if (body.version?.number !== page.version.number + 1) {
+        return jsonResponse(409, { message: 'Version conflict' });
+      }
+      const updated = { ...page, ...body, id: pageId };
+      confluence.pages.set(pageId, updated);
+      return jsonResponse(200, updated);
+    }
+  } else if (!pagePath[3]) {
+    if (method === 'GET') {
+      const key = url.searchParams.get('key');
+      return jsonResponse(200, { results: Array.from(properties.values()).filter(property => !key || property.key === key) });
+    }
+    if (method === 'POST') {
+      if (Array.from(properties.values()).some(property => property.key === body.key)) {
+        return jsonResponse(409, { message: 'Property already exists' });
+      }
+      const property = { id: String(confluence.nextId++), key: body.key, value: body.value, version: { number: 1 } };
+      properties.set(property.id, property);
+      return jsonResponse(200, property);
+    }
+  } else if (method === 'PUT' && properties.has(pagePath[3])) {
+    const property = properties.get(pagePath[3]);
+    if (body.version?.number !== property.version.number + 1) {
+      return jsonResponse(409, { message: 'Version conflict' });
+    }
+    const updated = { ...property, value: body.value, version: { number: body.version.number } };
+    properties.set(property.id, updated);
+    return jsonResponse(200, updated);
+  }
+
+  return jsonResponse(405, { message: `Unsupported: ${method} ${url.pathname}` });
+};
+
+const requestConfluence = async (path, options = {}) => {
+  const method = options.method || 'GET';
+  const body = options.body ? JSON.parse(options.body) : undefined;
+  const url = new URL(String(path), 'https://example.atlassian.net');
+
+  confluence.requests.push({ method, path: String(path), body });
+
+  return handleConfluenceRequest(method, url, body);
+};
+
+const jira = {
+  attachments: new Map(),
+  fields: [],
+  permissions: new Set(),
+  issues: new Map(),
+  requests: []
+};
+
+const requestJira = async (path, options = {}, as = 'app') => {
+  const method = options.method || 'GET';
+  const url = new URL(String(path), 'https://example.atlassian.net');
+  const attachmentPath = url.pathname.match(/^\/rest\/api\/3\/attachment\/(content\/)?([^/]+)$/);
+
+  jira.requests.push({ method, path: String(path), as });
+
+  if (method === 'GET' && url.pathname === '/rest/api/3/field') {
+    return jsonResponse(200, clone(jira.fields));
+  }
+
+  if (method === 'GET' && url.pathname === '/rest/api/3/mypermissions') {
+    const issueKey = url.searchParams.get('issueKey');
+    if (issueKey && !jira.issues.has(issueKey)) {
+      return jsonResponse(404, { errorMessages: ['Issue does not exist or you do not have permission to see it.'] });
+    }
+
+    const requested = (url.searchParams.get('permissions') || '').split(',').filter(Boolean);
+    return jsonResponse(200, {
+      permissions: Object.fromEntries(requested.map(key => [key, { key, havePermission: jira.permissions.has(key) }]))
+    });
+  }
+
+  const issuePath = url.pathname.match(/^\/rest\/api\/3\/issue\/([^/]+)$/);
+  if (issuePath) {
+    const issue = jira.issues.get(decodeURIComponent(issuePath[1]));
+    if (method !== 'GET' || !issue) {
+      return jsonResponse(404, { errorMessages: ['Issue does not exist or you do not have permission to see it.'] });
+    }
+
+    const requested = url.searchParams.get('fields');
+    const fields = requested
+      ? Object.fromEntries(Object.entries(issue.fields).filter(([id]) => requested.split(',').includes(id)))
+      : issue.fields;
+    return jsonResponse(200, { key: issuePath[1], fields: clone(fields) });
+  }
+
+  const attachment = attachmentPath && jira.attachments.get(attachmentPath[2]);
+  if (method !== 'GET' || !attachment) {
+    return jsonResponse(404, { errorMessages: [`Not found: ${url.pathname}`] });
+  }
+
+  const content = Buffer.from(attachment.content);
+
+  if (attachmentPath[1]) {
+    return {
+      ok: true,
+      status: 200,
+      arrayBuffer: async () => content.buffer.slice(content.byteOffset, content.byteOffset + content.length)
+    };
+  }
+
+  return jsonResponse(200, {
+    id: attachmentPath[2],
+    filename: attachment.filename,
+    mimeType: attachment.mimeType,
+    size: content.length
+  });
+};
+
+export const route = (strings, ...values) => strings.reduce(
+  (path, part, i) => path + part + (i < values.length ? encodeURIComponent(values[i]) : ''),
+  ''
+);
+
+const api = {
+  asApp: () => ({ requestConfluence, requestJira }),
+  asUser: () => ({ requestConfluence, requestJira: (path, options) => requestJira(path, options, 'user') }),
+  __confluence: confluence,
+  __jira: jira,
+  __reset: () => {
+    jira.attachments.clear();
+    jira.fields.length = 0;
+    jira.permissions.clear();
+    jira.issues.clear();
+    jira.requests.length = 0;
+    confluence.pages.clear();
+    confluence.properties.clear();
+    confluence.requests.length = 0;
+  }
+};
+
+export default api;
@@ -0,0 +1,202 @@
+/**
+ * Unit Tests for Decision Amendments
+ *
+ * Tests correction of logged decisions including:
+ * - Amendment entries referencing the corrected entry
+ * - Effective view folding amendments over the original chain
+ * - Verification of amendment references
+ * - The amend action and macro rendering of corrected entries
+ *
+ * Target Coverage: 95% (security-critical)
+ */
+
+import { storage } from '@forge/api';
+import {
+  generateHash,
+  logComplianceDecision,
+  amendDecision,
+  getShipmentChain,
+  verifyShipmentChain,
+  buildVerificationReport
+} from '../src/hashChain.js';
+import { buildEffectiveView, getEffectiveView, getAmendmentIndex } from '../src/amendments.js';
+import { amendComplianceDecision, logMacroRenderer } from '../src/index.js';
+
+describe('Decision amendments', () => {
+  let original;
+
+  beforeEach(async () => {
+    storage.__reset();
+
+    original = await logComplianceDecision({
+      action: 'compliance_check',
+      userId: 'user123',
+      shipmentId: 'SHIP-001',
+      outcome: { status: 'approved' }
+    });
+    await logComplianceDecision({
+      action: 'route_change',
+      userId: 'user123',
+      shipmentId: 'SHIP-001',
+      outcome: { status: 'approved' }
+    });
+  });
+
+  const amend = (overrides = {}) => amendDecision({
+    shipmentId: 'SHIP-001',
+    amendsHash: original.hash,
+    reason: 'UN code was entered incorrectly',
+    userId: 'auditor-1',
+    correctedOutcome: { status: 'rejected' },
+    ...overrides
+  });
+
+  test('should append an amendment referencing the corrected entry', async () => {
+    const amendment = await amend();
+    const chain = await getShipmentChain('SHIP-001');
+
+    expect(chain).toHaveLength(3);
+    expect(chain[0]).toEqual(original);
+    expect(amendment.action).toBe('amendment');
+    expect(amendment.userId).toBe('auditor-1');
+    expect(amendment.decision).toEqual({
+      amends: original.hash,
+      reason: 'UN code was entered incorrectly',
+      correctedOutcome: { status: 'rejected' }
+    });
+    expect((await verifyShipmentChain('SHIP-001')).isValid).toBe(true);
+  });
+
+  test('should require a reason', async () => {
+    await expect(amend({ reason: '  ' })).rejects.toThrow('reason is required');
+  });
+
+  test('should reject hashes outside the shipment chain', async () => {
+    const other = await logComplianceDecision({ action: 'compliance_check', userId: 'user123', shipmentId: 'SHIP-002', outcome: {} });
+
+    await expect(amend({ amendsHash: other.hash })).rejects.toThrow('not found in chain for SHIP-001');
+  });
+
+  test('should reject amending an amendment', async () => {
+    const amendment = await amend();
+
+    await expect(amend({ amendsHash: amendment.hash })).rejects.toThrow('not other amendments');
+  });
+
+  test('should fold the latest amendment into the effective view', async () => {
+    await amend();
+    const latest = await amend({ reason: 'Second review', correctedOutcome: { status: 'approved', notes: 'cargo aircraft only' } });
+
+    const view = await getEffectiveView('SHIP-001');
+
+    expect(view.entries.map(entry => entry.action)).toEqual(['compliance_check', 'route_change']);
+    expect(view.entries[0].isAmended).toBe(true);
+    expect(view.entries[0].decision).toEqual({ status: 'approved', notes: 'cargo aircraft only' });
+    expect(view.entries[0].originalDecision).toEqual({ status: 'approved' });
+    expect(view.entries[0].amendedBy.hash).toBe(latest.hash);
+    expect(view.entries[0].amendedBy.index).toBe(3);
+    expect(view.entries[0].amendments).toHaveLength(2);
+    expect(view.entries[1].isAmended).toBe(false);
+    expect(view.amendedCount).toBe(1);
+    expect(view.amendmentCount).toBe(2);
+  });
+
+  test('should build the same amendment index when streaming segments', async () => {
+    await amend();
+
+    const streamed = await getAmendmentIndex('SHIP-001');
+    const folded = buildEffectiveView(await getShipmentChain('SHIP-001'));
+
+    expect(streamed.get(original.hash)).toEqual(folded.entries[0].amendments);
+  });
+
+  test('should report amendments that reference unknown entries', async () => {
+    await amend();
+    const chain = await getShipmentChain('SHIP-001');
+
+    chain[2].decision.amends = 'f'.repeat(64);
+    chain[2].hash = generateHash(chain[2]);
+
+    const report = buildVerificationReport(chain);
+    expect(report.failures[0].kind).toBe('invalid_amendment');
+    expect(report.failures[0].index).toBe(2);
+  });
+});
+
+describe('amendComplianceDecision action', () => {
+  const context = { principal: { accountId: 'acct-auditor' } };
+  let original;
+
+  beforeEach(async () => {
+    storage.__reset();
+    original = await logComplianceDecision({
+      action: 'compliance_check',
+      userId: 'user123',
+      shipmentId: 'SHIP-001',
+      outcome: { status: 'approved' }
+    });
+  });
+
+  test('should log an amendment for a valid request', async () => {
+    const result = await amendComplianceDecision({
+      shipmentId: 'SHIP-001',
+      entryHash: original.hash.toUpperCase(),
+      reason: 'Wrong outcome recorded',
+      outcome: 'Rejected - passenger aircraft'
+    }, context);
+
+    expect(result.success).toBe(true);
+    expect(result.amendment.amends).toBe(original.hash);
+    expect(result.amendment.correctedOutcome.status).toBe('Rejected - passenger aircraft');
+    expect(result.amendment.userId).toBe('acct-auditor');
+    expect(result.amendment.source).toBe('rovo-action');
+  });
+
+  test('should refuse amendments without an acting user', async () => {
+    const result = await amendComplianceDecision({
+      shipmentId: 'SHIP-001',
+      entryHash: original.hash,
+      reason: 'Wrong outcome recorded',
+      outcome: 'Rejected'
+    });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('acting user');
+    expect(await getShipmentChain('SHIP-001')).toHaveLength(1);
+  });
+
+  test('should reject incomplete requests', async () => {
+    const result = await amendComplianceDecision({ shipmentId: 'SHIP-001', entryHash: original.hash }, context);
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('reason');
+  });
+
+  test('should surface unknown entry hashes', async () => {
+    const result = await amendComplianceDecision({
+      shipmentId: 'SHIP-001',
+      entryHash: 'a'.repeat(64),
+      reason: 'Wrong outcome recorded',
+      outcome: 'Rejected'
+    }, context);
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('not found');
+  });
+
+  test('should strike through corrected entries in the macro', async () => {
+    await amendComplianceDecision({
+      shipmentId: 'SHIP-001',
+      entryHash: original.hash,
+      reason: 'Wrong outcome recorded',
+      outcome: 'Rejected'
+    }, context);
+
+    const adf = await logMacroRenderer({ shipmentId: 'SHIP-001' });
+    const [corrected, correction] = adf.content.filter(node => node.type === 'paragraph');
+
+    expect(corrected.content[0].marks).toEqual([{ type: 'strike' }]);
+    expect(corrected.content[1].text).toContain('corrected by #2: Wrong outcome recorded');
+    expect(correction.content[1].text).toContain('Corrects #1');
+  });
+});
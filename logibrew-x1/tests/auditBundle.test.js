@@ -0,0 +1,207 @@
+/**
+ * Unit Tests for Audit Bundle Export
+ *
+ * Tests the signed audit bundle and its offline verification including:
+ * - Bundle contents and signature
+ * - Offline verification of untouched and tampered bundles
+ * - CSV rendering
+ * - The export action and the plain Node verifier script
+ *
+ * Target Coverage: 95% (security-critical)
+ */
+
+import { spawnSync } from 'child_process';
+import { mkdtempSync, readFileSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { storage } from '@forge/api';
+import { generateHash, logComplianceDecision } from '../src/hashChain.js';
+import { getPublicKeyRegistry } from '../src/signing.js';
+import { buildAuditBundle, renderAuditBundleCsv, CSV_COLUMNS } from '../src/auditBundle.js';
+import { verifyAuditBundle, generateBundleHash } from '../src/chainVerifier.js';
+import { exportAuditBundle } from '../src/index.js';
+import { selectRuleSet } from '../src/ruleSets.js';
+
+describe('Audit bundle export', () => {
+  beforeEach(async () => {
+    storage.__reset();
+
+    await logComplianceDecision({
+      action: 'compliance_check',
+      userId: 'user123',
+      shipmentId: 'SHIP-001',
+      outcome: { status: 'approved' }
+    });
+    await logComplianceDecision({
+      action: 'route_change',
+      userId: '=HYPERLINK("http://evil")',
+      shipmentId: 'SHIP-001',
+      outcome: { status: 'pending, review' }
+    });
+  });
+
+  test('should export entries, hash scheme, report, rule version and keys', async () => {
+    const bundle = await buildAuditBundle('SHIP-001');
+
+    expect(bundle.format).toBe('logibrew-audit-bundle');
+    expect(bundle.entries).toHaveLength(2);
+    expect(bundle.hashAlgorithm).toBe('sha256');
+    expect(bundle.serializationVersion).toBe('jcs-v1');
+    expect(bundle.entryHashVersions).toEqual([5]);
+    expect(bundle.verification.isValid).toBe(true);
+    expect(bundle.ruleVersion.version).toBe(selectRuleSet().version);
+    expect(bundle.signingKeys[0].publicKey).toContain('BEGIN PUBLIC KEY');
+    expect(bundle.bundleHash).toBe(generateBundleHash(bundle));
+    expect(bundle.signature.algorithm).toBe('ed25519');
+  });
+
+  test('should verify an untouched bundle after a JSON round trip', async () => {
+    const bundle = JSON.parse(JSON.stringify(await buildAuditBundle('SHIP-001')));
+    const { keys } = await getPublicKeyRegistry();
+
+    const result = verifyAuditBundle(bundle, { keys });
+
+    expect(result.isValid).toBe(true);
+    expect(result.errors).toEqual([]);
+  });
+
+  test('should not trust the keys shipped in the bundle', async () => {
+    const bundle = await buildAuditBundle('SHIP-001');
+
+    const result = verifyAuditBundle(bundle);
+
+    expect(result.isValid).toBe(false);
+    expect(result.checks.bundleSignature).toBe(false);
+    expect(result.errors[0]).toContain('No trusted public keys given');
+    expect(verifyAuditBundle(bundle, { keys: [] }).isValid).toBe(false);
+  });
+
+  test('should reject a bundle with an edited entry', async () => {
+    const bundle = await buildAuditBundle('SHIP-001');
+    bundle.entries[1].decision.status = 'approved';
+
+    const result = verifyAuditBundle(bundle, await getPublicKeyRegistry());
+
+    expect(result.isValid).toBe(false);
+    expect(result.checks.bundleHash).toBe(false);
+    expect(result.checks.chain).toBe(false);
+  });
+
+  test('should reject a re-hashed bundle that was not re-signed', async () => {
+    const bundle = await buildAuditBundle('SHIP-001');
+    bundle.ruleVersion.version = '9.9.9';
+    bundle.bundleHash = generateBundleHash(bundle);
+
+    const result = verifyAuditBundle(bundle, await getPublicKeyRegistry());
+
+    expect(result.checks.bundleHash).toBe(true);
+    expect(result.checks.bundleSignature).toBe(false);
+    expect(result.isValid).toBe(false);
+  });
+
+  test('should reject a bundle signed with keys outside the trusted registry', async () => {
+    const bundle = await buildAuditBundle('SHIP-001');
+
+    storage.__reset();
+    await logComplianceDecision({ action: 'compliance_check', userId: 'user123', shipmentId: 'SHIP-002', outcome: {} });
+    const { keys: otherKeys } = await getPublicKeyRegistry();
+
+    expect(verifyAuditBundle(bundle, { keys: otherKeys }).isValid).toBe(false);
+  });
+
+  test('should reject bundles in an unknown format', () => {
+    expect(verifyAuditBundle({ format: 'something-else' }).isValid).toBe(false);
+    expect(verifyAuditBundle(null).isValid).toBe(false);
+  });
+
+  test('should render one CSV row per entry with escaping', async () => {
+    const bundle = await buildAuditBundle('SHIP-001');
+    const lines = renderAuditBundleCsv(bundle).split('\r\n');
+
+    expect(lines[0]).toBe(CSV_COLUMNS.join(','));
+    expect(lines).toHaveLength(3);
+    expect(lines[1]).toContain(bundle.entries[0].hash);
+    expect(lines[1]).toContain('valid,valid,');
+    expect(lines[2]).toContain('"\'=HYPERLINK(""http://evil"")"');
+    expect(lines[2]).toContain('"pending, review"');
+  });
+
+  test('should keep the standalone verifier free of Forge imports', () => {
+    const source = readFileSync(new URL('../src/chainVerifier.js', import.meta.url), 'utf8');
+
+    expect(source).not.toContain('@forge/');
+  });
+
+  test('should verify an exported bundle with the plain Node script', async () => {
+    const bundle = await buildAuditBundle('SHIP-001');
+    const dir = mkdtempSync(path.join(tmpdir(), 'logibrew-bundle-'));
+    const bundlePath = path.join(dir, 'bundle.json');
+    const keysPath = path.join(dir, 'trusted-keys.json');
+    const script = new URL('../scripts/verify-audit-bundle.js', import.meta.url).pathname;
+
+    try {
+      writeFileSync(bundlePath, JSON.stringify(bundle));
+      writeFileSync(keysPath, JSON.stringify(await getPublicKeyRegistry()));
+      const verified = spawnSync(process.execPath, [script, bundlePath, keysPath], { encoding: 'utf8' });
+      const withoutKeys = spawnSync(process.execPath, [script, bundlePath], { encoding: 'utf8' });
+
+      bundle.entries[0].action = 'route_change';
+      writeFileSync(bundlePath, JSON.stringify(bundle));
+      const tampered = spawnSync(process.execPath, [script, bundlePath, keysPath], { encoding: 'utf8' });
+
+      expect(verified.status).toBe(0);
+      expect(verified.stdout).toContain('VERIFIED');
+      expect(withoutKeys.status).toBe(2);
+      expect(withoutKeys.stderr).toContain('<trusted-keys.json>');
+      expect(tampered.status).toBe(1);
+      expect(tampered.stdout).toContain('NOT VERIFIED');
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('exportAuditBundle action', () => {
+  beforeEach(() => {
+    storage.__reset();
+  });
+
+  test('should return the bundle, CSV and summary', async () => {
+    await logComplianceDecision({ action: 'compliance_check', userId: 'user123', shipmentId: 'SHIP-001', outcome: {} });
+
+    const result = await exportAuditBundle({ shipmentId: 'SHIP-001' });
+
+    expect(result.success).toBe(true);
+    expect(result.summary.entryCount).toBe(1);
+    expect(result.summary.isValid).toBe(true);
+    expect(result.csv.split('\r\n')).toHaveLength(2);
+    expect(verifyAuditBundle(result.bundle, await getPublicKeyRegistry()).isValid).toBe(true);
+  });
+
+  test('should reject a missing shipment ID', async () => {
+    const result = await exportAuditBundle({});
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('shipmentId');
+  });
+
+  test('should report shipments without logs', async () => {
+    const result = await exportAuditBundle({ shipmentId: 'SHIP-404' });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('No decision logs found');
+  });
+
+  test('should flag a tampered chain in the export', async () => {
+    await logComplianceDecision({ action: 'compliance_check', userId: 'user123', shipmentId: 'SHIP-001', outcome: {} });
+    const segment = await storage.get('shipment-SHIP-001-chain-seg-0');
+    segment[0].userId = 'someone-else';
+    await storage.set('shipment-SHIP-001-chain-seg-0', segment);
+
+    const result = await exportAuditBundle({ shipmentId: 'SHIP-001' });
+
+    expect(result.success).toBe(true);
+    expect(result.summary.isValid).toBe(false);
+    expect(generateHash(segment[0])).not.toBe(segment[0].hash);
+  });
+});
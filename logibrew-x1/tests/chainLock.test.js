@@ -0,0 +1,205 @@
+/**
+ * Unit Tests for Concurrency-Safe Chain Appends
+ *
+ * Tests the append lock and compare-and-set on the ledger head including:
+ * - Interleaved writers on the same and on different shipments
+ * - Monotonic sequence numbers
+ * - Waiting for a held lock and taking over an expired lease
+ * - Retrying when the ledger head moves during an append
+ * - Advancing the ledger head only once the entry is stored
+ *
+ * Target Coverage: 95% (security-critical)
+ */
+
+import { jest } from '@jest/globals';
+import { storage } from '@forge/api';
+import {
+  generateHash,
+  logComplianceDecision,
+  getShipmentChain,
+  verifyShipmentChain,
+  verifyGlobalLedger,
+  buildVerificationReport
+} from '../src/hashChain.js';
+import { LOCK_KEY, withChainLock, createConflictError } from '../src/chainLock.js';
+
+describe('Concurrent chain appends', () => {
+  beforeEach(() => {
+    storage.__reset();
+  });
+
+  const logFor = (shipmentId, action = 'compliance_check') => logComplianceDecision({
+    action,
+    userId: 'user123',
+    shipmentId,
+    outcome: { status: 'approved' }
+  });
+
+  test('should assign monotonic sequence numbers', async () => {
+    const first = await logFor('SHIP-001');
+    const second = await logFor('SHIP-002');
+    const third = await logFor('SHIP-001');
+
+    expect([first.sequence, second.sequence, third.sequence]).toEqual([1, 2, 3]);
+  });
+
+  test('should cover the sequence number with the entry hash', async () => {
+    const entry = await logFor('SHIP-001');
+
+    expect(generateHash({ ...entry, sequence: entry.sequence + 1 })).not.toBe(entry.hash);
+  });
+
+  test('should serialize interleaved writers on one shipment', async () => {
+    const entries = await Promise.all([
+      logFor('SHIP-001', 'compliance_check'),
+      logFor('SHIP-001', 'route_change'),
+      logFor('SHIP-001', 'approval'),
+      logFor('SHIP-001', 'delay_report')
+    ]);
+
+    const chain = await getShipmentChain('SHIP-001');
+
+    expect(chain).toHaveLength(4);
+    expect(new Set(entries.map(entry => entry.previousHash)).size).toBe(4);
+    expect(chain.map(entry => entry.sequence)).toEqual([1, 2, 3, 4]);
+    expect((await verifyShipmentChain('SHIP-001')).isValid).toBe(true);
+    expect(await storage.get(LOCK_KEY)).toBeUndefined();
+  });
+
+  test('should keep the global ledger linear with writers on different shipments', async () => {
+    await Promise.all([
+      logFor('SHIP-A'),
+      logFor('SHIP-B'),
+      logFor('SHIP-A'),
+      logFor('SHIP-C'),
+      logFor('SHIP-B'),
+      logFor('SHIP-A')
+    ]);
+
+    const ledger = await verifyGlobalLedger();
+
+    expect(ledger.isValid).toBe(true);
+    expect(ledger.length).toBe(6);
+    expect((await storage.get('latest-log-entry')).sequence).toBe(6);
+
+    for (const shipmentId of ['SHIP-A', 'SHIP-B', 'SHIP-C']) {
+      expect((await verifyShipmentChain(shipmentId)).isValid).toBe(true);
+    }
+  });
+
+  test('should wait for a lock held by another writer', async () => {
+    await storage.set(LOCK_KEY, { owner: 'other-writer', expiresAt: Date.now() + 60000 });
+    setTimeout(() => storage.delete(LOCK_KEY), 50);
+
+    const entry = await logFor('SHIP-001');
+
+    expect(entry.sequence).toBe(1);
+  });
+
+  test('should take over an expired lease', async () => {
+    await storage.set(LOCK_KEY, { owner: 'crashed-writer', expiresAt: Date.now() - 1 });
+
+    const entry = await logFor('SHIP-001');
+
+    expect(entry.sequence).toBe(1);
+    expect(await storage.get(LOCK_KEY)).toBeUndefined();
+  });
+
+  test('should rebuild the entry when the ledger head moves during an append', async () => {
+    const first = await logFor('SHIP-001');
+
+    // A writer that ignores the lock moves the head between read and write
+    const foreign = { ...first, shipmentId: 'SHIP-002', previousHash: first.hash, shipmentPreviousHash: '0', sequence: 2 };
+    foreign.hash = generateHash(foreign);
+
+    const originalGet = storage.get;
+    let headReads = 0;
+    const getSpy = jest.spyOn(storage, 'get').mockImplementation(async (key) => {
+      if (key === 'latest-log-entry' && ++headReads === 2) {
+        await storage.set('latest-log-entry', foreign);
+      }
+      return originalGet(key);
+    });
+
+    const second = await logFor('SHIP-001', 'route_change');
+    getSpy.mockRestore();
+
+    expect(second.previousHash).toBe(foreign.hash);
+    expect(second.sequence).toBe(3);
+  });
+
+  test('should advance the ledger head after the entry is stored', async () => {
+    await logFor('SHIP-001');
+    const originalSet = storage.set;
+    const writes = [];
+    const setSpy = jest.spyOn(storage, 'set').mockImplementation(async (key, value) => {
+      writes.push(key);
+      return originalSet(key, value);
+    });
+
+    await logFor('SHIP-001', 'route_change');
+    setSpy.mockRestore();
+    const appendWrites = writes.filter(key => key !== LOCK_KEY);
+
+    expect(appendWrites[appendWrites.length - 1]).toBe('latest-log-entry');
+    expect(appendWrites).toContain('shipment-SHIP-001-chain-seg-0');
+  });
+
+  test('should leave the ledger head on the last stored entry when an append fails', async () => {
+    const first = await logFor('SHIP-001');
+    const originalSet = storage.set;
+    const setSpy = jest.spyOn(storage, 'set').mockImplementation(async (key, value) => {
+      if (key === 'shipment-SHIP-001-chain-seg-0') {
+        throw new Error('Storage unavailable');
+      }
+      return originalSet(key, value);
+    });
+
+    await expect(logFor('SHIP-001', 'route_change')).rejects.toThrow('Storage unavailable');
+    setSpy.mockRestore();
+    const retried = await logFor('SHIP-001', 'route_change');
+
+    expect(retried.previousHash).toBe(first.hash);
+    expect(retried.sequence).toBe(2);
+    expect(await verifyGlobalLedger()).toMatchObject({ isValid: true, length: 2 });
+  });
+
+  test('should report sequence numbers that go backwards', async () => {
+    await logFor('SHIP-001');
+    await logFor('SHIP-001');
+
+    const chain = await getShipmentChain('SHIP-001');
+    chain[1].sequence = 1;
+    chain[1].hash = generateHash(chain[1]);
+
+    const report = buildVerificationReport(chain);
+    expect(report.isValid).toBe(false);
+    expect(report.failureKind).toBe('out_of_order_sequence');
+  });
+
+  test('should give up when the lock stays busy', async () => {
+    await storage.set(LOCK_KEY, { owner: 'other-writer', expiresAt: Date.now() + 60000 });
+
+    await expect(withChainLock(async () => 'never', { maxAttempts: 3, retryDelayMs: 1 }))
+      .rejects.toThrow('Hash chain is busy');
+  });
+
+  test('should retry conflicts and rethrow other errors', async () => {
+    let calls = 0;
+    const result = await withChainLock(async () => {
+      calls++;
+      if (calls === 1) {
+        throw createConflictError('simulated conflict');
+      }
+      return 'appended';
+    }, { retryDelayMs: 1 });
+
+    expect(result).toBe('appended');
+    expect(calls).toBe(2);
+
+    await expect(withChainLock(async () => {
+      throw new Error('storage unavailable');
+    })).rejects.toThrow('storage unavailable');
+    expect(await storage.get(LOCK_KEY)).toBeUndefined();
+  });
+});
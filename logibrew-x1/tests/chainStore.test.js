@@ -0,0 +1,130 @@
+/**
+ * Unit Tests for Segmented Chain Storage
+ *
+ * Tests fixed-size segment storage of shipment chains including:
+ * - Appends that span several segments
+ * - Appends rewriting only the last segment and the index
+ * - Paginated reads
+ * - Conversion of chains stored before segmentation
+ * - Streaming verification and missing segments
+ *
+ * Target Coverage: 95% (security-critical)
+ */
+
+import { jest } from '@jest/globals';
+import { storage } from '@forge/api';
+import { generateHash, logComplianceDecision, getShipmentChain, verifyShipmentChain } from '../src/hashChain.js';
+import {
+  SEGMENT_SIZE,
+  getChainIndex,
+  getSegmentKey,
+  readChainPage,
+  listChainShipmentIds
+} from '../src/chainStore.js';
+
+describe('Segmented chain storage', () => {
+  beforeEach(() => {
+    storage.__reset();
+  });
+
+  const logFor = (shipmentId, action = 'compliance_check') => logComplianceDecision({
+    action,
+    userId: 'user123',
+    shipmentId,
+    outcome: { status: 'approved' }
+  });
+
+  const logMany = async (shipmentId, count) => {
+    for (let i = 0; i < count; i++) {
+      await logFor(shipmentId);
+    }
+  };
+
+  test('should split long chains into fixed-size segments', async () => {
+    await logMany('SHIP-001', SEGMENT_SIZE + 5);
+
+    const index = await getChainIndex('SHIP-001');
+
+    expect(index.length).toBe(SEGMENT_SIZE + 5);
+    expect(index.segments.map(segment => segment.length)).toEqual([SEGMENT_SIZE, 5]);
+    expect(await storage.get(getSegmentKey('SHIP-001', 0))).toHaveLength(SEGMENT_SIZE);
+    expect(await storage.get('shipment-SHIP-001-chain')).toBeUndefined();
+    expect((await verifyShipmentChain('SHIP-001')).isValid).toBe(true);
+  });
+
+  test('should rewrite only the last segment on append', async () => {
+    await logMany('SHIP-001', SEGMENT_SIZE + 1);
+
+    const setSpy = jest.spyOn(storage, 'set');
+    await logFor('SHIP-001', 'route_change');
+    const writtenKeys = setSpy.mock.calls.map(([key]) => key);
+    setSpy.mockRestore();
+
+    expect(writtenKeys).toContain(getSegmentKey('SHIP-001', 1));
+    expect(writtenKeys).toContain('shipment-SHIP-001-chain-index');
+    expect(writtenKeys).not.toContain(getSegmentKey('SHIP-001', 0));
+  });
+
+  test('should keep the index head in sync with the last entry', async () => {
+    await logMany('SHIP-001', 3);
+    const last = await logFor('SHIP-001', 'route_change');
+
+    const index = await getChainIndex('SHIP-001');
+    expect(index.headHash).toBe(last.hash);
+    expect(index.segments[0].lastHash).toBe(last.hash);
+  });
+
+  test('should read pages across segment boundaries', async () => {
+    await logMany('SHIP-001', SEGMENT_SIZE + 10);
+    const chain = await getShipmentChain('SHIP-001');
+
+    const page = await readChainPage('SHIP-001', { offset: SEGMENT_SIZE - 5, limit: 10 });
+
+    expect(page.entries.map(entry => entry.hash)).toEqual(
+      chain.slice(SEGMENT_SIZE - 5, SEGMENT_SIZE + 5).map(entry => entry.hash)
+    );
+    expect(page.total).toBe(SEGMENT_SIZE + 10);
+    expect(page.hasMore).toBe(true);
+
+    const lastPage = await readChainPage('SHIP-001', { offset: SEGMENT_SIZE, limit: SEGMENT_SIZE });
+    expect(lastPage.entries).toHaveLength(10);
+    expect(lastPage.hasMore).toBe(false);
+  });
+
+  test('should read and convert chains stored before segmentation', async () => {
+    const entry = {
+      timestamp: 1703174400000,
+      action: 'compliance_check',
+      userId: 'user123',
+      shipmentId: 'SHIP-001',
+      decision: { status: 'approved' },
+      previousHash: '0',
+      shipmentPreviousHash: '0'
+    };
+    entry.hash = generateHash(entry);
+    await storage.set('shipment-SHIP-001-chain', [entry]);
+
+    expect((await readChainPage('SHIP-001')).entries).toHaveLength(1);
+    expect(await listChainShipmentIds()).toEqual(['SHIP-001']);
+
+    const appended = await logFor('SHIP-001', 'route_change');
+    const chain = await getShipmentChain('SHIP-001');
+
+    expect(appended.shipmentPreviousHash).toBe(entry.hash);
+    expect(chain.map(item => item.hash)).toEqual([entry.hash, appended.hash]);
+    expect(await storage.get('shipment-SHIP-001-chain')).toBeUndefined();
+    expect(await listChainShipmentIds()).toEqual(['SHIP-001']);
+  });
+
+  test('should report a deleted segment as missing entries', async () => {
+    await logMany('SHIP-001', SEGMENT_SIZE + 2);
+    await storage.delete(getSegmentKey('SHIP-001', 0));
+
+    const result = await verifyShipmentChain('SHIP-001');
+
+    expect(result.isValid).toBe(false);
+    expect(result.length).toBe(SEGMENT_SIZE + 2);
+    expect(result.report.firstBrokenIndex).toBe(0);
+    expect(result.report.failureKind).toBe('missing_entry');
+  });
+});
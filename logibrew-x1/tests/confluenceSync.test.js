@@ -0,0 +1,246 @@
+/**
+ * Unit Tests for Confluence Sync
+ *
+ * Tests mirroring decision chains to Confluence pages including:
+ * - Page creation and updates with the latest hash root
+ * - The logibrew_decision_log content property mirroring every entry
+ * - Idempotent re-syncs and recovery of deleted pages
+ * - Sync from the workflow post function and the scheduled trigger
+ *
+ * Target Coverage: 85%
+ */
+
+import api, { storage } from '@forge/api';
+import { logComplianceDecision, amendDecision } from '../src/hashChain.js';
+import {
+  SYNC_CONFIG_KEY,
+  DECISION_LOG_PROPERTY_KEY,
+  getSyncedPageKey,
+  syncShipmentToConfluence,
+  syncAllShipmentsToConfluence
+} from '../src/confluenceSync.js';
+import { workflowPostFunction, scheduledConfluenceSync } from '../src/index.js';
+
+const getProperty = (pageId) => Array.from(api.__confluence.properties.get(pageId).values())
+  .find(property => property.key === DECISION_LOG_PROPERTY_KEY);
+
+const logDecision = (shipmentId, outcome = { status: 'approved' }) => logComplianceDecision({
+  action: 'compliance_check',
+  userId: 'user123',
+  shipmentId,
+  outcome
+});
+
+describe('Confluence sync', () => {
+  beforeEach(() => {
+    storage.__reset();
+    api.__reset();
+  });
+
+  test('should create a page with the decision log and hash root', async () => {
+    const entry = await logDecision('SHIP-001');
+
+    const result = await syncShipmentToConfluence('SHIP-001');
+    const page = api.__confluence.pages.get(result.pageId);
+
+    expect(result.synced).toBe(true);
+    expect(result.headHash).toBe(entry.hash);
+    expect(page.title).toBe('LogiBrew Decision Log: SHIP-001');
+    expect(page.spaceId).toBe('1001');
+    expect(page.body.value).toContain(entry.hash);
+    expect(page.body.value).toContain('Verified');
+    expect(await storage.get(SYNC_CONFIG_KEY)).toEqual({ spaceId: '1001' });
+  });
+
+  test('should store the entry in the content property', async () => {
+    const entry = await logDecision('SHIP-001');
+
+    const result = await syncShipmentToConfluence('SHIP-001');
+    const property = getProperty(result.pageId);
+
+    expect(property.value).toMatchObject({
+      shipmentId: 'SHIP-001',
+      entries: [{
+        timestamp: entry.timestamp,
+        action: 'compliance_check',
+        hash: entry.hash,
+        userId: 'user123',
+        decision: { status: 'approved' }
+      }],
+      hashRoot: entry.hash,
+      chainLength: 1,
+      isValid: true
+    });
+  });
+
+  test('should mirror every entry in the content property', async () => {
+    const approved = await logDecision('SHIP-001');
+    const held = await logComplianceDecision({
+      action: 'customs_hold',
+      userId: 'user456',
+      shipmentId: 'SHIP-001',
+      outcome: { status: 'held' }
+    });
+    const rejected = await logDecision('SHIP-001', { status: 'rejected' });
+
+    const result = await syncShipmentToConfluence('SHIP-001');
+    const { entries } = getProperty(result.pageId).value;
+
+    expect(entries.map(entry => entry.hash)).toEqual([approved.hash, held.hash, rejected.hash]);
+    expect(entries.map(entry => entry.decision.status)).toEqual(['approved', 'held', 'rejected']);
+    expect(entries[1]).toMatchObject({ action: 'customs_hold', userId: 'user456' });
+  });
+
+  test('should refuse a content property above the Confluence size limit', async () => {
+    for (let i = 0; i < 40; i++) {
+      await logComplianceDecision({
+        action: 'compliance_check',
+        userId: `user-${'x'.repeat(1000)}`,
+        shipmentId: 'SHIP-001',
+        outcome: { status: 'approved' }
+      });
+    }
+
+    await expect(syncShipmentToConfluence('SHIP-001')).rejects.toThrow('too large for the logibrew_decision_log content property');
+  });
+
+  test('should update the page and property when the chain grows', async () => {
+    await logDecision('SHIP-001');
+    const first = await syncShipmentToConfluence('SHIP-001');
+    const latest = await logDecision('SHIP-001', { status: 'rejected' });
+
+    const second = await syncShipmentToConfluence('SHIP-001');
+    const property = getProperty(second.pageId);
+
+    expect(second.pageId).toBe(first.pageId);
+    expect(second.pageVersion).toBe(2);
+    expect(api.__confluence.pages.size).toBe(1);
+    expect(property.version.number).toBe(2);
+    expect(property.value.hashRoot).toBe(latest.hash);
+    expect(property.value.entries.map(entry => entry.decision.status)).toEqual(['approved', 'rejected']);
+  });
+
+  test('should skip chains already synced at the same head', async () => {
+    await logDecision('SHIP-001');
+    await syncShipmentToConfluence('SHIP-001');
+    const requestCount = api.__confluence.requests.length;
+
+    const result = await syncShipmentToConfluence('SHIP-001');
+
+    expect(result).toMatchObject({ synced: false, reason: 'up_to_date' });
+    expect(api.__confluence.requests).toHaveLength(requestCount);
+  });
+
+  test('should skip shipments without decision logs', async () => {
+    const result = await syncShipmentToConfluence('SHIP-404');
+
+    expect(result).toEqual({ shipmentId: 'SHIP-404', synced: false, reason: 'empty_chain' });
+    expect(api.__confluence.requests).toHaveLength(0);
+  });
+
+  test('should recreate a page deleted in Confluence', async () => {
+    await logDecision('SHIP-001');
+    const first = await syncShipmentToConfluence('SHIP-001');
+    api.__confluence.pages.delete(first.pageId);
+    await logDecision('SHIP-001');
+
+    const second = await syncShipmentToConfluence('SHIP-001');
+
+    expect(second.synced).toBe(true);
+    expect(second.pageId).not.toBe(first.pageId);
+    expect((await storage.get(getSyncedPageKey('SHIP-001'))).pageId).toBe(second.pageId);
+  });
+
+  test('should create pages in the configured space under the configured parent', async () => {
+    await storage.set(SYNC_CONFIG_KEY, { spaceId: '2002', parentPageId: '42' });
+    await logDecision('SHIP-001');
+
+    const result = await syncShipmentToConfluence('SHIP-001');
+    const page = api.__confluence.pages.get(result.pageId);
+
+    expect(page.spaceId).toBe('2002');
+    expect(page.parentId).toBe('42');
+    expect(api.__confluence.requests.some(request => request.path.startsWith('/wiki/api/v2/spaces'))).toBe(false);
+  });
+
+  test('should index amendments by their corrected status', async () => {
+    const original = await logDecision('SHIP-001');
+    await amendDecision({
+      shipmentId: 'SHIP-001',
+      amendsHash: original.hash,
+      reason: 'Wrong outcome recorded',
+      userId: 'auditor-1',
+      correctedOutcome: { status: 'rejected' }
+    });
+
+    const result = await syncShipmentToConfluence('SHIP-001');
+
+    expect(getProperty(result.pageId).value.entries).toEqual([
+      expect.objectContaining({ action: 'compliance_check', decision: { status: 'approved' } }),
+      expect.objectContaining({ action: 'amendment', decision: { status: 'rejected' } })
+    ]);
+  });
+
+  test('should escape entry fields in the page body', async () => {
+    await logComplianceDecision({
+      action: 'compliance_check',
+      userId: '<script>alert(1)</script>',
+      shipmentId: 'SHIP-001',
+      outcome: { status: 'approved' }
+    });
+
+    const result = await syncShipmentToConfluence('SHIP-001');
+    const body = api.__confluence.pages.get(result.pageId).body.value;
+
+    expect(body).not.toContain('<script>');
+    expect(body).toContain('&lt;script&gt;');
+  });
+
+  test('should sync every shipment and record failures', async () => {
+    await logDecision('SHIP-001');
+    await logDecision('SHIP-002');
+    await storage.set(SYNC_CONFIG_KEY, {});
+    api.__confluence.spaces.length = 0;
+
+    try {
+      const summary = await syncAllShipmentsToConfluence();
+
+      expect(summary.scanned).toBe(2);
+      expect(summary.failed).toBe(2);
+      expect(summary.results[0].error).toContain('No Confluence space');
+    } finally {
+      api.__confluence.spaces.push({ id: '1001', key: 'LOGI', name: 'LogiBrew' });
+    }
+  });
+});
+
+describe('Confluence sync triggers', () => {
+  beforeEach(() => {
+    storage.__reset();
+    api.__reset();
+  });
+
+  test('should sync the decision log from the workflow post function', async () => {
+    await workflowPostFunction({
+      issue: { key: 'SHIP-100', fields: { summary: 'Shipment of hops to Berlin' } },
+      transition: { transitionName: 'Start Review', from_status: 'Open', to_status: 'In Review' },
+      user: { accountId: 'acct-1' }
+    });
+
+    const synced = await storage.get(getSyncedPageKey('SHIP-100'));
+    const property = getProperty(synced.pageId);
+
+    expect(property.value.shipmentId).toBe('SHIP-100');
+    expect(property.value.entries.map(entry => entry.decision.status)).toEqual(['In Review']);
+  });
+
+  test('should report the scheduled sync summary', async () => {
+    await logDecision('SHIP-001');
+    await logDecision('SHIP-002');
+    await syncShipmentToConfluence('SHIP-001');
+
+    const result = await scheduledConfluenceSync({ context: { cloudId: 'cloud-1' } });
+
+    expect(result).toEqual({ success: true, scanned: 2, synced: 1, failed: 0 });
+  });
+});
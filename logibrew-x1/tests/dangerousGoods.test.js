@@ -0,0 +1,191 @@
+/**
+ * Unit Tests for the Dangerous Goods List
+ *
+ * Tests the imported UN dangerous goods reference data including:
+ * - CSV and JSON import with per-row errors and duplicates
+ * - Several entries per UN number, one per packing group
+ * - Indexed lookups and precedence of the curated rule set
+ * - Validation of UN codes that are only in the imported list
+ * - Workflow validation of imported UN codes
+ *
+ * Target Coverage: 90%
+ */
+
+import { parseCsv, normalizeDangerousGoodsRow, importDangerousGoods } from '../src/dangerousGoodsImport.js';
+import {
+  normalizePackingGroup,
+  lookupDangerousGoods,
+  isKnownUnCode,
+  resolveUnCodeEntry,
+  getDangerousGoodsMetadata
+} from '../src/dangerousGoods.js';
+import { validateCompliance, workflowValidator } from '../src/index.js';
+import complianceRules from '../src/rules.json';
+
+const HEADER = 'un_number,proper_shipping_name,class,subsidiary_risks,packing_group,special_provisions,air_passenger_limit,air_cargo_limit,sea_limit,road_limit,rail_limit,density';
+
+const row = fields => ({
+  un_number: 'UN1993',
+  proper_shipping_name: 'Flammable liquid, n.o.s.',
+  class: '3',
+  subsidiary_risks: '',
+  packing_group: 'II',
+  special_provisions: 'A3',
+  air_passenger_limit: '5L',
+  air_cargo_limit: '60L',
+  sea_limit: 'unlimited',
+  road_limit: 'unlimited',
+  rail_limit: 'unlimited',
+  ...fields
+});
+
+const issueTypes = result => result.issues.map(issue => issue.type);
+
+describe('Dangerous goods list import', () => {
+  test('should parse quoted CSV fields', () => {
+    const rows = parseCsv('a,b,c\r\n"Ammonia, anhydrous","say ""hi""",\n\n1,2,3');
+
+    expect(rows).toEqual([
+      { a: 'Ammonia, anhydrous', b: 'say "hi"', c: '' },
+      { a: '1', b: '2', c: '3' }
+    ]);
+  });
+
+  test('should normalize a row into a reference entry', () => {
+    const entry = normalizeDangerousGoodsRow(row({ un_number: '1230', subsidiary_risks: '6.1', air_passenger_limit: '1 L', density: '0.79' }));
+
+    expect(entry).toMatchObject({
+      code: 'UN1230',
+      class: '3',
+      subsidiaryRisks: ['6.1'],
+      packingGroup: 'II',
+      specialProvisions: ['A3'],
+      density: 0.79
+    });
+    expect(entry.restrictions.air).toMatchObject({ allowed: true, maxQuantity: '1L', passengerMaxQuantity: '1L', cargoMaxQuantity: '60L', limitPer: 'package' });
+    expect(entry.restrictions.sea).toEqual({ allowed: true, maxQuantity: 'unlimited', quantityBasis: 'net' });
+  });
+
+  test('should read forbidden and gross limits', () => {
+    const entry = normalizeDangerousGoodsRow(row({ packing_group: '', air_passenger_limit: 'forbidden', air_cargo_limit: '35kg G' }));
+
+    expect(entry.packingGroup).toBeNull();
+    expect(entry.restrictions.air).toMatchObject({
+      allowed: true,
+      maxQuantity: '35kg',
+      passengerAircraft: false,
+      cargoAircraft: true,
+      quantityBasis: 'gross'
+    });
+  });
+
+  test('should report invalid rows and skip duplicates', () => {
+    const csv = [
+      HEADER,
+      'UN1993,"Flammable liquid, n.o.s.",3,,II,A3,5L,60L,unlimited,unlimited,unlimited,',
+      'UN1993,"Flammable liquid, n.o.s.",3,,III,A3,60L,220L,unlimited,unlimited,unlimited,',
+      'UN1993,"Flammable liquid, n.o.s.",3,,II,A3,5L,60L,unlimited,unlimited,unlimited,',
+      'UN19,Bad,3,,II,,5L,60L,,,,',
+      'UN1263,Paint,3,,IV,,5L,60L,,,,',
+      'UN1263,Paint,3,,II,,5 gallons,60L,,,,'
+    ].join('\n');
+
+    const { entries, errors, duplicates } = importDangerousGoods(csv, 'csv');
+
+    expect(entries.map(entry => `${entry.code} ${entry.packingGroup}`)).toEqual(['UN1993 II', 'UN1993 III']);
+    expect(duplicates).toBe(1);
+    expect(errors).toEqual([
+      'Row 4: Invalid UN number: UN19',
+      'Row 5: Invalid packing group for UN1263: IV',
+      expect.stringContaining('Row 6: ')
+    ]);
+  });
+
+  test('should import JSON rows and reject missing columns', () => {
+    const { entries, errors } = importDangerousGoods(JSON.stringify([row({ packing_group: 'I' }), { un_number: 'UN1090' }]), 'json');
+
+    expect(entries).toHaveLength(1);
+    expect(errors[0]).toMatch(/^Row 2: Missing columns: proper_shipping_name, class/);
+    expect(() => importDangerousGoods('{}', 'json')).toThrow('must be an array');
+    expect(() => importDangerousGoods('', 'xlsx')).toThrow('Unsupported format: xlsx');
+  });
+});
+
+describe('Dangerous goods lookups', () => {
+  test('should normalize packing groups', () => {
+    expect(normalizePackingGroup('ii')).toBe('II');
+    expect(normalizePackingGroup(3)).toBe('III');
+    expect(normalizePackingGroup('PG I')).toBe('I');
+    expect(normalizePackingGroup('')).toBeNull();
+    expect(normalizePackingGroup('IV')).toBe('IV');
+  });
+
+  test('should keep every packing group of a UN number, strictest first', () => {
+    expect(lookupDangerousGoods('un1993').map(entry => entry.packingGroup)).toEqual(['I', 'II', 'III']);
+    expect(lookupDangerousGoods('UN9999')).toEqual([]);
+    expect(getDangerousGoodsMetadata().unNumberCount).toBeGreaterThan(0);
+  });
+
+  test('should know codes from the rule set and the imported list', () => {
+    expect(isKnownUnCode('UN1203', complianceRules.complianceRules)).toBe(true);
+    expect(isKnownUnCode('UN1993', complianceRules.complianceRules)).toBe(true);
+    expect(isKnownUnCode('UN9999', complianceRules.complianceRules)).toBe(false);
+  });
+
+  test('should prefer curated rules and fall back to the imported list', () => {
+    const rules = complianceRules.complianceRules;
+
+    expect(resolveUnCodeEntry('UN1203', null, rules)).toMatchObject({ source: 'rules', ambiguous: false });
+    expect(resolveUnCodeEntry('UN1789', 'III', rules)).toMatchObject({ source: 'dangerous-goods-list', entry: { packingGroup: 'III' } });
+    expect(resolveUnCodeEntry('UN1993', null, rules)).toMatchObject({ entry: { packingGroup: 'I' }, ambiguous: true, packingGroups: ['I', 'II', 'III'] });
+    expect(resolveUnCodeEntry('UN1263', 'IV', rules).entry).toBeNull();
+  });
+});
+
+describe('validateCompliance - imported UN codes', () => {
+  const hazmat = fields => validateCompliance({ cargoType: 'hazmat', weight: 100, ...fields });
+
+  test('should check against the strictest packing group when none is given', async () => {
+    const result = await hazmat({ unCode: 'UN1993', transportMode: 'air', aircraftType: 'cargo-only', quantity: '45L' });
+
+    expect(issueTypes(result)).toEqual(['WEIGHT_LIMIT_EXCEEDED']);
+    expect(result.issues[0].message).toContain('30 L per package');
+    expect(result.warnings.map(warning => warning.type)).toContain('PACKING_GROUP_AMBIGUOUS');
+    expect(result.details.unCode).toMatchObject({ packingGroup: 'I', source: 'dangerous-goods-list' });
+  });
+
+  test('should use the limits of the given packing group', async () => {
+    const result = await hazmat({ unCode: 'UN1993', packingGroup: 'III', transportMode: 'air', aircraftType: 'cargo-only', quantity: '200L' });
+
+    expect(result.isValid).toBe(true);
+    expect(result.details.unCode.quantityCheck.limit).toEqual({ value: 220, unit: 'l' });
+    expect(result.warnings.map(warning => warning.type)).not.toContain('PACKING_GROUP_AMBIGUOUS');
+  });
+
+  test('should block imported goods forbidden on passenger aircraft', async () => {
+    const result = await hazmat({ unCode: 'UN3480', transportMode: 'air', aircraftType: 'passenger', weight: 20 });
+
+    expect(issueTypes(result)).toEqual(['PASSENGER_AIRCRAFT_FORBIDDEN']);
+  });
+
+  test('should reject unknown packing groups and UN codes', async () => {
+    expect(issueTypes(await hazmat({ unCode: 'UN1263', packingGroup: 'IV', transportMode: 'road' }))).toEqual(['INVALID_PACKING_GROUP']);
+    expect(issueTypes(await hazmat({ unCode: 'UN2814', packingGroup: 'II', transportMode: 'road' }))).toEqual(['PACKING_GROUP_NOT_FOUND']);
+    expect(issueTypes(await hazmat({ unCode: 'UN9999', transportMode: 'road' }))).toEqual(['INVALID_UN_CODE']);
+  });
+});
+
+describe('workflowValidator - imported UN codes', () => {
+  const transition = unCode => workflowValidator({
+    issue: { fields: { summary: 'Shipment of solvents', description: `Contains ${unCode}`, labels: ['hazmat'] } },
+    transition: { from: { name: 'Open' }, to: { name: 'In Progress' } }
+  });
+
+  test('should accept UN codes from the imported list', async () => {
+    expect(await transition('UN1993')).toEqual({ result: true });
+  });
+
+  test('should still reject unknown UN codes', async () => {
+    expect(await transition('UN9999')).toMatchObject({ result: false, errorMessage: expect.stringContaining('UN9999 not found') });
+  });
+});
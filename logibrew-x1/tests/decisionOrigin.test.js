@@ -0,0 +1,131 @@
+/**
+ * Unit Tests for Decision Origin
+ *
+ * Tests attribution of logged decisions including:
+ * - Acting account ID from the Forge invocation context or product event
+ * - Source and Rovo conversation ID recorded on each entry
+ * - Origin fields covered by the entry hash
+ *
+ * Target Coverage: 95% (security-critical)
+ */
+
+import { storage } from '@forge/api';
+import { getShipmentChain, buildVerificationReport, generateHash } from '../src/hashChain.js';
+import {
+  DECISION_SOURCES,
+  UNKNOWN_ACTOR,
+  getInvocationAccountId,
+  getEventAccountId,
+  getRovoConversationId
+} from '../src/decisionOrigin.js';
+import {
+  logComplianceDecision,
+  workflowPostFunction,
+  issueCreatedHandler,
+  issueUpdatedHandler
+} from '../src/index.js';
+
+describe('Decision origin helpers', () => {
+  test('should read the account ID from function and resolver contexts', () => {
+    expect(getInvocationAccountId({ principal: { accountId: 'acct-1' } })).toBe('acct-1');
+    expect(getInvocationAccountId({ accountId: 'acct-2' })).toBe('acct-2');
+    expect(getInvocationAccountId({})).toBeNull();
+    expect(getInvocationAccountId(undefined)).toBeNull();
+  });
+
+  test('should read the account ID from product events', () => {
+    expect(getEventAccountId({ user: { accountId: 'acct-1' } })).toBe('acct-1');
+    expect(getEventAccountId({ atlassianId: 'acct-2' })).toBe('acct-2');
+    expect(getEventAccountId({})).toBe(UNKNOWN_ACTOR);
+  });
+
+  test('should read the Rovo conversation ID', () => {
+    expect(getRovoConversationId({ context: { conversationId: 'conv-1' } }, {})).toBe('conv-1');
+    expect(getRovoConversationId({}, { conversationId: 'conv-2' })).toBe('conv-2');
+    expect(getRovoConversationId({}, {})).toBeNull();
+  });
+});
+
+describe('logComplianceDecision action attribution', () => {
+  const payload = {
+    action: 'route_change',
+    shipmentId: 'SHIP-001',
+    outcome: 'Approved via cargo aircraft',
+    context: { conversationId: 'conv-42' }
+  };
+
+  beforeEach(() => {
+    storage.__reset();
+  });
+
+  test('should log the acting user, source and conversation', async () => {
+    const result = await logComplianceDecision(payload, { principal: { accountId: 'acct-approver' } });
+    const [entry] = await getShipmentChain('SHIP-001');
+
+    expect(result.success).toBe(true);
+    expect(result.logEntry.userId).toBe('acct-approver');
+    expect(entry.userId).toBe('acct-approver');
+    expect(entry.source).toBe(DECISION_SOURCES.ROVO_ACTION);
+    expect(entry.conversationId).toBe('conv-42');
+  });
+
+  test('should refuse to log without an acting user', async () => {
+    const result = await logComplianceDecision(payload, {});
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('acting user');
+    expect(await getShipmentChain('SHIP-001')).toHaveLength(0);
+  });
+
+  test.each([
+    ['userId', 'acct-someone-else'],
+    ['source', DECISION_SOURCES.PANEL],
+    ['conversationId', 'conv-forged']
+  ])('should detect a rewritten %s', async (field, value) => {
+    await logComplianceDecision(payload, { principal: { accountId: 'acct-approver' } });
+    const chain = await getShipmentChain('SHIP-001');
+
+    chain[0][field] = value;
+
+    expect(generateHash(chain[0])).not.toBe(chain[0].hash);
+    expect(buildVerificationReport(chain).failureKind).toBe('content_hash_mismatch');
+  });
+});
+
+describe('Trigger attribution', () => {
+  beforeEach(() => {
+    storage.__reset();
+  });
+
+  test('should attribute workflow transitions to the transitioning user', async () => {
+    await workflowPostFunction({
+      issue: { key: 'SHIP-100', fields: { summary: 'Shipment of hops' } },
+      transition: { transitionName: 'Approve', from_status: 'Review', to_status: 'Approved' },
+      atlassianId: 'acct-transitioner'
+    });
+
+    const [entry] = await getShipmentChain('SHIP-100');
+
+    expect(entry.userId).toBe('acct-transitioner');
+    expect(entry.source).toBe(DECISION_SOURCES.WORKFLOW_POST_FUNCTION);
+    expect(entry.conversationId).toBeNull();
+  });
+
+  test('should attribute issue events to the acting user', async () => {
+    await issueCreatedHandler({
+      issue: { key: 'SHIP-200', fields: { summary: 'Shipment to Oslo' } },
+      atlassianId: 'acct-creator'
+    });
+    await issueUpdatedHandler({
+      issue: { key: 'SHIP-200', fields: {} },
+      changelog: { items: [{ field: 'summary', fromString: 'a', toString: 'b' }] }
+    });
+
+    const [created, updated] = await getShipmentChain('SHIP-200');
+
+    expect(created.userId).toBe('acct-creator');
+    expect(created.source).toBe(DECISION_SOURCES.ISSUE_TRIGGER);
+    expect(updated.userId).toBe(UNKNOWN_ACTOR);
+    expect(updated.source).toBe(DECISION_SOURCES.ISSUE_TRIGGER);
+  });
+});
@@ -0,0 +1,213 @@
+/**
+ * Unit Tests for Decision Evidence
+ *
+ * Tests recording Jira attachments backing a decision including:
+ * - SHA-256 digest, filename and size stored in the hashed entry
+ * - Re-verification reporting changed and deleted evidence files
+ * - Only attachments of the shipment's issue, read as the invoking user
+ * - Attachment IDs passed through the Rovo actions
+ *
+ * Target Coverage: 95% (security-critical)
+ */
+
+import crypto from 'crypto';
+import api, { storage } from '@forge/api';
+import { logComplianceDecision, verifyShipmentChain, generateHash } from '../src/hashChain.js';
+import { normalizeAttachmentIds, collectEvidence, verifyShipmentEvidence } from '../src/evidence.js';
+import { renderAuditBundleCsv, buildAuditBundle } from '../src/auditBundle.js';
+import { logComplianceDecision as logComplianceDecisionAction, verifyDecisionEvidence } from '../src/index.js';
+
+const DECLARATION = 'Shipper\'s Declaration for Dangerous Goods - UN1203, cargo aircraft only';
+const MSDS = 'Safety Data Sheet: Gasoline, flash point -43 C';
+
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+const attach = (id, filename, content, issueKey = 'HAZ-001') => {
+  api.__jira.attachments.set(id, { filename, mimeType: 'application/pdf', content });
+  const issue = api.__jira.issues.get(issueKey) || { fields: { attachment: [] } };
+  if (!issue.fields.attachment.some(attachment => attachment.id === id)) {
+    issue.fields.attachment.push({ id, filename });
+  }
+  api.__jira.issues.set(issueKey, issue);
+};
+
+const logWithEvidence = (attachmentIds) => logComplianceDecision({
+  action: 'compliance_check',
+  userId: 'acct-alice',
+  shipmentId: 'HAZ-001',
+  outcome: { status: 'Approved for cargo aircraft only' },
+  attachmentIds
+});
+
+describe('Decision evidence', () => {
+  beforeEach(() => {
+    storage.__reset();
+    api.__reset();
+    attach('10001', 'shippers-declaration.pdf', DECLARATION);
+    attach('10002', 'msds-gasoline.pdf', MSDS);
+  });
+
+  test('should record digest, filename and size of each attachment', async () => {
+    const entry = await logWithEvidence(['10001', '10002']);
+
+    expect(entry.evidence).toEqual([
+      {
+        attachmentId: '10001',
+        filename: 'shippers-declaration.pdf',
+        mimeType: 'application/pdf',
+        size: Buffer.byteLength(DECLARATION),
+        sha256: sha256(DECLARATION)
+      },
+      expect.objectContaining({ attachmentId: '10002', filename: 'msds-gasoline.pdf', sha256: sha256(MSDS) })
+    ]);
+    expect(api.__jira.requests).toContainEqual({ method: 'GET', path: '/rest/api/3/attachment/content/10001', as: 'user' });
+    expect(api.__jira.requests.every(request => request.as === 'user')).toBe(true);
+  });
+
+  test('should reject attachments that are not on the shipment issue', async () => {
+    attach('20001', 'other-declaration.pdf', 'Another shipment', 'HAZ-002');
+
+    await expect(logWithEvidence(['10001', '20001'])).rejects.toThrow('Attachment 20001 is not attached to HAZ-001');
+    expect(api.__jira.requests.map(request => request.path)).not.toContain('/rest/api/3/attachment/20001');
+    expect((await verifyShipmentChain('HAZ-001')).length).toBe(0);
+  });
+
+  test('should reject evidence for an issue the user cannot see', async () => {
+    api.__jira.issues.delete('HAZ-001');
+
+    await expect(logWithEvidence('10001')).rejects.toThrow('Issue HAZ-001 not found');
+  });
+
+  test('should hash the evidence into the entry', async () => {
+    const entry = await logWithEvidence('10001');
+    const tampered = { ...entry, evidence: [{ ...entry.evidence[0], sha256: sha256('forged') }] };
+
+    expect((await verifyShipmentChain('HAZ-001')).isValid).toBe(true);
+    expect(generateHash(tampered)).not.toBe(entry.hash);
+    expect(generateHash({ ...entry, evidence: undefined })).not.toBe(entry.hash);
+  });
+
+  test('should hash evidence under version 4 and later, leaving version 3 unchanged', async () => {
+    const entry = await logWithEvidence('10001');
+    const asVersion3 = { ...entry, hashVersion: 3 };
+
+    expect(entry.hashVersion).toBeGreaterThanOrEqual(4);
+    expect(generateHash(asVersion3)).toBe(generateHash({ ...asVersion3, evidence: undefined }));
+  });
+
+  test('should leave entries without evidence unchanged', async () => {
+    const entry = await logWithEvidence(undefined);
+
+    expect(entry).not.toHaveProperty('evidence');
+    expect(api.__jira.requests).toHaveLength(0);
+  });
+
+  test('should not log a decision whose evidence cannot be fetched', async () => {
+    api.__jira.issues.get('HAZ-001').fields.attachment.push({ id: '99999', filename: 'deleted.pdf' });
+
+    await expect(logWithEvidence(['10001', '99999'])).rejects.toThrow('Attachment 99999 not found');
+    expect((await verifyShipmentChain('HAZ-001')).length).toBe(0);
+  });
+
+  test('should report unchanged evidence', async () => {
+    await logWithEvidence(['10001', '10002']);
+
+    const result = await verifyShipmentEvidence('HAZ-001');
+
+    expect(result).toMatchObject({
+      entriesChecked: 1,
+      filesChecked: 2,
+      unchanged: 2,
+      changed: 0,
+      missing: 0,
+      evidenceChanged: false,
+      isComplete: true
+    });
+  });
+
+  test('should report evidence files replaced or deleted since logging', async () => {
+    const entry = await logWithEvidence(['10001', '10002']);
+    attach('10001', 'shippers-declaration.pdf', DECLARATION.replace('cargo aircraft only', 'passenger aircraft'));
+    api.__jira.attachments.delete('10002');
+
+    const result = await verifyShipmentEvidence('HAZ-001');
+    const [declaration, msds] = result.entries[0].evidence;
+
+    expect(result).toMatchObject({ changed: 1, missing: 1, evidenceChanged: true });
+    expect(result.entries[0].hash).toBe(entry.hash);
+    expect(declaration).toMatchObject({ attachmentId: '10001', status: 'changed', expectedSha256: sha256(DECLARATION) });
+    expect(declaration.actualSha256).not.toBe(declaration.expectedSha256);
+    expect(msds).toMatchObject({ attachmentId: '10002', status: 'missing', actualSha256: null });
+  });
+
+  test('should check a single entry by hash', async () => {
+    await logWithEvidence('10001');
+    const second = await logWithEvidence('10002');
+
+    const result = await verifyShipmentEvidence('HAZ-001', { entryHash: second.hash });
+
+    expect(result.entries.map(entry => entry.hash)).toEqual([second.hash]);
+    expect(result.filesChecked).toBe(1);
+  });
+
+  test('should normalize attachment ID lists', async () => {
+    expect(normalizeAttachmentIds(' 10001, 10002,,10001 ')).toEqual(['10001', '10002']);
+    expect(normalizeAttachmentIds([10001])).toEqual(['10001']);
+    expect(normalizeAttachmentIds('')).toEqual([]);
+    expect(() => normalizeAttachmentIds('10001,../secrets')).toThrow('Invalid attachment ID');
+    expect(await collectEvidence([])).toEqual([]);
+  });
+
+  test('should list evidence digests in the audit CSV', async () => {
+    await logWithEvidence('10001');
+
+    const csv = renderAuditBundleCsv(await buildAuditBundle('HAZ-001'));
+
+    expect(csv).toContain(`shippers-declaration.pdf:${sha256(DECLARATION)}`);
+  });
+});
+
+describe('Evidence Rovo actions', () => {
+  const context = { principal: { accountId: 'acct-alice' } };
+
+  beforeEach(() => {
+    storage.__reset();
+    api.__reset();
+    attach('10001', 'shippers-declaration.pdf', DECLARATION);
+  });
+
+  test('should log a decision with comma-separated attachment IDs', async () => {
+    const result = await logComplianceDecisionAction({
+      action: 'approval',
+      shipmentId: 'HAZ-001',
+      outcome: 'Approved for cargo aircraft only',
+      attachmentIds: '10001'
+    }, context);
+
+    expect(result.success).toBe(true);
+    expect(result.logEntry.evidence).toEqual([expect.objectContaining({ filename: 'shippers-declaration.pdf' })]);
+  });
+
+  test('should report changed evidence', async () => {
+    await logComplianceDecisionAction({
+      action: 'approval',
+      shipmentId: 'HAZ-001',
+      outcome: 'Approved for cargo aircraft only',
+      attachmentIds: '10001'
+    }, context);
+    attach('10001', 'shippers-declaration.pdf', 'Replaced declaration');
+
+    const result = await verifyDecisionEvidence({ shipmentId: 'HAZ-001' });
+
+    expect(result.success).toBe(true);
+    expect(result.evidenceChanged).toBe(true);
+    expect(result.message).toContain('1 file(s) modified');
+  });
+
+  test('should require a shipment ID', async () => {
+    const result = await verifyDecisionEvidence({});
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('shipmentId');
+  });
+});
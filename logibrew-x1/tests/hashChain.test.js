@@ -7,11 +7,29 @@
  * - Tamper detection
  * - Genesis block handling
  * - Hash linking
+ * - Dual-linked shipment chains and global ledger
+ * - Legacy chain migration
+ * - Structured verification reports
+ * - Canonical, versioned entry hashing
  * 
  * Target Coverage: 95% (security-critical)
  */
 
-import { generateHash, verifyChain } from '../src/hashChain.js';
+import { storage } from '@forge/api';
+import {
+  generateHash,
+  buildVerificationReport,
+  verifyChain,
+  verifyLedger,
+  getShipmentChain,
+  logComplianceDecision,
+  verifyShipmentChain,
+  verifyGlobalLedger,
+  migrateShipmentChain,
+  migrateLegacyChains
+} from '../src/hashChain.js';
+import { canonicalize, registerHashAlgorithm } from '../src/chainVerifier.js';
+import { adminResolver } from '../src/index.js';
 
 describe('Hash Chain Utilities', () => {
   // ===== Hash Generation Tests =====
@@ -491,3 +509,419 @@ describe('Hash Chain Utilities', () => {
     expect(hash1).not.toBe(hash2);
   });
 });
+
+describe('Dual-linked shipment chains', () => {
+  beforeEach(() => {
+    storage.__reset();
+  });
+
+  const logFor = (shipmentId, action) => logComplianceDecision({
+    action,
+    userId: 'user123',
+    shipmentId,
+    outcome: { status: 'approved' }
+  });
+
+  test('should keep legacy hashes unchanged when shipmentPreviousHash is absent', () => {
+    const record = {
+      timestamp: 1703174400000,
+      action: 'compliance_check',
+      userId: 'user123',
+      shipmentId: 'SHIP-001',
+      decision: { status: 'approved' },
+      previousHash: '0'
+    };
+
+    expect(generateHash(record)).toBe(generateHash({ ...record, shipmentPreviousHash: undefined }));
+    expect(generateHash(record)).not.toBe(generateHash({ ...record, shipmentPreviousHash: '0' }));
+  });
+
+  test('should verify each shipment chain when decisions interleave', async () => {
+    await logFor('SHIP-A', 'compliance_check');
+    await logFor('SHIP-B', 'compliance_check');
+    await logFor('SHIP-A', 'route_change');
+    await logFor('SHIP-B', 'approval');
+
+    const chainA = await getShipmentChain('SHIP-A');
+    const chainB = await getShipmentChain('SHIP-B');
+
+    expect(chainA).toHaveLength(2);
+    expect(chainA[1].shipmentPreviousHash).toBe(chainA[0].hash);
+    expect(chainA[1].previousHash).toBe(chainB[0].hash);
+    expect(verifyChain(chainA)).toBe(true);
+    expect(verifyChain(chainB)).toBe(true);
+  });
+
+  test('should verify the global ledger across shipments', async () => {
+    await logFor('SHIP-A', 'compliance_check');
+    await logFor('SHIP-B', 'compliance_check');
+    await logFor('SHIP-A', 'route_change');
+
+    const result = await verifyGlobalLedger();
+
+    expect(result.isValid).toBe(true);
+    expect(result.length).toBe(3);
+  });
+
+  test('should detect a missing entry in the global ledger', async () => {
+    await logFor('SHIP-A', 'compliance_check');
+    const middle = await logFor('SHIP-B', 'compliance_check');
+    const head = await logFor('SHIP-A', 'route_change');
+
+    const chainA = await getShipmentChain('SHIP-A');
+
+    expect(verifyLedger(chainA, head.hash)).toBe(false);
+    expect(verifyLedger([...chainA, middle], head.hash)).toBe(true);
+  });
+
+  test('should detect entries not reachable from the ledger head', async () => {
+    const first = await logFor('SHIP-A', 'compliance_check');
+    const orphan = { ...first, action: 'route_change' };
+    orphan.hash = generateHash(orphan);
+
+    expect(verifyLedger([first, orphan], first.hash)).toBe(false);
+  });
+
+  test('should detect tampering through shipment verification', async () => {
+    await logFor('SHIP-A', 'compliance_check');
+    await logFor('SHIP-A', 'route_change');
+
+    const chain = await getShipmentChain('SHIP-A');
+    chain[1].decision.status = 'rejected';
+    await storage.set('shipment-SHIP-A-chain-seg-0', chain);
+
+    const result = await verifyShipmentChain('SHIP-A');
+    expect(result.isValid).toBe(false);
+    expect(result.length).toBe(2);
+  });
+});
+
+describe('Legacy chain migration', () => {
+  beforeEach(() => {
+    storage.__reset();
+  });
+
+  // Build chains the way they were written before dual linking:
+  // previousHash always points at the global latest entry
+  const seedLegacyLedger = async (shipmentIds) => {
+    let previousHash = '0';
+    const chains = {};
+
+    shipmentIds.forEach((shipmentId, i) => {
+      const entry = {
+        timestamp: 1703174400000 + (i * 1000),
+        action: 'compliance_check',
+        userId: 'user123',
+        shipmentId,
+        decision: { step: i },
+        previousHash
+      };
+      entry.hash = generateHash(entry);
+      previousHash = entry.hash;
+      chains[shipmentId] = [...(chains[shipmentId] || []), entry];
+    });
+
+    for (const [shipmentId, chain] of Object.entries(chains)) {
+      await storage.set(`shipment-${shipmentId}-chain`, chain);
+    }
+    await storage.set('latest-log-entry', { hash: previousHash });
+
+    return chains;
+  };
+
+  test('should report interleaved legacy chains as broken before migration', async () => {
+    const chains = await seedLegacyLedger(['SHIP-A', 'SHIP-B', 'SHIP-A']);
+
+    expect(verifyChain(chains['SHIP-A'])).toBe(false);
+  });
+
+  test('should re-link legacy entries without changing their hashes', async () => {
+    const chains = await seedLegacyLedger(['SHIP-A', 'SHIP-B', 'SHIP-A']);
+    const originalHashes = chains['SHIP-A'].map(entry => entry.hash);
+
+    const result = await migrateShipmentChain('SHIP-A');
+    const migrated = await getShipmentChain('SHIP-A');
+
+    expect(result.migrated).toBe(true);
+    expect(result.relinkedCount).toBe(2);
+    expect(migrated.slice(0, 2).map(entry => entry.hash)).toEqual(originalHashes);
+    expect(migrated[2].action).toBe('chain_migration');
+    expect(migrated[2].shipmentPreviousHash).toBe(originalHashes[1]);
+    expect(verifyChain(migrated)).toBe(true);
+  });
+
+  test('should keep the global ledger valid after migration', async () => {
+    await seedLegacyLedger(['SHIP-A', 'SHIP-B', 'SHIP-A']);
+
+    await migrateLegacyChains();
+
+    const result = await verifyGlobalLedger();
+    expect(result.isValid).toBe(true);
+    expect(result.length).toBe(5);
+  });
+
+  test('should skip chains that are already migrated', async () => {
+    await seedLegacyLedger(['SHIP-A', 'SHIP-B', 'SHIP-A']);
+
+    await migrateShipmentChain('SHIP-A');
+    const second = await migrateShipmentChain('SHIP-A');
+
+    expect(second.migrated).toBe(false);
+    expect(await getShipmentChain('SHIP-A')).toHaveLength(3);
+  });
+
+  test('should detect tampering with a re-linked legacy entry', async () => {
+    await seedLegacyLedger(['SHIP-A', 'SHIP-B', 'SHIP-A']);
+    await migrateShipmentChain('SHIP-A');
+
+    const migrated = await getShipmentChain('SHIP-A');
+    migrated[0].decision.step = 42;
+
+    expect(verifyChain(migrated)).toBe(false);
+  });
+
+  test('should reject a migration entry that lists unknown hashes', async () => {
+    await seedLegacyLedger(['SHIP-A', 'SHIP-B', 'SHIP-A']);
+    await migrateShipmentChain('SHIP-A');
+
+    const migrated = await getShipmentChain('SHIP-A');
+    const forged = { ...migrated[0], decision: { step: 99 } };
+    forged.hash = generateHash(forged);
+    migrated[0] = forged;
+
+    expect(verifyChain(migrated)).toBe(false);
+  });
+
+  test('should attribute migrations run from the admin page to the acting admin', async () => {
+    await seedLegacyLedger(['SHIP-A', 'SHIP-B', 'SHIP-A']);
+
+    const result = await adminResolver.runChainMigration({ payload: {}, context: { accountId: 'admin-1' } });
+    const migrated = await getShipmentChain('SHIP-A');
+
+    expect(result.success).toBe(true);
+    expect(result.migrated).toBe(2);
+    expect(migrated[2].userId).toBe('admin-1');
+    expect(migrated[2].source).toBe('admin-page');
+  });
+
+  test('should refuse migrations without an attributable admin', async () => {
+    await seedLegacyLedger(['SHIP-A', 'SHIP-B', 'SHIP-A']);
+
+    await expect(adminResolver.runChainMigration({ payload: {}, context: {} })).rejects.toThrow('attributable');
+    expect(await getShipmentChain('SHIP-A')).toHaveLength(2);
+  });
+});
+
+describe('Verification report', () => {
+  const buildChain = (length) => {
+    const chain = [];
+    for (let i = 0; i < length; i++) {
+      const entry = {
+        timestamp: 1703174400000 + (i * 1000),
+        action: `action_${i}`,
+        userId: 'user123',
+        shipmentId: 'SHIP-001',
+        decision: { step: i },
+        previousHash: i === 0 ? '0' : chain[i - 1].hash,
+        shipmentPreviousHash: i === 0 ? '0' : chain[i - 1].hash
+      };
+      entry.hash = generateHash(entry);
+      chain.push(entry);
+    }
+    return chain;
+  };
+
+  test('should report every entry as valid for an intact chain', () => {
+    const report = buildVerificationReport(buildChain(3));
+
+    expect(report.isValid).toBe(true);
+    expect(report.entryCount).toBe(3);
+    expect(report.firstBrokenIndex).toBeNull();
+    expect(report.failureKind).toBeNull();
+    expect(report.entries.map(entry => entry.status)).toEqual(['valid', 'valid', 'valid']);
+  });
+
+  test('should report a content hash mismatch with expected and actual hashes', () => {
+    const chain = buildChain(3);
+    chain[1].decision.step = 999;
+
+    const report = buildVerificationReport(chain);
+
+    expect(report.isValid).toBe(false);
+    expect(report.firstBrokenIndex).toBe(1);
+    expect(report.failureKind).toBe('content_hash_mismatch');
+    expect(report.failures[0].actual).toBe(chain[1].hash);
+    expect(report.failures[0].expected).toBe(generateHash(chain[1]));
+    expect(report.entries[2].status).toBe('valid');
+  });
+
+  test('should report a missing entry when a link points outside the chain', () => {
+    const chain = buildChain(4);
+    chain.splice(1, 1);
+
+    const report = buildVerificationReport(chain);
+
+    expect(report.firstBrokenIndex).toBe(1);
+    expect(report.failureKind).toBe('missing_entry');
+    expect(report.failures[0].expected).toBe(chain[0].hash);
+  });
+
+  test('should report a missing entry when the chain does not start at genesis', () => {
+    const report = buildVerificationReport(buildChain(3).slice(1));
+
+    expect(report.firstBrokenIndex).toBe(0);
+    expect(report.failureKind).toBe('missing_entry');
+  });
+
+  test('should report a link mismatch when entries are reordered', () => {
+    const chain = buildChain(3);
+    [chain[1], chain[2]] = [chain[2], chain[1]];
+
+    const report = buildVerificationReport(chain);
+
+    expect(report.firstBrokenIndex).toBe(1);
+    expect(report.failures.map(failure => failure.kind)).toContain('link_mismatch');
+  });
+
+  test('should report out-of-order timestamps', () => {
+    const chain = buildChain(2);
+    const entry = { ...chain[1], timestamp: chain[0].timestamp - 1 };
+    entry.hash = generateHash(entry);
+    chain[1] = entry;
+
+    const report = buildVerificationReport(chain);
+
+    expect(report.isValid).toBe(false);
+    expect(report.failureKind).toBe('out_of_order_timestamp');
+  });
+
+  test('should report null entries as missing', () => {
+    const chain = buildChain(2);
+    chain.splice(1, 0, null);
+
+    const report = buildVerificationReport(chain);
+
+    expect(report.entries[1].status).toBe('failed');
+    expect(report.entries[1].failures[0].kind).toBe('missing_entry');
+  });
+
+  test('should report signature failures', () => {
+    const chain = buildChain(2);
+
+    const report = buildVerificationReport(chain, { keys: [], requireSignatures: true });
+
+    expect(report.failures).toHaveLength(2);
+    expect(report.failures.every(failure => failure.kind === 'signature_failure')).toBe(true);
+    expect(report.failures[0].actual).toBe('unsigned');
+  });
+
+  test('should agree with verifyChain', () => {
+    const chain = buildChain(3);
+    expect(verifyChain(chain)).toBe(buildVerificationReport(chain).isValid);
+
+    chain[2].action = 'tampered';
+    expect(verifyChain(chain)).toBe(buildVerificationReport(chain).isValid);
+  });
+});
+
+describe('Versioned entry hashing', () => {
+  beforeEach(() => {
+    storage.__reset();
+  });
+
+  const baseRecord = {
+    timestamp: 1703174400000,
+    action: 'compliance_check',
+    userId: 'user123',
+    shipmentId: 'SHIP-001',
+    previousHash: '0',
+    shipmentPreviousHash: '0'
+  };
+
+  test('should canonicalize JSON independent of key order', () => {
+    expect(canonicalize({ b: 1, a: { d: [3, 'x'], c: null } })).toBe('{"a":{"c":null,"d":[3,"x"]},"b":1}');
+    expect(canonicalize({ a: undefined, b: true })).toBe('{"b":true}');
+    expect(canonicalize({ z: 1, a: 2 })).toBe(canonicalize({ a: 2, z: 1 }));
+    expect(canonicalize({ text: 'é"\n' })).toBe('{"text":"é\\"\\n"}');
+    expect(() => canonicalize({ value: NaN })).toThrow('non-finite');
+  });
+
+  test('should hash version 2 entries independent of decision key order', () => {
+    const first = { ...baseRecord, hashVersion: 2, hashAlgorithm: 'sha256', decision: { status: 'approved', reason: 'ok' } };
+    const reordered = { ...baseRecord, hashVersion: 2, hashAlgorithm: 'sha256', decision: { reason: 'ok', status: 'approved' } };
+
+    expect(generateHash(first)).toBe(generateHash(reordered));
+  });
+
+  test('should keep version 1 hashes unchanged for entries without hashVersion', () => {
+    const legacy = { ...baseRecord, decision: { status: 'approved', reason: 'ok' } };
+    const reordered = { ...baseRecord, decision: { reason: 'ok', status: 'approved' } };
+
+    expect(generateHash(legacy)).not.toBe(generateHash(reordered));
+    expect(generateHash({ ...legacy, hashVersion: 1 })).toBe(generateHash(legacy));
+  });
+
+  test('should write new entries with the current hash version', async () => {
+    const entry = await logComplianceDecision({ action: 'compliance_check', userId: 'user123', shipmentId: 'SHIP-001', outcome: {} });
+
+    expect(entry.hashVersion).toBe(5);
+    expect(entry.hashAlgorithm).toBe('sha256');
+    expect(generateHash({ ...entry, hashVersion: 1 })).not.toBe(entry.hash);
+  });
+
+  test('should verify version 1 entries alongside current version entries', async () => {
+    const legacy = { ...baseRecord, decision: { status: 'approved' } };
+    legacy.hash = generateHash(legacy);
+    await storage.set('shipment-SHIP-001-chain', [legacy]);
+    await storage.set('latest-log-entry', legacy);
+
+    await logComplianceDecision({ action: 'route_change', userId: 'user123', shipmentId: 'SHIP-001', outcome: {} });
+    const chain = await getShipmentChain('SHIP-001');
+
+    expect(chain.map(entry => entry.hashVersion)).toEqual([undefined, 5]);
+    expect((await verifyShipmentChain('SHIP-001')).isValid).toBe(true);
+  });
+
+  test('should verify entries hashed with another algorithm', () => {
+    const sha256Entry = { ...baseRecord, hashVersion: 2, hashAlgorithm: 'sha256', decision: {} };
+    const sha3Entry = { ...sha256Entry, hashAlgorithm: 'sha3-256' };
+    sha256Entry.hash = generateHash(sha256Entry);
+    sha3Entry.hash = generateHash(sha3Entry);
+
+    expect(sha3Entry.hash).not.toBe(sha256Entry.hash);
+    expect(verifyChain([sha3Entry])).toBe(true);
+  });
+
+  test('should support registered hash algorithms', () => {
+    registerHashAlgorithm('test-reverse-sha256', data => generateHash({ ...baseRecord, decision: { data } }).split('').reverse().join(''));
+    const entry = { ...baseRecord, hashVersion: 2, hashAlgorithm: 'test-reverse-sha256', decision: {} };
+    entry.hash = generateHash(entry);
+
+    expect(verifyChain([entry])).toBe(true);
+  });
+
+  test('should report entries with unknown hash schemes', () => {
+    const unknownAlgorithm = { ...baseRecord, hashVersion: 2, hashAlgorithm: 'md4-ish', decision: {}, hash: 'abc' };
+    const unknownVersion = { ...baseRecord, hashVersion: 99, decision: {}, hash: 'abc' };
+
+    const algorithmReport = buildVerificationReport([unknownAlgorithm]);
+    const versionReport = buildVerificationReport([unknownVersion]);
+
+    expect(algorithmReport.failureKind).toBe('content_hash_mismatch');
+    expect(algorithmReport.failures[0].message).toContain('Unsupported hash algorithm: md4-ish');
+    expect(versionReport.failures[0].message).toContain('Unsupported hash version: 99');
+  });
+
+  test('should report an entry rewritten under an older hash version', async () => {
+    await logComplianceDecision({ action: 'compliance_check', userId: 'user123', shipmentId: 'SHIP-001', outcome: {} });
+    await logComplianceDecision({ action: 'route_change', userId: 'user123', shipmentId: 'SHIP-001', outcome: {} });
+
+    const chain = await getShipmentChain('SHIP-001');
+    delete chain[1].hashVersion;
+    delete chain[1].hashAlgorithm;
+    chain[1].hash = generateHash(chain[1]);
+
+    const report = buildVerificationReport(chain);
+    expect(report.failureKind).toBe('hash_version_downgrade');
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ * Unit Tests for Decision Log Queries
+ *
+ * Tests the secondary indexes over decision logs including:
+ * - Index records written on append
+ * - Filtering by action, shipment ID prefix, user, status and date range
+ * - Sort order and cursor pagination
+ * - Backfill of entries logged before indexing
+ *
+ * Target Coverage: 85%
+ */
+
+import { jest } from '@jest/globals';
+import { storage } from '@forge/api';
+import { logComplianceDecision, amendDecision } from '../src/hashChain.js';
+import {
+  INDEX_KEY_PREFIX,
+  encodeKeyValue,
+  getIndexKeys,
+  queryDecisionLogs,
+  backfillLogIndex
+} from '../src/logIndex.js';
+import { queryComplianceLogs, adminResolver } from '../src/index.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const START = Date.UTC(2025, 6, 1);
+
+describe('Decision log queries', () => {
+  let nowSpy;
+
+  const logOn = (day, shipmentId, action, userId, status) => {
+    nowSpy.mockReturnValue(START + day * DAY);
+    return logComplianceDecision({ action, userId, shipmentId, outcome: { status } });
+  };
+
+  beforeEach(async () => {
+    storage.__reset();
+    nowSpy = jest.spyOn(Date, 'now');
+
+    await logOn(0, 'HAZ-001', 'compliance_check', 'acct-alice', 'Rejected');
+    await logOn(10, 'HAZ-001', 'mode_switch', 'acct-bob', 'approved');
+    await logOn(20, 'GEN-002', 'compliance_check', 'acct-alice', 'approved');
+    await logOn(40, 'HAZ-003', 'mode_switch', 'acct-alice', 'rejected');
+    await logOn(100, 'GEN-002', 'compliance_check', 'acct-alice', 'rejected');
+  });
+
+  afterEach(() => {
+    nowSpy.mockRestore();
+  });
+
+  const shipmentsOf = result => result.entries.map(entry => `${entry.shipmentId}@${entry.timestamp}`);
+
+  test('should write index records on append', async () => {
+    const keys = Object.keys(storage.__dump()).filter(key => key.startsWith(INDEX_KEY_PREFIX));
+
+    expect(keys).toHaveLength(25);
+    expect(keys.filter(key => key.startsWith(`${INDEX_KEY_PREFIX}status:rejected:`))).toHaveLength(3);
+  });
+
+  test('should find all rejections by a user in a date range', async () => {
+    const result = await queryDecisionLogs({
+      userId: 'acct-alice',
+      status: 'REJECTED',
+      from: '2025-07-01',
+      to: '2025-09-30T23:59:59Z'
+    });
+
+    expect(result.entries.map(entry => entry.shipmentId)).toEqual(['HAZ-003', 'HAZ-001']);
+    expect(result.entries[0]).toMatchObject({ action: 'mode_switch', userId: 'acct-alice', status: 'rejected' });
+    expect(result.hasMore).toBe(false);
+  });
+
+  test('should combine action and shipment ID prefix filters', async () => {
+    const result = await queryDecisionLogs({ action: 'mode_switch', shipmentIdPrefix: 'HAZ-', order: 'asc' });
+
+    expect(result.entries.map(entry => entry.shipmentId)).toEqual(['HAZ-001', 'HAZ-003']);
+  });
+
+  test('should order shipment prefix matches by time', async () => {
+    const newestFirst = await queryDecisionLogs({ shipmentIdPrefix: 'HAZ' });
+    const oldestFirst = await queryDecisionLogs({ shipmentIdPrefix: 'HAZ', order: 'asc' });
+
+    expect(newestFirst.entries.map(entry => entry.shipmentId)).toEqual(['HAZ-003', 'HAZ-001', 'HAZ-001']);
+    expect(shipmentsOf(oldestFirst)).toEqual([...shipmentsOf(newestFirst)].reverse());
+  });
+
+  test('should paginate with a cursor in both orders', async () => {
+    for (const order of ['asc', 'desc']) {
+      const all = await queryDecisionLogs({ order });
+      const first = await queryDecisionLogs({ order, limit: 2 });
+      const second = await queryDecisionLogs({ order, limit: 2, cursor: first.nextCursor });
+      const third = await queryDecisionLogs({ order, limit: 2, cursor: second.nextCursor });
+
+      expect(first.hasMore).toBe(true);
+      expect(third.hasMore).toBe(false);
+      expect(third.nextCursor).toBeNull();
+      expect([...first.entries, ...second.entries, ...third.entries]).toEqual(all.entries);
+    }
+  });
+
+  test('should index amendments by their corrected status', async () => {
+    const [original] = (await queryDecisionLogs({ shipmentIdPrefix: 'GEN-002', order: 'asc' })).entries;
+    await amendDecision({
+      shipmentId: 'GEN-002',
+      amendsHash: original.hash,
+      reason: 'Dangerous goods declaration was incomplete',
+      userId: 'acct-carol',
+      correctedOutcome: { status: 'rejected' }
+    });
+
+    const result = await queryDecisionLogs({ userId: 'acct-carol', status: 'rejected' });
+
+    expect(result.entries).toHaveLength(1);
+    expect(result.entries[0].action).toBe('amendment');
+  });
+
+  test('should reject invalid filters', async () => {
+    await expect(queryDecisionLogs({ from: 'last quarter' })).rejects.toThrow('Invalid from date');
+    await expect(queryDecisionLogs({ from: '2025-09-01', to: '2025-08-01' })).rejects.toThrow('must not be after');
+    await expect(queryDecisionLogs({ cursor: 'abc' })).rejects.toThrow('Invalid cursor');
+  });
+
+  test('should encode attribute values into unambiguous key-safe text', () => {
+    expect(encodeKeyValue('557058:abc-DEF_1')).toBe('557058.3Aabc-DEF_1');
+    expect(encodeKeyValue('a/b')).toBe('a.2Fb');
+    expect(encodeKeyValue('a.2Fb')).not.toBe(encodeKeyValue('a/b'));
+    expect(encodeKeyValue('Rejected - passenger aircraft')).toMatch(/^[A-Za-z0-9._-]+$/);
+    expect(encodeKeyValue('SHIP-12')).toBe(encodeKeyValue('SHIP-123').slice(0, 7));
+  });
+
+  test('should backfill entries logged before indexing', async () => {
+    const dump = storage.__dump();
+    await Promise.all(Object.keys(dump)
+      .filter(key => key.startsWith(INDEX_KEY_PREFIX))
+      .map(key => storage.delete(key)));
+
+    const summary = await backfillLogIndex();
+    const result = await queryDecisionLogs({ action: 'compliance_check' });
+
+    expect(summary).toEqual({ shipments: 3, indexed: 5 });
+    expect(result.entries).toHaveLength(3);
+  });
+
+  test('should only backfill from the admin page for an attributable admin', async () => {
+    await expect(adminResolver.runLogIndexBackfill({ payload: {}, context: {} })).rejects.toThrow('attributable');
+
+    const result = await adminResolver.runLogIndexBackfill({ payload: {}, context: { accountId: 'admin-1' } });
+
+    expect(result).toMatchObject({ success: true, shipments: 3, indexed: 5 });
+  });
+
+  test('should keep one record per index for an entry', async () => {
+    const [entry] = (await queryDecisionLogs({ limit: 1 })).entries;
+
+    expect(new Set(getIndexKeys(entry)).size).toBe(5);
+  });
+});
+
+describe('queryComplianceLogs action', () => {
+  beforeEach(() => {
+    storage.__reset();
+  });
+
+  test('should return matching entries with a summary message', async () => {
+    await logComplianceDecision({ action: 'mode_switch', userId: 'acct-bob', shipmentId: 'HAZ-001', outcome: { status: 'approved' } });
+
+    const result = await queryComplianceLogs({ action: 'mode_switch' });
+
+    expect(result.success).toBe(true);
+    expect(result.count).toBe(1);
+    expect(result.message).toContain('Found 1');
+  });
+
+  test('should report invalid filters', async () => {
+    const result = await queryComplianceLogs({ to: 'yesterday' });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('Invalid to date');
+  });
+});
@@ -0,0 +1,305 @@
+/**
+ * Unit Tests for Merkle Anchoring
+ *
+ * Tests daily Merkle anchoring of decision log entries including:
+ * - Tree construction and root determinism
+ * - Inclusion proofs for every leaf position
+ * - Proof rejection for altered entries, proofs and roots
+ * - Daily anchoring from ledger leaves in storage
+ * - Sealing anchored days and catching up on missed days
+ *
+ * Target Coverage: 95% (security-critical)
+ */
+
+import { jest } from '@jest/globals';
+import crypto from 'crypto';
+import { storage } from '@forge/api';
+import {
+  generateHash,
+  getLedgerDay,
+  getMerkleDayKey,
+  getMerkleLeavesKey,
+  readMerkleLeaves,
+  getPendingLedgerDays,
+  logComplianceDecision
+} from '../src/hashChain.js';
+import {
+  getMerkleRootKey,
+  buildMerkleTree,
+  getMerkleRoot,
+  buildInclusionProof,
+  verifyInclusionProof,
+  anchorLedgerDay,
+  anchorPendingLedgerDays,
+  getInclusionProof
+} from '../src/merkle.js';
+import { getEntryInclusionProof, scheduledMerkleAnchoring } from '../src/index.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const fakeHash = (i) => crypto.createHash('sha256').update(`entry-${i}`).digest('hex');
+
+// Clock option for anchoring once the given ledger day is over
+const afterDay = (day) => ({ now: () => Date.parse(`${day}T00:00:00Z`) + DAY_MS });
+
+describe('Merkle tree', () => {
+  test('should return no root for an empty tree', () => {
+    expect(getMerkleRoot(buildMerkleTree([]))).toBeNull();
+  });
+
+  test('should build a deterministic root', () => {
+    const hashes = [1, 2, 3, 4].map(fakeHash);
+
+    expect(getMerkleRoot(buildMerkleTree(hashes))).toBe(getMerkleRoot(buildMerkleTree(hashes)));
+    expect(getMerkleRoot(buildMerkleTree(hashes))).toMatch(/^[a-f0-9]{64}$/);
+  });
+
+  test('should change the root when leaf order changes', () => {
+    const hashes = [1, 2, 3].map(fakeHash);
+    const reordered = [hashes[1], hashes[0], hashes[2]];
+
+    expect(getMerkleRoot(buildMerkleTree(hashes))).not.toBe(getMerkleRoot(buildMerkleTree(reordered)));
+  });
+
+  test.each([1, 2, 3, 5, 8, 13])('should prove every leaf in a tree of %i entries', (size) => {
+    const hashes = Array.from({ length: size }, (_, i) => fakeHash(i));
+    const levels = buildMerkleTree(hashes);
+    const root = getMerkleRoot(levels);
+
+    hashes.forEach((hash, i) => {
+      expect(verifyInclusionProof(hash, buildInclusionProof(levels, i), root)).toBe(true);
+    });
+  });
+
+  test('should keep proofs compact', () => {
+    const hashes = Array.from({ length: 1000 }, (_, i) => fakeHash(i));
+    const levels = buildMerkleTree(hashes);
+
+    expect(buildInclusionProof(levels, 500).length).toBeLessThanOrEqual(10);
+  });
+
+  test('should reject a proof for a different entry', () => {
+    const hashes = [1, 2, 3, 4].map(fakeHash);
+    const levels = buildMerkleTree(hashes);
+
+    expect(verifyInclusionProof(hashes[1], buildInclusionProof(levels, 0), getMerkleRoot(levels))).toBe(false);
+  });
+
+  test('should reject a tampered proof or root', () => {
+    const hashes = [1, 2, 3, 4].map(fakeHash);
+    const levels = buildMerkleTree(hashes);
+    const proof = buildInclusionProof(levels, 2);
+
+    const tamperedProof = proof.map((step, i) => (i === 0 ? { ...step, hash: fakeHash(99) } : step));
+    const swappedProof = proof.map(step => ({ ...step, position: step.position === 'left' ? 'right' : 'left' }));
+
+    expect(verifyInclusionProof(hashes[2], tamperedProof, getMerkleRoot(levels))).toBe(false);
+    expect(verifyInclusionProof(hashes[2], swappedProof, getMerkleRoot(levels))).toBe(false);
+    expect(verifyInclusionProof(hashes[2], proof, fakeHash(99))).toBe(false);
+  });
+
+  test('should not accept an internal node as a leaf', () => {
+    const hashes = [1, 2, 3, 4].map(fakeHash);
+    const levels = buildMerkleTree(hashes);
+
+    expect(verifyInclusionProof(levels[1][0], [{ position: 'right', hash: levels[1][1] }], getMerkleRoot(levels))).toBe(false);
+  });
+
+  test('should reject malformed input', () => {
+    expect(verifyInclusionProof(null, [], fakeHash(1))).toBe(false);
+    expect(verifyInclusionProof(fakeHash(1), null, fakeHash(1))).toBe(false);
+    expect(verifyInclusionProof(fakeHash(1), [{ position: 'up', hash: fakeHash(2) }], fakeHash(1))).toBe(false);
+  });
+});
+
+describe('Daily anchoring', () => {
+  beforeEach(() => {
+    storage.__reset();
+  });
+
+  const logDecisions = async (count) => {
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+      entries.push(await logComplianceDecision({
+        action: 'compliance_check',
+        userId: 'user123',
+        shipmentId: `SHIP-${i % 2}`,
+        outcome: { status: 'approved', step: i }
+      }));
+    }
+    return entries;
+  };
+
+  test('should anchor all entries written on a day', async () => {
+    const entries = await logDecisions(5);
+    const day = getLedgerDay(entries[0].timestamp);
+
+    const anchor = await anchorLedgerDay(day, afterDay(day));
+
+    expect(anchor.anchored).toBe(true);
+    expect(anchor.leafCount).toBe(5);
+    expect(anchor.root).toBe(getMerkleRoot(buildMerkleTree(entries.map(entry => entry.hash))));
+  });
+
+  test('should skip days without entries, days not over yet and days already anchored', async () => {
+    const entries = await logDecisions(2);
+    const day = getLedgerDay(entries[0].timestamp);
+
+    expect(await anchorLedgerDay('2001-01-01')).toMatchObject({ anchored: false, reason: 'no_entries' });
+    expect(await anchorLedgerDay(day)).toMatchObject({ anchored: false, reason: 'open' });
+
+    await anchorLedgerDay(day, afterDay(day));
+    expect(await anchorLedgerDay(day, afterDay(day))).toMatchObject({ anchored: false, reason: 'sealed' });
+  });
+
+  test('should seal an anchored day with only its root and leaf count', async () => {
+    const entries = await logDecisions(3);
+    const day = getLedgerDay(entries[0].timestamp);
+    const { root } = await anchorLedgerDay(day, afterDay(day));
+
+    // A leaf showing up after sealing must not move the root proofs were issued against
+    const page = await storage.get(getMerkleLeavesKey(day, 0));
+    await storage.set(getMerkleLeavesKey(day, 0), [...page, fakeHash(99)]);
+    const again = await anchorLedgerDay(day, afterDay(day));
+    const proof = await getInclusionProof(entries[2].hash);
+
+    expect(Object.keys(await storage.get(getMerkleRootKey(day))).sort()).toEqual(['anchoredAt', 'day', 'leafCount', 'root']);
+    expect(again.root).toBe(root);
+    expect(verifyInclusionProof(entries[2], proof.proof, root)).toBe(true);
+    expect(await getPendingLedgerDays()).toEqual([]);
+  });
+
+  test('should start a new leaf page when the current one is full', async () => {
+    const day = getLedgerDay(Date.now());
+    const fullPage = Array.from({ length: 1000 }, (_, i) => fakeHash(i));
+    await storage.set(getMerkleDayKey(day), { day, pageCount: 1 });
+    await storage.set(getMerkleLeavesKey(day, 0), fullPage);
+
+    const [entry] = await logDecisions(1);
+
+    expect(await storage.get(getMerkleDayKey(day))).toEqual({ day, pageCount: 2 });
+    expect(await storage.get(getMerkleLeavesKey(day, 0))).toHaveLength(1000);
+    expect(await storage.get(getMerkleLeavesKey(day, 1))).toEqual([entry.hash]);
+    expect(await readMerkleLeaves(day)).toEqual([...fullPage, entry.hash]);
+  });
+
+  test('should read leaves of days written before leaves were paged', async () => {
+    const entries = await logDecisions(2);
+    const day = getLedgerDay(entries[0].timestamp);
+    await storage.set(getMerkleLeavesKey(day), [fakeHash(1), fakeHash(2)]);
+
+    const anchor = await anchorLedgerDay(day, afterDay(day));
+    const result = await getInclusionProof(entries[1].hash);
+
+    expect(anchor.leafCount).toBe(4);
+    expect(anchor.root).toBe(getMerkleRoot(buildMerkleTree([fakeHash(1), fakeHash(2), ...entries.map(entry => entry.hash)])));
+    expect(result.leafIndex).toBe(3);
+    expect(verifyInclusionProof(entries[1], result.proof, result.root)).toBe(true);
+  });
+
+  test('should return a proof that verifies a full entry against the daily root', async () => {
+    const entries = await logDecisions(4);
+    const day = getLedgerDay(entries[0].timestamp);
+    await anchorLedgerDay(day, afterDay(day));
+
+    const result = await getInclusionProof(entries[2].hash);
+
+    expect(result.leafIndex).toBe(2);
+    expect(verifyInclusionProof(entries[2], result.proof, result.root)).toBe(true);
+  });
+
+  test('should reject a proof for an altered entry', async () => {
+    const entries = await logDecisions(4);
+    const day = getLedgerDay(entries[0].timestamp);
+    await anchorLedgerDay(day, afterDay(day));
+
+    const result = await getInclusionProof(entries[1].hash);
+    const altered = { ...entries[1], decision: { status: 'rejected' } };
+
+    expect(verifyInclusionProof(altered, result.proof, result.root)).toBe(false);
+
+    altered.hash = generateHash(altered);
+    expect(verifyInclusionProof(altered, result.proof, result.root)).toBe(false);
+  });
+
+  test('should return null for entries not anchored yet', async () => {
+    const entries = await logDecisions(1);
+
+    expect(await getInclusionProof(entries[0].hash)).toBeNull();
+  });
+
+  test('should return proof through the action handler', async () => {
+    const entries = await logDecisions(3);
+    const day = getLedgerDay(entries[0].timestamp);
+    await anchorLedgerDay(day, afterDay(day));
+
+    const result = await getEntryInclusionProof({ entryHash: entries[0].hash.toUpperCase() });
+
+    expect(result.success).toBe(true);
+    expect(verifyInclusionProof(entries[0], result.proof, result.root)).toBe(true);
+  });
+
+  test('should reject invalid hashes in the action handler', async () => {
+    const result = await getEntryInclusionProof({ entryHash: 'abc' });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('Invalid entry hash');
+  });
+});
+
+describe('Catching up on missed days', () => {
+  const FIRST_DAY = Date.UTC(2026, 10, 2, 12);
+  let clock;
+
+  beforeEach(async () => {
+    storage.__reset();
+    clock = FIRST_DAY;
+    jest.spyOn(Date, 'now').mockImplementation(() => clock);
+
+    for (let day = 0; day < 3; day++) {
+      clock = FIRST_DAY + day * DAY_MS;
+      await logComplianceDecision({ action: 'compliance_check', userId: 'user123', shipmentId: 'SHIP-001', outcome: { day } });
+    }
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should track days with leaves until they are anchored', async () => {
+    expect(await getPendingLedgerDays()).toEqual(['2026-11-02', '2026-11-03', '2026-11-04']);
+  });
+
+  test('should anchor every day that is over, leaving the current day open', async () => {
+    const { anchors, deferred } = await anchorPendingLedgerDays();
+
+    expect(anchors.map(anchor => anchor.day)).toEqual(['2026-11-02', '2026-11-03']);
+    expect(deferred).toBe(0);
+    expect(await getPendingLedgerDays()).toEqual(['2026-11-04']);
+  });
+
+  test('should defer days beyond the per-run limit to the next run', async () => {
+    clock += 7 * DAY_MS;
+
+    const first = await anchorPendingLedgerDays({ limit: 2 });
+    const second = await anchorPendingLedgerDays({ limit: 2 });
+
+    expect(first.anchors).toHaveLength(2);
+    expect(first.deferred).toBe(1);
+    expect(second.anchors.map(anchor => anchor.day)).toEqual(['2026-11-04']);
+  });
+
+  test('should catch up from the scheduled trigger after missed runs', async () => {
+    clock += 3 * DAY_MS;
+
+    const result = await scheduledMerkleAnchoring({ context: { cloudId: 'cloud-1' } });
+
+    expect(result.success).toBe(true);
+    expect(result.anchors.map(anchor => [anchor.day, anchor.anchored, anchor.leafCount])).toEqual([
+      ['2026-11-02', true, 1],
+      ['2026-11-03', true, 1],
+      ['2026-11-04', true, 1]
+    ]);
+    expect(await getPendingLedgerDays()).toEqual([]);
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * Unit Tests for Dangerous Goods Quantities
+ *
+ * Tests unit-aware hazmat quantity limits including:
+ * - Parsing quantities and limits with units (kg, g, L, ml)
+ * - Density-based conversion between mass and volume
+ * - Per-package vs per-consignment limits
+ * - Net vs gross quantities
+ * - Errors for quantities that cannot be compared with a limit
+ *
+ * Target Coverage: 90%
+ */
+
+import { parseQuantity, parseQuantityLimit, convertQuantity, formatQuantity } from '../src/quantities.js';
+import { validateCompliance } from '../src/index.js';
+
+const hazmat = (unCode, transportMode, fields) => validateCompliance({
+  unCode,
+  transportMode,
+  cargoType: 'hazmat',
+  weight: 100,
+  ...fields
+});
+
+const issueTypes = result => result.issues.map(issue => issue.type);
+
+describe('Quantity parsing and conversion', () => {
+  test('should parse quantities with units', () => {
+    expect(parseQuantity('45L')).toEqual({ value: 45, unit: 'l' });
+    expect(parseQuantity(' 500 ml ')).toEqual({ value: 500, unit: 'ml' });
+    expect(parseQuantity({ value: '2.5', unit: 'KG' })).toEqual({ value: 2.5, unit: 'kg' });
+    expect(parseQuantity(12, 'g')).toEqual({ value: 12, unit: 'g' });
+  });
+
+  test('should reject unknown units and invalid values', () => {
+    expect(() => parseQuantity('45 gallons')).toThrow('Unknown quantity unit: gallons');
+    expect(() => parseQuantity(45)).toThrow('Unknown quantity unit: (none)');
+    expect(() => parseQuantity('0kg')).toThrow('Must be greater than 0');
+    expect(() => parseQuantity('lots')).toThrow('Invalid quantity: lots');
+  });
+
+  test('should parse alternative and unlimited limits', () => {
+    expect(parseQuantityLimit('50ml/50g')).toEqual([{ value: 50, unit: 'ml' }, { value: 50, unit: 'g' }]);
+    expect(parseQuantityLimit('unlimited')).toBeNull();
+  });
+
+  test('should convert between mass and volume only through a density', () => {
+    expect(convertQuantity({ value: 500, unit: 'g' }, 'kg')).toEqual({ value: 0.5, unit: 'kg' });
+    expect(formatQuantity(convertQuantity({ value: 50, unit: 'kg' }, 'l', 0.74))).toBe('67.6 L');
+    expect(convertQuantity({ value: 50, unit: 'kg' }, 'l')).toBeNull();
+  });
+});
+
+describe('validateCompliance - quantity limits', () => {
+  test('should convert a weight to volume for litre limits', async () => {
+    const result = await hazmat('UN1203', 'air', { weight: 50 });
+
+    expect(result.isValid).toBe(false);
+    expect(result.issues[0]).toMatchObject({ type: 'WEIGHT_LIMIT_EXCEEDED' });
+    expect(result.issues[0].message).toBe('Cargo weight 50kg (67.6 L per package at 0.74 kg/L) exceeds air limit of 60 L per package.');
+  });
+
+  test('should check a net quantity instead of the gross weight', async () => {
+    const within = await hazmat('UN1203', 'air', { quantity: '45L' });
+    const over = await hazmat('UN1203', 'air', { quantity: 65, quantityUnit: 'L', weight: 40 });
+
+    expect(within.isValid).toBe(true);
+    expect(within.details.unCode.quantityCheck).toMatchObject({ limitPer: 'package', quantityType: 'net', amount: { value: 45, unit: 'l' } });
+    expect(over.issues[0].message).toBe('Net quantity 65 L exceeds air limit of 60 L per package.');
+  });
+
+  test('should compare the liquid or solid alternative of a limit', async () => {
+    const liquid = await hazmat('UN2814', 'air', { quantity: '40ml' });
+    const solid = await hazmat('UN2814', 'air', { quantity: '60g' });
+    const byWeight = await hazmat('UN2814', 'air', { weight: 1 });
+
+    expect(liquid.isValid).toBe(true);
+    expect(solid.issues[0].message).toContain('exceeds air limit of 50 g per package');
+    expect(byWeight.issues[0].message).toContain('(1000 g per package)');
+  });
+
+  test('should apply package limits per package', async () => {
+    const split = await hazmat('UN1789', 'air', { quantity: '50L', packages: 2 });
+    const single = await hazmat('UN1789', 'air', { quantity: '50L' });
+
+    expect(split.isValid).toBe(true);
+    expect(single.isValid).toBe(false);
+    expect(single.issues[0].recommendation).toContain('more packages');
+  });
+
+  test('should apply consignment limits to the whole shipment', async () => {
+    const result = await hazmat('UN2814', 'road', { quantity: '60kg', packages: 3 });
+
+    expect(result.isValid).toBe(false);
+    expect(result.issues[0].message).toBe('Net quantity 60 kg exceeds road limit of 50 kg per consignment.');
+  });
+
+  test('should report units that cannot be compared without a density', async () => {
+    const unknown = await hazmat('UN1845', 'air', { quantity: '100L' });
+    const withDensity = await hazmat('UN1845', 'air', { quantity: '100L', density: 1.56 });
+
+    expect(issueTypes(unknown)).toEqual(['QUANTITY_UNITS_INCOMPARABLE']);
+    expect(unknown.issues[0].recommendation).toBe('Give the quantity in kg or the density in kg/L.');
+    expect(withDensity.isValid).toBe(true);
+    expect(withDensity.details.unCode.quantityCheck.amount.value).toBeCloseTo(156);
+  });
+
+  test('should distinguish net and gross quantities for gross limits', async () => {
+    const net = await hazmat('UN1950', 'air', { quantity: '70kg' });
+    const gross = await hazmat('UN1950', 'air', { quantity: '80kg', quantityType: 'gross' });
+
+    expect(net.isValid).toBe(true);
+    expect(net.warnings.map(warning => warning.type)).toEqual(['GROSS_QUANTITY_REQUIRED']);
+    expect(gross.issues[0].message).toBe('Gross quantity 80 kg exceeds air limit of 75 kg per package.');
+  });
+
+  test('should reject invalid quantity inputs', async () => {
+    expect(issueTypes(await hazmat('UN1203', 'air', { quantity: 'a lot' }))).toEqual(['INVALID_QUANTITY']);
+    expect(issueTypes(await hazmat('UN1203', 'air', { quantityType: 'tare' }))).toEqual(['INVALID_QUANTITY_TYPE']);
+    expect(issueTypes(await hazmat('UN1203', 'air', { packages: 0 }))).toEqual(['INVALID_PACKAGE_COUNT']);
+    expect(issueTypes(await hazmat('UN1203', 'air', { density: -1 }))).toEqual(['INVALID_DENSITY']);
+  });
+
+  test('should share the quantity across legs by weight', async () => {
+    const result = await validateCompliance({
+      unCode: 'UN1203',
+      legs: [{ transportMode: 'road' }, { transportMode: 'air', weight: 50 }],
+      cargoType: 'hazmat',
+      weight: 100,
+      quantity: '100L'
+    });
+
+    expect(result.legs[1].details.unCode.quantityCheck.amount.value).toBe(50);
+    expect(result.isValid).toBe(true);
+  });
+});
@@ -0,0 +1,408 @@
+/**
+ * Unit Tests for Retention and Archival
+ *
+ * Tests moving old entries out of the live chain including:
+ * - Archiving entries of closed shipments past the retention period
+ * - Checkpoint entries and verification across the live/archive boundary
+ * - Legal holds and entries still referenced from the live chain
+ * - Legal hold changes limited to administrators and logged on the chain
+ * - Completing interrupted archival runs
+ * - Editing the retention policy from the admin page
+ *
+ * Target Coverage: 95% (security-critical)
+ */
+
+import { jest } from '@jest/globals';
+import api, { storage } from '@forge/api';
+import {
+  logComplianceDecision,
+  amendDecision,
+  logArchiveCheckpoint,
+  getShipmentChain,
+  verifyShipmentChain,
+  verifyGlobalLedger,
+  buildVerificationReport,
+  generateHash
+} from '../src/hashChain.js';
+import { getArchiveIndex, appendToArchive, readChain, streamArchiveSegments } from '../src/chainStore.js';
+import { generateArchiveHash } from '../src/chainVerifier.js';
+import {
+  setRetentionPolicy,
+  getRetentionPolicy,
+  getLegalHold,
+  setLegalHold,
+  releaseLegalHold,
+  countArchivableEntries,
+  archiveShipmentChain,
+  runRetention
+} from '../src/retention.js';
+import { setShipmentLegalHold, scheduledLogArchival, adminResolver } from '../src/index.js';
+
+const MONTH = 30 * 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2026, 9, 1);
+
+describe('Retention and archival', () => {
+  let nowSpy;
+
+  const logAt = (time, shipmentId, action, outcome = { status: 'approved' }) => {
+    nowSpy.mockReturnValue(time);
+    return logComplianceDecision({ action, userId: 'user123', shipmentId, outcome });
+  };
+
+  const readArchive = async (shipmentId) => {
+    const entries = [];
+    for await (const segment of streamArchiveSegments(shipmentId)) {
+      entries.push(...segment.entries);
+    }
+    return entries;
+  };
+
+  // Two old entries closing the shipment, then one within retention
+  const seedClosedShipment = async (shipmentId = 'SHIP-001') => {
+    const first = await logAt(NOW - 36 * MONTH, shipmentId, 'compliance_check');
+    const closed = await logAt(NOW - 35 * MONTH, shipmentId, 'transition_close', { fromStatus: 'In Transit', toStatus: 'Done' });
+    const recent = await logAt(NOW - MONTH, shipmentId, 'customs_note');
+    nowSpy.mockReturnValue(NOW);
+    return { first, closed, recent };
+  };
+
+  beforeEach(() => {
+    storage.__reset();
+    nowSpy = jest.spyOn(Date, 'now');
+  });
+
+  afterEach(() => {
+    nowSpy.mockRestore();
+  });
+
+  test('should archive old entries of closed shipments behind a checkpoint', async () => {
+    const { first, closed, recent } = await seedClosedShipment();
+
+    const result = await archiveShipmentChain('SHIP-001', { now: NOW });
+    const live = await getShipmentChain('SHIP-001');
+    const archive = await readArchive('SHIP-001');
+
+    expect(result).toMatchObject({ archived: true, archivedCount: 2, archiveLength: 2 });
+    expect(archive.map(entry => entry.hash)).toEqual([first.hash, closed.hash]);
+    expect(live.map(entry => entry.action)).toEqual(['customs_note', 'archive_checkpoint']);
+    expect(live[0].hash).toBe(recent.hash);
+    expect(live[1].userId).toBe('system');
+    expect(live[1].decision).toEqual({
+      status: 'archived',
+      fromIndex: 0,
+      count: 2,
+      firstHash: first.hash,
+      lastHash: closed.hash,
+      archiveHash: generateArchiveHash([first.hash, closed.hash]),
+      shipmentStatus: 'Done'
+    });
+  });
+
+  test('should verify the live chain alone and together with its archive', async () => {
+    await seedClosedShipment();
+    await archiveShipmentChain('SHIP-001', { now: NOW });
+    await logComplianceDecision({ action: 'route_change', userId: 'user123', shipmentId: 'SHIP-001', outcome: {} });
+
+    const live = await verifyShipmentChain('SHIP-001');
+    const full = await verifyShipmentChain('SHIP-001', { includeArchive: true });
+
+    expect(live.isValid).toBe(true);
+    expect(live.length).toBe(3);
+    expect(full.isValid).toBe(true);
+    expect(full.length).toBe(5);
+    expect((await verifyGlobalLedger()).isValid).toBe(true);
+  });
+
+  test('should report a live chain missing its checkpoint', async () => {
+    await seedClosedShipment();
+    await archiveShipmentChain('SHIP-001', { now: NOW });
+    const live = await getShipmentChain('SHIP-001');
+
+    const report = buildVerificationReport(live.slice(0, 1));
+
+    expect(report.failureKind).toBe('missing_entry');
+    expect(report.firstBrokenIndex).toBe(0);
+  });
+
+  test('should detect archived entries rewritten after archival', async () => {
+    await seedClosedShipment();
+    await archiveShipmentChain('SHIP-001', { now: NOW });
+
+    const archiveIndex = await getArchiveIndex('SHIP-001');
+    const segment = await storage.get(archiveIndex.segments[0].key);
+    segment[1].decision.toStatus = 'Cancelled';
+    segment[1].hash = generateHash(segment[1]);
+    await storage.set(archiveIndex.segments[0].key, segment);
+
+    const full = await verifyShipmentChain('SHIP-001', { includeArchive: true });
+
+    expect(full.isValid).toBe(false);
+    expect(full.report.failures.map(failure => failure.kind)).toEqual(
+      expect.arrayContaining(['archive_mismatch', 'missing_entry'])
+    );
+    expect((await verifyShipmentChain('SHIP-001')).isValid).toBe(true);
+  });
+
+  test('should archive cumulatively across runs', async () => {
+    await seedClosedShipment();
+    await archiveShipmentChain('SHIP-001', { now: NOW });
+
+    const result = await archiveShipmentChain('SHIP-001', { now: NOW + 36 * MONTH });
+    const checkpoint = (await getShipmentChain('SHIP-001')).pop();
+
+    expect(result).toMatchObject({ archived: true, archivedCount: 2, archiveLength: 4 });
+    expect(checkpoint.decision.fromIndex).toBe(2);
+    expect((await verifyShipmentChain('SHIP-001')).isValid).toBe(true);
+    expect((await verifyShipmentChain('SHIP-001', { includeArchive: true })).isValid).toBe(true);
+  });
+
+  test('should skip open shipments and entries within retention', async () => {
+    await logAt(NOW - 36 * MONTH, 'SHIP-OPEN', 'compliance_check');
+    await seedClosedShipment('SHIP-NEW');
+
+    expect(await archiveShipmentChain('SHIP-OPEN', { now: NOW })).toMatchObject({ archived: false, reason: 'open' });
+    expect(await archiveShipmentChain('SHIP-NEW', { now: NOW - 30 * MONTH })).toMatchObject({
+      archived: false,
+      reason: 'nothing_to_archive'
+    });
+    expect(await getArchiveIndex('SHIP-OPEN')).toBeNull();
+  });
+
+  test('should not archive shipments under legal hold', async () => {
+    await seedClosedShipment();
+    await setLegalHold({ shipmentId: 'SHIP-001', reason: 'Pending customs dispute', userId: 'acct-legal' });
+
+    const held = await archiveShipmentChain('SHIP-001', { now: NOW });
+    await releaseLegalHold({ shipmentId: 'SHIP-001', reason: 'Dispute settled', userId: 'acct-legal' });
+    const released = await archiveShipmentChain('SHIP-001', { now: NOW });
+
+    expect(held).toEqual({ shipmentId: 'SHIP-001', archived: false, reason: 'legal_hold' });
+    expect(released.archived).toBe(true);
+  });
+
+  test('should leave the live chain untrimmed when a hold is placed during archival', async () => {
+    await seedClosedShipment();
+    const originalSet = storage.set;
+    let holdPlaced = false;
+    const setSpy = jest.spyOn(storage, 'set').mockImplementation(async (key, value) => {
+      if (!holdPlaced && key === 'shipment-SHIP-001-archive-index') {
+        holdPlaced = true;
+        await setLegalHold({ shipmentId: 'SHIP-001', reason: 'Subpoena received', userId: 'acct-legal' });
+      }
+      return originalSet(key, value);
+    });
+
+    const held = await archiveShipmentChain('SHIP-001', { now: NOW });
+    setSpy.mockRestore();
+    const heldChain = await getShipmentChain('SHIP-001');
+    await releaseLegalHold({ shipmentId: 'SHIP-001', reason: 'Subpoena answered', userId: 'acct-legal' });
+    const completed = await archiveShipmentChain('SHIP-001', { now: NOW });
+
+    expect(held).toMatchObject({ archived: false, reason: 'legal_hold', checkpointHash: expect.any(String) });
+    expect(heldChain.map(entry => entry.action)).toEqual([
+      'compliance_check', 'transition_close', 'customs_note', 'legal_hold', 'archive_checkpoint'
+    ]);
+    expect(completed.reason).toBe('nothing_to_archive');
+    expect((await getShipmentChain('SHIP-001')).map(entry => entry.action)).toEqual([
+      'customs_note', 'legal_hold', 'archive_checkpoint', 'legal_hold_released'
+    ]);
+    expect((await verifyShipmentChain('SHIP-001', { includeArchive: true })).isValid).toBe(true);
+  });
+
+  test('should keep entries referenced by live amendments', async () => {
+    const { first } = await seedClosedShipment();
+    nowSpy.mockReturnValue(NOW - MONTH);
+    await amendDecision({
+      shipmentId: 'SHIP-001',
+      amendsHash: first.hash,
+      reason: 'Wrong outcome recorded',
+      userId: 'auditor-1',
+      correctedOutcome: { status: 'rejected' }
+    });
+    nowSpy.mockReturnValue(NOW);
+
+    const chain = await readChain('SHIP-001');
+
+    expect(countArchivableEntries(chain, NOW - 24 * MONTH)).toBe(0);
+    expect((await archiveShipmentChain('SHIP-001', { now: NOW })).reason).toBe('nothing_to_archive');
+  });
+
+  test('should refuse to archive a chain that fails verification', async () => {
+    await seedClosedShipment();
+    const segment = await storage.get('shipment-SHIP-001-chain-seg-0');
+    segment[0].userId = 'someone-else';
+    await storage.set('shipment-SHIP-001-chain-seg-0', segment);
+
+    expect((await archiveShipmentChain('SHIP-001', { now: NOW })).reason).toBe('invalid_chain');
+  });
+
+  test('should complete an archival interrupted before the trim', async () => {
+    const { first, closed } = await seedClosedShipment();
+    const hashes = [first.hash, closed.hash];
+    await appendToArchive('SHIP-001', [first, closed]);
+    await logArchiveCheckpoint({
+      shipmentId: 'SHIP-001',
+      userId: 'system',
+      range: {
+        fromIndex: 0,
+        count: 2,
+        firstHash: first.hash,
+        lastHash: closed.hash,
+        archiveHash: generateArchiveHash(hashes),
+        shipmentStatus: 'Done'
+      }
+    });
+
+    const result = await archiveShipmentChain('SHIP-001', { now: NOW });
+
+    expect(result.reason).toBe('nothing_to_archive');
+    expect((await getShipmentChain('SHIP-001')).map(entry => entry.action)).toEqual(['customs_note', 'archive_checkpoint']);
+    expect((await getArchiveIndex('SHIP-001')).length).toBe(2);
+    expect((await verifyShipmentChain('SHIP-001', { includeArchive: true })).isValid).toBe(true);
+  });
+
+  test('should summarise a retention run', async () => {
+    await seedClosedShipment('SHIP-001');
+    await seedClosedShipment('SHIP-002');
+    await setLegalHold({ shipmentId: 'SHIP-002', reason: 'Litigation', userId: 'acct-legal' });
+
+    const summary = await runRetention({ now: NOW });
+
+    expect(summary).toMatchObject({ scanned: 2, archived: 1, archivedEntries: 2, held: 1, failed: 0 });
+  });
+
+  test('should validate the retention policy', async () => {
+    await expect(setRetentionPolicy({ retentionMonths: 0 })).rejects.toThrow('retentionMonths');
+    await expect(setRetentionPolicy({ closedStatuses: 'Done' })).rejects.toThrow('closedStatuses');
+
+    await setRetentionPolicy({ retentionMonths: 12, archiveEverything: true }, { userId: 'admin-1' });
+    const policy = await getRetentionPolicy();
+
+    expect(policy).toMatchObject({ retentionMonths: 12, closedStatuses: expect.arrayContaining(['done']), updatedBy: 'admin-1' });
+    expect(policy).not.toHaveProperty('archiveEverything');
+  });
+
+  test('should run archival from the scheduled trigger', async () => {
+    nowSpy.mockRestore();
+    const result = await scheduledLogArchival({ context: { cloudId: 'cloud-1' } });
+
+    expect(result).toEqual({ success: true, scanned: 0, archived: 0, archivedEntries: 0, held: 0, failed: 0 });
+  });
+});
+
+describe('Legal hold changes', () => {
+  const context = { principal: { accountId: 'acct-legal' } };
+
+  beforeEach(() => {
+    storage.__reset();
+    api.__reset();
+    api.__jira.issues.set('SHIP-001', { fields: {} });
+    api.__jira.permissions.add('ADMINISTER_PROJECTS');
+  });
+
+  test('should place and release a hold', async () => {
+    const placed = await setShipmentLegalHold({ shipmentId: 'SHIP-001', hold: true, reason: 'Dispute' }, context);
+    const released = await setShipmentLegalHold({ shipmentId: 'SHIP-001', hold: false, reason: 'Settled' }, context);
+
+    expect(placed.success).toBe(true);
+    expect(placed.legalHold).toMatchObject({ shipmentId: 'SHIP-001', reason: 'Dispute', userId: 'acct-legal' });
+    expect(released.success).toBe(true);
+    expect(released.legalHold).toBeNull();
+    expect(await getLegalHold('SHIP-001')).toBeNull();
+  });
+
+  test('should log placing and releasing a hold on the shipment chain', async () => {
+    const placed = await setShipmentLegalHold({ shipmentId: 'SHIP-001', hold: true, reason: 'Dispute' }, context);
+    await setShipmentLegalHold({ shipmentId: 'SHIP-001', hold: false, reason: 'Settled' }, context);
+
+    const [holdEntry, releaseEntry] = await getShipmentChain('SHIP-001');
+
+    expect(holdEntry).toMatchObject({
+      action: 'legal_hold',
+      userId: 'acct-legal',
+      source: 'rovo-action',
+      decision: { status: 'placed', reason: 'Dispute' }
+    });
+    expect(placed.legalHold.entryHash).toBe(holdEntry.hash);
+    expect(releaseEntry).toMatchObject({
+      action: 'legal_hold_released',
+      userId: 'acct-legal',
+      decision: { status: 'released', reason: 'Settled', releasedHold: holdEntry.hash }
+    });
+    expect((await verifyShipmentChain('SHIP-001')).isValid).toBe(true);
+  });
+
+  test('should not log releasing a shipment without a hold', async () => {
+    const result = await setShipmentLegalHold({ shipmentId: 'SHIP-001', hold: false, reason: 'Settled' }, context);
+
+    expect(result.message).toContain('had no legal hold');
+    expect(await getShipmentChain('SHIP-001')).toEqual([]);
+  });
+
+  test('should only let administrators change a hold', async () => {
+    await setLegalHold({ shipmentId: 'SHIP-001', reason: 'Litigation', userId: 'acct-admin' });
+    api.__jira.permissions.clear();
+
+    const released = await setShipmentLegalHold({ shipmentId: 'SHIP-001', hold: false, reason: 'Not needed' }, context);
+    const unknownIssue = await setShipmentLegalHold({ shipmentId: 'SHIP-404', hold: true, reason: 'Dispute' }, context);
+
+    expect(released.success).toBe(false);
+    expect(released.error).toContain('permission');
+    expect(unknownIssue.success).toBe(false);
+    expect(await getLegalHold('SHIP-001')).toMatchObject({ reason: 'Litigation' });
+    expect((await getShipmentChain('SHIP-001')).map(entry => entry.action)).toEqual(['legal_hold']);
+  });
+
+  test('should accept Jira administrators', async () => {
+    api.__jira.permissions.clear();
+    api.__jira.permissions.add('ADMINISTER');
+
+    const placed = await setShipmentLegalHold({ shipmentId: 'SHIP-001', hold: true, reason: 'Dispute' }, context);
+
+    expect(placed.success).toBe(true);
+  });
+
+  test('should require a reason and an acting user', async () => {
+    const withoutReason = await setShipmentLegalHold({ shipmentId: 'SHIP-001', hold: true }, context);
+    await setLegalHold({ shipmentId: 'SHIP-001', reason: 'Litigation', userId: 'acct-admin' });
+    const releaseWithoutReason = await setShipmentLegalHold({ shipmentId: 'SHIP-001', hold: false }, context);
+    const withoutUser = await setShipmentLegalHold({ shipmentId: 'SHIP-001', hold: true, reason: 'Dispute' }, {});
+
+    expect(withoutReason.error).toContain('reason is required');
+    expect(releaseWithoutReason.error).toContain('reason is required');
+    expect(await getLegalHold('SHIP-001')).not.toBeNull();
+    expect(withoutUser.error).toContain('acting user');
+  });
+});
+
+describe('Retention policy admin resolvers', () => {
+  const context = { accountId: 'admin-1' };
+
+  beforeEach(() => {
+    storage.__reset();
+  });
+
+  test('should load the policy with its defaults', async () => {
+    const result = await adminResolver.getRetentionPolicy({ payload: {}, context });
+
+    expect(result.policy).toEqual(result.defaults);
+    expect(result.defaults.retentionMonths).toBe(24);
+  });
+
+  test('should save a policy that the next retention run applies', async () => {
+    const saved = await adminResolver.saveRetentionPolicy({
+      payload: { retentionMonths: 6, closedStatuses: ['Delivered'] },
+      context
+    });
+
+    expect(saved.success).toBe(true);
+    expect(saved.policy).toMatchObject({ retentionMonths: 6, closedStatuses: ['Delivered'], updatedBy: 'admin-1' });
+    expect(await getRetentionPolicy()).toMatchObject({ retentionMonths: 6, closedStatuses: ['Delivered'] });
+  });
+
+  test('should reject invalid policies and unidentified admins', async () => {
+    await expect(adminResolver.saveRetentionPolicy({ payload: { retentionMonths: 1.5 }, context })).rejects.toThrow('retentionMonths');
+    await expect(adminResolver.saveRetentionPolicy({ payload: { retentionMonths: 6 }, context: {} })).rejects.toThrow('attributable');
+    expect(await getRetentionPolicy()).toMatchObject({ retentionMonths: 24 });
+  });
+});
@@ -0,0 +1,181 @@
+/**
+ * Unit Tests for Route Validation Checks
+ *
+ * Tests the route checks of the rule set including:
+ * - Route facts and the mode-based minimum transit estimate
+ * - Origin/destination, transport mode, timeline conflict and unrealistic timeline checks
+ * - Route checks, severities and messages taken from the rule set
+ * - Rule sets published without transit estimates
+ *
+ * Target Coverage: 90%
+ */
+
+import { estimateMinimumTransitDays, buildRouteFacts } from '../src/routeValidation.js';
+import { runChecks } from '../src/ruleEngine.js';
+import { getRuleSet } from '../src/ruleSets.js';
+import { validateCompliance } from '../src/index.js';
+import complianceRules from '../src/rules.json';
+
+const rules = complianceRules.complianceRules;
+const estimates = rules.routeValidation.transitEstimates;
+
+const types = items => items.map(item => item.type);
+
+const shipment = fields => validateCompliance({ cargoType: 'general', weight: 500, transportMode: 'road', ...fields });
+
+describe('Minimum transit estimate', () => {
+  test('should add handling, distance and transfer days per leg', () => {
+    expect(estimateMinimumTransitDays([{ transportMode: 'road' }], estimates)).toBe(0);
+    expect(estimateMinimumTransitDays([{ transportMode: 'sea', distance: 6000 }], estimates)).toBe(12);
+    expect(estimateMinimumTransitDays([{ transportMode: 'road', distance: 300 }, { transportMode: 'air' }], estimates)).toBe(2);
+    expect(estimateMinimumTransitDays([], estimates)).toBeNull();
+  });
+
+  test('should take origin, destination and dates from the legs', () => {
+    const facts = buildRouteFacts({
+      transportMode: '',
+      legs: [
+        { transportMode: 'road', origin: 'Hamburg', pickupDate: '2026-03-01', deliveryDate: '2026-03-02' },
+        { transportMode: 'sea', destination: 'New York', pickupDate: '2026-03-03', deliveryDate: '2026-03-12' }
+      ],
+      timeline: null,
+      cargoType: 'general',
+      weight: 500
+    }, rules);
+
+    expect(facts).toMatchObject({
+      origin: 'hamburg',
+      destination: 'new york',
+      transportModes: ['road', 'sea'],
+      transitDays: 11,
+      minimumTransitDays: 2.5,
+      timelineConflict: false
+    });
+  });
+});
+
+describe('validateCompliance - route checks', () => {
+  test('should reject the same origin and destination', async () => {
+    const result = await shipment({ origin: 'Rotterdam', destination: ' rotterdam ' });
+
+    expect(result.isValid).toBe(false);
+    expect(result.issues).toEqual([{
+      type: 'ORIGIN_DESTINATION_MISMATCH',
+      severity: 'error',
+      message: 'Origin and destination cannot be the same location',
+      recommendation: 'Check the origin and destination of the shipment.'
+    }]);
+    expect((await shipment({ origin: 'Rotterdam', destination: 'Antwerp' })).isValid).toBe(true);
+    expect((await shipment({ origin: '', destination: '' })).isValid).toBe(true);
+  });
+
+  test('should run every route check when no transport mode is given', async () => {
+    const result = await shipment({ transportMode: '', origin: 'Rotterdam', destination: 'Rotterdam' });
+
+    expect(types(result.issues)).toEqual(['ORIGIN_DESTINATION_MISMATCH', 'TRANSPORT_MODE_REQUIRED']);
+    expect(result.details.route.transportModes).toEqual([]);
+  });
+
+  test('should warn about legs picked up before the previous leg is delivered', async () => {
+    const result = await shipment({
+      legs: [
+        { transportMode: 'road', pickupDate: '2026-03-01', deliveryDate: '2026-03-03' },
+        { transportMode: 'rail', pickupDate: '2026-03-02', deliveryDate: '2026-03-06' }
+      ]
+    });
+    const outsideShipment = await shipment({
+      legs: [{ transportMode: 'road', pickupDate: '2026-03-01', deliveryDate: '2026-03-03' }, 'rail'],
+      pickupDate: '2026-03-02',
+      deliveryDate: '2026-03-08'
+    });
+
+    expect(result.isValid).toBe(true);
+    expect(result.warnings).toContainEqual(expect.objectContaining({ type: 'TIMELINE_CONFLICT', message: 'Pickup date must be before delivery date' }));
+    expect(types(outsideShipment.warnings)).toContain('TIMELINE_CONFLICT');
+  });
+
+  test('should report shipments and legs delivered before pickup with the timeline_conflict check', async () => {
+    const reversed = await shipment({ pickupDate: '2026-03-05', deliveryDate: '2026-03-01' });
+    const reversedLeg = await shipment({
+      legs: [{ transportMode: 'road', pickupDate: '2026-03-05', deliveryDate: '2026-03-01' }]
+    });
+
+    expect(reversed.isValid).toBe(true);
+    expect(reversed.warnings).toContainEqual({
+      type: 'TIMELINE_CONFLICT',
+      severity: 'warning',
+      message: 'Pickup date must be before delivery date',
+      recommendation: expect.any(String)
+    });
+    expect(reversed.details.route).toMatchObject({ pickupDate: '2026-03-05', deliveryDate: '2026-03-01', timelineConflict: true });
+    expect(types(reversedLeg.warnings)).toContain('TIMELINE_CONFLICT');
+    expect(types(reversedLeg.warnings)).not.toContain('UNREALISTIC_TIMELINE');
+  });
+
+  test('should warn about timelines shorter than the minimum transit estimate', async () => {
+    const tooFast = await shipment({ transportMode: 'sea', distance: 6000, pickupDate: '2026-03-01', deliveryDate: '2026-03-08' });
+    const realistic = await shipment({ transportMode: 'sea', distance: 6000, pickupDate: '2026-03-01', deliveryDate: '2026-03-15' });
+
+    expect(tooFast.warnings).toEqual([expect.objectContaining({
+      type: 'UNREALISTIC_TIMELINE',
+      severity: 'warning',
+      message: 'Transit time may be insufficient for selected route and mode'
+    })]);
+    expect(tooFast.details.route).toMatchObject({ transitDays: 7, minimumTransitDays: 12 });
+    expect(realistic.warnings).toEqual([]);
+  });
+});
+
+describe('Route checks from the rule set', () => {
+  const checks = rules.complianceChecks.rules;
+  const facts = buildRouteFacts({ transportMode: 'road', legs: [], timeline: null, cargoType: 'hazmat', weight: 1500 }, rules);
+
+  test('should take severity and message from the rule set', () => {
+    const relaxed = checks.map(check => (check.id === 'transport_mode_required'
+      ? { ...check, severity: 'warning', message: 'No mode', recommendation: undefined, when: "'road' in transportModes" }
+      : check));
+
+    expect(runChecks(relaxed, 'route', facts)).toEqual([
+      { type: 'TRANSPORT_MODE_REQUIRED', severity: 'warning', message: 'No mode', recommendation: undefined }
+    ]);
+  });
+
+  test('should run checks added to the rule set', () => {
+    const withAdrCheck = [...checks, {
+      id: 'adr_certificate_required',
+      scope: 'route',
+      type: 'ADR_CERTIFICATE_REQUIRED',
+      severity: 'error',
+      when: "'road' in transportModes && cargoType == 'hazmat' && weight > 1000",
+      message: 'Road hazmat over 1000 kg needs an ADR driver certificate',
+      recommendation: 'Book a driver with an ADR certificate.'
+    }];
+
+    expect(types(runChecks(withAdrCheck, 'route', facts))).toEqual(['ADR_CERTIFICATE_REQUIRED']);
+    expect(runChecks(withAdrCheck, 'route', { ...facts, weight: 800 })).toEqual([]);
+  });
+
+  test('should run the route checks of rule sets published without transit estimates', async () => {
+    const legacy = getRuleSet('1.0.0').rules;
+    const result = await shipment({
+      ruleSetVersion: '1.0.0',
+      transportMode: 'sea',
+      distance: 6000,
+      origin: 'Rotterdam',
+      destination: 'Rotterdam',
+      pickupDate: '2026-03-01',
+      deliveryDate: '2026-03-08'
+    });
+
+    expect(legacy.routeValidation.transitEstimates).toBeUndefined();
+    expect(types(result.issues)).toEqual(['ORIGIN_DESTINATION_MISMATCH']);
+    expect(types(result.warnings)).toEqual(['UNREALISTIC_TIMELINE']);
+    expect(result.details.route.minimumTransitDays).toBe(12);
+  });
+
+  test('should name the check of an invalid condition', () => {
+    const broken = [{ id: 'broken', scope: 'route', type: 'BROKEN', severity: 'error', when: 'sameLocation', message: 'x' }];
+
+    expect(() => runChecks(broken, 'route', facts)).toThrow('Compliance check broken: Unknown fact: sameLocation');
+  });
+});
@@ -0,0 +1,247 @@
+/**
+ * Unit Tests for Declarative Compliance Checks
+ *
+ * Tests the compliance check rule engine including:
+ * - Expressions over facts, their operators, functions and null handling
+ * - Message and recommendation templates
+ * - Running checks by scope, in rule order
+ * - Bundled UN code, perishable and emission checks taken from the rule set
+ * - Checks added by compliance officers as rule overrides
+ *
+ * Target Coverage: 90%
+ */
+
+import { storage } from '@forge/api';
+import {
+  compileExpression,
+  evaluateExpression,
+  renderTemplate,
+  getUnknownFacts,
+  runChecks
+} from '../src/ruleEngine.js';
+import { buildLegFacts, checkLeg } from '../src/multimodal.js';
+import { validateRuleOverrides } from '../src/ruleOverrides.js';
+import { logRuleChange } from '../src/hashChain.js';
+import { selectRuleSet } from '../src/ruleSets.js';
+import { validateCompliance, calculateEmissions } from '../src/index.js';
+import currentRules from '../src/rules.json';
+
+const rules = currentRules.complianceRules;
+
+const facts = {
+  cargoType: 'hazmat',
+  weight: 1500,
+  transportModes: ['road', 'sea'],
+  transitDays: null,
+  unCode: { code: 'UN1203', name: 'Gasoline/Petrol', packingGroups: ['II'] }
+};
+
+const adrCheck = {
+  id: 'adr_certificate_required',
+  scope: 'shipment',
+  type: 'ADR_CERTIFICATE_REQUIRED',
+  severity: 'error',
+  when: "cargoType == 'hazmat' && 'road' in transportModes && weight > 1000",
+  message: 'Road transport of {{weight}}kg hazmat needs an ADR certified driver.',
+  recommendation: 'Book a driver with a valid ADR certificate.'
+};
+
+const types = items => items.map(item => item.type);
+
+describe('Check expressions', () => {
+  test('should evaluate operators by precedence', () => {
+    expect(evaluateExpression('weight > 1000 && cargoType == "hazmat"', facts)).toBe(true);
+    expect(evaluateExpression('weight / 1000 * 2 + 1', facts)).toBe(4);
+    expect(evaluateExpression('!(weight <= 1000) || false', facts)).toBe(true);
+    expect(evaluateExpression("'sea' in transportModes && 'air' in transportModes", facts)).toBe(false);
+    expect(evaluateExpression("cargoType in ['perishable', 'frozen'] ? 'cold' : 'dry'", facts)).toBe('dry');
+    expect(evaluateExpression("'Petrol' in unCode.name", facts)).toBe(true);
+    expect(evaluateExpression('-weight < 0', facts)).toBe(true);
+  });
+
+  test('should call the known functions', () => {
+    expect(evaluateExpression('length(transportModes)', facts)).toBe(2);
+    expect(evaluateExpression("join(transportModes, ' -> ')", facts)).toBe('road -> sea');
+    expect(evaluateExpression('round(weight / 7)', facts)).toBe(214);
+    expect(evaluateExpression('round(weight / 7, 1)', facts)).toBe(214.3);
+  });
+
+  test('should not hold comparisons and arithmetic with unknown values', () => {
+    expect(evaluateExpression('transitDays > 5', facts)).toBe(false);
+    expect(evaluateExpression('transitDays <= 5', facts)).toBe(false);
+    expect(evaluateExpression('transitDays + 1', facts)).toBeNull();
+    expect(evaluateExpression('unCode.restrictions.air.allowed', facts)).toBeNull();
+    expect(evaluateExpression('!unCode.restrictions', facts)).toBe(true);
+    expect(evaluateExpression('transitDays == null', facts)).toBe(true);
+    expect(evaluateExpression('weight.constructor', facts)).toBeNull();
+  });
+
+  test('should reject invalid expressions and unknown facts', () => {
+    expect(() => compileExpression('weight >')).toThrow('Invalid expression "weight >": unexpected end of expression');
+    expect(() => compileExpression('weight = 5')).toThrow('unexpected "=" at position 7');
+    expect(() => compileExpression("cargoType == 'hazmat")).toThrow('unterminated string');
+    expect(() => compileExpression('eval(weight)')).toThrow('unknown function eval');
+    expect(() => compileExpression('')).toThrow('Expression must be a non-empty string');
+    expect(() => evaluateExpression('speed > 5', facts)).toThrow('Unknown fact: speed');
+  });
+});
+
+describe('Check templates', () => {
+  test('should insert the values of placeholders', () => {
+    expect(renderTemplate('{{unCode.name}} ({{unCode.code}}) on {{transportModes}}', facts)).toBe('Gasoline/Petrol (UN1203) on road, sea');
+    expect(renderTemplate('Transit: {{transitDays}} days', facts)).toBe('Transit:  days');
+    expect(renderTemplate('No placeholders', facts)).toBe('No placeholders');
+  });
+
+  test('should name the facts a check reads outside its scope', () => {
+    expect(getUnknownFacts(adrCheck)).toEqual([]);
+    expect(getUnknownFacts({ ...adrCheck, when: 'speed > 80 && weight > 1000', message: '{{driver.name}}' })).toEqual(['speed', 'driver']);
+    expect(getUnknownFacts({ ...adrCheck, scope: 'emissions' })).toEqual(['cargoType', 'transportModes']);
+  });
+});
+
+describe('Running checks', () => {
+  test('should report the checks of a scope whose condition holds, in rule order', () => {
+    const checks = [
+      adrCheck,
+      { id: 'heavy', scope: 'shipment', type: 'HEAVY_CARGO', severity: 'warning', when: 'weight > 1000', message: 'Heavy' },
+      { id: 'leg_only', scope: 'leg', type: 'LEG_ONLY', severity: 'error', when: 'true', message: 'Leg' }
+    ];
+
+    expect(runChecks(checks, 'shipment', facts)).toEqual([
+      {
+        type: 'ADR_CERTIFICATE_REQUIRED',
+        severity: 'error',
+        message: 'Road transport of 1500kg hazmat needs an ADR certified driver.',
+        recommendation: 'Book a driver with a valid ADR certificate.'
+      },
+      { type: 'HEAVY_CARGO', severity: 'warning', message: 'Heavy', recommendation: undefined }
+    ]);
+    expect(runChecks(checks, 'shipment', { ...facts, weight: 800 })).toEqual([]);
+  });
+
+  test('should name the check that cannot be evaluated', () => {
+    expect(() => runChecks([{ ...adrCheck, when: 'speed > 80' }], 'shipment', facts))
+      .toThrow('Compliance check adr_certificate_required: Unknown fact: speed');
+  });
+});
+
+describe('Bundled checks from the rule set', () => {
+  test('should express the UN code, perishable and emission checks as rules', () => {
+    const scopes = rules.complianceChecks.rules.map(check => `${check.scope}:${check.type}`);
+
+    expect(scopes).toEqual(expect.arrayContaining([
+      'route:ORIGIN_DESTINATION_MISMATCH',
+      'route:UNREALISTIC_TIMELINE',
+      'leg:INVALID_UN_CODE',
+      'leg:TRANSPORT_MODE_FORBIDDEN',
+      'leg:WEIGHT_LIMIT_EXCEEDED',
+      'leg:TEMPERATURE_OUT_OF_RANGE',
+      'shipment:TRANSIT_TIME_EXCEEDED',
+      'emissions:EU_ETS_REPORTING_REQUIRED'
+    ]));
+    rules.complianceChecks.rules.forEach(check => expect(getUnknownFacts(check)).toEqual([]));
+  });
+
+  test('should take severity, message and recommendation of leg checks from the rule set', () => {
+    const relaxed = {
+      ...rules,
+      complianceChecks: {
+        rules: rules.complianceChecks.rules.map(check => (check.type === 'TEMPERATURE_OUT_OF_RANGE'
+          ? { ...check, severity: 'warning', message: 'Reefer set to {{carriageTemperature}}°C', recommendation: undefined }
+          : check))
+      }
+    };
+    const cargo = { unCode: '', cargoType: 'perishable', weight: 500, carriageTemperature: 12 };
+
+    expect(types(checkLeg({ transportMode: 'road' }, cargo, rules).issues)).toEqual(['TEMPERATURE_OUT_OF_RANGE']);
+
+    const result = checkLeg({ transportMode: 'road' }, cargo, relaxed);
+    expect(result.isValid).toBe(true);
+    expect(result.warnings).toContainEqual({ type: 'TEMPERATURE_OUT_OF_RANGE', severity: 'warning', message: 'Reefer set to 12°C', recommendation: undefined });
+  });
+});
+
+describe('Leg facts', () => {
+  const gasolineByAir = { unCode: 'UN1203', cargoType: 'hazmat', weight: 200, quantity: { value: 45, unit: 'l' }, aircraftType: 'passenger' };
+
+  test('should pass quantities, limits and restrictions for the rules to compare', () => {
+    const { facts: legFacts } = buildLegFacts({ transportMode: 'air' }, gasolineByAir, rules);
+
+    expect(legFacts.unCode.allowedModes).toEqual(['air', 'sea', 'road', 'rail']);
+    expect(legFacts.quantityLimit).toMatchObject({ amount: 45, limit: 60, quantityType: 'net', quantityBasis: 'net', limitPer: 'package' });
+    expect(legFacts.aircraft).toEqual({ type: 'passenger', passengerAircraft: false, cargoAircraft: true });
+    expect(legFacts.unCode).not.toHaveProperty('modeAllowed');
+    expect(legFacts.quantityLimit).not.toHaveProperty('exceeded');
+  });
+
+  test('should decide by the comparison in the rule', () => {
+    const stricter = {
+      ...rules,
+      complianceChecks: {
+        rules: rules.complianceChecks.rules.map(check => (check.id === 'weight_limit_exceeded'
+          ? { ...check, when: 'quantityLimit.amount > quantityLimit.limit * 0.5' }
+          : check))
+      }
+    };
+    const cargo = { ...gasolineByAir, aircraftType: 'cargo-only' };
+
+    expect(types(checkLeg({ transportMode: 'air' }, cargo, rules).issues)).toEqual([]);
+    expect(types(checkLeg({ transportMode: 'air' }, cargo, stricter).issues)).toEqual(['WEIGHT_LIMIT_EXCEEDED']);
+  });
+});
+
+describe('Checks added by compliance officers', () => {
+  const version = selectRuleSet().version;
+  const save = overrides => logRuleChange({ version, overrides, revision: 0, userId: 'officer-1', reason: 'ADR driver certificates' });
+
+  beforeEach(() => {
+    storage.__reset();
+  });
+
+  test('should validate checks before they are saved', () => {
+    expect(validateRuleOverrides({ complianceChecks: { rules: [adrCheck] } })).toEqual([]);
+    expect(validateRuleOverrides({
+      complianceChecks: {
+        rules: [
+          { ...adrCheck, when: 'weight >', severity: 'fatal' },
+          { ...adrCheck, id: 'speeding', message: 'Driving at {{speed}} km/h' }
+        ]
+      }
+    })).toEqual([
+      'complianceChecks.rules[0].severity: must be one of error, warning, info',
+      'complianceChecks.rules[0].when: Invalid expression "weight >": unexpected end of expression',
+      'complianceChecks.rules[1]: unknown shipment facts: speed'
+    ]);
+  });
+
+  test('should run an added shipment check in compliance validation', async () => {
+    const shipment = { unCode: 'UN1203', cargoType: 'hazmat', transportMode: 'road', weight: 1500 };
+
+    expect(types((await validateCompliance(shipment)).issues)).toEqual([]);
+
+    await save({ complianceChecks: { rules: [adrCheck] } });
+    const result = await validateCompliance(shipment);
+
+    expect(result.isValid).toBe(false);
+    expect(result.issues).toEqual([{
+      type: 'ADR_CERTIFICATE_REQUIRED',
+      severity: 'error',
+      message: 'Road transport of 1500kg hazmat needs an ADR certified driver.',
+      recommendation: 'Book a driver with a valid ADR certificate.'
+    }]);
+    expect((await validateCompliance({ ...shipment, weight: 800 })).isValid).toBe(true);
+    expect((await validateCompliance({ ...shipment, legs: 'sea,rail' })).issues).toEqual([]);
+  });
+
+  test('should recommend from changed emission checks', async () => {
+    const modalShift = rules.complianceChecks.rules.find(check => check.id === 'modal_shift_recommended');
+    await save({ complianceChecks: { rules: [{ ...modalShift, when: "transportMode == 'road' && totalEmissions > 10", message: 'Consider rail for {{round(distance)}} km.' }] } });
+
+    const road = await calculateEmissions({ origin: 'Munich', destination: 'Hamburg', transportMode: 'road', weight: 2000, distance: 800 });
+    const air = await calculateEmissions({ origin: 'Frankfurt', destination: 'Chicago', transportMode: 'air', weight: 1000, distance: 7000 });
+
+    expect(road.recommendations).toEqual(['Consider rail for 800 km.']);
+    expect(air.recommendations).not.toContainEqual(expect.stringContaining('sea or rail'));
+  });
+});
@@ -0,0 +1,346 @@
+/**
+ * Unit Tests for Compliance Rule Overrides
+ *
+ * Tests rule overrides edited on the admin page including:
+ * - Schema validation of the editable sections
+ * - Merging overrides into the bundled rules and diffing against them
+ * - Effective rules in compliance validation, emissions and workflow checks
+ * - Saving revisions and logging them as rule_change decisions
+ * - Keeping the rule change chain out of shipment-wide jobs
+ *
+ * Target Coverage: 90%
+ */
+
+import { jest } from '@jest/globals';
+import { storage } from '@forge/api';
+import {
+  RULE_CHANGE_CHAIN_ID,
+  validateRuleOverrides,
+  mergeRuleOverrides,
+  diffRules,
+  applyRuleOverrides,
+  getRuleOverrides
+} from '../src/ruleOverrides.js';
+import { getRuleSet, selectRuleSet } from '../src/ruleSets.js';
+import { getShipmentChain, verifyShipmentChain, verifyGlobalLedger, logComplianceDecision, logRuleChange } from '../src/hashChain.js';
+import { listChainShipmentIds } from '../src/chainStore.js';
+import { runRetention } from '../src/retention.js';
+import { runChainTimestamping, createLocalTsaClient } from '../src/timestamping.js';
+import { validateCompliance, calculateEmissions, workflowValidator, adminResolver } from '../src/index.js';
+import currentRules from '../src/rules.json';
+
+const rules = currentRules.complianceRules;
+const version = selectRuleSet().version;
+
+// A UN number that is neither in the bundled rules nor in the imported list
+const newUnCode = {
+  code: 'UN3082',
+  name: 'Environmentally hazardous substance, liquid, n.o.s.',
+  class: '9',
+  packingGroup: 'III',
+  restrictions: {
+    air: { allowed: true, maxQuantity: '450L', limitPer: 'package', quantityBasis: 'net' },
+    sea: { allowed: true, maxQuantity: 'unlimited' },
+    road: { allowed: true, maxQuantity: 'unlimited' },
+    rail: { allowed: true, maxQuantity: 'unlimited' }
+  }
+};
+
+const save = (overrides, fields) => logRuleChange({
+  version,
+  overrides,
+  revision: 0,
+  userId: 'admin-1',
+  reason: 'Updated conversion factors',
+  ...fields
+});
+
+const saveFromAdminPage = (payload, accountId = 'admin-1') => adminResolver.saveComplianceRules({
+  payload: { version, revision: 0, reason: 'Updated conversion factors', ...payload },
+  context: { accountId }
+});
+
+describe('Rule override schema', () => {
+  test('should accept the bundled entries of every editable section', () => {
+    const overrides = {
+      emissionThresholds: { emissionFactors: { air: 0.55 }, rules: rules.emissionThresholds.rules },
+      unCodes: { rules: rules.unCodes.rules },
+      perishableGoods: { rules: rules.perishableGoods.rules },
+      complianceChecks: { rules: rules.complianceChecks.rules }
+    };
+
+    expect(validateRuleOverrides(overrides)).toEqual([]);
+    expect(validateRuleOverrides({})).toEqual([]);
+  });
+
+  test('should name the field of every problem', () => {
+    const errors = validateRuleOverrides({
+      emissionThresholds: { emissionFactors: { air: 0, ship: 0.1 } },
+      unCodes: { rules: [{ ...newUnCode, code: 'UN30', restrictions: { ...newUnCode.restrictions, air: { allowed: true, maxQuantity: '5 barrels' } } }] },
+      perishableGoods: { rules: [{ ...rules.perishableGoods.rules[0], temperatureRange: { min: 5, max: -5, unit: 'celsius' } }] },
+      segregation: { codes: {} }
+    });
+
+    expect(errors).toEqual([
+      'segregation: not an editable field',
+      'emissionThresholds.emissionFactors.ship: not an editable field',
+      'emissionThresholds.emissionFactors.air: must be greater than 0',
+      'unCodes.rules[0].code: invalid value "UN30"',
+      expect.stringMatching(/^unCodes\.rules\[0\]\.restrictions\.air\.maxQuantity: Unknown quantity unit/),
+      'perishableGoods.rules[0].temperatureRange: min must not be above max'
+    ]);
+  });
+
+  test('should reject missing fields, wrong types and repeated keys', () => {
+    expect(validateRuleOverrides([])).toEqual(['overrides: must be an object']);
+    expect(validateRuleOverrides({ unCodes: { rules: [{ code: 'UN3082', name: 'x', class: '9', restrictions: { air: { allowed: 'yes', maxQuantity: '1L' } } }] } })).toEqual([
+      'unCodes.rules[0].restrictions.air.allowed: must be a boolean',
+      'unCodes.rules[0].restrictions.sea: required',
+      'unCodes.rules[0].restrictions.road: required',
+      'unCodes.rules[0].restrictions.rail: required'
+    ]);
+    expect(validateRuleOverrides({ unCodes: { rules: [newUnCode, newUnCode] } })).toEqual([
+      'unCodes.rules[1]: code UN3082 is overridden twice'
+    ]);
+  });
+});
+
+describe('Merging and diffing rule overrides', () => {
+  test('should merge factors by mode and rule entries by key', () => {
+    const changedEts = { ...rules.emissionThresholds.rules[0], threshold: 400 };
+    const merged = mergeRuleOverrides(rules, {
+      emissionThresholds: { emissionFactors: { road: 0.09 }, rules: [changedEts] },
+      unCodes: { rules: [newUnCode] }
+    });
+
+    expect(merged.emissionThresholds.emissionFactors).toMatchObject({ air: 0.5, road: 0.09 });
+    expect(merged.emissionThresholds.rules[0].threshold).toBe(400);
+    expect(merged.emissionThresholds.rules).toHaveLength(rules.emissionThresholds.rules.length);
+    expect(merged.unCodes.rules[merged.unCodes.rules.length - 1].code).toBe('UN3082');
+    expect(rules.emissionThresholds.emissionFactors.road).toBe(0.1);
+  });
+
+  test('should add sections the rule set does not have', () => {
+    const { complianceChecks, ...withoutChecks } = rules;
+    const check = complianceChecks.rules[0];
+
+    expect(mergeRuleOverrides(withoutChecks, { complianceChecks: { rules: [check] } }).complianceChecks).toEqual({ rules: [check] });
+    expect(withoutChecks.complianceChecks).toBeUndefined();
+  });
+
+  test('should diff rule entries by key', () => {
+    const ums = rules.unCodes.rules[0];
+    const merged = mergeRuleOverrides(rules, {
+      emissionThresholds: { emissionFactors: { air: 0.55 } },
+      unCodes: { rules: [newUnCode, { ...ums, restrictions: { ...ums.restrictions, air: { ...ums.restrictions.air, maxQuantity: '30L' } } }] }
+    });
+
+    expect(diffRules(rules, merged)).toEqual([
+      { path: `unCodes.rules[${ums.code}].restrictions.air.maxQuantity`, change: 'changed', from: '60L', to: '30L' },
+      { path: 'unCodes.rules[UN3082]', change: 'added', from: null, to: newUnCode },
+      { path: 'emissionThresholds.emissionFactors.air', change: 'changed', from: 0.5, to: 0.55 }
+    ]);
+    expect(diffRules(rules, rules)).toEqual([]);
+  });
+});
+
+describe('Effective rules', () => {
+  beforeEach(() => {
+    storage.__reset();
+  });
+
+  test('should use the bundled rule set when nothing is overridden', async () => {
+    expect(await applyRuleOverrides(getRuleSet(version))).toBe(getRuleSet(version));
+    expect(await applyRuleOverrides(null)).toBeNull();
+  });
+
+  test('should validate against UN codes added by an admin', async () => {
+    const shipment = { unCode: 'UN3082', cargoType: 'hazmat', transportMode: 'road', weight: 1000 };
+
+    expect((await validateCompliance(shipment)).issues[0].type).toBe('INVALID_UN_CODE');
+
+    await save({ unCodes: { rules: [newUnCode] } });
+    const result = await validateCompliance(shipment);
+
+    expect(result.isValid).toBe(true);
+    expect(result.ruleSet).toEqual({ version, contentHash: expect.any(String), overrideRevision: 1 });
+    expect(result.ruleSet.contentHash).not.toBe(getRuleSet(version).contentHash);
+  });
+
+  test('should calculate emissions with an overridden factor', async () => {
+    await save({ emissionThresholds: { emissionFactors: { air: 0.6 } } });
+
+    const result = await calculateEmissions({ origin: 'Frankfurt', destination: 'Chicago', transportMode: 'air', weight: 1000, distance: 7000 });
+
+    expect(result.emissions.breakdown.emissionFactor).toBe(0.6);
+    expect(result.ruleSet.overrideRevision).toBe(1);
+  });
+
+  test('should accept UN codes added by an admin in workflow transitions', async () => {
+    const transition = () => workflowValidator({
+      issue: { fields: { summary: 'Shipment of wastewater', description: 'Contains UN3082', labels: ['hazmat'] } },
+      transition: { from: { name: 'Open' }, to: { name: 'In Progress' } }
+    });
+
+    expect((await transition()).result).toBe(false);
+    await save({ unCodes: { rules: [newUnCode] } });
+    expect(await transition()).toEqual({ result: true });
+  });
+
+  test('should reference the effective rule set on logged decisions', async () => {
+    await save({ emissionThresholds: { emissionFactors: { sea: 0.015 } } });
+
+    const entry = await logComplianceDecision({ action: 'compliance_check', userId: 'user123', shipmentId: 'SHIP-001', outcome: {} });
+
+    expect(entry.ruleSet).toEqual((await validateCompliance({ transportMode: 'sea', cargoType: 'general', weight: 10 })).ruleSet);
+    expect(entry.ruleSet.overrideRevision).toBe(1);
+  });
+});
+
+describe('Saving rule overrides', () => {
+  beforeEach(() => {
+    storage.__reset();
+  });
+
+  test('should reject invalid, stale, unexplained and empty changes', async () => {
+    await expect(save({ emissionThresholds: { emissionFactors: { air: -1 } } })).rejects.toThrow('Invalid rule overrides: emissionThresholds.emissionFactors.air');
+    await expect(save({}, { reason: ' ' })).rejects.toThrow('A reason for the rule change is required');
+    await expect(save({ emissionThresholds: { emissionFactors: { air: 0.5 } } })).rejects.toThrow('do not change any rules');
+
+    await save({ emissionThresholds: { emissionFactors: { air: 0.6 } } });
+    await expect(save({ emissionThresholds: { emissionFactors: { air: 0.7 } } })).rejects.toThrow('changed in the meantime (revision 1, edited from 0)');
+    await expect(save({}, { version: '9.9.9' })).rejects.toThrow('Unknown rule set version');
+  });
+
+  test('should let only one of two concurrent saves of the same revision through', async () => {
+    const results = await Promise.allSettled([
+      save({ emissionThresholds: { emissionFactors: { air: 0.6 } } }, { userId: 'admin-1' }),
+      save({ emissionThresholds: { emissionFactors: { air: 0.7 } } }, { userId: 'admin-2' })
+    ]);
+    const saved = results.find(result => result.status === 'fulfilled');
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find(result => result.status === 'rejected').reason.message).toContain('changed in the meantime');
+    expect(await getRuleOverrides(version)).toEqual(saved.value.saved);
+    expect((await getShipmentChain(RULE_CHANGE_CHAIN_ID)).map(entry => entry.userId)).toEqual([saved.value.saved.updatedBy]);
+  });
+
+  test('should log the change before its overrides are in effect', async () => {
+    const originalSet = storage.set;
+    let chainAtWrite;
+    const setSpy = jest.spyOn(storage, 'set').mockImplementation(async (key, value) => {
+      if (key === `rule-overrides-${version}`) {
+        chainAtWrite = await getShipmentChain(RULE_CHANGE_CHAIN_ID);
+      }
+      return originalSet(key, value);
+    });
+
+    const { entry, saved } = await save({ emissionThresholds: { emissionFactors: { air: 0.6 } } });
+    setSpy.mockRestore();
+
+    expect(chainAtWrite.map(logged => logged.hash)).toEqual([entry.hash]);
+    expect(entry.ruleSet).toEqual({ version, contentHash: expect.any(String), overrideRevision: saved.revision });
+  });
+
+  test('should never give out a revision number twice', async () => {
+    const originalSet = storage.set;
+    const setSpy = jest.spyOn(storage, 'set').mockImplementation(async (key, value) => {
+      if (key === `rule-overrides-${version}`) {
+        throw new Error('Storage unavailable');
+      }
+      return originalSet(key, value);
+    });
+
+    await expect(save({ emissionThresholds: { emissionFactors: { air: 0.6 } } })).rejects.toThrow('Storage unavailable');
+    setSpy.mockRestore();
+    const retried = await save({ emissionThresholds: { emissionFactors: { air: 0.7 } } });
+
+    expect((await getShipmentChain(RULE_CHANGE_CHAIN_ID)).map(entry => entry.decision.revision)).toEqual([1, 2]);
+    expect(retried.saved.revision).toBe(2);
+    expect(await getRuleOverrides(version)).toEqual(retried.saved);
+  });
+
+  test('should log every saved revision as a rule_change decision', async () => {
+    const first = await saveFromAdminPage({ overrides: { emissionThresholds: { emissionFactors: { air: 0.6 } } } });
+    const reset = await saveFromAdminPage({ overrides: {}, revision: 1, reason: 'Back to the bundled factors' });
+
+    const chain = await getShipmentChain(RULE_CHANGE_CHAIN_ID);
+
+    expect(first).toMatchObject({ success: true, revision: 1, ruleSet: { version, overrideRevision: 1 } });
+    expect(reset.ruleSet).toEqual({ version, contentHash: getRuleSet(version).contentHash });
+    expect(chain.map(entry => [entry.action, entry.source, entry.userId, entry.decision.revision])).toEqual([
+      ['rule_change', 'admin-page', 'admin-1', 1],
+      ['rule_change', 'admin-page', 'admin-1', 2]
+    ]);
+    expect(chain[0].decision).toMatchObject({
+      status: 'applied',
+      ruleSetVersion: version,
+      reason: 'Updated conversion factors',
+      bundledContentHash: getRuleSet(version).contentHash,
+      changes: [{ path: 'emissionThresholds.emissionFactors.air', change: 'changed', from: 0.5, to: 0.6 }]
+    });
+    expect(chain[1].decision.changes).toEqual([{ path: 'emissionThresholds.emissionFactors.air', change: 'changed', from: 0.6, to: 0.5 }]);
+    expect((await verifyShipmentChain(RULE_CHANGE_CHAIN_ID)).isValid).toBe(true);
+  });
+
+  test('should not apply overrides whose change cannot be logged', async () => {
+    const originalSet = storage.set;
+    const setSpy = jest.spyOn(storage, 'set').mockImplementation(async (key, value) => {
+      if (key === 'latest-log-entry') {
+        throw new Error('Storage unavailable');
+      }
+      return originalSet(key, value);
+    });
+
+    await expect(saveFromAdminPage({ overrides: { emissionThresholds: { emissionFactors: { air: 0.6 } } } })).rejects.toThrow('Storage unavailable');
+    setSpy.mockRestore();
+
+    expect(await applyRuleOverrides(getRuleSet(version))).toBe(getRuleSet(version));
+  });
+
+  test('should keep the rule change chain out of shipment-wide jobs', async () => {
+    await logComplianceDecision({ action: 'compliance_check', userId: 'user123', shipmentId: 'SHIP-001', outcome: {} });
+    await saveFromAdminPage({ overrides: { emissionThresholds: { emissionFactors: { air: 0.6 } } } });
+
+    expect(await listChainShipmentIds()).toEqual(['SHIP-001']);
+    expect((await listChainShipmentIds({ includeSystemChains: true })).sort()).toEqual(['SHIP-001', RULE_CHANGE_CHAIN_ID]);
+    expect((await runRetention()).results.map(result => result.shipmentId)).toEqual(['SHIP-001']);
+    expect((await runChainTimestamping({ client: createLocalTsaClient() })).results.map(result => result.shipmentId)).toEqual(['SHIP-001']);
+    expect(await verifyGlobalLedger()).toMatchObject({ isValid: true, length: 2 });
+  });
+
+  test('should require an identifiable admin', async () => {
+    await expect(saveFromAdminPage({ overrides: { emissionThresholds: { emissionFactors: { air: 0.6 } } } }, null))
+      .rejects.toThrow('Unable to identify the acting admin');
+  });
+});
+
+describe('Compliance rules admin page', () => {
+  beforeEach(() => {
+    storage.__reset();
+  });
+
+  test('should show the overrides, their diff and the change history', async () => {
+    await saveFromAdminPage({ overrides: { unCodes: { rules: [newUnCode] } } });
+
+    const page = await adminResolver.getComplianceRules({ payload: {} });
+
+    expect(page).toMatchObject({ version, revision: 1, updatedBy: 'admin-1', overrides: { unCodes: { rules: [newUnCode] } } });
+    expect(page.changes.map(change => change.path)).toEqual(['unCodes.rules[UN3082]']);
+    expect(Object.keys(page.bundledRules)).toEqual(['emissionThresholds', 'unCodes', 'perishableGoods', 'complianceChecks']);
+    expect(page.history).toEqual([expect.objectContaining({ revision: 1, userId: 'admin-1', changeCount: 1 })]);
+    expect(page.ruleSets.map(ruleSet => ruleSet.version)).toContain('0.9.0');
+  });
+
+  test('should preview overrides without saving them', async () => {
+    const preview = await adminResolver.previewComplianceRules({
+      payload: { version: '0.9.0', overrides: { emissionThresholds: { emissionFactors: { air: 0.5 } } } }
+    });
+    const invalid = await adminResolver.previewComplianceRules({ payload: { version, overrides: { unCodes: { rules: [{ code: 'UN3082' }] } } } });
+
+    expect(preview.changes).toEqual([{ path: 'emissionThresholds.emissionFactors.air', change: 'changed', from: 0.6, to: 0.5 }]);
+    expect(preview.ruleSet.version).toBe('0.9.0');
+    expect(invalid.errors).toContain('unCodes.rules[0].name: required');
+    expect((await adminResolver.getComplianceRules({ payload: { version: '0.9.0' } })).revision).toBe(0);
+  });
+});
@@ -0,0 +1,223 @@
+/**
+ * Unit Tests for Versioned Compliance Rule Sets
+ *
+ * Tests rule set versions with effective dates including:
+ * - The bundled registry and its content hashes
+ * - Selection by shipment date and explicit version
+ * - Rule set references on validation and emission results
+ * - Rule set references on hash-chain entries and audit bundles
+ *
+ * Target Coverage: 90%
+ */
+
+import { storage } from '@forge/api';
+import {
+  buildRuleSetRegistry,
+  listRuleSets,
+  getRuleSet,
+  findRuleSetInEffect,
+  selectRuleSet
+} from '../src/ruleSets.js';
+import { generateRuleSetHash, generateHash } from '../src/chainVerifier.js';
+import { logComplianceDecision, getShipmentChain, verifyShipmentChain } from '../src/hashChain.js';
+import { buildAuditBundle, renderAuditBundleCsv } from '../src/auditBundle.js';
+import { validateCompliance, calculateEmissions } from '../src/index.js';
+import currentRules from '../src/rules.json';
+import rules100 from '../src/ruleSets/rules-1.0.0.json';
+import builtInChecks from '../src/ruleSets/built-in-checks.json';
+
+const ruleSetDocument = (version, effectiveFrom, effectiveTo) => ({
+  complianceRules: currentRules.complianceRules,
+  metadata: { version, effectiveFrom, effectiveTo }
+});
+
+describe('Rule set registry', () => {
+  test('should list the bundled versions oldest first', () => {
+    expect(listRuleSets().map(({ version, effectiveFrom, effectiveTo }) => [version, effectiveFrom, effectiveTo])).toEqual([
+      ['0.9.0', '2025-01-01', '2025-12-31'],
+      ['1.0.0', '2026-01-01', '2026-10-18'],
+      ['1.1.0', '2026-10-19', null]
+    ]);
+  });
+
+  test('should end an open-ended rule set when the next version takes effect', () => {
+    const registry = buildRuleSetRegistry([
+      ruleSetDocument('2.0.0', '2027-01-01', null),
+      ruleSetDocument('1.0.0', '2026-01-01', null)
+    ]);
+
+    expect(registry.map(({ version, effectiveTo }) => [version, effectiveTo])).toEqual([['1.0.0', '2026-12-31'], ['2.0.0', null]]);
+    expect(registry[0].metadata.effectiveTo).toBeNull();
+    expect(registry[0].contentHash).toBe(generateRuleSetHash(ruleSetDocument('1.0.0', '2026-01-01', null)));
+  });
+
+  test('should hash rule set content independent of key order', () => {
+    const reordered = { metadata: currentRules.metadata, complianceRules: currentRules.complianceRules };
+
+    expect(getRuleSet('1.1.0').contentHash).toBe(generateRuleSetHash(currentRules));
+    expect(generateRuleSetHash(reordered)).toBe(generateRuleSetHash(currentRules));
+    expect(getRuleSet('0.9.0').contentHash).not.toBe(getRuleSet('1.0.0').contentHash);
+  });
+
+  test('should reject overlapping, repeated or undated rule sets', () => {
+    expect(() => buildRuleSetRegistry([
+      ruleSetDocument('1.0.0', '2025-01-01', '2025-12-31'),
+      ruleSetDocument('2.0.0', '2025-12-01', null)
+    ])).toThrow('Rule sets 1.0.0 and 2.0.0 are both in effect on 2025-12-01');
+    expect(() => buildRuleSetRegistry([
+      ruleSetDocument('1.0.0', '2025-01-01', null),
+      ruleSetDocument('2.0.0', '2025-01-01', null)
+    ])).toThrow('Rule sets 1.0.0 and 2.0.0 are both in effect on 2025-01-01');
+    expect(() => buildRuleSetRegistry([
+      ruleSetDocument('1.0.0', '2025-01-01', '2025-06-30'),
+      ruleSetDocument('1.0.0', '2025-07-01', null)
+    ])).toThrow('Rule set version 1.0.0 is bundled twice');
+    expect(() => buildRuleSetRegistry([ruleSetDocument('1.0.0', 'soon', null)])).toThrow('ISO 8601');
+    expect(() => buildRuleSetRegistry([ruleSetDocument('1.0.0', '2025-06-01', '2025-01-01')])).toThrow('ends before it starts');
+  });
+
+  test('should evaluate rule sets published without compliance checks with the built-in checks', () => {
+    expect(rules100.complianceRules.complianceChecks).toBeUndefined();
+    expect(getRuleSet('1.0.0').rules.complianceChecks).toEqual(builtInChecks);
+    expect(getRuleSet('0.9.0').rules.complianceChecks).toEqual(builtInChecks);
+    expect(getRuleSet('1.1.0').rules.complianceChecks).toBe(currentRules.complianceRules.complianceChecks);
+  });
+
+  test('should cover the built-in checks in the content hash of rule sets evaluated with them', () => {
+    const withChecks = checks => ({
+      complianceRules: { ...rules100.complianceRules, complianceChecks: checks },
+      metadata: rules100.metadata
+    });
+    const editedChecks = {
+      ...builtInChecks,
+      rules: builtInChecks.rules.map(check => check.id === 'timeline_conflict' ? { ...check, severity: 'error' } : check)
+    };
+
+    expect(getRuleSet('1.0.0').contentHash).toBe(generateRuleSetHash(withChecks(builtInChecks)));
+    expect(getRuleSet('1.0.0').contentHash).not.toBe(generateRuleSetHash(rules100));
+    expect(generateRuleSetHash(withChecks(editedChecks))).not.toBe(getRuleSet('1.0.0').contentHash);
+  });
+
+  test('should select the rule set in effect on the shipment date', () => {
+    expect(findRuleSetInEffect('2025-12-31').version).toBe('0.9.0');
+    expect(findRuleSetInEffect('2026-01-01').version).toBe('1.0.0');
+    expect(findRuleSetInEffect('2026-10-18').version).toBe('1.0.0');
+    expect(findRuleSetInEffect('2026-10-19').version).toBe('1.1.0');
+    expect(findRuleSetInEffect('2024-06-01')).toBeNull();
+    expect(selectRuleSet({ shipmentDate: '2025-06-01' }).version).toBe('0.9.0');
+    expect(selectRuleSet({ shipmentDate: '2025-06-01', version: '1.0.0' }).version).toBe('1.0.0');
+  });
+
+  test('should reject unknown versions, invalid dates and uncovered dates', () => {
+    expect(() => selectRuleSet({ version: '0.1.0' })).toThrow('Unknown rule set version: 0.1.0. Available: 0.9.0, 1.0.0, 1.1.0');
+    expect(() => selectRuleSet({ shipmentDate: 'last week' })).toThrow('Invalid shipment date: last week');
+    expect(() => selectRuleSet({ shipmentDate: '2024-06-01' })).toThrow('No compliance rule set is in effect on 2024-06-01');
+  });
+});
+
+describe('validateCompliance - rule set versions', () => {
+  // Rule set 0.9.0 allowed 3 days for refrigerated cargo by air, 1.0.0 allows 2
+  const chilledByAir = fields => validateCompliance({ transportMode: 'air', cargoType: 'perishable', weight: 500, ...fields });
+
+  test('should validate under the rule set in effect on the pickup date', async () => {
+    const before = await chilledByAir({ pickupDate: '2025-11-03', deliveryDate: '2025-11-06' });
+    const after = await chilledByAir({ pickupDate: '2026-01-05', deliveryDate: '2026-01-08' });
+
+    expect(before.isValid).toBe(true);
+    expect(before.ruleSet).toEqual({ version: '0.9.0', contentHash: getRuleSet('0.9.0').contentHash });
+    expect(after.isValid).toBe(false);
+    expect(after.ruleSet.version).toBe('1.0.0');
+  });
+
+  test('should prefer the booking date and an explicit version', async () => {
+    const bookedBefore = await chilledByAir({ shipmentDate: '2025-12-15', pickupDate: '2026-01-05', deliveryDate: '2026-01-08' });
+    const overridden = await chilledByAir({ ruleSetVersion: '1.0.0', pickupDate: '2025-11-03', deliveryDate: '2025-11-06' });
+
+    expect(bookedBefore.ruleSet.version).toBe('0.9.0');
+    expect(bookedBefore.isValid).toBe(true);
+    expect(overridden.ruleSet.version).toBe('1.0.0');
+    expect(overridden.isValid).toBe(false);
+  });
+
+  test('should record the rule set on rejected input too', async () => {
+    const result = await validateCompliance({ transportMode: 'air', cargoType: 'livestock', weight: 10 });
+
+    expect(result.issues[0].type).toBe('INVALID_CARGO_TYPE');
+    expect(result.ruleSet.version).toBe(selectRuleSet().version);
+  });
+
+  test('should reject unknown versions and dates without a rule set', async () => {
+    const unknown = await chilledByAir({ ruleSetVersion: '3.0.0' });
+    const tooEarly = await chilledByAir({ shipmentDate: '2024-03-01' });
+
+    expect(unknown.issues[0]).toMatchObject({ type: 'INVALID_RULE_SET', message: expect.stringContaining('Unknown rule set version: 3.0.0') });
+    expect(tooEarly.issues[0].type).toBe('INVALID_RULE_SET');
+    expect(tooEarly.ruleSet).toBeNull();
+  });
+
+  test('should calculate emissions with the factors of the selected rule set', async () => {
+    const shipment = { origin: 'Frankfurt', destination: 'Chicago', transportMode: 'air', weight: 1000, distance: 7000 };
+    const before = await calculateEmissions({ ...shipment, shipmentDate: '2025-06-01' });
+    const current = await calculateEmissions({ ...shipment, ruleSetVersion: '1.0.0' });
+
+    expect(before.emissions.breakdown.emissionFactor).toBe(0.6);
+    expect(before.ruleSet.version).toBe('0.9.0');
+    expect(current.emissions.breakdown.emissionFactor).toBe(0.5);
+    expect((await calculateEmissions({ ...shipment, ruleSetVersion: 'x' })).success).toBe(false);
+  });
+});
+
+describe('Hash chain - rule set references', () => {
+  beforeEach(() => {
+    storage.__reset();
+  });
+
+  test('should record the rule set in effect on every entry', async () => {
+    const entry = await logComplianceDecision({ action: 'compliance_check', userId: 'user123', shipmentId: 'SHIP-001', outcome: {} });
+
+    expect(entry.ruleSet).toEqual({ version: selectRuleSet().version, contentHash: selectRuleSet().contentHash });
+  });
+
+  test('should hash the rule set reference under version 5, leaving version 4 unchanged', async () => {
+    const entry = await logComplianceDecision({ action: 'compliance_check', userId: 'user123', shipmentId: 'SHIP-001', outcome: {} });
+    const asVersion4 = { ...entry, hashVersion: 4 };
+
+    expect(entry.hashVersion).toBe(5);
+    expect(generateHash({ ...entry, ruleSet: undefined })).not.toBe(entry.hash);
+    expect(generateHash(asVersion4)).toBe(generateHash({ ...asVersion4, ruleSet: undefined }));
+  });
+
+  test('should record the rule set a decision was validated under', async () => {
+    const entry = await logComplianceDecision({
+      action: 'compliance_check',
+      userId: 'user123',
+      shipmentId: 'SHIP-001',
+      outcome: { status: 'approved' },
+      ruleSetVersion: '0.9.0'
+    });
+
+    expect(entry.ruleSet.version).toBe('0.9.0');
+    await expect(logComplianceDecision({ action: 'compliance_check', userId: 'user123', shipmentId: 'SHIP-001', outcome: {}, ruleSetVersion: '7' }))
+      .rejects.toThrow('Unknown rule set version: 7');
+  });
+
+  test('should detect a rewritten rule set reference', async () => {
+    await logComplianceDecision({ action: 'compliance_check', userId: 'user123', shipmentId: 'SHIP-001', outcome: {}, ruleSetVersion: '0.9.0' });
+
+    const chain = await getShipmentChain('SHIP-001');
+    chain[0].ruleSet = { version: '1.0.0', contentHash: getRuleSet('1.0.0').contentHash };
+    await storage.set('shipment-SHIP-001-chain-seg-0', chain);
+
+    expect((await verifyShipmentChain('SHIP-001')).isValid).toBe(false);
+  });
+
+  test('should list the rule sets of the entries in the audit bundle', async () => {
+    await logComplianceDecision({ action: 'compliance_check', userId: 'user123', shipmentId: 'SHIP-001', outcome: {}, ruleSetVersion: '0.9.0' });
+
+    const bundle = await buildAuditBundle('SHIP-001');
+
+    expect(bundle.ruleSets.map(ruleSet => ruleSet.version)).toEqual(['0.9.0']);
+    expect(bundle.ruleVersion.contentHash).toBe(selectRuleSet().contentHash);
+    expect(renderAuditBundleCsv(bundle).split('\r\n')[1]).toContain(',0.9.0,');
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * Unit Tests for Mixed Dangerous Goods Segregation
+ *
+ * Tests consignments with several dangerous goods including:
+ * - Parsing cargo lines given as a list or a string
+ * - Class-by-class segregation levels, including subsidiary risks
+ * - Conflicting pairs and their severity in the validation result
+ * - Per-line UN code, quantity and aircraft checks
+ *
+ * Target Coverage: 90%
+ */
+
+import {
+  normalizeCargoLines,
+  getSegregationClass,
+  getSegregationLevel,
+  checkSegregation
+} from '../src/segregation.js';
+import { validateCompliance } from '../src/index.js';
+import complianceRules from '../src/rules.json';
+
+const rules = complianceRules.complianceRules;
+
+const consolidated = (cargoLines, fields) => validateCompliance({
+  transportMode: 'road',
+  cargoType: 'hazmat',
+  weight: 2000,
+  cargoLines,
+  ...fields
+});
+
+const issueTypes = result => result.issues.map(issue => issue.type);
+
+describe('Cargo lines', () => {
+  test('should parse cargo lines from a string', () => {
+    const lines = normalizeCargoLines('UN1203 200L; un1789 PG II 50 L\nUN1845');
+
+    expect(lines).toEqual([
+      { unCode: 'UN1203', packingGroup: null, quantity: { value: 200, unit: 'l' }, quantityType: 'net', packages: 1, density: undefined },
+      { unCode: 'UN1789', packingGroup: 'II', quantity: { value: 50, unit: 'l' }, quantityType: 'net', packages: 1, density: undefined },
+      { unCode: 'UN1845', packingGroup: null, quantity: null, quantityType: 'net', packages: 1, density: undefined }
+    ]);
+  });
+
+  test('should parse cargo lines from objects', () => {
+    const [line] = normalizeCargoLines([{ unCode: 'un1993', packingGroup: 3, quantity: 20, quantityUnit: 'kg', quantityType: 'gross', packages: '4' }]);
+
+    expect(line).toMatchObject({ unCode: 'UN1993', packingGroup: 'III', quantity: { value: 20, unit: 'kg' }, quantityType: 'gross', packages: 4 });
+  });
+
+  test('should name the invalid line', () => {
+    expect(() => normalizeCargoLines('UN1203 200L; UN12')).toThrow('Cargo line 2: Invalid UN code format: UN12');
+    expect(() => normalizeCargoLines('UN1263 PG IV 20L')).toThrow('Cargo line 1: Invalid packing group: IV');
+    expect(() => normalizeCargoLines([{ unCode: 'UN1203', quantity: '5 barrels' }])).toThrow('Cargo line 1: Unknown quantity unit');
+    expect(() => normalizeCargoLines([{ unCode: 'UN1203', packages: 0 }])).toThrow('Cargo line 1: Invalid package count: 0');
+  });
+});
+
+describe('Segregation table', () => {
+  test('should map divisions and compatibility groups to table classes', () => {
+    expect(getSegregationClass('1.4S', rules.segregation)).toBe('1.4');
+    expect(getSegregationClass('1.5', rules.segregation)).toBe('1.1');
+    expect(getSegregationClass('6.1', rules.segregation)).toBe('6.1');
+    expect(getSegregationClass('10', rules.segregation)).toBeNull();
+  });
+
+  test('should look up the level between two classes in either order', () => {
+    expect(getSegregationLevel('3', '8', rules.segregation)).toBe('none');
+    expect(getSegregationLevel('2.1', '8', rules.segregation)).toBe('away_from');
+    expect(getSegregationLevel('8', '2.1', rules.segregation)).toBe('away_from');
+    expect(getSegregationLevel('3', '5.1', rules.segregation)).toBe('separated_from');
+    expect(getSegregationLevel('3', '6.2', rules.segregation)).toBe('incompatible');
+    expect(getSegregationLevel('3', '1.1', rules.segregation)).toBe('incompatible');
+  });
+
+  test('should apply the strictest level over subsidiary risks', () => {
+    // UN1005 is class 2.3 with subsidiary risk 8; UN1230 is class 3 with subsidiary risk 6.1
+    const { conflicts } = checkSegregation(normalizeCargoLines('UN1230; UN1005'), rules);
+
+    expect(conflicts).toEqual([{
+      lines: [1, 2],
+      unCodes: ['UN1230', 'UN1005'],
+      classes: ['3', '2.3'],
+      level: 'separated_from',
+      requirement: 'Separated from',
+      severity: 'error'
+    }]);
+  });
+});
+
+describe('validateCompliance - mixed dangerous goods consignments', () => {
+  test('should accept compatible classes in one load', async () => {
+    const result = await consolidated('UN1203 200L; UN1789 50L');
+
+    expect(result.isValid).toBe(true);
+    expect(result.segregation).toEqual({ conflicts: [] });
+    expect(result.cargoLines.map(line => line.unCode)).toEqual(['UN1203', 'UN1789']);
+    expect(result.cargoLines[0].details.unCode.class).toBe('3');
+  });
+
+  test('should warn about pairs that must be stowed away from each other', async () => {
+    const result = await consolidated('UN1950 100kg; UN1789 50L');
+
+    expect(result.isValid).toBe(true);
+    expect(result.warnings).toContainEqual(expect.objectContaining({
+      type: 'SEGREGATION_REQUIRED',
+      cargoLines: [1, 2],
+      level: 'away_from'
+    }));
+    expect(result.segregation.conflicts[0]).toMatchObject({ classes: ['2.1', '8'], level: 'away_from' });
+  });
+
+  test('should list every conflicting pair with its level', async () => {
+    // UN1005 is class 2.3 with subsidiary risk 8, which is incompatible with class 6.2
+    const result = await consolidated('UN1203 200L; UN2814 10g; UN1005 20kg');
+
+    expect(result.isValid).toBe(false);
+    expect(result.segregation.conflicts.map(conflict => [conflict.unCodes.join('+'), conflict.level])).toEqual([
+      ['UN1203+UN2814', 'incompatible'],
+      ['UN1203+UN1005', 'separated_from'],
+      ['UN2814+UN1005', 'incompatible']
+    ]);
+    expect(issueTypes(result)).toEqual(['SEGREGATION_CONFLICT', 'SEGREGATION_CONFLICT', 'SEGREGATION_CONFLICT']);
+    expect(result.issues[0].message).toBe(
+      'Gasoline/Petrol (UN1203, class 3) and Infectious substance (affecting humans) (UN2814, class 6.2) require segregation "Incompatible": ' +
+      'not in the same cargo transport unit or vehicle, and only with a complete compartment between them on board.'
+    );
+  });
+
+  test('should check each line against the transport mode', async () => {
+    const result = await consolidated('UN1203 20L; UN1789 50L', { transportMode: 'air', aircraftType: 'passenger' });
+
+    expect(result.issues).toEqual([
+      expect.objectContaining({ type: 'PASSENGER_AIRCRAFT_FORBIDDEN', cargoLine: 1 }),
+      expect.objectContaining({ type: 'WEIGHT_LIMIT_EXCEEDED', cargoLine: 2 })
+    ]);
+    expect(result.issues[1].message).toMatch(/^Cargo line 2 \(UN1789\): Net quantity 50 L exceeds air limit/);
+    expect(result.cargoLines[1].isValid).toBe(false);
+  });
+
+  test('should report unknown UN codes per line and leave them out of segregation', async () => {
+    const result = await consolidated('UN1203 200L; UN9999 5kg');
+
+    expect(issueTypes(result)).toEqual(['INVALID_UN_CODE']);
+    expect(result.issues[0].cargoLine).toBe(2);
+    expect(result.segregation.conflicts).toEqual([]);
+  });
+
+  test('should check each line leg by leg for multimodal consignments', async () => {
+    const result = await consolidated('UN1203 200L; UN1789 50L', { legs: 'road,sea' });
+
+    expect(result.cargoLines[0].legs.map(leg => leg.transportMode)).toEqual(['road', 'sea']);
+    expect(result.warnings.filter(warning => warning.cargoLine)).toEqual([]);
+    expect(result.warnings).toContainEqual(expect.objectContaining({ type: 'TRANSITION_RULES_MISSING', transition: 'road_to_sea' }));
+  });
+
+  test('should reject invalid cargo lines', async () => {
+    expect(issueTypes(await consolidated('UN1203 200L; 1789'))).toEqual(['INVALID_CARGO_LINES']);
+    expect(issueTypes(await consolidated('UN1203 200L', { unCode: 'UN1789' }))).toEqual(['INVALID_CARGO_LINES']);
+  });
+});
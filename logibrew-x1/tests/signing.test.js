@@ -0,0 +1,133 @@
+/**
+ * Unit Tests for Entry Signing
+ *
+ * Tests Ed25519 signing of decision log entries including:
+ * - Key generation and public key registry
+ * - Key rotation with retained history
+ * - Signature verification in verifyChain
+ * - Detection of chains rebuilt without the app key
+ *
+ * Target Coverage: 95% (security-critical)
+ */
+
+import { storage } from '@forge/api';
+import { generateHash, verifyChain, getShipmentChain, logComplianceDecision, verifyShipmentChain } from '../src/hashChain.js';
+import {
+  getPublicKeyRegistry,
+  rotateSigningKey,
+  getActiveSigningKey,
+  signEntryHash,
+  getSignatureStatus
+} from '../src/signing.js';
+
+describe('Entry signing', () => {
+  beforeEach(() => {
+    storage.__reset();
+  });
+
+  const logFor = (shipmentId, action) => logComplianceDecision({
+    action,
+    userId: 'user123',
+    shipmentId,
+    outcome: { status: 'approved' }
+  });
+
+  test('should generate a signing key on first use', async () => {
+    const signingKey = await getActiveSigningKey();
+    const registry = await getPublicKeyRegistry();
+
+    expect(registry.activeKeyId).toBe(signingKey.keyId);
+    expect(registry.keys).toHaveLength(1);
+    expect(registry.keys[0].publicKey).toContain('BEGIN PUBLIC KEY');
+    expect(registry.keys[0]).not.toHaveProperty('privateKey');
+    expect(await storage.getSecret(`signing-key-${signingKey.keyId}`)).toContain('BEGIN PRIVATE KEY');
+  });
+
+  test('should reuse the active key', async () => {
+    const first = await getActiveSigningKey();
+    const second = await getActiveSigningKey();
+
+    expect(second.keyId).toBe(first.keyId);
+  });
+
+  test('should sign logged entries', async () => {
+    const entry = await logFor('SHIP-001', 'compliance_check');
+    const { keys } = await getPublicKeyRegistry();
+
+    expect(entry.signature.algorithm).toBe('ed25519');
+    expect(getSignatureStatus(entry, keys)).toBe('valid');
+  });
+
+  test('should keep retired keys in the registry after rotation', async () => {
+    const first = await logFor('SHIP-001', 'compliance_check');
+    await rotateSigningKey();
+    const second = await logFor('SHIP-001', 'route_change');
+
+    const registry = await getPublicKeyRegistry();
+    const chain = await getShipmentChain('SHIP-001');
+
+    expect(registry.keys).toHaveLength(2);
+    expect(registry.keys[0].retiredAt).not.toBeNull();
+    expect(registry.activeKeyId).toBe(second.signature.keyId);
+    expect(first.signature.keyId).not.toBe(second.signature.keyId);
+    expect(verifyChain(chain, { keys: registry.keys, requireSignatures: true })).toBe(true);
+  });
+
+  test('should reject signatures from keys outside their service period', async () => {
+    const entry = await logFor('SHIP-001', 'compliance_check');
+    const { keys } = await getPublicKeyRegistry();
+    const retiredKeys = keys.map(key => ({ ...key, retiredAt: entry.timestamp - 1 }));
+
+    expect(getSignatureStatus(entry, retiredKeys)).toBe('invalid');
+  });
+
+  test('should report unsigned and unknown-key entries', async () => {
+    const entry = await logFor('SHIP-001', 'compliance_check');
+    const { keys } = await getPublicKeyRegistry();
+
+    expect(getSignatureStatus({ ...entry, signature: undefined }, keys)).toBe('unsigned');
+    expect(getSignatureStatus(entry, [])).toBe('invalid');
+    expect(getSignatureStatus({ ...entry, signature: { ...entry.signature, value: 'AAAA' } }, keys)).toBe('invalid');
+  });
+
+  test('should detect a chain rebuilt without the app key', async () => {
+    await logFor('SHIP-001', 'compliance_check');
+    await logFor('SHIP-001', 'route_change');
+
+    const chain = await getShipmentChain('SHIP-001');
+    const { keys } = await getPublicKeyRegistry();
+
+    // Rewrite the second decision and recompute its hash, keeping the old signature
+    chain[1].decision = { status: 'rejected' };
+    chain[1].hash = generateHash(chain[1]);
+
+    expect(verifyChain(chain)).toBe(true);
+    expect(verifyChain(chain, { keys })).toBe(false);
+
+    // Dropping the signature only passes when signatures are not required
+    delete chain[1].signature;
+    expect(verifyChain(chain, { keys })).toBe(true);
+    expect(verifyChain(chain, { keys, requireSignatures: true })).toBe(false);
+  });
+
+  test('should reject signatures made with a foreign key', async () => {
+    const entry = await logFor('SHIP-001', 'compliance_check');
+    const { keys } = await getPublicKeyRegistry();
+
+    storage.__reset();
+    const foreignKey = await getActiveSigningKey();
+    const forged = { ...entry, signature: { ...signEntryHash(entry.hash, foreignKey), keyId: entry.signature.keyId } };
+
+    expect(getSignatureStatus(forged, keys)).toBe('invalid');
+  });
+
+  test('should verify signatures when verifying stored chains', async () => {
+    await logFor('SHIP-001', 'compliance_check');
+
+    const chain = await getShipmentChain('SHIP-001');
+    chain[0].signature.value = Buffer.alloc(64).toString('base64');
+    await storage.set('shipment-SHIP-001-chain-seg-0', chain);
+
+    expect((await verifyShipmentChain('SHIP-001')).isValid).toBe(false);
+  });
+});
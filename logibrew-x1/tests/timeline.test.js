@@ -0,0 +1,177 @@
+/**
+ * Unit Tests for Perishable Timeline and Temperature Validation
+ *
+ * Tests shipment timelines for perishable cargo including:
+ * - Transit time from pickup and delivery dates
+ * - maxTransitDays per transport mode and per leg
+ * - Carriage temperature against the category range
+ * - The frozen category
+ * - Reading the Shipment Timeline custom field
+ *
+ * Target Coverage: 90%
+ */
+
+import api from '@forge/api';
+import {
+  getTransitDays,
+  parseShipmentTimeline,
+  readIssueTimeline,
+  clearFieldIdCache
+} from '../src/timeline.js';
+import { validateCompliance, shipmentPanelResolverDefs } from '../src/index.js';
+
+const TIMELINE_FIELD = {
+  id: 'customfield_10042',
+  name: 'Shipment Timeline',
+  schema: { custom: 'ari:cloud:ecosystem::extension/app-id/env-id/static/shipment-timeline-field' }
+};
+
+const issueTypes = result => result.issues.map(issue => issue.type);
+
+describe('Shipment timelines', () => {
+  test('should compute transit days between dates', () => {
+    expect(getTransitDays('2026-03-01', '2026-03-05')).toBe(4);
+    expect(getTransitDays('2026-03-01T06:00:00Z', '2026-03-02T18:00:00Z')).toBe(1.5);
+  });
+
+  test('should reject invalid dates and leave reversed timelines without transit days', () => {
+    expect(() => getTransitDays('March 1st', '2026-03-05')).toThrow('Invalid pickup date: March 1st');
+    expect(() => getTransitDays('2026-03-01', '2026-02-30x')).toThrow('Invalid delivery date');
+    expect(getTransitDays('2026-03-05', '2026-03-01')).toBeNull();
+  });
+
+  test('should parse both dates from a timeline field value', () => {
+    expect(parseShipmentTimeline('2026-03-01/2026-03-05')).toEqual({ pickupDate: '2026-03-01', deliveryDate: '2026-03-05' });
+    expect(parseShipmentTimeline('Pickup 2026-03-01 to delivery 2026-03-05')).toEqual({ pickupDate: '2026-03-01', deliveryDate: '2026-03-05' });
+    expect(parseShipmentTimeline('2026-03-01')).toBeNull();
+    expect(parseShipmentTimeline(null)).toBeNull();
+  });
+});
+
+describe('validateCompliance - perishable timeline and temperature', () => {
+  const perishable = (fields) => validateCompliance({
+    transportMode: 'air',
+    cargoType: 'perishable',
+    weight: 500,
+    ...fields
+  });
+
+  test('should flag transit times over the mode limit', async () => {
+    const result = await perishable({ pickupDate: '2026-03-01', deliveryDate: '2026-03-04' });
+
+    expect(result.isValid).toBe(false);
+    expect(result.issues[0]).toMatchObject({
+      type: 'TRANSIT_TIME_EXCEEDED',
+      message: 'Transit time of 3 days exceeds the 2-day limit for refrigerated cargo by air.'
+    });
+    expect(result.details.timeline).toEqual({ pickupDate: '2026-03-01', deliveryDate: '2026-03-04', transitDays: 3 });
+  });
+
+  test('should accept transit times within the limit', async () => {
+    const result = await perishable({ pickupDate: '2026-03-01', deliveryDate: '2026-03-03', carriageTemperature: 5 });
+
+    expect(result.isValid).toBe(true);
+    expect(result.details.perishable).toMatchObject({ transitDays: 2, maxTransitDays: 2, carriageTemperature: 5 });
+  });
+
+  test('should flag carriage temperatures outside the category range', async () => {
+    const result = await perishable({ carriageTemperature: 12 });
+
+    expect(issueTypes(result)).toEqual(['TEMPERATURE_OUT_OF_RANGE']);
+    expect(result.issues[0].message).toBe('Carriage temperature 12°C is outside the 2°C to 8°C range for refrigerated cargo.');
+  });
+
+  test('should validate frozen cargo against the frozen rules', async () => {
+    const result = await validateCompliance({
+      transportMode: 'sea',
+      cargoType: 'frozen',
+      weight: 5000,
+      carriageTemperature: -20,
+      timeline: '2026-03-01/2026-03-25'
+    });
+    const tooWarm = await validateCompliance({ transportMode: 'sea', cargoType: 'frozen', weight: 5000, carriageTemperature: -10 });
+
+    expect(result.isValid).toBe(true);
+    expect(result.details.perishable).toMatchObject({ category: 'frozen', maxTransitDays: 30, transitDays: 24 });
+    expect(tooWarm.issues[0].message).toContain('-25°C to -18°C range for frozen cargo');
+  });
+
+  test('should check leg dates against each leg mode', async () => {
+    const result = await validateCompliance({
+      legs: [
+        { transportMode: 'sea', pickupDate: '2026-03-01', deliveryDate: '2026-03-12' },
+        { transportMode: 'air', pickupDate: '2026-03-12', deliveryDate: '2026-03-15' }
+      ],
+      cargoType: 'perishable',
+      weight: 500
+    });
+
+    expect(result.legs.map(leg => leg.details.perishable.transitDays)).toEqual([11, 3]);
+    expect(result.issues).toEqual([expect.objectContaining({ type: 'TRANSIT_TIME_EXCEEDED', leg: 2 })]);
+  });
+
+  test('should hold a multimodal timeline against the most lenient leg', async () => {
+    const within = await validateCompliance({ legs: 'road,air', cargoType: 'perishable', weight: 500, timeline: '2026-03-01/2026-03-05' });
+    const over = await validateCompliance({ legs: 'road,air', cargoType: 'perishable', weight: 500, timeline: '2026-03-01/2026-03-08' });
+
+    expect(within.isValid).toBe(true);
+    expect(over.issues).toEqual([expect.objectContaining({ type: 'TRANSIT_TIME_EXCEEDED' })]);
+    expect(over.issues[0].message).toContain('5-day limit for refrigerated cargo even by road');
+  });
+
+  test('should reject invalid timelines and temperatures', async () => {
+    expect(issueTypes(await perishable({ timeline: 'next week' }))).toEqual(['INVALID_TIMELINE']);
+    expect(issueTypes(await perishable({ legs: [{ transportMode: 'air', pickupDate: 'soon' }] }))).toEqual(['INVALID_TIMELINE']);
+    expect(issueTypes(await perishable({ carriageTemperature: 'cold' }))).toEqual(['INVALID_TEMPERATURE']);
+  });
+
+  test('should not check the timeline of non-perishable cargo', async () => {
+    const result = await validateCompliance({
+      transportMode: 'air',
+      cargoType: 'general',
+      weight: 500,
+      pickupDate: '2026-03-01',
+      deliveryDate: '2026-03-20'
+    });
+
+    expect(result.isValid).toBe(true);
+    expect(result.details.timeline.transitDays).toBe(19);
+  });
+});
+
+describe('Shipment Timeline custom field', () => {
+  beforeEach(() => {
+    api.__reset();
+    clearFieldIdCache();
+    api.__jira.fields.push({ id: 'summary', name: 'Summary', schema: { type: 'string' } }, TIMELINE_FIELD);
+    api.__jira.issues.set('SHIP-7', { fields: { summary: 'Shipment of chilled salmon', customfield_10042: '2026-03-01/2026-03-04' } });
+  });
+
+  test('should read the dates from the issue field', async () => {
+    expect(await readIssueTimeline('SHIP-7')).toEqual({ pickupDate: '2026-03-01', deliveryDate: '2026-03-04' });
+    expect(api.__jira.requests.map(request => request.path)).toContain('/rest/api/3/issue/SHIP-7?fields=customfield_10042');
+  });
+
+  test('should return null when the field is not installed', async () => {
+    api.__jira.fields.length = 0;
+
+    expect(await readIssueTimeline('SHIP-7')).toBeNull();
+  });
+
+  test('should validate the panel against the issue timeline when no dates are entered', async () => {
+    const result = await shipmentPanelResolverDefs.validateShipmentData({
+      payload: {
+        origin: 'Oslo',
+        destination: 'Tokyo',
+        cargoType: 'perishable',
+        weight: 800,
+        transportMode: 'air'
+      },
+      context: { extension: { issue: { key: 'SHIP-7' } } }
+    });
+
+    expect(result.validation.isValid).toBe(false);
+    expect(result.validation.details.timeline.transitDays).toBe(3);
+    expect(result.validation.issues[0].type).toBe('TRANSIT_TIME_EXCEEDED');
+  });
+});
@@ -0,0 +1,355 @@
+/**
+ * Unit Tests for Trusted Timestamping
+ *
+ * Tests RFC 3161 timestamp tokens for chain heads including:
+ * - TimeStampReq / TimeStampResp encoding and token verification
+ * - Timestamping changed chain heads with a pluggable TSA client
+ * - "Timestamped at" in the log macro and audit exports
+ * - Offline verification of bundled tokens
+ *
+ * Target Coverage: 95% (security-critical)
+ */
+
+import { jest } from '@jest/globals';
+import crypto from 'crypto';
+import { storage } from '@forge/api';
+import { logComplianceDecision, getShipmentChain } from '../src/hashChain.js';
+import {
+  PKI_STATUS,
+  buildTimestampRequest,
+  parseTimestampRequest,
+  buildTimestampResponse,
+  parseTimestampResponse,
+  getTokenCertificate,
+  verifyTimestampToken
+} from '../src/rfc3161.js';
+import {
+  getChainTimestampKey,
+  createLocalTsaClient,
+  setTsaClient,
+  timestampChainHead,
+  runChainTimestamping,
+  listChainTimestamps,
+  getEntryTimestamps
+} from '../src/timestamping.js';
+import { getPublicKeyRegistry } from '../src/signing.js';
+import { buildAuditBundle, renderAuditBundleCsv } from '../src/auditBundle.js';
+import { verifyAuditBundle, generateBundleHash } from '../src/chainVerifier.js';
+import { logMacroRenderer, scheduledChainTimestamping } from '../src/index.js';
+
+const HOUR = 60 * 60 * 1000;
+const TSA_TIME = Date.UTC(2026, 2, 14, 9, 30, 15, 250);
+
+const hashOf = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+const collectText = (node) => (node.text ? [node.text] : (node.content || []).flatMap(collectText));
+
+const logDecision = (shipmentId, action = 'compliance_check') => logComplianceDecision({
+  action,
+  userId: 'user123',
+  shipmentId,
+  outcome: { status: 'approved' }
+});
+
+describe('RFC 3161 encoding', () => {
+  test('should round-trip a timestamp request', () => {
+    const hashedMessage = hashOf('head');
+    const request = parseTimestampRequest(buildTimestampRequest({ hashedMessage, nonce: 'ff00000000000001' }));
+
+    expect(request).toEqual({
+      version: 1,
+      hashAlgorithm: 'sha256',
+      hashedMessage,
+      policy: null,
+      nonce: 'ff00000000000001',
+      certReq: true
+    });
+  });
+
+  test('should parse rejections without a token', () => {
+    const response = parseTimestampResponse(buildTimestampResponse({ status: PKI_STATUS.REJECTION, statusText: 'badAlg' }));
+
+    expect(response).toEqual({ status: 2, granted: false, statusText: 'badAlg', token: null });
+  });
+
+  test('should issue tokens covering the requested hash from the local TSA', async () => {
+    const tsa = createLocalTsaClient({ now: () => TSA_TIME });
+    const hashedMessage = hashOf('head');
+
+    const response = parseTimestampResponse(await tsa.requestTimestamp(buildTimestampRequest({ hashedMessage, nonce: '0102' })));
+    const check = verifyTimestampToken(response.token, { hashedMessage, nonce: '0102', publicKey: tsa.publicKey });
+
+    expect(response.granted).toBe(true);
+    expect(check).toMatchObject({ isValid: true, genTime: TSA_TIME, signatureChecked: true });
+  });
+
+  test('should reject tokens for another hash, nonce or key', async () => {
+    const tsa = createLocalTsaClient();
+    const hashedMessage = hashOf('head');
+    const { token } = parseTimestampResponse(await tsa.requestTimestamp(buildTimestampRequest({ hashedMessage, nonce: '0102' })));
+
+    expect(verifyTimestampToken(token, { hashedMessage: hashOf('other') }).errors).toContain('Timestamp token does not cover the expected hash');
+    expect(verifyTimestampToken(token, { nonce: '0103' }).errors).toContain('Timestamp token nonce does not match the request');
+    expect(verifyTimestampToken(token, { publicKey: createLocalTsaClient().publicKey }).errors).toContain('Timestamp token signature is invalid');
+    expect(verifyTimestampToken('not a token').isValid).toBe(false);
+  });
+
+  test('should verify tokens against the TSA certificate they carry', async () => {
+    const tsa = createLocalTsaClient({ now: () => TSA_TIME });
+    const hashedMessage = hashOf('head');
+    const { token } = parseTimestampResponse(await tsa.requestTimestamp(buildTimestampRequest({ hashedMessage })));
+    const { token: bare } = parseTimestampResponse(await tsa.requestTimestamp(buildTimestampRequest({ hashedMessage, certReq: false })));
+
+    expect(getTokenCertificate(token)).toBe(tsa.certificate);
+    expect(getTokenCertificate(bare)).toBeNull();
+    expect(new crypto.X509Certificate(tsa.certificate).checkIssued(new crypto.X509Certificate(tsa.certificate))).toBe(true);
+    expect(verifyTimestampToken(bare, { hashedMessage, certificate: tsa.certificate })).toMatchObject({ isValid: true, signatureChecked: true });
+    expect(verifyTimestampToken(token, { certificate: createLocalTsaClient().certificate }).errors)
+      .toContain('Timestamp token was not signed with the given TSA certificate');
+    expect(verifyTimestampToken(token, { certificate: 'not a certificate' })).toMatchObject({ isValid: false, signatureChecked: false });
+    expect(verifyTimestampToken(token, { hashedMessage })).toMatchObject({ isValid: true, signatureChecked: false });
+  });
+
+  test('should reject tokens generated outside the TSA certificate validity', async () => {
+    let clock = TSA_TIME;
+    const tsa = createLocalTsaClient({ now: () => clock });
+    clock += 2 * 365 * 24 * HOUR;
+    const { token } = parseTimestampResponse(await tsa.requestTimestamp(buildTimestampRequest({ hashedMessage: hashOf('head') })));
+
+    expect(verifyTimestampToken(token, { certificate: tsa.certificate }).errors)
+      .toContain('Timestamp token time is outside the validity of the TSA certificate');
+  });
+
+  test('should detect a token whose content was altered after signing', async () => {
+    const tsa = createLocalTsaClient({ now: () => TSA_TIME });
+    const { token } = parseTimestampResponse(await tsa.requestTimestamp(buildTimestampRequest({ hashedMessage: hashOf('head') })));
+
+    // Move genTime back by a year: 2026 -> 2025 inside the GeneralizedTime
+    const forged = Buffer.from(token.toString('latin1').replace('20260314', '20250314'), 'latin1');
+
+    expect(verifyTimestampToken(forged).errors).toContain('Timestamp token content does not match its signed digest');
+  });
+});
+
+describe('Chain head timestamping', () => {
+  let tsa;
+  let clock;
+
+  beforeEach(async () => {
+    storage.__reset();
+    clock = TSA_TIME;
+    tsa = createLocalTsaClient({ now: () => clock });
+    setTsaClient(tsa);
+
+    await logDecision('SHIP-001');
+    await logDecision('SHIP-001', 'route_change');
+  });
+
+  afterEach(() => {
+    setTsaClient(null);
+  });
+
+  test('should store a token for the chain head next to the chain', async () => {
+    const chain = await getShipmentChain('SHIP-001');
+    const head = chain[chain.length - 1];
+
+    const result = await timestampChainHead('SHIP-001');
+    const stored = await storage.get(getChainTimestampKey('SHIP-001', head.hash));
+
+    expect(result.timestamped).toBe(true);
+    expect(stored).toMatchObject({
+      shipmentId: 'SHIP-001',
+      headHash: head.hash,
+      hashAlgorithm: 'sha256',
+      chainLength: 2,
+      genTime: TSA_TIME,
+      tsa: 'local-stand-in',
+      tsaCertificate: tsa.certificate
+    });
+    expect(verifyTimestampToken(stored.token, { hashedMessage: head.hash, publicKey: tsa.publicKey }).isValid).toBe(true);
+  });
+
+  test('should refuse tokens not signed by the TSA certificate', async () => {
+    const impostor = createLocalTsaClient({ now: () => clock });
+    const misconfigured = { ...impostor, certificate: tsa.certificate };
+
+    await expect(timestampChainHead('SHIP-001', { client: misconfigured })).rejects.toThrow('not signed with the given TSA certificate');
+    expect(await listChainTimestamps('SHIP-001')).toEqual([]);
+  });
+
+  test('should refuse clients without a trusted certificate, even when the token carries one', async () => {
+    const { certificate, ...withoutCertificate } = tsa;
+    const requestSpy = jest.spyOn(withoutCertificate, 'requestTimestamp');
+
+    await expect(timestampChainHead('SHIP-001', { client: withoutCertificate }))
+      .rejects.toThrow('No trusted certificate is configured for TSA local-stand-in');
+    expect(requestSpy).not.toHaveBeenCalled();
+    expect(await listChainTimestamps('SHIP-001')).toEqual([]);
+  });
+
+  test('should verify tokens without an embedded certificate against the trusted one', async () => {
+    const bare = {
+      name: 'bare',
+      certificate: tsa.certificate,
+      requestTimestamp: async (requestDer) => tsa.requestTimestamp(buildTimestampRequest({
+        ...parseTimestampRequest(requestDer),
+        certReq: false
+      }))
+    };
+
+    const result = await timestampChainHead('SHIP-001', { client: bare });
+
+    expect(result.record.tsaCertificate).toBe(tsa.certificate);
+  });
+
+  test('should refuse the configured TSA until its certificate is configured', async () => {
+    setTsaClient(null);
+    await storage.set('timestamping-config', { tsaUrl: 'https://tsa.example.com/tsr' });
+
+    await expect(timestampChainHead('SHIP-001')).rejects.toThrow('set tsaCertificate in the timestamping config');
+  });
+
+  test('should only timestamp heads that changed', async () => {
+    await timestampChainHead('SHIP-001');
+    const unchanged = await timestampChainHead('SHIP-001');
+
+    await logDecision('SHIP-001', 'approval');
+    clock += HOUR;
+    const changed = await timestampChainHead('SHIP-001');
+
+    expect(unchanged.reason).toBe('unchanged');
+    expect(changed.timestamped).toBe(true);
+    expect(await listChainTimestamps('SHIP-001')).toHaveLength(2);
+  });
+
+  test('should give each entry the earliest token covering it', async () => {
+    await timestampChainHead('SHIP-001');
+    await logDecision('SHIP-001', 'approval');
+    clock += HOUR;
+    await timestampChainHead('SHIP-001');
+    await logDecision('SHIP-001', 'customs_note');
+
+    const chain = await getShipmentChain('SHIP-001');
+    const covering = getEntryTimestamps(chain, await listChainTimestamps('SHIP-001'));
+
+    expect(covering.map(record => record?.genTime ?? null)).toEqual([TSA_TIME, TSA_TIME, TSA_TIME + HOUR, null]);
+  });
+
+  test('should refuse rejected requests and tokens for the wrong hash', async () => {
+    const rejecting = {
+      name: 'rejecting',
+      certificate: tsa.certificate,
+      requestTimestamp: async () => buildTimestampResponse({ status: PKI_STATUS.REJECTION, statusText: 'unacceptedPolicy' })
+    };
+    const swapping = {
+      name: 'swapping',
+      certificate: tsa.certificate,
+      requestTimestamp: async () => tsa.requestTimestamp(buildTimestampRequest({ hashedMessage: hashOf('other') }))
+    };
+
+    await expect(timestampChainHead('SHIP-001', { client: rejecting })).rejects.toThrow('status 2: unacceptedPolicy');
+    await expect(timestampChainHead('SHIP-001', { client: swapping })).rejects.toThrow('does not cover the expected hash');
+    expect(await listChainTimestamps('SHIP-001')).toEqual([]);
+  });
+
+  test('should defer heads beyond the per-run limit', async () => {
+    await logDecision('SHIP-002');
+    await logDecision('SHIP-003');
+
+    const first = await runChainTimestamping({ limit: 2 });
+    const second = await runChainTimestamping({ limit: 2 });
+
+    expect(first).toMatchObject({ scanned: 3, timestamped: 2, deferred: 1, failed: 0 });
+    expect(second).toMatchObject({ timestamped: 1, deferred: 0 });
+  });
+
+  test('should run from the scheduled trigger', async () => {
+    const result = await scheduledChainTimestamping({ context: { cloudId: 'cloud-1' } });
+
+    expect(result).toEqual({ success: true, scanned: 1, timestamped: 1, deferred: 0, failed: 0 });
+  });
+
+  test('should show timestamped at in the log macro', async () => {
+    await timestampChainHead('SHIP-001');
+    await logDecision('SHIP-001', 'approval');
+
+    const text = collectText(await logMacroRenderer({ shipmentId: 'SHIP-001' })).join('\n');
+
+    expect(text).toContain(`Chain head not timestamped yet`);
+    expect(text.match(/Timestamped at:/g)).toHaveLength(2);
+
+    await timestampChainHead('SHIP-001');
+    const updated = collectText(await logMacroRenderer({ shipmentId: 'SHIP-001' })).join('\n');
+
+    expect(updated).toContain(`Chain head timestamped at ${new Date(TSA_TIME).toISOString()} by local-stand-in`);
+  });
+
+  test('should export and verify tokens in the audit bundle', async () => {
+    await timestampChainHead('SHIP-001');
+
+    const bundle = JSON.parse(JSON.stringify(await buildAuditBundle('SHIP-001')));
+    const csvRows = renderAuditBundleCsv(bundle).split('\r\n');
+
+    expect(bundle.timestamps).toHaveLength(1);
+    expect(verifyAuditBundle(bundle, await getPublicKeyRegistry())).toMatchObject({ isValid: true, checks: { timestamps: true } });
+    expect(csvRows[0].endsWith(',timestampedAt')).toBe(true);
+    expect(csvRows[2].endsWith(new Date(TSA_TIME).toISOString())).toBe(true);
+  });
+
+  test('should fail bundles whose recorded time disagrees with the token', async () => {
+    await timestampChainHead('SHIP-001');
+
+    const bundle = await buildAuditBundle('SHIP-001');
+    bundle.timestamps[0].genTime -= 24 * HOUR;
+    bundle.bundleHash = generateBundleHash(bundle);
+
+    const result = verifyAuditBundle(bundle);
+
+    expect(result.checks.timestamps).toBe(false);
+    expect(result.errors.join(' ')).toContain('token time does not match');
+  });
+
+  test('should fail bundle tokens without a matching TSA certificate', async () => {
+    await timestampChainHead('SHIP-001');
+
+    const bundle = await buildAuditBundle('SHIP-001');
+    const { tsaCertificate, ...legacy } = bundle.timestamps[0];
+    const rehash = (timestamps) => {
+      const copy = { ...bundle, timestamps };
+      return { ...copy, bundleHash: generateBundleHash(copy) };
+    };
+
+    const unrecorded = verifyAuditBundle(rehash([legacy]));
+    const swapped = verifyAuditBundle(rehash([{ ...legacy, tsaCertificate: createLocalTsaClient().certificate }]));
+
+    expect(unrecorded.checks.timestamps).toBe(false);
+    expect(unrecorded.errors.join(' ')).toContain('no TSA certificate recorded');
+    expect(swapped.checks.timestamps).toBe(false);
+    expect(swapped.errors.join(' ')).toContain('not signed with the given TSA certificate');
+  });
+
+  test('should only accept trusted TSA certificates when given', async () => {
+    await timestampChainHead('SHIP-001');
+
+    const bundle = await buildAuditBundle('SHIP-001');
+
+    expect(verifyAuditBundle(bundle, { tsaCertificates: [tsa.certificate] }).checks.timestamps).toBe(true);
+    expect(verifyAuditBundle(bundle, { tsaCertificates: [createLocalTsaClient().certificate] }).errors.join(' '))
+      .toContain('TSA certificate is not trusted');
+  });
+});
+
+describe('Timestamping without a configured client', () => {
+  beforeEach(() => {
+    storage.__reset();
+  });
+
+  test('should skip chains without a head', async () => {
+    const fetchClient = { name: 'unused', requestTimestamp: jest.fn() };
+
+    const result = await timestampChainHead('SHIP-404', { client: fetchClient });
+
+    expect(result.reason).toBe('no_head');
+    expect(fetchClient.requestTimestamp).not.toHaveBeenCalled();
+  });
+});
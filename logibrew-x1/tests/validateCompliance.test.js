@@ -7,11 +7,16 @@
  * - Cargo type validation
  * - Weight limits for hazmat
  * - Perishable goods requirements
+ * - Multimodal legs and transition rules
+ * - Aircraft type for air hazmat, and the Aircraft Type custom field
  * 
  * Target Coverage: 90%
  */
 
-import { validateCompliance } from '../src/index.js';
+import api from '@forge/api';
+import { validateCompliance, shipmentPanelResolverDefs, workflowValidator } from '../src/index.js';
+import { readIssueAircraftType } from '../src/multimodal.js';
+import { clearFieldIdCache } from '../src/timeline.js';
 import complianceRules from '../src/rules.json';
 
 describe('validateCompliance', () => {
@@ -172,7 +177,8 @@ describe('validateCompliance', () => {
     });
     
     expect(result.isValid).toBe(false);
-    expect(result.issues[0].type).toBe('INVALID_TRANSPORT_MODE');
+    expect(result.issues[0].type).toBe('TRANSPORT_MODE_REQUIRED');
+    expect(result.issues[0].message).toBe('At least one transport mode must be specified');
   });
 
   // ===== Cargo Type Tests =====
@@ -282,7 +288,7 @@ describe('validateCompliance', () => {
       unCode: 'UN1203',
       transportMode: 'air',
       cargoType: 'hazmat',
-      weight: 50
+      weight: 40 // 54 L of gasoline, within the 60 L air limit
     });
     
     expect(result.isValid).toBe(true); // Passenger aircraft restriction is a warning, not an error
@@ -437,3 +443,230 @@ describe('validateCompliance', () => {
     expect(result.isValid).toBe(true);
   });
 });
+
+describe('validateCompliance - multimodal legs', () => {
+  test('should validate each leg against its own mode', async () => {
+    const result = await validateCompliance({
+      unCode: 'UN1203',
+      legs: 'sea, air',
+      cargoType: 'hazmat',
+      weight: 100
+    });
+
+    expect(result.isValid).toBe(false);
+    expect(result.details.modes).toEqual(['sea', 'air']);
+    expect(result.legs.map(leg => [leg.leg, leg.transportMode, leg.isValid])).toEqual([[1, 'sea', true], [2, 'air', false]]);
+    expect(result.issues).toHaveLength(1);
+    expect(result.issues[0]).toMatchObject({ type: 'WEIGHT_LIMIT_EXCEEDED', leg: 2 });
+    expect(result.issues[0].message).toMatch(/^Leg 2 \(air\): /);
+  });
+
+  test('should evaluate transitions against the multimodal rules', async () => {
+    const result = await validateCompliance({
+      unCode: 'UN1203',
+      legs: ['sea', 'air'],
+      cargoType: 'hazmat',
+      weight: 40
+    });
+    const rule = complianceRules.complianceRules.multimodalTransport.rules.find(r => r.transition === 'sea_to_air');
+
+    expect(result.isValid).toBe(true);
+    expect(result.transitions).toEqual([expect.objectContaining({
+      transition: 'sea_to_air',
+      fromLeg: 1,
+      toLeg: 2,
+      ruleFound: true,
+      validationRequired: true,
+      checks: rule.checks,
+      commonIssues: ['Hazmat forbidden on passenger aircraft']
+    })]);
+    expect(result.warnings.map(w => w.type)).toEqual([
+      'PASSENGER_AIRCRAFT_RESTRICTION',
+      'TRANSITION_VALIDATION_REQUIRED',
+      'TRANSITION_COMMON_ISSUE'
+    ]);
+    expect(result.warnings[1].transition).toBe('sea_to_air');
+  });
+
+  test('should only report common issues relevant to the cargo type', async () => {
+    const perishable = await validateCompliance({ legs: 'sea,air', cargoType: 'perishable', weight: 500 });
+    const general = await validateCompliance({ legs: 'sea,air', cargoType: 'general', weight: 500 });
+
+    expect(perishable.transitions[0].commonIssues).toEqual(['Perishables may exceed air transit time limits']);
+    expect(perishable.legs.map(leg => leg.details.perishable.maxTransitDays)).toEqual([14, 2]);
+    expect(general.transitions[0].commonIssues).toEqual([]);
+    expect(general.warnings.map(w => w.type)).toEqual(['TRANSITION_VALIDATION_REQUIRED']);
+  });
+
+  test('should accept transitions that need no validation', async () => {
+    const result = await validateCompliance({ legs: 'rail -> road', cargoType: 'general', weight: 2000 });
+
+    expect(result.isValid).toBe(true);
+    expect(result.transitions[0]).toMatchObject({ transition: 'rail_to_road', ruleFound: true, validationRequired: false });
+    expect(result.warnings).toHaveLength(0);
+    expect(result.recommendations[0]).toContain('meets all compliance requirements');
+  });
+
+  test('should flag transitions without rules and skip same-mode transshipments', async () => {
+    const result = await validateCompliance({ legs: 'sea,sea,road', cargoType: 'general', weight: 2000 });
+
+    expect(result.transitions.map(t => [t.transition, t.ruleFound])).toEqual([['sea_to_sea', false], ['sea_to_road', false]]);
+    expect(result.warnings).toEqual([expect.objectContaining({ type: 'TRANSITION_RULES_MISSING', transition: 'sea_to_road' })]);
+  });
+
+  test('should use per-leg weights and keep leg locations', async () => {
+    const result = await validateCompliance({
+      unCode: 'UN1950',
+      legs: [
+        { transportMode: 'road', origin: 'Rotterdam', destination: 'Schiphol' },
+        { mode: 'AIR', origin: 'Schiphol', destination: 'JFK', weight: 70 }
+      ],
+      cargoType: 'hazmat',
+      weight: 300
+    });
+
+    expect(result.isValid).toBe(true);
+    expect(result.legs[0]).toMatchObject({ origin: 'Rotterdam', destination: 'Schiphol', weight: 300 });
+    expect(result.legs[1]).toMatchObject({ transportMode: 'air', weight: 70 });
+    expect(result.transitions[0].transition).toBe('road_to_air');
+  });
+
+  test('should reject invalid leg modes and weights', async () => {
+    const badMode = await validateCompliance({ legs: 'sea,boat', cargoType: 'general', weight: 100 });
+    const badWeight = await validateCompliance({ legs: [{ transportMode: 'sea', weight: 200 }], cargoType: 'general', weight: 100 });
+
+    expect(badMode.issues[0]).toMatchObject({ type: 'INVALID_TRANSPORT_MODE', message: 'Invalid transport mode for leg 2: boat' });
+    expect(badWeight.issues[0].type).toBe('INVALID_WEIGHT');
+  });
+
+  test('should not require a transport mode when legs are given', async () => {
+    const result = await validateCompliance({ transportMode: 'ship', legs: 'road,rail', cargoType: 'general', weight: 100 });
+
+    expect(result.isValid).toBe(true);
+    expect(result.issues).toHaveLength(0);
+    expect(result.legs).toHaveLength(2);
+  });
+});
+
+describe('validateCompliance - aircraft type', () => {
+  const gasolineByAir = (fields) => validateCompliance({
+    unCode: 'UN1203',
+    transportMode: 'air',
+    cargoType: 'hazmat',
+    weight: 40,
+    ...fields
+  });
+
+  test('should block cargo aircraft only goods booked on passenger aircraft', async () => {
+    const result = await gasolineByAir({ aircraftType: 'passenger' });
+
+    expect(result.isValid).toBe(false);
+    expect(result.issues).toEqual([expect.objectContaining({ type: 'PASSENGER_AIRCRAFT_FORBIDDEN' })]);
+    expect(result.issues[0].recommendation).toContain('Cargo Aircraft Only');
+  });
+
+  test('should require the CAO label on cargo aircraft', async () => {
+    const result = await gasolineByAir({ aircraftType: 'CAO' });
+
+    expect(result.isValid).toBe(true);
+    expect(result.warnings.map(w => w.type)).toEqual(['CAO_LABEL_REQUIRED']);
+    expect(result.details.unCode.aircraft).toEqual({
+      aircraftType: 'cargo-only',
+      passengerAircraft: false,
+      cargoAircraft: true,
+      caoLabelRequired: true
+    });
+  });
+
+  test('should keep warning when the aircraft type is unknown', async () => {
+    const result = await gasolineByAir({});
+
+    expect(result.isValid).toBe(true);
+    expect(result.warnings.map(w => w.type)).toEqual(['PASSENGER_AIRCRAFT_RESTRICTION']);
+    expect(result.details.unCode.aircraft.aircraftType).toBe('unknown');
+  });
+
+  test('should allow passenger aircraft for goods permitted on them', async () => {
+    const result = await validateCompliance({
+      unCode: 'UN1789',
+      transportMode: 'air',
+      aircraftType: 'passenger',
+      cargoType: 'hazmat',
+      weight: 25
+    });
+
+    expect(result.isValid).toBe(true);
+    expect(result.warnings).toHaveLength(0);
+    expect(result.details.unCode.aircraft.caoLabelRequired).toBe(false);
+  });
+
+  test('should check the aircraft type of each air leg', async () => {
+    const result = await validateCompliance({
+      unCode: 'UN1203',
+      legs: [{ transportMode: 'air', aircraftType: 'cargo_only' }, { transportMode: 'sea' }, { transportMode: 'air', aircraftType: 'passenger' }],
+      cargoType: 'hazmat',
+      weight: 40
+    });
+
+    expect(result.legs.map(leg => leg.isValid)).toEqual([true, true, false]);
+    expect(result.issues).toEqual([expect.objectContaining({ type: 'PASSENGER_AIRCRAFT_FORBIDDEN', leg: 3 })]);
+  });
+
+  test('should reject unknown aircraft types', async () => {
+    const result = await gasolineByAir({ aircraftType: 'glider' });
+
+    expect(result.issues[0]).toMatchObject({ type: 'INVALID_AIRCRAFT_TYPE', message: 'Invalid aircraft type: glider' });
+  });
+});
+
+describe('Aircraft Type custom field', () => {
+  const AIRCRAFT_TYPE_FIELD = {
+    id: 'customfield_10043',
+    name: 'Aircraft Type',
+    schema: { custom: 'ari:cloud:ecosystem::extension/app-id/env-id/static/aircraft-type-field' }
+  };
+  const hazmatIssue = fields => ({
+    key: 'SHIP-9',
+    fields: { summary: 'Shipment of petrol', description: 'Contains UN1203', labels: ['hazmat'], ...fields }
+  });
+  const transition = { from: { name: 'Open' }, to: { name: 'In Progress' } };
+
+  beforeEach(() => {
+    api.__reset();
+    clearFieldIdCache();
+    api.__jira.fields.push(AIRCRAFT_TYPE_FIELD);
+    api.__jira.issues.set('SHIP-9', { fields: { customfield_10043: 'Passenger' } });
+  });
+
+  test('should read the aircraft type from the issue field', async () => {
+    expect(await readIssueAircraftType('SHIP-9')).toBe('passenger');
+    expect(api.__jira.requests.map(request => request.path)).toContain('/rest/api/3/issue/SHIP-9?fields=customfield_10043');
+
+    api.__jira.issues.set('SHIP-9', { fields: { customfield_10043: 'glider' } });
+    expect(await readIssueAircraftType('SHIP-9')).toBeNull();
+    api.__jira.issues.set('SHIP-9', { fields: {} });
+    expect(await readIssueAircraftType('SHIP-9')).toBeNull();
+  });
+
+  test('should validate the panel against the issue aircraft type when none is entered', async () => {
+    const validate = aircraftType => shipmentPanelResolverDefs.validateShipmentData({
+      payload: { origin: 'Frankfurt', destination: 'Chicago', cargoType: 'hazmat', unCode: 'UN1203', weight: 40, transportMode: 'air', aircraftType },
+      context: { extension: { issue: { key: 'SHIP-9' } } }
+    });
+
+    expect((await validate()).validation.issues.map(issue => issue.type)).toEqual(['PASSENGER_AIRCRAFT_FORBIDDEN']);
+    expect((await validate('cargo-only')).validation.isValid).toBe(true);
+  });
+
+  test('should block transitions of goods forbidden on the booked aircraft', async () => {
+    const blocked = await workflowValidator({ issue: hazmatIssue(), transition });
+
+    expect(blocked).toMatchObject({ result: false, errorMessage: expect.stringContaining('forbidden on passenger aircraft') });
+
+    api.__jira.issues.set('SHIP-9', { fields: { customfield_10043: 'cargo-only' } });
+    expect(await workflowValidator({ issue: hazmatIssue(), transition })).toEqual({ result: true });
+    api.__jira.fields.length = 0;
+    clearFieldIdCache();
+    expect(await workflowValidator({ issue: hazmatIssue(), transition })).toEqual({ result: true });
+  });
+});